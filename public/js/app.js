@@ -96,19 +96,14 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 
   // API key input listeners - update status and save as user types
-  const openaiKeyInput = document.getElementById('openaiApiKey');
-  const geminiKeyInput = document.getElementById('geminiApiKey');
-  if (openaiKeyInput) {
-    openaiKeyInput.addEventListener('input', () => {
-      saveApiKey('openai', openaiKeyInput.value);
-      checkUIApiKey();
-    });
-  }
-  if (geminiKeyInput) {
-    geminiKeyInput.addEventListener('input', () => {
-      saveApiKey('gemini', geminiKeyInput.value);
-      checkUIApiKey();
-    });
+  for (const [provider, field] of Object.entries(AI_KEY_FIELDS)) {
+    const keyInput = document.getElementById(field.input);
+    if (keyInput) {
+      keyInput.addEventListener('input', () => {
+        saveApiKey(provider, keyInput.value);
+        checkUIApiKey();
+      });
+    }
   }
 
   // Note: API keys are loaded after providers in loadAIProviders()
@@ -152,8 +147,173 @@ document.addEventListener('DOMContentLoaded', () => {
 
   // Load logs on startup
   loadActivityLogs();
+
+  // Bulk jobs (database jobs can be rolled back as a whole)
+  document.getElementById('refresh-jobs')?.addEventListener('click', loadBulkJobs);
+  document.getElementById('bulk-jobs')?.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-job-action]');
+    if (!btn) return;
+    if (btn.dataset.jobAction === 'rollback') rollbackBulkJob(btn.dataset.jobId);
+    if (btn.dataset.jobAction === 'prune') pruneJobBackup(btn.dataset.jobId);
+    if (btn.dataset.jobAction === 'resume') resumeBulkJob(btn.dataset.jobId);
+  });
+  loadBulkJobs();
+
+  // AI price table (loaded when opened)
+  document.getElementById('ai-prices-details')?.addEventListener('toggle', (e) => {
+    if (e.target.open) loadAIPrices();
+  });
+  document.getElementById('save-ai-prices')?.addEventListener('click', saveAIPrices);
+
+  // AI budgets (loaded when opened)
+  document.getElementById('ai-budgets-details')?.addEventListener('toggle', (e) => {
+    if (e.target.open) loadAIBudgets();
+  });
+  document.getElementById('save-ai-budgets')?.addEventListener('click', saveAIBudgets);
 });
 
+// Load bulk jobs together with their database backups
+async function loadBulkJobs() {
+  const container = document.getElementById('bulk-jobs');
+  if (!container) return;
+
+  try {
+    const [jobsData, backupsData] = await Promise.all([
+      fetch('/api/jobs').then(r => r.json()),
+      fetch('/api/db/job-backups').then(r => r.json())
+    ]);
+
+    const backups = new Map((backupsData.backups || []).map(b => [b.jobId, b]));
+    const rows = (jobsData.jobs || []).map(job => ({ job, backup: backups.get(job.id) }));
+
+    // Backups outlive pruned job records
+    for (const backup of backups.values()) {
+      if (!rows.some(row => row.job.id === backup.jobId)) {
+        rows.push({ job: { id: backup.jobId, type: 'db', status: 'unknown', createdAt: backup.createdAt }, backup });
+      }
+    }
+
+    if (rows.length === 0) {
+      container.innerHTML = '<p class="log-empty">No bulk jobs yet</p>';
+      return;
+    }
+
+    container.innerHTML = rows.map(({ job, backup }) => {
+      const time = new Date(job.createdAt).toLocaleString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+      });
+      const progress = job.total !== undefined
+        ? `${job.processed}/${job.total} processed, ${job.failed} failed${job.usage ? ` · ${formatUsage(job.usage)}` : ''}`
+        : '';
+      const sites = backup?.blogIds?.length > 1 ? ` across ${backup.blogIds.length} sites` : '';
+      let actions = backup
+        ? `<button type="button" class="btn btn-danger btn-small" data-job-action="rollback" data-job-id="${job.id}">Roll back ${backup.postCount} post(s)${sites}</button>
+           <button type="button" class="btn btn-secondary btn-small" data-job-action="prune" data-job-id="${job.id}">Prune backups</button>`
+        : '';
+      if (job.status === 'paused') {
+        actions += `<button type="button" class="btn btn-secondary btn-small" data-job-action="resume" data-job-id="${job.id}">Resume</button>`;
+      }
+      const pauseReason = job.pauseReason ? ` — ${escapeHtml(job.pauseReason)}` : '';
+
+      return `
+        <div class="log-entry">
+          <span class="log-time">${time}</span>
+          <span class="log-action">${job.type} · ${job.status}</span>
+          <span class="log-details" title="${job.id}">${progress}${pauseReason}</span>
+          ${actions}
+        </div>
+      `;
+    }).join('');
+  } catch (error) {
+    container.innerHTML = `<p class="log-empty">Failed to load jobs: ${error.message}</p>`;
+  }
+}
+
+// Roll back every post a database bulk job wrote to (previews first, then asks to confirm)
+async function rollbackBulkJob(jobId) {
+  const resultEl = document.getElementById('job-rollback-result');
+  const force = document.getElementById('job-rollback-force')?.checked || false;
+
+  const post = (dryRun) => fetch('/api/db/rollback-job', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jobId, dryRun, force })
+  }).then(r => r.json());
+
+  try {
+    const preview = await post(true);
+    if (!preview.success) throw new Error(preview.error);
+
+    const changed = preview.restored.filter(p => p.changedSinceJob).map(p => p.postId);
+    const skipped = preview.skipped.map(p => p.postId);
+    let message = `Roll back ${preview.restored.length} post(s) to their state before job ${jobId}?`;
+    if (changed.length > 0) message += `\n\nEdited since the job (will be overwritten): ${changed.join(', ')}`;
+    if (skipped.length > 0) message += `\n\nEdited since the job (skipped): ${skipped.join(', ')}`;
+
+    if (preview.restored.length === 0) {
+      alert(`Nothing to roll back.${skipped.length ? `\n\nSkipped (edited since the job): ${skipped.join(', ')}` : ''}`);
+      return;
+    }
+    if (!confirm(message)) return;
+
+    const data = await post(false);
+    if (!data.success) throw new Error(data.error);
+
+    resultEl.innerHTML = `
+      <p class="status-success">✓ ${data.message}</p>
+      ${data.skipped.length ? `<p class="status-error">Skipped (edited since the job): ${data.skipped.map(p => p.postId).join(', ')}</p>` : ''}
+    `;
+    loadActivityLogs();
+  } catch (error) {
+    resultEl.innerHTML = `<p class="status-error">Rollback failed: ${error.message}</p>`;
+  }
+}
+
+// Delete a job's backups once its result is known to be good
+async function pruneJobBackup(jobId) {
+  if (!confirm(`Delete the backups for job ${jobId}? The job can no longer be rolled back.`)) return;
+
+  try {
+    const response = await fetch('/api/db/prune-job-backup', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jobId })
+    });
+    const data = await response.json();
+    if (!data.success) throw new Error(data.error);
+    await loadBulkJobs();
+  } catch (error) {
+    alert(`Failed to prune backups: ${error.message}`);
+  }
+}
+
+// Resume a paused job (e.g. after raising the AI budget it stopped on)
+// Sends the credentials from the forms: the server only keeps a job's in memory, so it needs them
+// again after a restart
+async function resumeBulkJob(jobId) {
+  const credentials = {
+    secretToken: getRankMathCredentials().secretToken,
+    apiKey: getAIConfig().apiKey,
+    dbConfig: { password: getDbCredentials().password }
+  };
+
+  try {
+    const response = await fetch(`/api/jobs/${jobId}/resume`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ credentials })
+    });
+    const data = await response.json();
+    if (!data.success) throw new Error(data.error);
+    await loadBulkJobs();
+  } catch (error) {
+    alert(`Failed to resume job: ${error.message}`);
+  }
+}
+
 // Store for generated schemas
 let generatedSchemas = [];
 let currentPreviewIndex = null;
@@ -200,6 +360,18 @@ function getOrgInfo() {
     .map(u => u.trim())
     .filter(u => u.length > 0);
 
+  // Parse branch locations - JSON array, ignored if invalid
+  let branches = [];
+  const branchesRaw = document.getElementById('branches')?.value.trim() || '';
+  if (branchesRaw) {
+    try {
+      const parsed = JSON.parse(branchesRaw);
+      branches = Array.isArray(parsed) ? parsed : [parsed];
+    } catch (e) {
+      console.warn('Invalid branches JSON, ignoring:', e.message);
+    }
+  }
+
   return {
     orgName: document.getElementById('orgName')?.value || '',
     orgUrl: document.getElementById('orgUrl')?.value || '',
@@ -209,7 +381,11 @@ function getOrgInfo() {
     businessType: document.getElementById('businessType')?.value || 'HVACBusiness',
     phone: document.getElementById('phone')?.value || '',
     address,
-    sameAs
+    sameAs,
+    openingHours: document.getElementById('openingHours')?.value || '',
+    branches,
+    branchRelation: document.getElementById('branchRelation')?.value || 'department',
+    thirdPartyReviews: document.getElementById('thirdPartyReviews')?.checked || false
   };
 }
 
@@ -307,6 +483,12 @@ async function detectOrgInfo() {
       }
     }
 
+    // Populate business hours
+    if (org.openingHoursText) {
+      const hoursEl = document.getElementById('openingHours');
+      if (hoursEl) hoursEl.value = org.openingHoursText;
+    }
+
     // Populate social profiles / sameAs
     if (org.socialProfiles && org.socialProfiles.length > 0) {
       const sameAsEl = document.getElementById('sameAs');
@@ -321,6 +503,7 @@ async function detectOrgInfo() {
     if (org.address) found.push('address');
     if (org.serviceAreas?.length) found.push(`${org.serviceAreas.length} areas`);
     if (org.socialProfiles?.length) found.push(`${org.socialProfiles.length} social`);
+    if (org.openingHoursText) found.push('hours');
     if (org.businessType) found.push(org.businessType);
 
     statusEl.textContent = `Found: ${found.join(', ')}`;
@@ -404,7 +587,7 @@ async function handleSingleUrl(e) {
 
   // Check if AI is configured
   const aiConfig = getAIConfig();
-  const useAI = aiConfig.provider && aiConfig.apiKey;
+  const useAI = aiConfig.provider && (aiConfig.apiKey || aiProviders[aiConfig.provider]?.configured);
 
   if (useAI) {
     schemasContainer.innerHTML = '<p>AI is analyzing page and generating schemas...</p>';
@@ -442,6 +625,7 @@ async function handleSingleUrl(e) {
       data.schemaTypes = data.schemas.map(s => s.type);
       data.aiGenerated = true;
       data.tokensUsed = data.tokensUsed || 0;
+      data.validation = referenceValidation(data);
     } else {
       // Fallback to regular generation
       const response = await fetch('/api/generate-schema', {
@@ -502,17 +686,24 @@ function combineSchemas(schemas) {
   };
 }
 
+// API key input per AI provider: input id, form group id, label for messages
+const AI_KEY_FIELDS = {
+  openai: { input: 'openaiApiKey', group: 'openai-key-group', label: 'OpenAI' },
+  gemini: { input: 'geminiApiKey', group: 'gemini-key-group', label: 'Gemini' },
+  anthropic: { input: 'anthropicApiKey', group: 'anthropic-key-group', label: 'Anthropic' }
+};
+
+// API key entered in the UI for a provider ('' if none)
+function getUIApiKey(provider) {
+  const field = AI_KEY_FIELDS[provider];
+  return field ? document.getElementById(field.input)?.value || '' : '';
+}
+
 // Get AI configuration
 function getAIConfig() {
   const provider = document.getElementById('aiProvider')?.value || '';
   const model = document.getElementById('aiModel')?.value || '';
-  let apiKey = '';
-
-  if (provider === 'openai') {
-    apiKey = document.getElementById('openaiApiKey')?.value || '';
-  } else if (provider === 'gemini') {
-    apiKey = document.getElementById('geminiApiKey')?.value || '';
-  }
+  const apiKey = getUIApiKey(provider);
 
   return { provider, model, apiKey };
 }
@@ -581,6 +772,7 @@ async function processMultipleUrls(selectedUrls) {
 
   resultsEl.classList.remove('hidden');
   progressEl.classList.remove('hidden');
+  document.getElementById('batch-usage')?.classList.add('hidden');
   schemasContainer.innerHTML = '';
   generatedSchemas = [];
 
@@ -589,42 +781,24 @@ async function processMultipleUrls(selectedUrls) {
 
   // Check if AI is configured
   const aiConfig = getAIConfig();
-  const useAI = aiConfig.provider && aiConfig.apiKey;
+  const useAI = aiConfig.provider && (aiConfig.apiKey || aiProviders[aiConfig.provider]?.configured);
 
-  for (const url of selectedUrls) {
+  if (useAI) {
+    // One background job for all URLs; progress streams in over SSE
     try {
-      let data;
-
-      if (useAI) {
-        progressText.textContent = `AI generating schema ${processed + 1}/${total}: ${url.replace(/https?:\/\/[^/]+/, '')}`;
-
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 180000); // 3 minute timeout
-
-        const rmCreds = getRankMathCredentials();
-        const response = await fetch('/api/ai/generate-schema', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            url,
-            orgInfo: getOrgInfo(),
-            provider: aiConfig.provider,
-            model: aiConfig.model,
-            apiKey: aiConfig.apiKey,
-            ...rmCreds
-          }),
-          signal: controller.signal
-        });
-        clearTimeout(timeoutId);
-
-        data = await response.json();
-
-        if (response.ok) {
-          data.schema = combineSchemas(data.schemas);
-          data.schemaTypes = data.schemas.map(s => s.type);
-          data.aiGenerated = true;
+      generatedSchemas = await generateBatchWithAI(selectedUrls, aiConfig, (job, event) => {
+        progressBar.style.setProperty('--progress', Math.round((job.processed / job.total) * 100) + '%');
+        if (event) {
+          const label = event.stage === 'failed' ? `Failed (${event.error})` : STAGE_LABELS[event.stage] || event.stage;
+          progressText.textContent = `${job.processed}/${job.total} done - ${label}: ${event.url.replace(/https?:\/\/[^/]+/, '')} (${formatDuration(event.ms)})`;
         }
-      } else {
+      });
+    } catch (error) {
+      generatedSchemas = selectedUrls.map(url => ({ url, error: error.message, status: 'error' }));
+    }
+  } else {
+    for (const url of selectedUrls) {
+      try {
         progressText.textContent = `Generating schema ${processed + 1}/${total}: ${url.replace(/https?:\/\/[^/]+/, '')}`;
 
         const controller = new AbortController();
@@ -641,25 +815,25 @@ async function processMultipleUrls(selectedUrls) {
         });
         clearTimeout(timeoutId);
 
-        data = await response.json();
-      }
+        const data = await response.json();
 
-      if (data && !data.error) {
-        data.status = 'preview';
-        generatedSchemas.push(data);
-      } else {
-        generatedSchemas.push({ url, error: data?.error || 'Generation failed', status: 'error' });
+        if (data && !data.error) {
+          data.status = 'preview';
+          generatedSchemas.push(data);
+        } else {
+          generatedSchemas.push({ url, error: data?.error || 'Generation failed', status: 'error' });
+        }
+      } catch (error) {
+        const msg = error.name === 'AbortError'
+          ? `Request timed out for ${url}`
+          : `${error.message} (${url})`;
+        generatedSchemas.push({ url, error: msg, status: 'error' });
       }
-    } catch (error) {
-      const msg = error.name === 'AbortError'
-        ? `Request timed out for ${url}`
-        : `${error.message} (${url})`;
-      generatedSchemas.push({ url, error: msg, status: 'error' });
-    }
 
-    processed++;
-    const progress = Math.round((processed / total) * 100);
-    progressBar.style.setProperty('--progress', progress + '%');
+      processed++;
+      const progress = Math.round((processed / total) * 100);
+      progressBar.style.setProperty('--progress', progress + '%');
+    }
   }
 
   progressEl.classList.add('hidden');
@@ -670,6 +844,116 @@ async function processMultipleUrls(selectedUrls) {
   updateFilterCounts();
 }
 
+const STAGE_LABELS = {
+  scraped: 'Scraped',
+  generated: 'Generated',
+  verified: 'Verified',
+  inserted: 'Inserted'
+};
+
+function formatDuration(ms) {
+  return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`;
+}
+
+function formatCost(usd) {
+  return `$${usd < 1 ? usd.toFixed(4) : usd.toFixed(2)}`;
+}
+
+// AI usage totals ({totalTokens, cost, unpricedCalls}) as "12,345 tokens · $0.0123"
+function formatUsage(usage) {
+  const unpriced = usage.unpricedCalls ? ` (+${usage.unpricedCalls} unpriced call(s))` : '';
+  return `${usage.totalTokens.toLocaleString()} tokens · ${formatCost(usage.cost)}${unpriced}`;
+}
+
+// Start an AI batch job and follow it until it finishes
+// onProgress(job, urlEvent) is called for every stage event; returns results in URL order
+async function generateBatchWithAI(urls, aiConfig, onProgress) {
+  const response = await fetch('/api/ai/generate-schemas-batch', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      urls,
+      orgInfo: getOrgInfo(),
+      provider: aiConfig.provider,
+      model: aiConfig.model,
+      apiKey: aiConfig.apiKey,
+      ...getRankMathCredentials()
+    })
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to start batch generation');
+  }
+
+  await followJob(data.jobId, onProgress);
+
+  const jobResponse = await fetch(`/api/jobs/${data.jobId}`);
+  const { job } = await jobResponse.json();
+
+  const usageEl = document.getElementById('batch-usage');
+  if (usageEl && (job.usage || job.pauseReason)) {
+    const usage = job.usage ? `AI usage for this run: ${formatUsage(job.usage)}` : '';
+    const paused = job.pauseReason ? ` Job paused with ${job.pending} URL(s) left: ${job.pauseReason}` : '';
+    usageEl.textContent = (usage + paused).trim();
+    usageEl.classList.remove('hidden');
+  }
+
+  return urls.map(url => {
+    const result = job.results.find(r => r.url === url);
+    if (!result) {
+      const failure = job.errors.find(e => e.url === url);
+      return { url, error: failure?.error || job.error || job.pauseReason || `Job ${job.status}`, status: 'error' };
+    }
+    return {
+      ...result,
+      schema: combineSchemas(result.schemas),
+      schemaTypes: result.schemas.map(s => s.type),
+      validation: referenceValidation(result),
+      aiGenerated: true,
+      status: 'preview'
+    };
+  });
+}
+
+// Validation badge data for an AI result: its broken @id references (dangling or circular) are errors
+function referenceValidation(result) {
+  const errors = (result.graphIssues || []).filter(i => i.severity === 'error');
+  return {
+    valid: errors.length === 0,
+    errors: errors.map(i => i.message),
+    schemaCount: result.schemas.length
+  };
+}
+
+// Follow a job's Server-Sent Events until it is finished or paused on its own, e.g. by an AI budget
+// (resolves with the final job summary)
+function followJob(jobId, onProgress) {
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`/api/jobs/${jobId}/events`);
+    let job = null;
+
+    source.addEventListener('url', (e) => {
+      if (job) onProgress(job, JSON.parse(e.data));
+    });
+
+    source.addEventListener('job', (e) => {
+      job = JSON.parse(e.data);
+      onProgress(job, null);
+      if (['completed', 'cancelled', 'error'].includes(job.status) || job.pauseReason) {
+        source.close();
+        resolve(job);
+      }
+    });
+
+    // EventSource reconnects by itself; only give up if the browser closed the stream
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED) {
+        reject(new Error('Lost connection to job progress'));
+      }
+    };
+  });
+}
+
 // Display generated schemas with selection checkboxes
 function displaySchemas(schemas) {
   const container = document.getElementById('schemas-container');
@@ -1344,20 +1628,13 @@ function saveApiKey(provider, key) {
 // Load saved API keys from localStorage
 function loadSavedApiKeys() {
   try {
-    const openaiKey = localStorage.getItem('apiKey_openai');
-    const geminiKey = localStorage.getItem('apiKey_gemini');
     const savedProvider = localStorage.getItem('aiProvider');
 
-    // Restore OpenAI key
-    if (openaiKey) {
-      const openaiInput = document.getElementById('openaiApiKey');
-      if (openaiInput) openaiInput.value = openaiKey;
-    }
-
-    // Restore Gemini key
-    if (geminiKey) {
-      const geminiInput = document.getElementById('geminiApiKey');
-      if (geminiInput) geminiInput.value = geminiKey;
+    // Restore each provider's key
+    for (const [provider, field] of Object.entries(AI_KEY_FIELDS)) {
+      const savedKey = localStorage.getItem(`apiKey_${provider}`);
+      const keyInput = document.getElementById(field.input);
+      if (savedKey && keyInput) keyInput.value = savedKey;
     }
 
     // Restore selected provider
@@ -1376,6 +1653,77 @@ function loadSavedApiKeys() {
   }
 }
 
+// Load the AI price table into its editor
+async function loadAIPrices() {
+  const textarea = document.getElementById('ai-prices');
+  const statusEl = document.getElementById('ai-prices-status');
+  try {
+    const data = await fetch('/api/ai/prices').then(r => r.json());
+    if (!data.success) throw new Error(data.error);
+    textarea.value = JSON.stringify(data.prices, null, 2);
+    statusEl.textContent = '';
+  } catch (error) {
+    statusEl.textContent = `Failed to load prices: ${error.message}`;
+  }
+}
+
+// Save the edited AI price table
+async function saveAIPrices() {
+  const statusEl = document.getElementById('ai-prices-status');
+  try {
+    const prices = JSON.parse(document.getElementById('ai-prices').value);
+    const data = await fetch('/api/ai/prices', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ prices })
+    }).then(r => r.json());
+    if (!data.success) throw new Error(data.error);
+    document.getElementById('ai-prices').value = JSON.stringify(data.prices, null, 2);
+    statusEl.textContent = '✓ Prices saved';
+  } catch (error) {
+    statusEl.textContent = `Not saved: ${error.message}`;
+  }
+}
+
+const BUDGET_FIELDS = { daily: 'budget-daily', perJob: 'budget-per-job', perSite: 'budget-per-site' };
+
+// Load the AI spending limits into their inputs
+async function loadAIBudgets() {
+  const statusEl = document.getElementById('ai-budgets-status');
+  try {
+    const data = await fetch('/api/ai/budgets').then(r => r.json());
+    if (!data.success) throw new Error(data.error);
+    for (const [key, id] of Object.entries(BUDGET_FIELDS)) {
+      document.getElementById(id).value = data.budgets[key] ?? '';
+    }
+    statusEl.textContent = `Spent today: ${formatCost(data.spent.today)}`;
+  } catch (error) {
+    statusEl.textContent = `Failed to load budgets: ${error.message}`;
+  }
+}
+
+// Save the AI spending limits (empty = no limit; per-site overrides are kept)
+async function saveAIBudgets() {
+  const statusEl = document.getElementById('ai-budgets-status');
+  try {
+    const current = await fetch('/api/ai/budgets').then(r => r.json());
+    const budgets = { sites: current.budgets?.sites || {} };
+    for (const [key, id] of Object.entries(BUDGET_FIELDS)) {
+      const value = document.getElementById(id).value;
+      budgets[key] = value === '' ? null : parseFloat(value);
+    }
+    const data = await fetch('/api/ai/budgets', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ budgets })
+    }).then(r => r.json());
+    if (!data.success) throw new Error(data.error);
+    statusEl.textContent = '✓ Budgets saved';
+  } catch (error) {
+    statusEl.textContent = `Not saved: ${error.message}`;
+  }
+}
+
 // Load available AI providers
 async function loadAIProviders() {
   try {
@@ -1425,21 +1773,24 @@ function checkUIApiKey() {
   if (!statusEl) return;
 
   const provider = document.getElementById('aiProvider')?.value;
-  const openaiKey = document.getElementById('openaiApiKey')?.value;
-  const geminiKey = document.getElementById('geminiApiKey')?.value;
+  const label = AI_KEY_FIELDS[provider]?.label || provider;
 
   // Check if provider is selected and has a key (either from UI or .env)
-  if (provider === 'openai' && openaiKey) {
-    statusEl.textContent = '✓ OpenAI API key saved';
-    statusEl.className = 'ai-status configured';
-  } else if (provider === 'gemini' && geminiKey) {
-    statusEl.textContent = '✓ Gemini API key saved';
+  if (provider && getUIApiKey(provider)) {
+    statusEl.textContent = `✓ ${label} API key saved`;
     statusEl.className = 'ai-status configured';
+  } else if (provider && aiProviders[provider]?.error) {
+    // Local server configured but not answering
+    statusEl.textContent = `⚠ ${aiProviders[provider].error}`;
+    statusEl.className = 'ai-status not-configured';
   } else if (provider && aiProviders[provider]?.configured) {
     statusEl.textContent = `✓ ${aiProviders[provider].name} configured via .env`;
     statusEl.className = 'ai-status configured';
+  } else if (provider && !AI_KEY_FIELDS[provider]) {
+    statusEl.textContent = `${aiProviders[provider]?.name || provider} is not set up. Add its server URL to the .env file.`;
+    statusEl.className = 'ai-status not-configured';
   } else if (provider) {
-    statusEl.textContent = `Enter your ${provider === 'openai' ? 'OpenAI' : 'Gemini'} API key above.`;
+    statusEl.textContent = `Enter your ${label} API key above.`;
     statusEl.className = 'ai-status not-configured';
   } else {
     updateAIStatus(); // Fall back to default status
@@ -1457,10 +1808,10 @@ function updateAIModels() {
   modelSelect.innerHTML = '';
 
   // Show/hide API key inputs
-  const openaiGroup = document.getElementById('openai-key-group');
-  const geminiGroup = document.getElementById('gemini-key-group');
-  if (openaiGroup) openaiGroup.style.display = provider === 'openai' ? 'block' : 'none';
-  if (geminiGroup) geminiGroup.style.display = provider === 'gemini' ? 'block' : 'none';
+  for (const [keyProvider, field] of Object.entries(AI_KEY_FIELDS)) {
+    const group = document.getElementById(field.group);
+    if (group) group.style.display = provider === keyProvider ? 'block' : 'none';
+  }
 
   if (!provider || !aiProviders[provider]) {
     modelSelect.innerHTML = '<option value="">-- Select model after provider --</option>';
@@ -1501,9 +1852,7 @@ function getAISettings() {
   return {
     provider,
     model: document.getElementById('aiModel')?.value || '',
-    apiKey: provider === 'openai'
-      ? document.getElementById('openaiApiKey')?.value || ''
-      : document.getElementById('geminiApiKey')?.value || ''
+    apiKey: getUIApiKey(provider)
   };
 }
 
@@ -1519,7 +1868,9 @@ async function verifyWithAI(mode) {
   // Check for API key (either from UI or warn that .env must be configured)
   const providerInfo = aiProviders[ai.provider];
   if (!ai.apiKey && (!providerInfo || !providerInfo.configured)) {
-    alert(`Please enter your ${ai.provider === 'openai' ? 'OpenAI' : 'Gemini'} API key in the field above, or configure it in the .env file.`);
+    alert(AI_KEY_FIELDS[ai.provider]
+      ? `Please enter your ${AI_KEY_FIELDS[ai.provider].label} API key in the field above, or configure it in the .env file.`
+      : `${providerInfo?.name || ai.provider} is not set up. Add its server URL to the .env file.`);
     return;
   }
 
@@ -2050,7 +2401,10 @@ document.addEventListener('DOMContentLoaded', () => {
 let currentDbPost = null;
 let lastInsertedPostId = null;
 
-// Get database credentials from form
+// Sites of a multisite network (null for a single site)
+let dbNetworkSites = null;
+
+// Get database credentials from form (blogId from the site picker on a multisite network)
 function getDbCredentials() {
   return {
     host: document.getElementById('dbHost')?.value || 'localhost',
@@ -2058,7 +2412,9 @@ function getDbCredentials() {
     user: document.getElementById('dbUser')?.value || '',
     password: document.getElementById('dbPassword')?.value || '',
     database: document.getElementById('dbName')?.value || '',
-    tablePrefix: document.getElementById('dbTablePrefix')?.value || 'wp_'
+    tablePrefix: document.getElementById('dbTablePrefix')?.value || 'wp_',
+    blogId: parseInt(document.getElementById('db-site-picker')?.value) || undefined,
+    target: document.getElementById('db-target-picker')?.value || undefined
   };
 }
 
@@ -2104,17 +2460,22 @@ async function testDbConnection() {
   statusEl.className = 'status-pending';
 
   try {
+    // Test the network's main site; the site picker is rebuilt from the response
     const response = await fetch('/api/db/test-connection', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(creds)
+      body: JSON.stringify({ ...creds, blogId: undefined })
     });
 
     const data = await response.json();
 
     if (data.success) {
-      statusEl.textContent = `✓ Connected! Table prefix: ${data.tablePrefix}`;
+      statusEl.textContent = data.multisite
+        ? `✓ Connected! Multisite network with ${data.sites.length} site(s)`
+        : `✓ Connected! Table prefix: ${data.tablePrefix}`;
       statusEl.className = 'status-success';
+      renderSitePicker(data.multisite ? data.sites : null);
+      await renderTargetPicker('db', document.getElementById('db-site-picker-group') || statusEl, data.seoPlugin);
       document.getElementById('db-tools')?.classList.remove('hidden');
       saveDbCredentials();
     } else {
@@ -2126,6 +2487,91 @@ async function testDbConnection() {
   }
 }
 
+// Show a site picker under the connection status once a multisite network is detected
+function renderSitePicker(sites) {
+  dbNetworkSites = sites;
+  const statusEl = document.getElementById('db-connection-status');
+  let group = document.getElementById('db-site-picker-group');
+
+  if (!sites) {
+    group?.remove();
+    return;
+  }
+
+  if (!group) {
+    group = document.createElement('div');
+    group.id = 'db-site-picker-group';
+    group.className = 'form-group';
+    statusEl?.insertAdjacentElement('afterend', group);
+  }
+
+  group.innerHTML = `
+    <label for="db-site-picker">Site</label>
+    <select id="db-site-picker">
+      ${sites.map(site => `
+        <option value="${site.blogId}"${site.active ? '' : ' disabled'}>
+          ${escapeHtml(site.name || `Site ${site.blogId}`)} — ${escapeHtml(site.domain + site.path)} (${site.tablePrefix})
+        </option>
+      `).join('')}
+    </select>
+    <small>Post lookups, inserts and backups use this site's tables. Pasting a page URL selects its site.</small>
+  `;
+}
+
+// Publishing targets from /api/targets (loaded once)
+let publishingTargets = null;
+
+// Show a "Publish to" picker after `anchorEl`, preselecting the SEO plugin the connection detected
+// (prefix 'db' or 'rm' - read back by getDbCredentials / getRankMathCredentials)
+async function renderTargetPicker(prefix, anchorEl, seoPlugin) {
+  if (!publishingTargets) {
+    try {
+      const response = await fetch('/api/targets');
+      const data = await response.json();
+      publishingTargets = data.success ? data.targets : null;
+    } catch (e) {}
+    if (!publishingTargets) return;
+  }
+
+  let group = document.getElementById(`${prefix}-target-picker-group`);
+  if (!group) {
+    group = document.createElement('div');
+    group.id = `${prefix}-target-picker-group`;
+    group.className = 'form-group';
+  }
+  anchorEl?.insertAdjacentElement('afterend', group);
+
+  const selected = seoPlugin?.target || 'rankmath';
+  const detected = seoPlugin?.active?.length
+    ? `Detected: ${seoPlugin.active.map(id => publishingTargets.find(t => t.id === id)?.name || id).join(', ')}`
+    : 'No supported SEO plugin detected - defaulting to Rank Math';
+
+  group.innerHTML = `
+    <label for="${prefix}-target-picker">Publish to</label>
+    <select id="${prefix}-target-picker">
+      ${publishingTargets.map(target => `
+        <option value="${target.id}"${target.id === selected ? ' selected' : ''} title="${escapeHtml(target.storage)}">${escapeHtml(target.name)}</option>
+      `).join('')}
+    </select>
+    <small>${escapeHtml(detected)}</small>
+  `;
+}
+
+// Select the network site a pasted page URL belongs to
+async function selectSiteForUrl(pageUrl) {
+  const picker = document.getElementById('db-site-picker');
+  if (!dbNetworkSites || !picker) return;
+
+  const response = await fetch('/api/db/resolve-site', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...getDbCredentials(), pageUrl })
+  });
+  const data = await response.json();
+  if (!data.success) throw new Error(data.error);
+  picker.value = String(data.site.blogId);
+}
+
 // Extract slug from URL or use direct input
 function getPostSlugOrId() {
   const slugInput = document.getElementById('dbPostSlug')?.value?.trim();
@@ -2136,16 +2582,9 @@ function getPostSlugOrId() {
   }
 
   if (slugInput) {
-    // Check if it's a URL
+    // URLs are matched server-side by their full permalink
     if (slugInput.startsWith('http')) {
-      try {
-        const url = new URL(slugInput);
-        const path = url.pathname.replace(/\/$/, '');
-        const slug = path.split('/').pop();
-        return { type: 'slug', value: slug };
-      } catch {
-        return { type: 'slug', value: slugInput };
-      }
+      return { type: 'url', value: slugInput };
     }
     return { type: 'slug', value: slugInput };
   }
@@ -2153,7 +2592,33 @@ function getPostSlugOrId() {
   return null;
 }
 
-// Find post by slug
+// Posts that could be meant by an ambiguous or unmatched URL; picking one fills in the post ID
+function renderPostCandidates(infoEl, data) {
+  infoEl.innerHTML = `
+    <h5>${data.ambiguous ? 'Several posts match this URL' : 'No post has this exact URL'}</h5>
+    <p>${escapeHtml(data.error)}</p>
+    <ul class="db-post-candidates">
+      ${data.candidates.map(c => `
+        <li>
+          <button type="button" class="btn btn-small" data-post-id="${c.ID}">Use #${c.ID}</button>
+          ${escapeHtml(c.post_title || '(no title)')} - ${escapeHtml(c.post_type)}, ${escapeHtml(c.post_status)}
+          ${c.path ? `<code>${escapeHtml(c.path)}</code>` : ''}
+        </li>
+      `).join('')}
+    </ul>
+  `;
+  infoEl.className = 'db-post-info error';
+
+  infoEl.querySelectorAll('[data-post-id]').forEach(button => {
+    button.addEventListener('click', () => {
+      document.getElementById('dbPostId').value = button.dataset.postId;
+      document.getElementById('dbPostSlug').value = '';
+      dbFindPost();
+    });
+  });
+}
+
+// Find post by URL, slug or ID
 async function dbFindPost() {
   const postInfo = getPostSlugOrId();
   const infoEl = document.getElementById('db-post-info');
@@ -2165,7 +2630,6 @@ async function dbFindPost() {
     return;
   }
 
-  const creds = getDbCredentials();
   infoEl.innerHTML = '<p>Looking up post...</p>';
   infoEl.className = 'db-post-info';
   infoEl.classList.remove('hidden');
@@ -2173,14 +2637,24 @@ async function dbFindPost() {
   try {
     let postData;
 
-    if (postInfo.type === 'slug') {
+    if (postInfo.type === 'url' || postInfo.type === 'slug') {
+      if (postInfo.type === 'url') {
+        await selectSiteForUrl(postInfo.value);
+      }
+
       const response = await fetch('/api/db/get-post', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ ...creds, slug: postInfo.value })
+        body: JSON.stringify({ ...getDbCredentials(), [postInfo.type]: postInfo.value })
       });
       const data = await response.json();
-      if (!data.success) throw new Error(data.error);
+      if (!data.success) {
+        if (data.candidates?.length) {
+          renderPostCandidates(infoEl, data);
+          return;
+        }
+        throw new Error(data.error);
+      }
       postData = data.post;
     } else {
       // For post ID, we'll use the preview endpoint to get info
@@ -2496,7 +2970,8 @@ let rmCurrentSchema = null;
 function getRankMathCredentials() {
   return {
     siteUrl: document.getElementById('rmSiteUrl')?.value || '',
-    secretToken: document.getElementById('rmSecretToken')?.value || ''
+    secretToken: document.getElementById('rmSecretToken')?.value || '',
+    target: document.getElementById('rm-target-picker')?.value || undefined
   };
 }
 
@@ -2548,6 +3023,8 @@ async function testRankMathConnection() {
       statusEl.innerHTML = '<span class="success">✓ Connected</span>';
       if (actionsCard) actionsCard.style.display = 'block';
       saveRankMathCredentials();
+      renderHelperUpgradeNotice(statusEl, result.plugin);
+      await renderTargetPicker('rm', document.getElementById('rm-helper-notice') || statusEl, result.seoPlugin);
 
       // Pre-fill the page URL input with the site URL
       const pageUrlInput = document.getElementById('rmPageUrl');
@@ -2564,6 +3041,25 @@ async function testRankMathConnection() {
   }
 }
 
+// Warn under the connection status when the installed helper snippet is older than this app's
+function renderHelperUpgradeNotice(statusEl, plugin) {
+  document.getElementById('rm-helper-notice')?.remove();
+  if (!plugin?.outdated) return;
+
+  const installed = plugin.version
+    ? `version ${plugin.version}`
+    : plugin.minVersion ? `an older version (${plugin.minVersion} or later)` : 'an unknown version';
+  const notice = document.createElement('div');
+  notice.id = 'rm-helper-notice';
+  notice.className = 'helper-upgrade-notice';
+  notice.innerHTML = `
+    ⚠ The helper snippet on this site is ${escapeHtml(installed)}; this app ships ${escapeHtml(plugin.latestVersion)}.
+    ${plugin.missing.length ? `Not available until you update: ${escapeHtml(plugin.missing.join(', '))}.` : ''}
+    Re-copy <code>wordpress-helper-plugin.php</code> into Code Snippets, keeping your secret token.
+  `;
+  statusEl.insertAdjacentElement('afterend', notice);
+}
+
 // Get page info
 async function rmGetPageInfo() {
   const pageInfoEl = document.getElementById('rm-page-info');
@@ -2912,8 +3408,11 @@ async function loadLogStats() {
       const todayEl = document.getElementById('stat-today');
       const tokensEl = document.getElementById('stat-tokens');
 
+      const costEl = document.getElementById('stat-cost');
+
       if (todayEl) todayEl.textContent = data.stats.today?.count || 0;
       if (tokensEl) tokensEl.textContent = data.stats.tokens?.combined || 0;
+      if (costEl) costEl.textContent = formatCost(data.stats.tokens?.combinedCost || 0);
     }
   } catch (error) {
     console.log('Failed to load stats:', error);
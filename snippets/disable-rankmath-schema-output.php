@@ -11,6 +11,10 @@
  * This snippet removes ONLY the auto-generated ones so your custom schemas
  * are the only structured data on each page.
  *
+ * The helper plugin (wordpress-helper-plugin.php 1.6.0+) does the same when
+ * SG_SUPPRESS_JSONLD is set to 'generated' - use that instead of this file if
+ * the helper plugin is installed.
+ *
  * Installation:
  *   Option A: Copy this file to wp-content/mu-plugins/
  *   Option B: Paste the code into your theme's functions.php
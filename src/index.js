@@ -10,9 +10,14 @@ process.on('uncaughtException', (err) => {
 process.on('unhandledRejection', (reason) => {
   console.error('UNHANDLED REJECTION:', reason);
 });
+// Exit through process.exit on Ctrl-C / stop so 'exit' handlers (AI usage totals) still save
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => process.exit(0));
+}
 
 const indexRoutes = require('./routes/index');
 const apiRoutes = require('./routes/api');
+const jobQueue = require('./services/jobQueue');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -38,6 +43,9 @@ app.use((err, req, res, next) => {
 
 const server = app.listen(PORT, () => {
   console.log(`Schema Generator running at http://localhost:${PORT}`);
+
+  // Pick up bulk jobs that were running when the server last stopped
+  jobQueue.resumeInterrupted();
 });
 
 // Increase server timeout for long-running scrape operations (5 minutes)
@@ -10,20 +10,44 @@ const rankMathClient = require('../services/rankMathClient');
 const aiService = require('../services/ai');
 const aiVerifier = require('../services/ai/verifier');
 const aiSchemaGenerator = require('../services/ai/schemaGenerator');
+const aiUsage = require('../services/ai/usage');
+const aiBudget = require('../services/ai/budget');
 const logger = require('../services/logger');
 const schemaDiff = require('../services/schemaDiff');
-
-// Store for active jobs (in production, use Redis or similar)
-const jobs = new Map();
+const openingHours = require('../services/openingHours');
+const ruleEngine = require('../services/ruleEngine');
+const jobQueue = require('../services/jobQueue');
+const targets = require('../services/targets');
 
 // Cache for auto-detected org info (avoids re-scraping homepage for every URL in bulk)
 // Key: hostname, Value: { data, timestamp }
 const orgInfoCache = new Map();
 const ORG_CACHE_TTL = 10 * 60 * 1000; // 10 minutes
 
+/**
+ * Resolve opening hours from UI text ("Mon-Fri 8am-6pm", one per line) or detected org info
+ * A "24/7 emergency" note sets emergencyService, never open24Hours
+ */
+function resolveOpeningHours(hoursText, detectedOrg) {
+  if (hoursText && typeof hoursText === 'string') {
+    const hours = openingHours.detect24x7(hoursText);
+    return {
+      openingHours: openingHours.parseText(hoursText),
+      open24Hours: hours.open24Hours && !hours.emergencyOnly,
+      emergencyService: hours.open24Hours && hours.emergencyOnly
+    };
+  }
+  return {
+    openingHours: detectedOrg?.openingHours || [],
+    open24Hours: !!detectedOrg?.open24Hours,
+    emergencyService: !!detectedOrg?.emergencyService
+  };
+}
+
 // Get available AI providers and models
-router.get('/ai/providers', (req, res) => {
+router.get('/ai/providers', async (req, res) => {
   try {
+    await aiService.discoverModels();
     const providers = aiService.getAvailableProviders();
     res.json({ success: true, providers });
   } catch (error) {
@@ -31,169 +55,176 @@ router.get('/ai/providers', (req, res) => {
   }
 });
 
-// AI-powered schema generation
-router.post('/ai/generate-schema', async (req, res) => {
-  try {
-    const { url, orgInfo, provider, model, apiKey, skipVerification, siteUrl, secretToken } = req.body;
+/**
+ * Scrape a URL, generate its schemas with AI and (unless skipped) verify them with AI
+ * Shared by the single-URL route and the batch job; throws when generation fails.
+ * @param {string} url - Page URL
+ * @param {object} options - {orgInfo, provider, model, apiKey, skipVerification, siteUrl, secretToken, budget}
+ * @param {function} progress - Called with each finished stage ('scraped', 'generated', 'verified')
+ * @param {string} jobId - Batch job the URL belongs to (for its AI usage totals and budget)
+ */
+async function generateAISchemasForUrl(url, options, progress = () => {}, jobId = null) {
+  const { orgInfo, model, apiKey, skipVerification, siteUrl, secretToken } = options;
+  const provider = options.provider || 'gemini';
+
+  // Helper config for fetching via WP plugin (bypasses CDN/WAF)
+  const helperConfig = siteUrl && secretToken ? { siteUrl, secretToken } : null;
+
+  // Scrape the page
+  const pageData = await pageScraper.scrape(url, { helperConfig });
+  const pageType = pageTypeDetector.detect(url, pageData);
+  progress('scraped');
+
+  console.log(`[ai/generate-schema] url=${url} helperConfig=${!!helperConfig} wpType=${pageData.wordpressInfo?.postType} detectedType=${pageType} title="${pageData.title}" contentLen=${(pageData.content||'').length} faqCount=${(pageData.faqs||[]).length}`);
+
+  // Generate schemas using AI (pass detected pageType so AI knows post vs page)
+  const usageContext = { url, jobId, jobBudget: options.budget };
+  const result = await aiSchemaGenerator.generateSchemas(pageData, orgInfo || {}, {
+    provider,
+    model,
+    apiKey,
+    pageType,
+    context: usageContext
+  });
 
-    if (!url) {
-      return res.status(400).json({ error: 'URL is required' });
-    }
+  if (!result.success) {
+    throw new Error(result.error);
+  }
 
-    // Helper config for fetching via WP plugin (bypasses CDN/WAF)
-    const helperConfig = siteUrl && secretToken ? { siteUrl, secretToken } : null;
+  // Log the generation
+  logger.log('ai_schema_generated', {
+    url,
+    provider,
+    schemaCount: result.schemas.length,
+    tokens: result.tokensUsed,
+    cost: result.usage.cost
+  });
+  progress('generated');
 
-    // Scrape the page
-    const pageData = await pageScraper.scrape(url, { helperConfig });
-    const pageType = pageTypeDetector.detect(url, pageData);
+  // Broken @id references stay in the result (graphIssues) for review before anything is published
+  const referenceErrors = (result.graphIssues || []).filter(i => i.severity === 'error');
+  if (referenceErrors.length > 0) {
+    logger.log('ai_schema_reference_error', { url, issues: referenceErrors.map(i => i.message) });
+  }
 
-    console.log(`[ai/generate-schema] url=${url} helperConfig=${!!helperConfig} wpType=${pageData.wordpressInfo?.postType} detectedType=${pageType} title="${pageData.title}" contentLen=${(pageData.content||'').length} faqCount=${(pageData.faqs||[]).length}`);
+  // AUTO-VERIFY: AI verification for logic, coherence, and accuracy
+  let verification = null;
+  if (!skipVerification && result.schemas.length > 0) {
+    try {
+      // Build the full schema for verification
+      const fullSchema = {
+        '@context': 'https://schema.org',
+        '@graph': result.schemas.map(s => s.schema)
+      };
 
-    // Generate schemas using AI (pass detected pageType so AI knows post vs page)
-    const result = await aiSchemaGenerator.generateSchemas(pageData, orgInfo || {}, {
-      provider: provider || 'gemini',
-      model,
-      apiKey,
-      pageType
-    });
+      verification = await aiVerifier.verifyGoogleCompliance(
+        fullSchema,
+        pageData,
+        provider,
+        model,
+        apiKey,
+        usageContext
+      );
 
-    if (!result.success) {
-      return res.status(500).json({ error: result.error });
+      // Log verification
+      logger.log('ai_schema_verified', {
+        url,
+        googleCompliant: verification.aiVerification?.googleCompliant,
+        hasIssues: verification.aiVerification?.criticalFixes?.length > 0
+      });
+    } catch (verifyError) {
+      // A reached budget pauses the job (or answers 429) rather than skipping verification
+      if (verifyError.pauseJob) throw verifyError;
+      logger.log('ai_verification_error', { url, error: verifyError.message });
+      verification = { error: verifyError.message };
     }
+    progress('verified');
+  }
 
-    // Log the generation
-    logger.log('ai_schema_generated', {
-      url,
-      provider: provider || 'gemini',
-      schemaCount: result.schemas.length,
-      tokens: result.tokensUsed
-    });
+  return {
+    pageType,
+    pageData: {
+      title: pageData.title,
+      description: pageData.description,
+      faqCount: pageData.faqs?.length || 0
+    },
+    schemas: result.schemas,
+    summary: result.summary,
+    confidence: result.confidence,
+    tokensUsed: result.tokensUsed,
+    // This URL's generation and verification calls
+    usage: aiUsage.sum([result.usage, verification?.usage]),
+    vocabularyIssues: result.vocabularyIssues,
+    graphIssues: result.graphIssues,
+    verification: verification
+  };
+}
 
-    // AUTO-VERIFY: AI verification for logic, coherence, and accuracy
-    let verification = null;
-    if (!skipVerification && result.schemas.length > 0) {
-      try {
-        // Build the full schema for verification
-        const fullSchema = {
-          '@context': 'https://schema.org',
-          '@graph': result.schemas.map(s => s.schema)
-        };
-
-        verification = await aiVerifier.verifyGoogleCompliance(
-          fullSchema,
-          pageData,
-          provider || 'gemini',
-          model,
-          apiKey
-        );
-
-        // Log verification
-        logger.log('ai_schema_verified', {
-          url,
-          googleCompliant: verification.aiVerification?.googleCompliant,
-          hasIssues: verification.aiVerification?.criticalFixes?.length > 0
-        });
-      } catch (verifyError) {
-        logger.log('ai_verification_error', { url, error: verifyError.message });
-        verification = { error: verifyError.message };
-      }
+// AI-powered schema generation
+router.post('/ai/generate-schema', async (req, res) => {
+  try {
+    const { url } = req.body;
+
+    if (!url) {
+      return res.status(400).json({ error: 'URL is required' });
     }
 
+    const result = await generateAISchemasForUrl(url, req.body);
+
     res.json({
       success: true,
       url,
-      pageType,
-      pageData: {
-        title: pageData.title,
-        description: pageData.description,
-        faqCount: pageData.faqs?.length || 0
-      },
-      schemas: result.schemas,
-      summary: result.summary,
-      confidence: result.confidence,
-      tokensUsed: result.tokensUsed,
-      verification: verification
+      ...result
     });
   } catch (error) {
     logger.log('ai_schema_generate_error', { url: req.body.url, error: error.message });
-    res.status(500).json({ error: error.message });
+    res.status(error.code === 'AI_BUDGET_EXCEEDED' ? 429 : 500).json({ error: error.message, budget: error.budget });
   }
 });
 
 // Batch AI schema generation for multiple URLs
+// Runs as a background job: follow it at /api/jobs/:id/events, results at /api/jobs/:id
 router.post('/ai/generate-schemas-batch', async (req, res) => {
   try {
-    const { urls, orgInfo, provider, model, apiKey, siteUrl, secretToken } = req.body;
+    const { urls, orgInfo, provider, model, apiKey, skipVerification, siteUrl, secretToken, budget } = req.body;
 
     if (!urls || !Array.isArray(urls) || urls.length === 0) {
       return res.status(400).json({ error: 'URLs array is required' });
     }
-
-    // Helper config for fetching via WP plugin (bypasses CDN/WAF)
-    const helperConfig = siteUrl && secretToken ? { siteUrl, secretToken } : null;
-
-    const results = [];
-    let totalTokens = 0;
-
-    for (const url of urls) {
-      try {
-        const pageData = await pageScraper.scrape(url, { helperConfig });
-        const pageType = pageTypeDetector.detect(url, pageData);
-
-        const result = await aiSchemaGenerator.generateSchemas(pageData, orgInfo || {}, {
-          provider: provider || 'openai',
-          model,
-          apiKey,
-          pageType
-        });
-
-        totalTokens += result.tokensUsed || 0;
-
-        results.push({
-          url,
-          success: result.success,
-          pageType,
-          pageData: {
-            title: pageData.title,
-            description: pageData.description,
-            faqCount: pageData.faqs?.length || 0
-          },
-          schemas: result.schemas || [],
-          summary: result.summary,
-          error: result.error
-        });
-      } catch (error) {
-        results.push({
-          url,
-          success: false,
-          error: error.message,
-          schemas: []
-        });
-      }
+    if (budget !== undefined && budget !== null && !(typeof budget === 'number' && budget > 0)) {
+      return res.status(400).json({ error: 'budget must be a number of USD > 0' });
     }
 
-    // Log batch generation
-    logger.log('ai_schema_batch_generated', {
-      urlCount: urls.length,
-      successCount: results.filter(r => r.success).length,
-      totalTokens,
-      provider: provider || 'openai'
+    const job = jobQueue.createJob('ai', urls, {
+      orgInfo: orgInfo || {},
+      provider: provider || 'openai',
+      model,
+      apiKey,
+      skipVerification,
+      siteUrl,
+      secretToken,
+      budget
     });
 
-    if (totalTokens > 0) {
-      logger.logTokens(provider || 'openai', totalTokens, 'batch_schema_generation');
-    }
-
-    res.json({
-      success: true,
-      results,
-      totalTokens
-    });
+    res.json({ success: true, jobId: job.id });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Batch job handler: AI generation for one URL (token usage is recorded per call by ai.call;
+// a reached budget throws with pauseJob, which pauses the job instead of failing the URL)
+async function processAIUrl(url, config, progress, jobId) {
+  try {
+    const result = await generateAISchemasForUrl(url, config, progress, jobId);
+
+    return { success: true, ...result };
+  } catch (error) {
+    logger.log('ai_schema_generate_error', { url, error: error.message });
+    throw error;
+  }
+}
+
 // Verify page data with AI
 router.post('/ai/verify', async (req, res) => {
   try {
@@ -220,11 +251,8 @@ router.post('/ai/verify', async (req, res) => {
       apiKey  // Pass API key from request
     );
 
-    // Log AI verification and token usage
-    const tokens = result.tokensUsed || result.usage?.total_tokens || 0;
-    if (tokens > 0) {
-      logger.logTokens(provider || 'openai', tokens, 'verification');
-    }
+    // Log AI verification (token usage is recorded per call by ai.call)
+    const tokens = result.usage.totalTokens;
     logger.log('ai_verification', {
       url: url || data?.url,
       provider: provider || 'openai',
@@ -343,7 +371,7 @@ router.post('/validate-schema', (req, res) => {
       return res.status(400).json({ error: 'Schema is required' });
     }
 
-    const validation = aiVerifier.validateGoogleRequirements(schema);
+    const validation = ruleEngine.validate(schema);
 
     res.json({
       success: true,
@@ -409,6 +437,7 @@ IMPORTANT extraction rules:
 - For "socialProfiles": look in HTML METADATA for "Social/directory link:" entries — return the full URLs
 - For "address": check JSON-LD schemas first, then CONTACT/ADDRESS and FOOTER sections
 - For "serviceAreas": look for city/area lists in FOOTER or page text (e.g. "Serving X, Y, Z" or listed service areas)
+- For "openingHours": only report hours the site states; do NOT assume 24/7 unless the text says so
 - If a JSON-LD schema is present, prefer its structured data for name, phone, address, etc.
 
 Return ONLY valid JSON with these exact fields (use null for any field not found):
@@ -426,6 +455,7 @@ Return ONLY valid JSON with these exact fields (use null for any field not found
   },
   "serviceAreas": ["city or area names they serve"],
   "socialProfiles": ["full social media / directory URLs"],
+  "openingHours": ["business hours exactly as stated, e.g. Mon-Fri 8am-6pm, Sat 9am-2pm, Sun closed, or 24/7"],
   "businessType": "one of: HVACBusiness, Plumber, Electrician, Roofer, GeneralContractor, HomeAndConstructionBusiness, LocalBusiness"
 }
 
@@ -436,7 +466,9 @@ ${pageText}`;
       const aiResult = await aiService.callJSON(provider, prompt, {
         model,
         apiKey,
-        maxTokens: 2000
+        maxTokens: 2000,
+        operation: 'org_detection',
+        context: { url: homepageUrl }
       });
 
       // Normalize AI response — strip nulls and empty values
@@ -452,11 +484,20 @@ ${pageText}`;
         socialProfiles: Array.isArray(aiResult.socialProfiles) ? aiResult.socialProfiles.filter(Boolean) : [],
         businessType: aiResult.businessType || 'LocalBusiness'
       };
+
+      const hoursText = Array.isArray(aiResult.openingHours) ? aiResult.openingHours.filter(Boolean).join('\n') : '';
+      const hours = openingHours.detect24x7(hoursText);
+      orgInfo.openingHours = openingHours.parseText(hoursText);
+      orgInfo.open24Hours = orgInfo.openingHours.length === 0 && hours.open24Hours && !hours.emergencyOnly;
+      orgInfo.emergencyService = hours.open24Hours && hours.emergencyOnly;
     } else {
       // Fallback to regex/selector scraper when no AI configured
       orgInfo = await pageScraper.scrapeOrgInfo(homepageUrl, helperConfig);
     }
 
+    // Editable text version of the hours for the settings form (keeps the 24/7 flags so they round-trip)
+    orgInfo.openingHoursText = openingHours.toText(orgInfo.openingHours, orgInfo);
+
     res.json({
       success: true,
       orgInfo
@@ -477,11 +518,13 @@ router.post('/test-connection', async (req, res) => {
 
     const client = wordpressClient.create(wpUrl, username, appPassword);
     const result = await client.testConnection();
+    const seoPlugin = await client.detectSeoPlugin().catch(() => null);
 
     res.json({
       success: true,
       user: result.user,
-      roles: result.roles
+      roles: result.roles,
+      seoPlugin
     });
   } catch (error) {
     res.status(401).json({ success: false, error: error.message });
@@ -513,7 +556,7 @@ router.post('/scrape-single', async (req, res) => {
 // Generate schema for a URL
 router.post('/generate-schema', async (req, res) => {
   try {
-    const { url, orgName, orgUrl, orgLogo, ogImage, areaServed, businessType, phone, address, sameAs, autoDetect, siteUrl, secretToken } = req.body;
+    const { url, orgName, orgUrl, orgLogo, ogImage, areaServed, businessType, phone, address, sameAs, openingHours: hoursText, branches, branchRelation, thirdPartyReviews, autoDetect, siteUrl, secretToken } = req.body;
     if (!url) {
       return res.status(400).json({ error: 'URL is required' });
     }
@@ -554,7 +597,8 @@ router.post('/generate-schema', async (req, res) => {
     const orgInfo = {
       name: orgName || detectedOrg?.name || process.env.DEFAULT_ORG_NAME || 'Organization',
       url: orgUrl || detectedOrg?.url || process.env.DEFAULT_ORG_URL || url,
-      logo: orgLogo || detectedOrg?.logo || process.env.DEFAULT_ORG_LOGO || ''
+      logo: orgLogo || detectedOrg?.logo || process.env.DEFAULT_ORG_LOGO || '',
+      branches: Array.isArray(branches) ? branches : []
     };
 
     // Build service areas from multiple sources
@@ -577,10 +621,13 @@ router.post('/generate-schema', async (req, res) => {
       businessType: businessType || detectedOrg?.businessType || process.env.DEFAULT_BUSINESS_TYPE || 'HVACBusiness',
       phone: phone || detectedOrg?.phone || pageData.phone || process.env.DEFAULT_PHONE || '',
       address: finalAddress,
-      sameAs: sameAs && sameAs.length > 0 ? sameAs : undefined
+      sameAs: sameAs && sameAs.length > 0 ? sameAs : undefined,
+      ...resolveOpeningHours(hoursText, detectedOrg),
+      branchRelation,
+      thirdPartyReviews: thirdPartyReviews ?? process.env.THIRD_PARTY_REVIEWS === 'true'
     };
 
-    const schema = schemaGenerator.generate(pageType, pageData, orgInfo, options);
+    const { schema, issues: graphIssues } = schemaGenerator.generate(pageType, pageData, orgInfo, options);
     const schemaTypes = schemaGenerator.getSchemaTypes(schema);
     const validation = schemaGenerator.validate(schema);
 
@@ -601,12 +648,14 @@ router.post('/generate-schema', async (req, res) => {
         description: pageData.description,
         featuredImage: pageData.featuredImage,
         faqCount: pageData.faqs?.length || 0,
+        reviewCount: pageData.testimonials?.reviews.length || 0,
         phone: pageData.phone,
         serviceAreas: pageData.serviceAreas
       },
       schema,
       schemaTypes,
-      validation
+      validation,
+      graphIssues
     });
   } catch (error) {
     logger.log('schema_generate_error', { url: req.body.url, error: error.message });
@@ -617,14 +666,14 @@ router.post('/generate-schema', async (req, res) => {
 // Insert schema via WordPress REST API
 router.post('/insert-schema', async (req, res) => {
   try {
-    const { wpUrl, username, appPassword, postUrl, schema, pageType } = req.body;
+    const { wpUrl, username, appPassword, postUrl, schema, pageType, target } = req.body;
 
     if (!wpUrl || !username || !appPassword || !postUrl || !schema) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
     const client = wordpressClient.create(wpUrl, username, appPassword);
-    const result = await client.insertSchema(postUrl, schema, pageType);
+    const result = await client.insertSchema(postUrl, schema, pageType, { target });
 
     res.json({
       success: true,
@@ -766,18 +815,15 @@ router.post('/verify-insertions-bulk', async (req, res) => {
 // Bulk insert schemas via RankMath REST API
 router.post('/rankmath/bulk-insert', async (req, res) => {
   try {
-    const { siteUrl, secretToken, urls, orgInfo, options = {} } = req.body;
+    const { siteUrl, secretToken, urls, orgInfo, options = {}, target } = req.body;
 
     if (!siteUrl || !secretToken || !urls || !Array.isArray(urls) || urls.length === 0) {
       return res.status(400).json({ error: 'siteUrl, secretToken, and urls array are required' });
     }
 
-    const jobId = Date.now().toString(36) + Math.random().toString(36).substr(2);
-    jobs.set(jobId, { status: 'running', total: urls.length, processed: 0, results: [], errors: [] });
+    const job = jobQueue.createJob('rankmath', urls, { siteUrl, secretToken, target, orgInfo: orgInfo || {}, options });
 
-    processRankMathBulk(jobId, { siteUrl, secretToken, urls, orgInfo: orgInfo || {}, options });
-
-    res.json({ success: true, jobId });
+    res.json({ success: true, jobId: job.id });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -792,134 +838,280 @@ router.post('/db/bulk-insert', async (req, res) => {
       return res.status(400).json({ error: 'dbConfig and urls array are required' });
     }
 
-    const jobId = Date.now().toString(36) + Math.random().toString(36).substr(2);
-    jobs.set(jobId, { status: 'running', total: urls.length, processed: 0, results: [], errors: [] });
-
-    processDbBulk(jobId, { dbConfig, urls, orgInfo: orgInfo || {}, options });
+    const job = jobQueue.createJob('db', urls, { dbConfig, orgInfo: orgInfo || {}, options });
 
-    res.json({ success: true, jobId });
+    res.json({ success: true, jobId: job.id });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Background bulk processing via RankMath
-async function processRankMathBulk(jobId, options) {
-  const job = jobs.get(jobId);
+// List bulk jobs (with their AI token usage and cost, if any)
+router.get('/jobs', (req, res) => {
+  const jobs = jobQueue.listJobs().map(job => ({ ...job, usage: aiUsage.getJobUsage(job.id) }));
+  res.json({ success: true, jobs });
+});
 
-  try {
-    const client = rankMathClient.create({ siteUrl: options.siteUrl, secretToken: options.secretToken });
-    const helperConfig = { siteUrl: options.siteUrl, secretToken: options.secretToken };
+// Get bulk job progress and per-URL results
+router.get('/jobs/:id', (req, res) => {
+  const job = jobQueue.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json({ success: true, job: { ...job, usage: aiUsage.getJobUsage(job.id) } });
+});
 
-    for (const url of options.urls) {
-      try {
-        const pageData = await pageScraper.scrape(url, { helperConfig });
-        const pageType = pageTypeDetector.detect(url, pageData);
-        const schema = schemaGenerator.generate(pageType, pageData, options.orgInfo, {
-          areaServed: options.orgInfo.areaServed || '',
-          businessType: options.orgInfo.businessType || 'HVACBusiness',
-          phone: options.orgInfo.phone || '',
-          sameAs: options.orgInfo.sameAs
-        });
+// Stream a job's progress as Server-Sent Events
+// event: url  {url, stage: scraped|generated|verified|inserted|failed, ms, elapsedMs, error?}
+// event: job  {id, status, total, processed, succeeded, failed, pending}
+// The stream starts with the current job state and ends once the job is finished.
+router.get('/jobs/:id/events', (req, res) => {
+  const job = jobQueue.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
 
-        // Insert
-        const result = await client.insertByUrl(url, schema, { isPrimary: true });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const { results, errors, ...summary } = job;
+  send('job', summary);
 
-        job.results.push({ url, pageType, success: result.success });
-      } catch (urlError) {
-        job.errors.push({ url, error: urlError.message });
-      }
+  if (jobQueue.isFinished(job)) {
+    return res.end();
+  }
 
-      job.processed++;
+  // Comments keep proxies and the server's idle timeout from closing a quiet stream
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const unsubscribe = jobQueue.subscribe(req.params.id, (event, data) => {
+    send(event, data);
+    if (event === 'job' && jobQueue.isFinished(data)) {
+      stop();
+      res.end();
     }
+  });
 
-    job.status = 'completed';
-  } catch (error) {
-    job.status = 'error';
-    job.error = error.message;
+  function stop() {
+    clearInterval(heartbeat);
+    unsubscribe();
   }
-}
 
-// Background bulk processing via direct database
-async function processDbBulk(jobId, options) {
-  const job = jobs.get(jobId);
+  req.on('close', stop);
+});
 
-  try {
-    const client = getDbClient(options.dbConfig);
+// Pause, resume or cancel a bulk job, or retry its failed URLs
+// Resuming an AI job can raise its budget at the same time: { budget: usd }
+// Job files don't keep credentials, so resuming or retrying after a server restart needs them
+// again: { credentials: { secretToken, apiKey, dbConfig: { password } } }
+const JOB_ACTIONS = {
+  pause: jobQueue.pause,
+  resume: jobQueue.resume,
+  cancel: jobQueue.cancel,
+  retry: jobQueue.retryFailed
+};
+
+router.post('/jobs/:id/:action(pause|resume|cancel|retry)', (req, res) => {
+  if (!jobQueue.getJob(req.params.id)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
 
-    for (const url of options.urls) {
-      try {
-        const pageData = await pageScraper.scrape(url);
-        const pageType = pageTypeDetector.detect(url, pageData);
-        const schema = schemaGenerator.generate(pageType, pageData, options.orgInfo, {
-          areaServed: options.orgInfo.areaServed || '',
-          businessType: options.orgInfo.businessType || 'HVACBusiness',
-          phone: options.orgInfo.phone || '',
-          sameAs: options.orgInfo.sameAs
-        });
+  const { budget, credentials } = req.body || {};
+  if (req.params.action === 'resume' && budget !== undefined) {
+    if (!(typeof budget === 'number' && budget > 0)) {
+      return res.status(400).json({ error: 'budget must be a number of USD > 0' });
+    }
+  }
 
-        // Find post by slug
-        const urlObj = new URL(url);
-        const pathStr = urlObj.pathname.replace(/\/$/, '');
-        const slug = pathStr.split('/').pop();
+  try {
+    if (req.params.action === 'resume' && budget !== undefined) {
+      jobQueue.updateConfig(req.params.id, { budget });
+    }
+    const job = JOB_ACTIONS[req.params.action](req.params.id, credentials);
+    res.json({ success: true, job });
+  } catch (error) {
+    res.status(409).json({ error: error.message });
+  }
+});
 
-        if (!slug) {
-          job.errors.push({ url, error: 'Could not extract slug' });
-          job.processed++;
-          continue;
-        }
+/**
+ * Template generation options for bulk runs (same defaults as the single-URL routes)
+ */
+function bulkSchemaOptions(orgInfo) {
+  return {
+    areaServed: orgInfo.areaServed || '',
+    businessType: orgInfo.businessType || 'HVACBusiness',
+    phone: orgInfo.phone || '',
+    sameAs: orgInfo.sameAs,
+    ...resolveOpeningHours(orgInfo.openingHours),
+    branchRelation: orgInfo.branchRelation,
+    thirdPartyReviews: orgInfo.thirdPartyReviews ?? process.env.THIRD_PARTY_REVIEWS === 'true'
+  };
+}
 
-        const post = await client.getPostIdBySlug(slug);
-        if (!post) {
-          job.errors.push({ url, error: `Post not found for slug: ${slug}` });
-          job.processed++;
-          continue;
-        }
+/**
+ * Fail a bulk URL whose generated graph has dangling or circular @id references instead of
+ * publishing it (the single-URL generate-and-insert route answers 422 for the same issues)
+ */
+function assertValidReferences(issues) {
+  const errors = issues.filter(i => i.severity === 'error');
+  if (errors.length > 0) {
+    const error = new Error(`Schema has broken @id references: ${errors.map(i => i.message).join('; ')}`);
+    error.issues = errors;
+    throw error;
+  }
+}
 
-        // Insert schema
-        const result = await client.insertFromGraph(post.ID, schema, {
-          dryRun: false,
-          backup: true
-        });
+// Helper plugin client per bulk job run, so batch support is checked once and writes are grouped
+// Batches go out when full, or when the job queue flushes them (no URLs left to start, or paused)
+const rankMathJobClients = new Map();
+
+function rankMathJobClient(jobId, config) {
+  if (!rankMathJobClients.has(jobId)) {
+    const client = rankMathClient.create({ siteUrl: config.siteUrl, secretToken: config.secretToken, target: config.target });
+    rankMathJobClients.set(jobId, { client, writer: client.batchWriter({ maxWaitMs: null }) });
+  }
+  return rankMathJobClients.get(jobId);
+}
 
-        job.results.push({ url, pageType, postId: post.ID, success: result.success });
-      } catch (urlError) {
-        job.errors.push({ url, error: urlError.message });
+// Bulk job handler: one URL via RankMath
+// Snippets with insert-batch get the write queued with other URLs of the job (one request for
+// many pages instead of a find + insert per page) without holding the URL's slot; older
+// snippets use insertByUrl
+async function processRankMathUrl(url, config, progress, jobId) {
+  const { client, writer } = rankMathJobClient(jobId, config);
+  const helperConfig = { siteUrl: config.siteUrl, secretToken: config.secretToken };
+
+  const pageData = await pageScraper.scrape(url, { helperConfig });
+  const pageType = pageTypeDetector.detect(url, pageData);
+  progress('scraped');
+  const { schema, issues } = schemaGenerator.generate(pageType, pageData, config.orgInfo, bulkSchemaOptions(config.orgInfo));
+  assertValidReferences(issues);
+  progress('generated');
+
+  // Insert
+  if (await client.supportsBatch()) {
+    const written = writer.write({
+      url,
+      schemas: (schema['@graph'] || [schema]).map(piece => ({ schema: piece, type: [].concat(piece['@type'])[0] })),
+      replaceExisting: Boolean(config.options?.replaceExisting)
+    }).then(result => {
+      if (!result.success) {
+        throw new Error(result.error || 'Insert failed');
       }
+      progress('inserted');
+      return { pageType, postId: result.post_id, batched: true, success: true };
+    });
+    return { deferred: written };
+  }
 
-      job.processed++;
-    }
+  const result = await client.insertByUrl(url, schema, { isPrimary: true });
+  if (!result.success) {
+    throw new Error(result.error || 'Insert failed');
+  }
+  progress('inserted');
 
-    job.status = 'completed';
-  } catch (error) {
-    job.status = 'error';
-    job.error = error.message;
+  return { pageType, success: true };
+}
+
+// Bulk job handler: one URL via direct database (backups are grouped under the job for /db/rollback-job)
+// On a multisite network each URL goes to the site it belongs to
+async function processDbUrl(url, config, progress, jobId) {
+  const client = await getDbClientForUrl(config.dbConfig, url);
+
+  const pageData = await pageScraper.scrape(url);
+  const pageType = pageTypeDetector.detect(url, pageData);
+  progress('scraped');
+  const { schema, issues } = schemaGenerator.generate(pageType, pageData, config.orgInfo, bulkSchemaOptions(config.orgInfo));
+  assertValidReferences(issues);
+  progress('generated');
+
+  // Find post by its full permalink (never guess between posts sharing a slug)
+  const resolved = await client.resolvePostByUrl(url);
+  if (!resolved.success) {
+    throw new Error(describeUnresolvedPost(resolved));
   }
+  const post = resolved.post;
+
+  // Insert schema
+  const result = await client.insertFromGraph(post.ID, schema, {
+    dryRun: false,
+    backup: true,
+    jobId,
+    target: config.dbConfig.target
+  });
+  if (!result.success) {
+    throw new Error(result.error || 'Insert failed');
+  }
+  progress('inserted');
+
+  return { pageType, postId: post.ID, blogId: client.blogId, success: true };
 }
 
+/**
+ * Error message for a URL that resolvePostByUrl() could not pin to one post, listing the candidates
+ */
+function describeUnresolvedPost(resolved) {
+  if (resolved.candidates.length === 0) return resolved.error;
+  const list = resolved.candidates
+    .map(c => `#${c.ID} ${c.post_type} ${c.post_status} ${c.path}`)
+    .join(', ');
+  return `${resolved.error}. Candidates: ${list}`;
+}
+
+jobQueue.registerHandler('ai', processAIUrl);
+jobQueue.registerHandler('rankmath', processRankMathUrl, {
+  flush: jobId => rankMathJobClients.get(jobId)?.writer.flush(),
+  end: jobId => rankMathJobClients.delete(jobId)
+});
+jobQueue.registerHandler('db', processDbUrl);
+
 // =============================================================================
 // DIRECT DATABASE ROUTES (for RankMath schema injection)
 // =============================================================================
 
-// Store active database connection pools (keyed by host:port:database)
+// Store active database connection pools (keyed by host:port:database:tablePrefix)
 const dbPools = new Map();
 
 /**
  * Get or create a pooled database client from config
+ * config.blogId picks a multisite site; all sites of a network share one pool
  */
 function getDbClient(config) {
-  const key = `${config.host}:${config.port || 3306}:${config.database}`;
+  const key = `${config.host}:${config.port || 3306}:${config.database}:${config.tablePrefix || 'wp_'}`;
   if (!dbPools.has(key)) {
-    const client = databaseClient.createPool(config);
+    const client = databaseClient.createPool({ ...config, blogId: 1 });
     dbPools.set(key, client);
   }
-  return dbPools.get(key);
+  return dbPools.get(key).forBlog(config.blogId);
+}
+
+/**
+ * Database client for the site a URL belongs to
+ * Uses dbConfig.blogId when given; otherwise, on a multisite network, the site matching the URL
+ */
+async function getDbClientForUrl(dbConfig, url) {
+  const client = getDbClient(dbConfig);
+  if (dbConfig.blogId) return client;
+
+  const site = await client.resolveSite(url);
+  if (site) return client.forBlog(site.blogId);
+
+  const { multisite } = await client.getNetworkSites();
+  if (multisite) {
+    throw new Error(`No site in the network matches ${url}`);
+  }
+  return client;
 }
 
 // Test direct database connection
 router.post('/db/test-connection', async (req, res) => {
   try {
-    const { host, user, password, database, port, tablePrefix } = req.body;
+    const { host, user, password, database, port, tablePrefix, blogId } = req.body;
 
     if (!host || !user || !password || !database) {
       return res.status(400).json({ error: 'Missing required database credentials' });
@@ -931,31 +1123,90 @@ router.post('/db/test-connection', async (req, res) => {
       password,
       database,
       port: port || 3306,
-      tablePrefix: tablePrefix || 'wp_'
+      tablePrefix: tablePrefix || 'wp_',
+      blogId
     });
 
     const result = await client.testConnection();
+    // On a multisite network the UI offers a site picker
+    const network = await client.getNetworkSites();
+    // Which SEO plugin the schemas should go to
+    const seoPlugin = await client.detectSeoPlugin();
     await client.close();
 
     res.json({
       success: true,
-      ...result
+      ...result,
+      ...network,
+      seoPlugin
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Get post info by slug (READ-ONLY)
-router.post('/db/get-post', async (req, res) => {
+// List the sites of a multisite network (READ-ONLY)
+router.post('/db/network-sites', async (req, res) => {
   try {
-    const { host, user, password, database, port, tablePrefix, slug } = req.body;
+    const { host, user, password, database, port, tablePrefix, refresh = false } = req.body;
 
-    if (!slug) {
-      return res.status(400).json({ error: 'Slug is required' });
+    const client = getDbClient({ host, user, password, database, port: port || 3306, tablePrefix: tablePrefix || 'wp_' });
+    const network = await client.getNetworkSites({ refresh });
+
+    res.json({ success: true, ...network });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Find the multisite site (blog ID and table prefix) a page URL belongs to (READ-ONLY)
+router.post('/db/resolve-site', async (req, res) => {
+  try {
+    const { host, user, password, database, port, tablePrefix, pageUrl } = req.body;
+
+    if (!pageUrl) {
+      return res.status(400).json({ error: 'Page URL is required' });
     }
 
     const client = getDbClient({ host, user, password, database, port: port || 3306, tablePrefix: tablePrefix || 'wp_' });
+    const { multisite } = await client.getNetworkSites();
+    if (!multisite) {
+      return res.json({ success: true, multisite: false, site: null });
+    }
+
+    const site = await client.resolveSite(pageUrl);
+    if (!site) {
+      return res.status(404).json({ success: false, multisite: true, error: `No site in the network matches ${pageUrl}` });
+    }
+
+    res.json({ success: true, multisite: true, site });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get post info by page URL or slug (READ-ONLY)
+// A URL is matched by its full permalink; ambiguous or unmatched URLs return the candidates
+router.post('/db/get-post', async (req, res) => {
+  try {
+    const { host, user, password, database, port, tablePrefix, blogId, url, slug } = req.body;
+
+    if (!url && !slug) {
+      return res.status(400).json({ error: 'URL or slug is required' });
+    }
+
+    const dbConfig = { host, user, password, database, port: port || 3306, tablePrefix: tablePrefix || 'wp_', blogId };
+
+    if (url) {
+      const client = await getDbClientForUrl(dbConfig, url);
+      const resolved = await client.resolvePostByUrl(url);
+      if (!resolved.success) {
+        return res.status(resolved.ambiguous ? 409 : 404).json(resolved);
+      }
+      return res.json({ ...resolved, blogId: client.blogId });
+    }
+
+    const client = getDbClient(dbConfig);
     const post = await client.getPostIdBySlug(slug);
 
     if (!post) {
@@ -971,14 +1222,14 @@ router.post('/db/get-post', async (req, res) => {
 // Get existing RankMath schemas for a post (READ-ONLY)
 router.post('/db/get-schemas', async (req, res) => {
   try {
-    const { host, user, password, database, port, tablePrefix, postId } = req.body;
+    const { host, user, password, database, port, tablePrefix, blogId, postId, target } = req.body;
 
     if (!postId) {
       return res.status(400).json({ error: 'Post ID is required' });
     }
 
-    const client = getDbClient({ host, user, password, database, port: port || 3306, tablePrefix: tablePrefix || 'wp_' });
-    const schemas = await client.getExistingSchemas(postId);
+    const client = getDbClient({ host, user, password, database, port: port || 3306, tablePrefix: tablePrefix || 'wp_', blogId });
+    const schemas = await client.getExistingSchemas(postId, { decode: true, target });
 
     res.json({ success: true, postId, schemas, count: schemas.length });
   } catch (error) {
@@ -989,13 +1240,13 @@ router.post('/db/get-schemas', async (req, res) => {
 // Preview schema insertion (DRY-RUN - NO CHANGES MADE)
 router.post('/db/preview-insertion', async (req, res) => {
   try {
-    const { host, user, password, database, port, tablePrefix, postId, schema, schemaType } = req.body;
+    const { host, user, password, database, port, tablePrefix, blogId, postId, schema, schemaType } = req.body;
 
     if (!postId || !schema) {
       return res.status(400).json({ error: 'Post ID and schema are required' });
     }
 
-    const client = getDbClient({ host, user, password, database, port: port || 3306, tablePrefix: tablePrefix || 'wp_' });
+    const client = getDbClient({ host, user, password, database, port: port || 3306, tablePrefix: tablePrefix || 'wp_', blogId });
     const preview = await client.previewInsertion(postId, schema, schemaType || 'Custom');
 
     res.json({ success: true, ...preview });
@@ -1010,16 +1261,16 @@ router.post('/db/preview-insertion', async (req, res) => {
 router.post('/db/insert-schema', async (req, res) => {
   try {
     const {
-      host, user, password, database, port, tablePrefix,
-      postId, schema, schemaType, dryRun = true, backup = true, isPrimary = true
+      host, user, password, database, port, tablePrefix, blogId,
+      postId, schema, schemaType, dryRun = true, backup = true, isPrimary = true, target
     } = req.body;
 
     if (!postId || !schema) {
       return res.status(400).json({ error: 'Post ID and schema are required' });
     }
 
-    const client = getDbClient({ host, user, password, database, port: port || 3306, tablePrefix: tablePrefix || 'wp_' });
-    const result = await client.insertSchema(postId, schema, schemaType, { dryRun, backup, isPrimary });
+    const client = getDbClient({ host, user, password, database, port: port || 3306, tablePrefix: tablePrefix || 'wp_', blogId });
+    const result = await client.insertSchema(postId, schema, schemaType, { dryRun, backup, isPrimary, target });
 
     res.json({ success: true, ...result });
   } catch (error) {
@@ -1032,16 +1283,16 @@ router.post('/db/insert-schema', async (req, res) => {
 router.post('/db/insert-multiple-schemas', async (req, res) => {
   try {
     const {
-      host, user, password, database, port, tablePrefix,
-      postId, schemas, dryRun = true, backup = true
+      host, user, password, database, port, tablePrefix, blogId,
+      postId, schemas, dryRun = true, backup = true, target
     } = req.body;
 
     if (!postId || !schemas || !Array.isArray(schemas)) {
       return res.status(400).json({ error: 'Post ID and schemas array are required' });
     }
 
-    const client = getDbClient({ host, user, password, database, port: port || 3306, tablePrefix: tablePrefix || 'wp_' });
-    const result = await client.insertMultipleSchemas(postId, schemas, { dryRun, backup });
+    const client = getDbClient({ host, user, password, database, port: port || 3306, tablePrefix: tablePrefix || 'wp_', blogId });
+    const result = await client.insertMultipleSchemas(postId, schemas, { dryRun, backup, target });
 
     res.json({ success: true, ...result });
   } catch (error) {
@@ -1054,16 +1305,16 @@ router.post('/db/insert-multiple-schemas', async (req, res) => {
 router.post('/db/insert-from-graph', async (req, res) => {
   try {
     const {
-      host, user, password, database, port, tablePrefix,
-      postId, graphSchema, primaryType, dryRun = true, backup = true
+      host, user, password, database, port, tablePrefix, blogId,
+      postId, graphSchema, primaryType, dryRun = true, backup = true, target
     } = req.body;
 
     if (!postId || !graphSchema) {
       return res.status(400).json({ error: 'Post ID and graphSchema are required' });
     }
 
-    const client = getDbClient({ host, user, password, database, port: port || 3306, tablePrefix: tablePrefix || 'wp_' });
-    const result = await client.insertFromGraph(postId, graphSchema, { dryRun, backup, primaryType });
+    const client = getDbClient({ host, user, password, database, port: port || 3306, tablePrefix: tablePrefix || 'wp_', blogId });
+    const result = await client.insertFromGraph(postId, graphSchema, { dryRun, backup, primaryType, target });
 
     res.json({ success: true, ...result });
   } catch (error) {
@@ -1075,16 +1326,34 @@ router.post('/db/insert-from-graph', async (req, res) => {
 router.post('/db/delete-all-schemas', async (req, res) => {
   try {
     const {
-      host, user, password, database, port, tablePrefix,
-      postId, dryRun = true, backup = true
+      host, user, password, database, port, tablePrefix, blogId,
+      postId, dryRun = true, backup = true, target
     } = req.body;
 
     if (!postId) {
       return res.status(400).json({ error: 'Post ID is required' });
     }
 
-    const client = getDbClient({ host, user, password, database, port: port || 3306, tablePrefix: tablePrefix || 'wp_' });
-    const result = await client.deleteAllSchemas(postId, { dryRun, backup });
+    const client = getDbClient({ host, user, password, database, port: port || 3306, tablePrefix: tablePrefix || 'wp_', blogId });
+    const result = await client.deleteAllSchemas(postId, { dryRun, backup, target });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Publishing targets (SEO plugins schemas can be written for)
+router.get('/targets', (req, res) => {
+  res.json({ success: true, targets: targets.listTargets() });
+});
+
+// Detect the active SEO plugin from the database (READ-ONLY)
+router.post('/db/detect-seo-plugin', async (req, res) => {
+  try {
+    const { host, user, password, database, port, tablePrefix, blogId } = req.body;
+    const client = getDbClient({ host, user, password, database, port: port || 3306, tablePrefix: tablePrefix || 'wp_', blogId });
+    const result = await client.detectSeoPlugin({ refresh: true });
 
     res.json({ success: true, ...result });
   } catch (error) {
@@ -1104,7 +1373,7 @@ router.get('/db/schema-types', (req, res) => {
 router.post('/db/set-rich-snippet', async (req, res) => {
   try {
     const {
-      host, user, password, database, port, tablePrefix,
+      host, user, password, database, port, tablePrefix, blogId,
       postId, snippetType, dryRun = true
     } = req.body;
 
@@ -1112,7 +1381,7 @@ router.post('/db/set-rich-snippet', async (req, res) => {
       return res.status(400).json({ error: 'Post ID and snippet type are required' });
     }
 
-    const client = getDbClient({ host, user, password, database, port: port || 3306, tablePrefix: tablePrefix || 'wp_' });
+    const client = getDbClient({ host, user, password, database, port: port || 3306, tablePrefix: tablePrefix || 'wp_', blogId });
     const result = await client.setRichSnippetType(postId, snippetType, { dryRun });
 
     res.json({ success: true, ...result });
@@ -1124,13 +1393,13 @@ router.post('/db/set-rich-snippet', async (req, res) => {
 // Rollback to previous state
 router.post('/db/rollback', async (req, res) => {
   try {
-    const { host, user, password, database, port, tablePrefix, postId } = req.body;
+    const { host, user, password, database, port, tablePrefix, blogId, postId } = req.body;
 
     if (!postId) {
       return res.status(400).json({ error: 'Post ID is required' });
     }
 
-    const client = getDbClient({ host, user, password, database, port: port || 3306, tablePrefix: tablePrefix || 'wp_' });
+    const client = getDbClient({ host, user, password, database, port: port || 3306, tablePrefix: tablePrefix || 'wp_', blogId });
     const result = await client.rollback(postId);
 
     res.json({ success: true, ...result });
@@ -1142,8 +1411,8 @@ router.post('/db/rollback', async (req, res) => {
 // List all persisted backups
 router.post('/db/backups', async (req, res) => {
   try {
-    const { host, user, password, database, port, tablePrefix } = req.body;
-    const client = getDbClient({ host, user, password, database, port: port || 3306, tablePrefix: tablePrefix || 'wp_' });
+    const { host, user, password, database, port, tablePrefix, blogId } = req.body;
+    const client = getDbClient({ host, user, password, database, port: port || 3306, tablePrefix: tablePrefix || 'wp_', blogId });
     const backups = client.listBackups();
     res.json({ success: true, backups });
   } catch (error) {
@@ -1151,16 +1420,77 @@ router.post('/db/backups', async (req, res) => {
   }
 });
 
+// List bulk job backups (kept until pruned)
+router.get('/db/job-backups', (req, res) => {
+  try {
+    res.json({ success: true, backups: databaseClient.listJobBackups() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Roll back every post a bulk job wrote to (dryRun: true by default)
+// Uses the job's own database config unless credentials are passed
+router.post('/db/rollback-job', async (req, res) => {
+  try {
+    const { jobId, dryRun = true, force = false, host, user, password, database, port, tablePrefix } = req.body;
+
+    if (!jobId) {
+      return res.status(400).json({ error: 'Job ID is required' });
+    }
+
+    const job = jobQueue.getJob(jobId);
+    if (job && job.status === 'running') {
+      return res.status(409).json({ success: false, error: 'Pause or cancel the job before rolling it back' });
+    }
+
+    // The job's own credentials are only known until the server restarts
+    const dbConfig = host
+      ? { host, user, password, database, port: port || 3306, tablePrefix: tablePrefix || 'wp_' }
+      : job && jobQueue.missingCredentials(jobId).length === 0 && jobQueue.getConfig(jobId).dbConfig;
+    if (!dbConfig) {
+      return res.status(400).json({ error: 'Database credentials are required (job not found, or the server restarted since it ran)' });
+    }
+
+    const client = getDbClient(dbConfig);
+    const result = await client.rollbackJob(jobId, { dryRun, force });
+
+    if (!dryRun) {
+      logger.log('db_job_rollback', { jobId, force, success: result.success, restored: result.restored?.length, skipped: result.skipped?.length });
+    }
+
+    res.status(result.success ? 200 : 500).json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a bulk job's backups
+router.post('/db/prune-job-backup', (req, res) => {
+  try {
+    const { jobId } = req.body;
+
+    if (!jobId) {
+      return res.status(400).json({ error: 'Job ID is required' });
+    }
+
+    const pruned = databaseClient.pruneJobBackup(jobId);
+    res.json({ success: true, pruned, message: pruned ? `Deleted backups for job ${jobId}` : `No backups for job ${jobId}` });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Restore from file-persisted backup
 router.post('/db/restore-backup', async (req, res) => {
   try {
-    const { host, user, password, database, port, tablePrefix, postId } = req.body;
+    const { host, user, password, database, port, tablePrefix, blogId, postId } = req.body;
 
     if (!postId) {
       return res.status(400).json({ error: 'Post ID is required' });
     }
 
-    const client = getDbClient({ host, user, password, database, port: port || 3306, tablePrefix: tablePrefix || 'wp_' });
+    const client = getDbClient({ host, user, password, database, port: port || 3306, tablePrefix: tablePrefix || 'wp_', blogId });
     const result = await client.rollback(postId);
 
     res.json({ success: true, ...result });
@@ -1173,7 +1503,7 @@ router.post('/db/restore-backup', async (req, res) => {
 router.post('/db/delete-meta', async (req, res) => {
   try {
     const {
-      host, user, password, database, port, tablePrefix,
+      host, user, password, database, port, tablePrefix, blogId,
       metaId, dryRun = true
     } = req.body;
 
@@ -1181,7 +1511,7 @@ router.post('/db/delete-meta', async (req, res) => {
       return res.status(400).json({ error: 'Meta ID is required' });
     }
 
-    const client = getDbClient({ host, user, password, database, port: port || 3306, tablePrefix: tablePrefix || 'wp_' });
+    const client = getDbClient({ host, user, password, database, port: port || 3306, tablePrefix: tablePrefix || 'wp_', blogId });
     const result = await client.deleteMeta(metaId, { dryRun });
 
     res.json({ success: true, ...result });
@@ -1194,37 +1524,29 @@ router.post('/db/delete-meta', async (req, res) => {
 router.post('/db/insert-by-url', async (req, res) => {
   try {
     const {
-      host, user, password, database, port, tablePrefix,
-      pageUrl, schema, schemaType, dryRun = true, backup = true
+      host, user, password, database, port, tablePrefix, blogId,
+      pageUrl, schema, schemaType, dryRun = true, backup = true, target
     } = req.body;
 
     if (!pageUrl || !schema) {
       return res.status(400).json({ error: 'Page URL and schema are required' });
     }
 
-    // Extract slug from URL
-    const urlObj = new URL(pageUrl);
-    const path = urlObj.pathname.replace(/\/$/, '');
-    const slug = path.split('/').pop();
-
-    if (!slug) {
-      return res.status(400).json({ error: 'Could not extract slug from URL' });
-    }
-
-    const client = getDbClient({ host, user, password, database, port: port || 3306, tablePrefix: tablePrefix || 'wp_' });
+    const client = getDbClient({ host, user, password, database, port: port || 3306, tablePrefix: tablePrefix || 'wp_', blogId });
 
-    // Find post by slug
-    const post = await client.getPostIdBySlug(slug);
-    if (!post) {
-      return res.status(404).json({ success: false, error: `Post not found for slug: ${slug}` });
+    // Find post by its full permalink
+    const resolved = await client.resolvePostByUrl(pageUrl);
+    if (!resolved.success) {
+      return res.status(resolved.ambiguous ? 409 : 404).json(resolved);
     }
+    const post = resolved.post;
 
     // Insert schema
-    const result = await client.insertSchema(post.ID, schema, schemaType || 'Custom', { dryRun, backup });
+    const result = await client.insertSchema(post.ID, schema, schemaType || 'Custom', { dryRun, backup, target });
 
     res.json({
       success: true,
-      post: { id: post.ID, title: post.post_title, type: post.post_type, slug },
+      post: { id: post.ID, title: post.post_title, type: post.post_type, status: post.post_status },
       ...result
     });
   } catch (error) {
@@ -1239,14 +1561,14 @@ router.post('/db/insert-by-url', async (req, res) => {
 // Compare new schemas against existing schemas on the site
 router.post('/rankmath/diff', async (req, res) => {
   try {
-    const { siteUrl, secretToken, pageUrl, newSchemas } = req.body;
+    const { siteUrl, secretToken, pageUrl, newSchemas, target } = req.body;
 
     if (!siteUrl || !secretToken || !pageUrl || !newSchemas) {
       return res.status(400).json({ error: 'siteUrl, secretToken, pageUrl, and newSchemas are required' });
     }
 
     // Fetch existing schemas from site
-    const client = rankMathClient.create({ siteUrl, secretToken });
+    const client = rankMathClient.create({ siteUrl, secretToken, target });
     const pageInfo = await client.getPageInfo(pageUrl);
 
     let oldSchemas = [];
@@ -1296,8 +1618,12 @@ router.post('/rankmath/test-connection', async (req, res) => {
 
     const client = rankMathClient.create({ siteUrl, secretToken });
     const result = await client.testConnection();
+    // Snippet version/features (the UI warns when it is outdated)
+    const plugin = await client.negotiate().catch(() => null);
+    // Older helper plugins have no /seo-plugin endpoint
+    const seoPlugin = plugin?.info?.seo_plugins || await client.detectSeoPlugin().catch(() => null);
 
-    res.json({ success: true, ...result });
+    res.json({ success: true, ...result, plugin, seoPlugin });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -1306,7 +1632,7 @@ router.post('/rankmath/test-connection', async (req, res) => {
 // Find post by slug or URL
 router.post('/rankmath/find-post', async (req, res) => {
   try {
-    const { siteUrl, secretToken, slug, url } = req.body;
+    const { siteUrl, secretToken, slug, url, target } = req.body;
 
     if (!siteUrl || !secretToken) {
       return res.status(400).json({ error: 'siteUrl and secretToken are required' });
@@ -1316,7 +1642,7 @@ router.post('/rankmath/find-post', async (req, res) => {
       return res.status(400).json({ error: 'slug or url is required' });
     }
 
-    const client = rankMathClient.create({ siteUrl, secretToken });
+    const client = rankMathClient.create({ siteUrl, secretToken, target });
     const result = await client.findPost(url || slug);
 
     res.json(result);
@@ -1328,13 +1654,13 @@ router.post('/rankmath/find-post', async (req, res) => {
 // Get existing schemas for a post
 router.post('/rankmath/get-schemas', async (req, res) => {
   try {
-    const { siteUrl, secretToken, postId } = req.body;
+    const { siteUrl, secretToken, postId, target } = req.body;
 
     if (!siteUrl || !secretToken || !postId) {
       return res.status(400).json({ error: 'siteUrl, secretToken, and postId are required' });
     }
 
-    const client = rankMathClient.create({ siteUrl, secretToken });
+    const client = rankMathClient.create({ siteUrl, secretToken, target });
     const result = await client.getSchemas(postId);
 
     res.json(result);
@@ -1346,13 +1672,13 @@ router.post('/rankmath/get-schemas', async (req, res) => {
 // Get page info including existing schemas
 router.post('/rankmath/page-info', async (req, res) => {
   try {
-    const { siteUrl, secretToken, pageUrl } = req.body;
+    const { siteUrl, secretToken, pageUrl, target } = req.body;
 
     if (!siteUrl || !secretToken || !pageUrl) {
       return res.status(400).json({ error: 'siteUrl, secretToken, and pageUrl are required' });
     }
 
-    const client = rankMathClient.create({ siteUrl, secretToken });
+    const client = rankMathClient.create({ siteUrl, secretToken, target });
     const result = await client.getPageInfo(pageUrl);
 
     res.json(result);
@@ -1364,13 +1690,13 @@ router.post('/rankmath/page-info', async (req, res) => {
 // Insert single schema
 router.post('/rankmath/insert-schema', async (req, res) => {
   try {
-    const { siteUrl, secretToken, postId, schema, schemaType, isPrimary = true } = req.body;
+    const { siteUrl, secretToken, postId, schema, schemaType, isPrimary = true, target } = req.body;
 
     if (!siteUrl || !secretToken || !postId || !schema) {
       return res.status(400).json({ error: 'siteUrl, secretToken, postId, and schema are required' });
     }
 
-    const client = rankMathClient.create({ siteUrl, secretToken });
+    const client = rankMathClient.create({ siteUrl, secretToken, target });
     const result = await client.insertSchema(postId, schema, { schemaType, isPrimary });
 
     res.json(result);
@@ -1382,13 +1708,13 @@ router.post('/rankmath/insert-schema', async (req, res) => {
 // Insert multiple schemas
 router.post('/rankmath/insert-multiple', async (req, res) => {
   try {
-    const { siteUrl, secretToken, postId, schemas } = req.body;
+    const { siteUrl, secretToken, postId, schemas, target } = req.body;
 
     if (!siteUrl || !secretToken || !postId || !schemas) {
       return res.status(400).json({ error: 'siteUrl, secretToken, postId, and schemas are required' });
     }
 
-    const client = rankMathClient.create({ siteUrl, secretToken });
+    const client = rankMathClient.create({ siteUrl, secretToken, target });
     const result = await client.insertMultipleSchemas(postId, schemas);
 
     res.json(result);
@@ -1400,13 +1726,13 @@ router.post('/rankmath/insert-multiple', async (req, res) => {
 // Insert schema by URL (finds post automatically)
 router.post('/rankmath/insert-by-url', async (req, res) => {
   try {
-    const { siteUrl, secretToken, pageUrl, schema, schemaType, isPrimary = true, replaceExisting = true } = req.body;
+    const { siteUrl, secretToken, pageUrl, schema, schemaType, isPrimary = true, replaceExisting = true, target } = req.body;
 
     if (!siteUrl || !secretToken || !pageUrl || !schema) {
       return res.status(400).json({ error: 'siteUrl, secretToken, pageUrl, and schema are required' });
     }
 
-    const client = rankMathClient.create({ siteUrl, secretToken });
+    const client = rankMathClient.create({ siteUrl, secretToken, target });
 
     // Delete existing schemas first to prevent duplicates
     if (replaceExisting) {
@@ -1441,13 +1767,13 @@ router.post('/rankmath/insert-by-url', async (req, res) => {
 // Insert multiple schemas by URL
 router.post('/rankmath/insert-multiple-by-url', async (req, res) => {
   try {
-    const { siteUrl, secretToken, pageUrl, schemas, replaceExisting = true } = req.body;
+    const { siteUrl, secretToken, pageUrl, schemas, replaceExisting = true, target } = req.body;
 
     if (!siteUrl || !secretToken || !pageUrl || !schemas) {
       return res.status(400).json({ error: 'siteUrl, secretToken, pageUrl, and schemas are required' });
     }
 
-    const client = rankMathClient.create({ siteUrl, secretToken });
+    const client = rankMathClient.create({ siteUrl, secretToken, target });
 
     // Delete existing schemas first to prevent duplicates
     if (replaceExisting) {
@@ -1472,13 +1798,13 @@ router.post('/rankmath/insert-multiple-by-url', async (req, res) => {
 // Delete schemas
 router.post('/rankmath/delete-schemas', async (req, res) => {
   try {
-    const { siteUrl, secretToken, postId, schemaType } = req.body;
+    const { siteUrl, secretToken, postId, schemaType, target } = req.body;
 
     if (!siteUrl || !secretToken || !postId) {
       return res.status(400).json({ error: 'siteUrl, secretToken, and postId are required' });
     }
 
-    const client = rankMathClient.create({ siteUrl, secretToken });
+    const client = rankMathClient.create({ siteUrl, secretToken, target });
     const result = await client.deleteSchemas(postId, schemaType);
 
     res.json(result);
@@ -1495,7 +1821,8 @@ router.post('/rankmath/generate-and-insert', async (req, res) => {
       secretToken,
       pageUrl,
       orgInfo,
-      options = {}
+      options = {},
+      target
     } = req.body;
 
     if (!siteUrl || !secretToken || !pageUrl) {
@@ -1510,10 +1837,16 @@ router.post('/rankmath/generate-and-insert', async (req, res) => {
     const pageType = pageTypeDetector.detect(pageUrl, pageData);
 
     // Step 3: Generate schema
-    const schema = await schemaGenerator.generate(pageUrl, pageData, pageType, orgInfo || {});
+    const { schema, issues } = schemaGenerator.generate(pageType, pageData, orgInfo || {});
+
+    // Step 3b: Refuse to publish a graph with dangling or circular @id references
+    const referenceErrors = issues.filter(i => i.severity === 'error');
+    if (referenceErrors.length > 0) {
+      return res.status(422).json({ success: false, error: 'Schema has broken @id references', issues: referenceErrors, generatedSchema: schema });
+    }
 
     // Step 4: Find the post
-    const client = rankMathClient.create({ siteUrl, secretToken });
+    const client = rankMathClient.create({ siteUrl, secretToken, target });
     const postInfo = await client.findPost(pageUrl);
 
     if (!postInfo.success) {
@@ -1602,6 +1935,39 @@ router.get('/logs/tokens', (req, res) => {
   res.json({ success: true, usage });
 });
 
+// AI token and cost totals per site, job and day
+router.get('/ai/usage', (req, res) => {
+  res.json({ success: true, usage: aiUsage.getUsage() });
+});
+
+// AI price table (USD per million tokens)
+router.get('/ai/prices', (req, res) => {
+  res.json({ success: true, prices: aiUsage.getPrices() });
+});
+
+router.put('/ai/prices', (req, res) => {
+  try {
+    const prices = aiUsage.setPrices(req.body.prices);
+    res.json({ success: true, prices });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// AI spending limits (USD) with today's and each site's spending
+router.get('/ai/budgets', (req, res) => {
+  res.json({ success: true, ...aiBudget.getStatus() });
+});
+
+router.put('/ai/budgets', (req, res) => {
+  try {
+    aiBudget.setBudgets(req.body.budgets);
+    res.json({ success: true, ...aiBudget.getStatus() });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
 // Get stats summary
 router.get('/logs/stats', (req, res) => {
   const stats = logger.getStats();
@@ -0,0 +1,101 @@
+/**
+ * HowTo schema template
+ * For step-by-step guides like "How to change your furnace filter"
+ */
+
+/**
+ * Generate a HowTo schema from extracted steps
+ * @param {object} howTo - Extracted {name, description, steps, tools, supplies, totalTime}
+ * @param {object} pageData - Scraped page data
+ * @returns {object|null} - JSON-LD HowTo schema or null if not enough steps
+ */
+function generate(howTo, pageData) {
+  if (!howTo || !howTo.steps) {
+    return null;
+  }
+
+  const validSteps = howTo.steps.filter(step => step.text && step.text.trim());
+
+  // A single step isn't a how-to guide
+  if (validSteps.length < 2) {
+    return null;
+  }
+
+  const pageUrl = pageData.url.replace(/\/$/, '');
+
+  const schema = {
+    '@type': 'HowTo',
+    '@id': `${pageData.url}#howto`,
+    'name': cleanText(howTo.name || pageData.title),
+    'mainEntityOfPage': {
+      '@id': `${pageUrl}/#webpage`
+    },
+    'step': validSteps.map((step, index) => {
+      const howToStep = {
+        '@type': 'HowToStep',
+        'position': index + 1,
+        'name': cleanText(step.name || truncate(step.text, 80)),
+        'text': cleanText(step.text),
+        'url': `${pageData.url}#step-${index + 1}`
+      };
+
+      if (step.image) {
+        howToStep.image = step.image;
+      }
+
+      return howToStep;
+    })
+  };
+
+  const description = howTo.description || pageData.description;
+  if (description) {
+    schema.description = truncate(cleanText(description), 200);
+  }
+
+  if (pageData.featuredImage) {
+    schema.image = pageData.featuredImage;
+  }
+
+  if (howTo.totalTime) {
+    schema.totalTime = howTo.totalTime;
+  }
+
+  if (howTo.tools && howTo.tools.length > 0) {
+    schema.tool = howTo.tools.map(tool => ({
+      '@type': 'HowToTool',
+      'name': cleanText(tool)
+    }));
+  }
+
+  if (howTo.supplies && howTo.supplies.length > 0) {
+    schema.supply = howTo.supplies.map(supply => ({
+      '@type': 'HowToSupply',
+      'name': cleanText(supply)
+    }));
+  }
+
+  return schema;
+}
+
+/**
+ * Clean text for schema output
+ */
+function cleanText(text) {
+  if (!text) return '';
+  return text
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Truncate string to max length
+ */
+function truncate(str, maxLength) {
+  if (!str) return '';
+  if (str.length <= maxLength) return str;
+  return str.substring(0, maxLength - 3) + '...';
+}
+
+module.exports = {
+  generate
+};
@@ -164,11 +164,16 @@ function detectRegion(address, serviceAreas, primaryArea, country) {
 function generate(orgInfo, options = {}) {
   const schema = {
     '@type': options.businessType || 'HVACBusiness',
-    'name': orgInfo.name,
-    'url': orgInfo.url,
-    '@id': `${orgInfo.url}#localbusiness`
+    'name': options.name || orgInfo.name,
+    'url': options.url || orgInfo.url,
+    '@id': options.id || `${orgInfo.url}#localbusiness`
   };
 
+  // Branch of a multi-location organization
+  if (options.parentOrganization) {
+    schema.parentOrganization = { '@id': options.parentOrganization };
+  }
+
   // Add logo
   if (orgInfo.logo) {
     schema.logo = {
@@ -241,6 +246,15 @@ function generate(orgInfo, options = {}) {
     }
   }
 
+  // Add geo coordinates if known
+  if (options.geo && options.geo.lat && options.geo.lng) {
+    schema.geo = {
+      '@type': 'GeoCoordinates',
+      'latitude': options.geo.lat,
+      'longitude': options.geo.lng
+    };
+  }
+
   // Add service areas - IMPORTANT for Google to understand service coverage
   if (allAreas.length > 1) {
     schema.areaServed = allAreas.map(area => ({
@@ -260,11 +274,12 @@ function generate(orgInfo, options = {}) {
     };
   }
 
-  // Add opening hours
-  if (options.openingHours) {
+  // Add opening hours - only what the site states; wrong hours mislead Google
+  const hasHours = Array.isArray(options.openingHours) ? options.openingHours.length > 0 : !!options.openingHours;
+  if (hasHours) {
     schema.openingHoursSpecification = options.openingHours;
-  } else {
-    // Default for 24/7 emergency service (common for HVAC)
+  } else if (options.open24Hours) {
+    // Site explicitly says it's open 24/7
     schema.openingHoursSpecification = {
       '@type': 'OpeningHoursSpecification',
       'dayOfWeek': [
@@ -275,6 +290,23 @@ function generate(orgInfo, options = {}) {
     };
   }
 
+  // A 24/7 emergency line is the phone's availability, not the business's opening hours
+  if (options.emergencyService && options.phone) {
+    schema.contactPoint = {
+      '@type': 'ContactPoint',
+      'contactType': 'emergency',
+      'telephone': options.phone,
+      'hoursAvailable': {
+        '@type': 'OpeningHoursSpecification',
+        'dayOfWeek': [
+          'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'
+        ],
+        'opens': '00:00',
+        'closes': '23:59'
+      }
+    };
+  }
+
   // Add price range if provided
   if (options.priceRange) {
     schema.priceRange = options.priceRange;
@@ -285,8 +317,8 @@ function generate(orgInfo, options = {}) {
     schema.sameAs = options.sameAs;
   }
 
-  // Add aggregate rating if provided
-  if (options.rating) {
+  // Add aggregate rating if provided (only third-party ratings - self-serving ones aren't allowed)
+  if (options.rating && options.thirdPartyReviews) {
     schema.aggregateRating = {
       '@type': 'AggregateRating',
       'ratingValue': options.rating.value,
@@ -3,6 +3,8 @@
  * For pages like "AC Repair in Houston" or "HVAC Services Dallas"
  */
 
+const organizationSchema = require('./organization');
+
 /**
  * Generate schemas for a location/service area page
  * @param {object} pageData - Scraped page data
@@ -57,6 +59,18 @@ function generate(pageData, orgInfo, options = {}) {
 
   schemas.push(serviceSchema);
 
+  // 2a. Multi-location business: link to the matching branch instead of inventing an address
+  const branches = orgInfo.branches || [];
+  if (branches.length > 0) {
+    const branch = organizationSchema.findNearestBranch(branches, locationInfo);
+    serviceSchema.provider = {
+      '@id': branch ? organizationSchema.branchId(orgInfo, branch) : organizationSchema.organizationId(orgInfo)
+    };
+    schemas.push(...organizationSchema.generate(orgInfo, options));
+    schemas.push(generatePlace(pageData, locationName, locationInfo));
+    return schemas;
+  }
+
   // 2. LocalBusiness schema with this specific service area
   const businessSchema = {
     '@type': options.businessType || 'HVACBusiness',
@@ -119,6 +133,15 @@ function generate(pageData, orgInfo, options = {}) {
   schemas.push(businessSchema);
 
   // 3. Place schema for the location itself
+  schemas.push(generatePlace(pageData, locationName, locationInfo));
+
+  return schemas;
+}
+
+/**
+ * Generate the Place schema for the location itself
+ */
+function generatePlace(pageData, locationName, locationInfo) {
   const placeSchema = {
     '@type': 'Place',
     '@id': `${pageData.url}#place`,
@@ -139,9 +162,7 @@ function generate(pageData, orgInfo, options = {}) {
     };
   }
 
-  schemas.push(placeSchema);
-
-  return schemas;
+  return placeSchema;
 }
 
 /**
@@ -0,0 +1,183 @@
+/**
+ * Multi-location Organization schema template
+ * For businesses with several branches, each with its own address, phone and hours.
+ * Emits a parent Organization linked to one LocalBusiness node per branch.
+ */
+
+const localBusinessSchema = require('./localBusiness');
+const openingHours = require('../services/openingHours');
+
+/**
+ * Generate the parent Organization and its branch LocalBusiness nodes
+ * @param {object} orgInfo - Organization information with branches[]
+ * @param {object} options - Additional options (businessType, sameAs, branchRelation)
+ * @returns {array} - [Organization, ...LocalBusiness] schema objects for @graph
+ */
+function generate(orgInfo, options = {}) {
+  const branches = orgInfo.branches || [];
+  const relation = options.branchRelation === 'subOrganization' ? 'subOrganization' : 'department';
+
+  const parent = {
+    '@type': 'Organization',
+    '@id': organizationId(orgInfo),
+    'name': orgInfo.name,
+    'url': orgInfo.url
+  };
+
+  if (orgInfo.logo) {
+    parent.logo = {
+      '@type': 'ImageObject',
+      'url': orgInfo.logo,
+      '@id': `${orgInfo.url}#logo`
+    };
+  }
+
+  if (options.sameAs && options.sameAs.length > 0) {
+    parent.sameAs = options.sameAs;
+  }
+
+  const branchSchemas = branches.map(branch => generateBranch(branch, orgInfo, options));
+  parent[relation] = branchSchemas.map(b => ({ '@id': b['@id'] }));
+
+  return [parent, ...branchSchemas];
+}
+
+/**
+ * Generate a LocalBusiness node for a single branch
+ * @param {object} branch - {name, address, geo, phone, email, openingHours, serviceAreas}
+ * @param {object} orgInfo - Parent organization information
+ * @param {object} options - Additional options
+ * @returns {object} - JSON-LD LocalBusiness schema for the branch
+ */
+function generateBranch(branch, orgInfo, options = {}) {
+  const hours = resolveHours(branch.openingHours);
+
+  const schema = localBusinessSchema.generate(orgInfo, {
+    id: branchId(orgInfo, branch),
+    name: branch.name ? `${orgInfo.name} - ${branch.name}` : orgInfo.name,
+    url: branch.url,
+    businessType: branch.businessType || options.businessType,
+    phone: branch.phone || options.phone,
+    email: branch.email,
+    address: branch.address,
+    geo: branch.geo,
+    serviceAreas: branch.serviceAreas || [],
+    openingHours: hours.openingHours,
+    open24Hours: hours.open24Hours,
+    emergencyService: hours.emergencyService,
+    parentOrganization: organizationId(orgInfo)
+  });
+
+  // The parent carries sameAs; branches keep their own profiles only
+  if (branch.sameAs && branch.sameAs.length > 0) {
+    schema.sameAs = branch.sameAs;
+  }
+
+  return schema;
+}
+
+/**
+ * Find the branch that best matches a location page
+ * Matches on city, then service areas, then region, then geo distance.
+ * @param {array} branches - Branch list from orgInfo
+ * @param {object} locationInfo - {city, state, geo} from location.extractLocation
+ * @returns {object|null} - Matching branch or null
+ */
+function findNearestBranch(branches, locationInfo) {
+  if (!branches || branches.length === 0 || !locationInfo) {
+    return null;
+  }
+
+  const city = normalize(locationInfo.city);
+
+  if (city) {
+    // 1. Branch located in the city
+    const inCity = branches.find(b => normalize(b.address?.addressLocality) === city);
+    if (inCity) return inCity;
+
+    // 2. Branch that lists the city as a service area
+    const serving = branches.find(b => (b.serviceAreas || []).some(area => normalize(area.split(',')[0]) === city));
+    if (serving) return serving;
+  }
+
+  // 3. Closest branch by coordinates
+  if (locationInfo.geo) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    for (const branch of branches) {
+      if (!branch.geo) continue;
+      const distance = haversineKm(locationInfo.geo, branch.geo);
+      if (distance < nearestDistance) {
+        nearest = branch;
+        nearestDistance = distance;
+      }
+    }
+    if (nearest) return nearest;
+  }
+
+  // 4. Only branch in the same state/province
+  const region = normalize(locationInfo.state);
+  if (region) {
+    const inRegion = branches.filter(b => normalize(b.address?.addressRegion) === region);
+    if (inRegion.length === 1) return inRegion[0];
+  }
+
+  return null;
+}
+
+/**
+ * @id of the parent Organization
+ */
+function organizationId(orgInfo) {
+  return `${orgInfo.url}#organization`;
+}
+
+/**
+ * @id of a branch ("https://example.com#branch-hamilton")
+ */
+function branchId(orgInfo, branch) {
+  const key = branch.id || branch.name || branch.address?.addressLocality || 'main';
+  const slug = String(key).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${orgInfo.url}#branch-${slug}`;
+}
+
+/**
+ * Branch hours may be OpeningHoursSpecification entries or text ("Mon-Fri 8am-5pm")
+ */
+function resolveHours(value) {
+  if (!value) {
+    return { openingHours: [], open24Hours: false };
+  }
+  if (typeof value === 'string') {
+    const hours = openingHours.detect24x7(value);
+    return {
+      openingHours: openingHours.parseText(value),
+      open24Hours: hours.open24Hours && !hours.emergencyOnly,
+      emergencyService: hours.open24Hours && hours.emergencyOnly
+    };
+  }
+  return { openingHours: openingHours.normalizeSpecifications(value), open24Hours: false };
+}
+
+/**
+ * Great-circle distance between two {lat, lng} points in km
+ */
+function haversineKm(a, b) {
+  const toRad = deg => (Number(deg) * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(h));
+}
+
+function normalize(value) {
+  return (value || '').toString().toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+module.exports = {
+  generate,
+  generateBranch,
+  findNearestBranch,
+  organizationId,
+  branchId
+};
@@ -0,0 +1,135 @@
+/**
+ * Review/AggregateRating schema template
+ * Attaches on-page testimonials to the LocalBusiness node (or, for multi-location
+ * businesses, the Organization or branch that provides the service)
+ *
+ * Google treats reviews a business shows about itself as self-serving and
+ * ignores (or penalizes) them on LocalBusiness/Organization. Ratings are only
+ * emitted when the thirdPartyReviews setting confirms they come from an
+ * independent platform (Google, Yelp, HomeStars...).
+ */
+
+/**
+ * Build review[] and aggregateRating from extracted testimonials
+ * @param {object} testimonials - {reviews: [{text, author, rating, source, date}], aggregateRating: {value, count, found}}
+ * @param {object} options - {thirdPartyReviews}
+ * @returns {object|null} - {review, aggregateRating} or null if nothing can be emitted
+ */
+function generate(testimonials, options = {}) {
+  // Self-serving reviews are not eligible for review snippets
+  if (!options.thirdPartyReviews) {
+    return null;
+  }
+
+  if (!testimonials) {
+    return null;
+  }
+
+  const result = {};
+
+  // Google requires a named author for each review
+  const reviews = (testimonials.reviews || []).filter(r => r.text && r.author);
+  if (reviews.length > 0) {
+    result.review = reviews.map(r => {
+      const review = {
+        '@type': 'Review',
+        'author': {
+          '@type': 'Person',
+          'name': cleanText(r.author)
+        },
+        'reviewBody': cleanText(r.text)
+      };
+
+      if (r.rating) {
+        review.reviewRating = {
+          '@type': 'Rating',
+          'ratingValue': String(r.rating),
+          'bestRating': '5',
+          'worstRating': '1'
+        };
+      }
+
+      if (r.date && !isNaN(Date.parse(r.date))) {
+        review.datePublished = new Date(r.date).toISOString().split('T')[0];
+      }
+
+      if (r.source && r.source !== 'Direct' && r.source !== 'Unknown') {
+        review.publisher = {
+          '@type': 'Organization',
+          'name': r.source
+        };
+      }
+
+      return review;
+    });
+  }
+
+  // Prefer the widget's own total; otherwise average the individual ratings
+  const aggregate = testimonials.aggregateRating;
+  if (aggregate && aggregate.found && aggregate.value && aggregate.count) {
+    result.aggregateRating = buildAggregateRating(aggregate.value, aggregate.count);
+  } else {
+    const rated = reviews.filter(r => r.rating);
+    if (rated.length > 0) {
+      const average = rated.reduce((sum, r) => sum + Number(r.rating), 0) / rated.length;
+      result.aggregateRating = buildAggregateRating(Math.round(average * 10) / 10, rated.length);
+    }
+  }
+
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+/**
+ * Attach reviews and aggregateRating to a business schema
+ * @param {object} businessSchema - LocalBusiness, branch or Organization node
+ * @param {object} testimonials - Extracted testimonials
+ * @param {object} options - {thirdPartyReviews}
+ * @returns {object} - The same business schema (mutated)
+ */
+function attach(businessSchema, testimonials, options = {}) {
+  if (!businessSchema) {
+    return businessSchema;
+  }
+
+  const reviewData = generate(testimonials, options);
+  if (!reviewData) {
+    return businessSchema;
+  }
+
+  if (reviewData.review) {
+    businessSchema.review = reviewData.review;
+  }
+  if (reviewData.aggregateRating) {
+    businessSchema.aggregateRating = reviewData.aggregateRating;
+  }
+
+  return businessSchema;
+}
+
+/**
+ * Build an AggregateRating object
+ */
+function buildAggregateRating(value, count) {
+  return {
+    '@type': 'AggregateRating',
+    'ratingValue': String(value),
+    'reviewCount': String(count),
+    'bestRating': '5',
+    'worstRating': '1'
+  };
+}
+
+/**
+ * Clean text for schema output
+ */
+function cleanText(text) {
+  if (!text) return '';
+  return text
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+module.exports = {
+  generate,
+  attach
+};
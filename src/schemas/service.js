@@ -222,7 +222,8 @@ function generate(pageData, orgInfo, options = {}) {
   if (orgInfo.logo) {
     schema.provider.logo = {
       '@type': 'ImageObject',
-      'url': orgInfo.logo
+      'url': orgInfo.logo,
+      '@id': `${orgInfo.url}#logo`
     };
   }
 
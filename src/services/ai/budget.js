@@ -0,0 +1,193 @@
+/**
+ * AI spending budgets
+ *
+ * ai.call asks reserve() before every request. The request's cost is estimated from the prompt
+ * size (about 4 characters per token) plus its full maxTokens of output, priced like ./usage, and
+ * checked against each limit that applies:
+ *   daily   - all spending today (UTC)
+ *   perJob  - one bulk job (a job's own `budget` overrides it)
+ *   perSite - everything spent on one site (page host) so far; sites.{host} overrides it
+ * Spent amounts come from ./usage plus the estimates of requests still in flight, so concurrent
+ * URLs can't overshoot together.
+ *
+ * Over a limit, reserve() throws an Error with code 'AI_BUDGET_EXCEEDED' and pauseJob: true, so
+ * bulk jobs pause (see jobQueue) instead of failing every remaining URL. Limits are USD; null or
+ * 0 means no limit. Defaults come from AI_BUDGET_DAILY, AI_BUDGET_PER_JOB and AI_BUDGET_PER_SITE;
+ * edits (PUT /api/ai/budgets) are saved to data/ai-budgets.json (AI_BUDGETS_FILE). Requests to
+ * unpriced models can't be estimated and are not limited.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const usage = require('./usage');
+
+const DATA_DIR = path.join(__dirname, '../../../data');
+const CHARS_PER_TOKEN = 4;
+
+let budgets = null;
+
+// In-flight estimates: { day, jobs: {id: usd}, sites: {host: usd} }
+const reserved = { day: 0, jobs: {}, sites: {} };
+
+function budgetsFile() {
+  return process.env.AI_BUDGETS_FILE || path.join(DATA_DIR, 'ai-budgets.json');
+}
+
+function envLimit(name) {
+  const value = parseFloat(process.env[name]);
+  return value > 0 ? value : null;
+}
+
+function limit(value) {
+  return typeof value === 'number' && value > 0 ? value : null;
+}
+
+/**
+ * Current limits (saved edits over the .env defaults)
+ * @returns {object} - { daily, perJob, perSite, sites: {host: usd} }
+ */
+function getBudgets() {
+  if (!budgets) {
+    let saved = {};
+    try {
+      if (fs.existsSync(budgetsFile())) saved = JSON.parse(fs.readFileSync(budgetsFile(), 'utf8'));
+    } catch (e) {
+      console.warn(`[ai/budget] Ignoring unreadable ${budgetsFile()}: ${e.message}`);
+    }
+    budgets = {
+      daily: 'daily' in saved ? limit(saved.daily) : envLimit('AI_BUDGET_DAILY'),
+      perJob: 'perJob' in saved ? limit(saved.perJob) : envLimit('AI_BUDGET_PER_JOB'),
+      perSite: 'perSite' in saved ? limit(saved.perSite) : envLimit('AI_BUDGET_PER_SITE'),
+      sites: saved.sites || {}
+    };
+  }
+  return budgets;
+}
+
+/**
+ * Replace the limits and save them
+ * @param {object} values - { daily, perJob, perSite, sites } in USD (null/0 = no limit)
+ */
+function setBudgets(values = {}) {
+  const invalid = ['daily', 'perJob', 'perSite']
+    .concat(Object.keys(values.sites || {}).map(host => `sites.${host}`))
+    .find(key => {
+      const value = key.startsWith('sites.') ? values.sites[key.slice(6)] : values[key];
+      return value !== null && value !== undefined && !(typeof value === 'number' && value >= 0);
+    });
+  if (invalid) {
+    throw new Error(`Invalid budget ${invalid}: use a number of USD >= 0, or null for no limit`);
+  }
+
+  const data = {
+    daily: limit(values.daily),
+    perJob: limit(values.perJob),
+    perSite: limit(values.perSite),
+    sites: Object.fromEntries(Object.entries(values.sites || {}).filter(([, value]) => limit(value)))
+  };
+  const file = budgetsFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(data, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+  budgets = null;
+  return getBudgets();
+}
+
+/**
+ * Worst-case cost of a request before it is sent (null for unpriced models)
+ */
+function estimate(provider, model, prompt, maxTokens) {
+  return usage.costOf(provider, model, {
+    promptTokens: Math.ceil((prompt || '').length / CHARS_PER_TOKEN),
+    completionTokens: maxTokens || 0
+  });
+}
+
+const usd = value => `$${value.toFixed(value < 1 ? 4 : 2)}`;
+
+/**
+ * Limits that apply to a request, with what has been spent against each
+ */
+function applicableLimits(context) {
+  const config = getBudgets();
+  const totals = usage.getUsage();
+  const site = usage.siteOf(context);
+  const result = [];
+
+  if (config.daily) {
+    result.push({ scope: 'daily', limit: config.daily, spent: totals.today.cost + reserved.day, hint: 'Raise the daily budget or wait until tomorrow (UTC)' });
+  }
+
+  const jobLimit = limit(context.jobBudget) || config.perJob;
+  if (context.jobId && jobLimit) {
+    const spent = (usage.getJobUsage(context.jobId)?.cost || 0) + (reserved.jobs[context.jobId] || 0);
+    result.push({ scope: 'job', limit: jobLimit, spent, hint: 'Raise the job budget and resume the job' });
+  }
+
+  const siteLimit = site && (limit(config.sites[site]) || config.perSite);
+  if (siteLimit) {
+    const spent = (totals.sites[site]?.cost || 0) + (reserved.sites[site] || 0);
+    result.push({ scope: 'site', limit: siteLimit, spent, site, hint: `Raise the budget for ${site}` });
+  }
+
+  return result;
+}
+
+function adjust(context, site, amount) {
+  reserved.day += amount;
+  if (context.jobId) reserved.jobs[context.jobId] = (reserved.jobs[context.jobId] || 0) + amount;
+  if (site) reserved.sites[site] = (reserved.sites[site] || 0) + amount;
+}
+
+/**
+ * Check a request against the budgets and hold its estimated cost until it finishes
+ * @param {object} request - { provider, model, prompt, maxTokens }
+ * @param {object} context - { url, jobId, site, jobBudget }
+ * @returns {function} - release(), to call once the request has finished (its real cost is in ./usage by then)
+ */
+function reserve(request, context = {}) {
+  const cost = estimate(request.provider, request.model, request.prompt, request.maxTokens);
+  if (cost === null) return () => {};
+
+  for (const check of applicableLimits(context)) {
+    if (check.spent + cost > check.limit) {
+      const scope = check.scope === 'site' ? `site budget for ${check.site}` : `${check.scope} budget`;
+      const error = new Error(`AI ${scope} reached: ${usd(check.spent)} of ${usd(check.limit)} spent, next request could cost up to ${usd(cost)}. ${check.hint}.`);
+      error.code = 'AI_BUDGET_EXCEEDED';
+      error.pauseJob = true;
+      error.budget = { scope: check.scope, limit: check.limit, spent: check.spent, estimate: cost };
+      throw error;
+    }
+  }
+
+  const site = usage.siteOf(context);
+  adjust(context, site, cost);
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    adjust(context, site, -cost);
+  };
+}
+
+/**
+ * Limits with today's and each site's spending
+ */
+function getStatus() {
+  const totals = usage.getUsage();
+  return {
+    budgets: getBudgets(),
+    spent: {
+      today: totals.today.cost,
+      sites: Object.fromEntries(Object.entries(totals.sites).map(([site, total]) => [site, total.cost]))
+    }
+  };
+}
+
+module.exports = {
+  getBudgets,
+  setBudgets,
+  estimate,
+  reserve,
+  getStatus
+};
@@ -5,11 +5,18 @@
 
 const openaiProvider = require('./providers/openai');
 const geminiProvider = require('./providers/gemini');
+const anthropicProvider = require('./providers/anthropic');
+const localProvider = require('./providers/local');
+const usage = require('./usage');
+const budget = require('./budget');
+const jsonSchema = require('./jsonSchema');
 
 // Available providers - add new ones here
 const providers = {
   openai: openaiProvider,
-  gemini: geminiProvider
+  gemini: geminiProvider,
+  anthropic: anthropicProvider,
+  local: localProvider
 };
 
 // Available models - update this as new models are released
@@ -24,9 +31,42 @@ const availableModels = {
     { id: 'gemini-2.0-flash', name: 'Gemini 2.0 Flash (Recommended)', default: true },
     { id: 'gemini-2.5-flash', name: 'Gemini 2.5 Flash (Latest)' },
     { id: 'gemini-2.5-pro', name: 'Gemini 2.5 Pro' }
-  ]
+  ],
+  anthropic: [
+    { id: 'claude-sonnet-4-5', name: 'Claude Sonnet 4.5 (Recommended)', default: true },
+    { id: 'claude-opus-4-1', name: 'Claude Opus 4.1 (Most capable)' },
+    { id: 'claude-haiku-4-5', name: 'Claude Haiku 4.5 (Faster/Cheaper)' }
+  ],
+  // Filled from the server by discoverModels()
+  local: []
 };
 
+// Extra requests callJSON makes when a response doesn't match its schema
+const REPAIR_ATTEMPTS = 1;
+
+// Last model discovery error per provider (e.g. local server not running)
+const discoveryErrors = {};
+
+/**
+ * Refresh model lists from providers that can list their own (the local server)
+ */
+async function discoverModels() {
+  for (const [providerName, provider] of Object.entries(providers)) {
+    if (!provider.listModels) continue;
+    delete discoveryErrors[providerName];
+    if (!provider.isConfigured()) {
+      availableModels[providerName] = [];
+      continue;
+    }
+    try {
+      availableModels[providerName] = await provider.listModels();
+    } catch (error) {
+      availableModels[providerName] = [];
+      discoveryErrors[providerName] = error.message;
+    }
+  }
+}
+
 /**
  * Get available providers and their models
  */
@@ -40,6 +80,9 @@ function getAvailableProviders() {
       configured: provider.isConfigured(),
       models: models
     };
+    if (discoveryErrors[providerName]) {
+      result[providerName].error = discoveryErrors[providerName];
+    }
   }
 
   return result;
@@ -50,16 +93,23 @@ function getAvailableProviders() {
  */
 function getDefaultModel(providerName) {
   const models = availableModels[providerName];
-  if (!models) return null;
+  if (!models || models.length === 0) return null;
   const defaultModel = models.find(m => m.default);
   return defaultModel ? defaultModel.id : models[0].id;
 }
 
 /**
  * Call AI with a prompt
- * @param {string} providerName - 'openai' or 'gemini'
+ * @param {string} providerName - 'openai', 'gemini', 'anthropic' or 'local'
  * @param {string} prompt - The prompt to send
- * @param {object} options - { model, temperature, maxTokens, apiKey }
+ * @param {object} options - { model, temperature, maxTokens, apiKey, jsonMode, responseSchema, operation, context, onUsage }
+ *   jsonMode asks providers that support it (local) for JSON-only output
+ *   responseSchema (JSON Schema) asks providers with structured output (OpenAI, Gemini, Anthropic
+ *   tool use, Ollama) to follow it
+ *   Each response's token usage is recorded under options.operation and options.context
+ *   ({url, jobId, site}, see ./usage) and passed to onUsage with its cost
+ *   Requests that could go over a budget (./budget) throw AI_BUDGET_EXCEEDED before they are sent;
+ *   options.context.jobBudget overrides the per-job limit
  */
 async function call(providerName, prompt, options = {}) {
   const provider = providers[providerName];
@@ -68,44 +118,161 @@ async function call(providerName, prompt, options = {}) {
     throw new Error(`Unknown AI provider: ${providerName}`);
   }
 
-  // Allow API key from options (UI) or fall back to checking .env
+  // Allow API key from options (UI) or fall back to checking .env (keyless providers check their own setup)
   const hasApiKey = options.apiKey || provider.isConfigured();
-  if (!hasApiKey) {
+  if (!hasApiKey && provider.requiresApiKey !== false) {
     throw new Error(`${provider.name} API key not provided. Enter your API key in the UI or add it to the .env file.`);
   }
 
   const model = options.model || getDefaultModel(providerName);
+  const maxTokens = options.maxTokens || 2000;
+  const release = budget.reserve({ provider: providerName, model, prompt, maxTokens }, options.context);
 
-  return provider.call(prompt, {
-    model,
-    temperature: options.temperature || 0.3,
-    maxTokens: options.maxTokens || 2000,
-    apiKey: options.apiKey  // Pass API key to provider
-  });
+  try {
+    return await provider.call(prompt, {
+      model,
+      temperature: options.temperature || 0.3,
+      maxTokens,
+      apiKey: options.apiKey,  // Pass API key to provider
+      jsonMode: options.jsonMode,
+      responseSchema: options.responseSchema,
+      onUsage: tokens => {
+        const entry = usage.record({ provider: providerName, model, operation: options.operation, ...tokens }, options.context);
+        if (options.onUsage) options.onUsage(entry);
+      }
+    });
+  } finally {
+    release();
+  }
 }
 
 /**
  * Call AI and parse JSON response
+ * With options.schema (JSON Schema) the provider is asked for structured output (OpenAI and
+ * Gemini response schemas, a forced tool call on Anthropic, JSON mode on local servers) and every
+ * response must be exactly a JSON document (JSON.parse, no fences or text around it) that
+ * validates against it; an invalid one is sent back with its errors (options.repairAttempts
+ * times, default 1) before giving up with code 'AI_INVALID_RESPONSE'. Without a schema the
+ * response is parsed leniently (see parseJSON).
  */
 async function callJSON(providerName, prompt, options = {}) {
-  const response = await call(providerName, prompt, options);
+  const { schema, ...callOptions } = options;
+  const repairs = schema ? (options.repairAttempts ?? REPAIR_ATTEMPTS) : 0;
+  let request = prompt;
 
-  // Try to extract JSON from response
-  try {
-    // Handle markdown code blocks
-    let jsonStr = response;
-    const jsonMatch = response.match(/```(?:json)?\s*([\s\S]*?)```/);
-    if (jsonMatch) {
-      jsonStr = jsonMatch[1];
+  for (let attempt = 0; ; attempt++) {
+    const response = await call(providerName, request, {
+      ...callOptions,
+      jsonMode: schema ? true : callOptions.jsonMode,
+      responseSchema: schema,
+      operation: attempt > 0 && options.operation ? `${options.operation}_repair` : options.operation
+    });
+
+    let result;
+    let errors;
+    try {
+      result = schema ? JSON.parse(response.trim()) : parseJSON(response);
+      errors = schema ? jsonSchema.validate(result, schema) : [];
+    } catch (e) {
+      if (!schema) {
+        throw new Error(`Failed to parse AI response as JSON: ${e.message}`);
+      }
+      errors = [`not valid JSON (${e.message})`];
+    }
+
+    if (errors.length === 0) return result;
+
+    if (attempt >= repairs) {
+      const error = new Error(`AI response does not match the expected format after ${attempt + 1} attempt(s): ${errors.slice(0, 10).join('; ')}`);
+      error.code = 'AI_INVALID_RESPONSE';
+      error.validationErrors = errors;
+      throw error;
     }
 
-    return JSON.parse(jsonStr.trim());
+    console.log(`[AI] Response failed validation (${errors.length} error(s)), asking ${providerName} to repair it: ${errors.slice(0, 3).join('; ')}`);
+    request = repairPrompt(prompt, response, errors);
+  }
+}
+
+/**
+ * The original prompt again, with the rejected response and what was wrong with it
+ */
+function repairPrompt(prompt, response, errors) {
+  return `${prompt}
+
+## Your previous response was rejected
+It does not match the required JSON format:
+${errors.slice(0, 20).map(e => `- ${e}`).join('\n')}
+
+Previous response:
+${response.length > 6000 ? `${response.substring(0, 6000)}...[truncated]` : response}
+
+Return the complete corrected JSON only, with no markdown or commentary.`;
+}
+
+/**
+ * Parse a JSON response, allowing for a markdown fence or text around the object
+ * (schema-less callers only: structured output is parsed strictly)
+ */
+function parseJSON(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const body = (fenced ? fenced[1] : text).trim();
+
+  try {
+    return JSON.parse(body);
   } catch (e) {
-    throw new Error(`Failed to parse AI response as JSON: ${e.message}`);
+    const extracted = extractBalancedJSON(body);
+    if (!extracted || extracted === body) throw e;
+    return JSON.parse(extracted);
+  }
+}
+
+/**
+ * Extract balanced JSON object from text using brace counting.
+ * More reliable than greedy regex which captures too much if there's trailing text with braces.
+ */
+function extractBalancedJSON(text) {
+  const start = text.indexOf('{');
+  if (start === -1) return null;
+
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+
+    if (escaped) {
+      escaped = false;
+      continue;
+    }
+
+    if (ch === '\\' && inString) {
+      escaped = true;
+      continue;
+    }
+
+    if (ch === '"') {
+      inString = !inString;
+      continue;
+    }
+
+    if (!inString) {
+      if (ch === '{') depth++;
+      else if (ch === '}') {
+        depth--;
+        if (depth === 0) {
+          return text.substring(start, i + 1);
+        }
+      }
+    }
   }
+
+  return null;
 }
 
 module.exports = {
+  discoverModels,
   getAvailableProviders,
   getDefaultModel,
   call,
@@ -0,0 +1,92 @@
+/**
+ * Minimal JSON Schema validator for AI responses
+ * Covers the keywords used by response schemas (see RESPONSE_SCHEMA in ./schemaGenerator):
+ * type, enum, required, properties, additionalProperties, items, minItems, maxItems,
+ * minLength, minimum, maximum and anyOf.
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {*} value - Parsed JSON
+ * @param {object} schema - JSON Schema
+ * @param {string} path - Location of value, for messages
+ * @returns {array} - Error messages like 'schemas[0].schema: missing required property "@type"' (empty if valid)
+ */
+function validate(value, schema, path = '') {
+  const at = path || '(root)';
+  const errors = [];
+
+  if (schema.anyOf) {
+    if (!schema.anyOf.some(option => validate(value, option, path).length === 0)) {
+      errors.push(`${at}: does not match any allowed form`);
+    }
+    return errors;
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${at}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${at}: must not be empty`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${at}: must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${at}: must have at most ${schema.maxItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}: missing required property "${key}"`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const itemPath = path ? `${path}.${key}` : key;
+      if (properties[key]) {
+        errors.push(...validate(item, properties[key], itemPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}: unexpected property "${key}"`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(item, schema.additionalProperties, itemPath));
+      }
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validate
+};
@@ -0,0 +1,116 @@
+/**
+ * Anthropic Provider
+ * Supports Claude models through the Messages API
+ */
+
+const axios = require('axios');
+
+const name = 'Anthropic Claude';
+
+const API_VERSION = '2023-06-01';
+
+// Structured output: the model must call this tool, and its input is the JSON document
+const RESPONSE_TOOL = 'respond';
+
+/**
+ * Check if provider is configured (via .env)
+ */
+function isConfigured() {
+  return !!process.env.ANTHROPIC_API_KEY;
+}
+
+/**
+ * Call Anthropic Messages API
+ * @param {string} prompt - The prompt
+ * @param {object} options - { model, temperature, maxTokens, apiKey, responseSchema, onUsage }
+ */
+async function call(prompt, options = {}) {
+  // Allow API key from options (UI input) or fall back to .env
+  const apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
+
+  if (!apiKey) {
+    throw new Error('Anthropic API key not provided. Enter your API key in the UI or add ANTHROPIC_API_KEY to .env file.');
+  }
+
+  const model = options.model || 'claude-sonnet-4-5';
+  const temperature = options.temperature || 0.3;
+  const maxTokens = options.maxTokens || 2000;
+  // ANTHROPIC_BASE_URL points at a proxy or a local mock server
+  const baseUrl = (process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com').replace(/\/+$/, '');
+
+  try {
+    const response = await axios.post(
+      `${baseUrl}/v1/messages`,
+      {
+        model,
+        system: 'You are a helpful assistant that analyzes web pages and extracts structured data. Always respond with valid JSON when asked.',
+        messages: [
+          {
+            role: 'user',
+            content: prompt
+          }
+        ],
+        temperature,
+        max_tokens: maxTokens,
+        ...(options.responseSchema ? {
+          tools: [{ name: RESPONSE_TOOL, description: 'Return the response in the required format', input_schema: options.responseSchema }],
+          tool_choice: { type: 'tool', name: RESPONSE_TOOL }
+        } : {})
+      },
+      {
+        headers: {
+          'x-api-key': apiKey,
+          'anthropic-version': API_VERSION,
+          'Content-Type': 'application/json'
+        },
+        timeout: 60000
+      }
+    );
+
+    if (!response.data || !Array.isArray(response.data.content)) {
+      throw new Error('Anthropic API returned no content');
+    }
+
+    const usage = response.data.usage;
+    if (usage && options.onUsage) {
+      options.onUsage({
+        promptTokens: usage.input_tokens || 0,
+        completionTokens: usage.output_tokens || 0,
+        totalTokens: (usage.input_tokens || 0) + (usage.output_tokens || 0)
+      });
+    }
+
+    if (response.data.stop_reason === 'refusal') {
+      throw new Error('Claude declined to answer this request');
+    }
+
+    const toolUse = response.data.content.find(block => block.type === 'tool_use' && block.name === RESPONSE_TOOL);
+    if (options.responseSchema && toolUse) {
+      return JSON.stringify(toolUse.input);
+    }
+
+    // Responses are a list of blocks; only text blocks carry the answer
+    const content = response.data.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    if (!content) {
+      throw new Error('Empty response from Anthropic - no text content in response');
+    }
+
+    return content;
+  } catch (error) {
+    if (error.response) {
+      const errorMsg = error.response.data?.error?.message || error.response.statusText;
+      throw new Error(`Anthropic API error: ${errorMsg}`);
+    }
+    throw new Error(`Anthropic request failed: ${error.message}`);
+  }
+}
+
+module.exports = {
+  name,
+  isConfigured,
+  call
+};
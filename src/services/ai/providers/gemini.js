@@ -17,7 +17,7 @@ function isConfigured() {
 /**
  * Call Gemini API
  * @param {string} prompt - The prompt
- * @param {object} options - { model, temperature, maxTokens, apiKey }
+ * @param {object} options - { model, temperature, maxTokens, apiKey, responseSchema, onUsage }
  */
 async function call(prompt, options = {}) {
   // Allow API key from options (UI input) or fall back to .env
@@ -30,10 +30,12 @@ async function call(prompt, options = {}) {
   const model = options.model || 'gemini-2.0-flash';
   const temperature = options.temperature || 0.3;
   const maxTokens = options.maxTokens || 2000;
+  // GEMINI_BASE_URL points at a proxy or a local mock server
+  const baseUrl = (process.env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com').replace(/\/+$/, '');
 
   try {
     const response = await axios.post(
-      `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`,
+      `${baseUrl}/v1beta/models/${model}:generateContent?key=${apiKey}`,
       {
         contents: [
           {
@@ -46,7 +48,10 @@ async function call(prompt, options = {}) {
         ],
         generationConfig: {
           temperature,
-          maxOutputTokens: maxTokens
+          maxOutputTokens: maxTokens,
+          // The JSON Schema form of responseSchema: the OpenAPI form can't leave an object's
+          // properties open, and JSON-LD nodes need that
+          ...(options.responseSchema ? { responseMimeType: 'application/json', responseJsonSchema: options.responseSchema } : {})
         },
         systemInstruction: {
           parts: [
@@ -69,6 +74,16 @@ async function call(prompt, options = {}) {
       throw new Error('Gemini API returned no data');
     }
 
+    // Blocked prompts are billed too, so report usage before checking the candidates
+    const usage = response.data.usageMetadata;
+    if (usage && options.onUsage) {
+      options.onUsage({
+        promptTokens: usage.promptTokenCount || 0,
+        completionTokens: (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0),
+        totalTokens: usage.totalTokenCount || (usage.promptTokenCount || 0) + (usage.candidatesTokenCount || 0)
+      });
+    }
+
     if (!response.data.candidates || !Array.isArray(response.data.candidates) || response.data.candidates.length === 0) {
       // Check for blocked content or other issues
       if (response.data.promptFeedback?.blockReason) {
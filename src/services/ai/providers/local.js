@@ -0,0 +1,165 @@
+/**
+ * Local LLM Provider
+ * Talks to a model server on your own machine or network, so page content never leaves it:
+ * - Ollama (POST /api/chat, models from GET /api/tags)
+ * - Any OpenAI-compatible server - llama.cpp, vLLM, LM Studio, LocalAI
+ *   (POST {base}/chat/completions, models from GET {base}/models)
+ *
+ * .env:
+ *   LOCAL_LLM_URL       - Server URL, e.g. http://localhost:11434 (Ollama) or http://localhost:8080/v1
+ *   LOCAL_LLM_API       - 'ollama' (default) or 'openai'
+ *   LOCAL_LLM_MODEL     - Default model (otherwise the first one the server lists)
+ *   LOCAL_LLM_JSON_MODE - 'true' to ask the server for JSON-only output (Ollama format: 'json',
+ *                         OpenAI-compatible response_format json_object); leave off for servers
+ *                         that reject it. Structured calls (callJSON with a schema) always ask
+ *   LOCAL_LLM_API_KEY   - Bearer token, for OpenAI-compatible servers behind auth
+ *   LOCAL_LLM_TIMEOUT   - Request timeout in ms (default 300000; local models can be slow)
+ */
+
+const axios = require('axios');
+
+const name = 'Local LLM';
+
+function settings() {
+  return {
+    baseUrl: (process.env.LOCAL_LLM_URL || '').replace(/\/+$/, ''),
+    api: process.env.LOCAL_LLM_API === 'openai' ? 'openai' : 'ollama',
+    jsonMode: process.env.LOCAL_LLM_JSON_MODE === 'true',
+    timeout: parseInt(process.env.LOCAL_LLM_TIMEOUT, 10) || 300000
+  };
+}
+
+function authHeaders(apiKey) {
+  const key = apiKey || process.env.LOCAL_LLM_API_KEY;
+  return key ? { 'Authorization': `Bearer ${key}` } : {};
+}
+
+/**
+ * Check if provider is configured (via .env)
+ */
+function isConfigured() {
+  return !!process.env.LOCAL_LLM_URL;
+}
+
+/**
+ * Models installed on the server
+ * @returns {Promise<Array>} - [{ id, name, default }]
+ */
+async function listModels() {
+  const { baseUrl, api } = settings();
+  if (!baseUrl) return [];
+
+  try {
+    const response = await axios.get(
+      api === 'ollama' ? `${baseUrl}/api/tags` : `${baseUrl}/models`,
+      { headers: authHeaders(), timeout: 5000 }
+    );
+    const ids = api === 'ollama'
+      ? (response.data.models || []).map(model => model.name)
+      : (response.data.data || []).map(model => model.id);
+    const defaultId = ids.includes(process.env.LOCAL_LLM_MODEL) ? process.env.LOCAL_LLM_MODEL : ids[0];
+
+    return ids.map(id => ({ id, name: id, default: id === defaultId }));
+  } catch (error) {
+    throw new Error(`Local LLM server not reachable at ${baseUrl}: ${error.message}`);
+  }
+}
+
+/**
+ * Call the local model server
+ * @param {string} prompt - The prompt
+ * @param {object} options - { model, temperature, maxTokens, apiKey, jsonMode, responseSchema, onUsage }
+ */
+async function call(prompt, options = {}) {
+  const { baseUrl, api, jsonMode, timeout } = settings();
+
+  if (!baseUrl) {
+    throw new Error('Local LLM server not configured. Add LOCAL_LLM_URL to .env file.');
+  }
+
+  const model = options.model || process.env.LOCAL_LLM_MODEL;
+  if (!model) {
+    throw new Error('No local model selected. Choose one in the UI or set LOCAL_LLM_MODEL in .env file.');
+  }
+
+  const temperature = options.temperature || 0.3;
+  const maxTokens = options.maxTokens || 2000;
+  const json = options.jsonMode !== undefined ? options.jsonMode : jsonMode;
+  const messages = [
+    {
+      role: 'system',
+      content: 'You are a helpful assistant that analyzes web pages and extracts structured data. Always respond with valid JSON when asked.'
+    },
+    {
+      role: 'user',
+      content: prompt
+    }
+  ];
+
+  try {
+    let content;
+    let usage;
+
+    if (api === 'ollama') {
+      const response = await axios.post(
+        `${baseUrl}/api/chat`,
+        {
+          model,
+          messages,
+          stream: false,
+          // Ollama takes a JSON Schema as the format for structured output
+          ...(json ? { format: options.responseSchema || 'json' } : {}),
+          options: {
+            temperature,
+            num_predict: maxTokens
+          }
+        },
+        { headers: { 'Content-Type': 'application/json' }, timeout }
+      );
+
+      content = response.data.message?.content;
+      usage = { promptTokens: response.data.prompt_eval_count || 0, completionTokens: response.data.eval_count || 0 };
+    } else {
+      const response = await axios.post(
+        `${baseUrl}/chat/completions`,
+        {
+          model,
+          messages,
+          temperature,
+          max_tokens: maxTokens,
+          ...(json ? { response_format: { type: 'json_object' } } : {})
+        },
+        { headers: { ...authHeaders(options.apiKey), 'Content-Type': 'application/json' }, timeout }
+      );
+
+      content = response.data.choices?.[0]?.message?.content;
+      usage = { promptTokens: response.data.usage?.prompt_tokens || 0, completionTokens: response.data.usage?.completion_tokens || 0 };
+    }
+
+    if (options.onUsage) {
+      options.onUsage({ ...usage, totalTokens: usage.promptTokens + usage.completionTokens });
+    }
+
+    if (!content) {
+      throw new Error('Empty response from local model - no text content in response');
+    }
+
+    return content;
+  } catch (error) {
+    if (error.response) {
+      // Ollama: { error: '...' }; OpenAI-compatible: { error: { message } }
+      const data = error.response.data || {};
+      const errorMsg = (typeof data.error === 'string' ? data.error : data.error?.message) || error.response.statusText;
+      throw new Error(`Local LLM error: ${errorMsg}`);
+    }
+    throw new Error(`Local LLM request failed: ${error.message}`);
+  }
+}
+
+module.exports = {
+  name,
+  requiresApiKey: false,
+  isConfigured,
+  listModels,
+  call
+};
@@ -7,6 +7,10 @@ const axios = require('axios');
 
 const name = 'OpenAI';
 
+// Models with Structured Outputs (response_format json_schema); older ones get JSON mode or nothing
+const JSON_SCHEMA_MODELS = /^(gpt-4o|gpt-4\.1|gpt-5|o\d)/;
+const JSON_MODE_MODELS = /^(gpt-4-turbo|gpt-3\.5-turbo)/;
+
 /**
  * Check if provider is configured (via .env)
  */
@@ -14,10 +18,21 @@ function isConfigured() {
   return !!process.env.OPENAI_API_KEY;
 }
 
+/**
+ * response_format for a JSON Schema (non-strict: strict mode can't express free-form JSON-LD objects)
+ */
+function responseFormat(model, schema) {
+  if (!schema) return null;
+  if (JSON_SCHEMA_MODELS.test(model)) {
+    return { type: 'json_schema', json_schema: { name: 'response', schema, strict: false } };
+  }
+  return JSON_MODE_MODELS.test(model) ? { type: 'json_object' } : null;
+}
+
 /**
  * Call OpenAI API
  * @param {string} prompt - The prompt
- * @param {object} options - { model, temperature, maxTokens, apiKey }
+ * @param {object} options - { model, temperature, maxTokens, apiKey, responseSchema, onUsage }
  */
 async function call(prompt, options = {}) {
   // Allow API key from options (UI input) or fall back to .env
@@ -30,10 +45,13 @@ async function call(prompt, options = {}) {
   const model = options.model || 'gpt-4o';
   const temperature = options.temperature || 0.3;
   const maxTokens = options.maxTokens || 2000;
+  // OPENAI_BASE_URL points at a proxy or a local mock server
+  const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+  const format = responseFormat(model, options.responseSchema);
 
   try {
     const response = await axios.post(
-      'https://api.openai.com/v1/chat/completions',
+      `${baseUrl}/chat/completions`,
       {
         model,
         messages: [
@@ -47,7 +65,8 @@ async function call(prompt, options = {}) {
           }
         ],
         temperature,
-        max_tokens: maxTokens
+        max_tokens: maxTokens,
+        ...(format ? { response_format: format } : {})
       },
       {
         headers: {
@@ -58,6 +77,15 @@ async function call(prompt, options = {}) {
       }
     );
 
+    const usage = response.data.usage;
+    if (usage && options.onUsage) {
+      options.onUsage({
+        promptTokens: usage.prompt_tokens || 0,
+        completionTokens: usage.completion_tokens || 0,
+        totalTokens: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0)
+      });
+    }
+
     return response.data.choices[0].message.content;
   } catch (error) {
     if (error.response) {
@@ -4,6 +4,9 @@
  */
 
 const aiService = require('./index');
+const aiUsage = require('./usage');
+const vocabulary = require('../vocabulary');
+const graphNormalizer = require('../graphNormalizer');
 
 const SCHEMA_PROMPT = `You are an SEO expert specializing in structured data. Analyze this web page and create ALL appropriate JSON-LD schemas.
 
@@ -129,6 +132,38 @@ CRITICAL RULES:
 - WordPress "post" = Article schema. WordPress "page" = Service schema (unless About/Home page)
 - For areaServed, use \`@type: "City"\` instead of \`@type: "Place"\` for municipalities — City is more semantically accurate`;
 
+// Shape of the AI's answer: sent as the provider's structured output schema and checked on
+// every response (see callJSON). Each schema stays an open object for its JSON-LD properties.
+const RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    pageType: { type: 'string', enum: ['service', 'article', 'location', 'about', 'homepage'] },
+    schemas: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', minLength: 1 },
+          schema: {
+            type: 'object',
+            properties: {
+              '@context': { type: 'string' },
+              '@type': { anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' }, minItems: 1 }] },
+              '@id': { type: 'string' }
+            },
+            required: ['@type']
+          }
+        },
+        required: ['type', 'schema']
+      }
+    },
+    summary: { type: 'string' },
+    confidence: { type: 'number', minimum: 0, maximum: 1 }
+  },
+  required: ['pageType', 'schemas', 'summary', 'confidence']
+};
+
 /**
  * Safe string replacement that doesn't interpret $ patterns.
  * JavaScript's String.replace() treats $&, $', $` as special in replacement strings.
@@ -144,10 +179,13 @@ function safeReplace(str, search, replacement) {
  * Generate schemas using AI
  * @param {object} pageData - Scraped page data
  * @param {object} orgInfo - Organization info
- * @param {object} options - AI options (provider, model, apiKey)
+ * @param {object} options - AI options (provider, model, apiKey, pageType, context)
+ *   context attributes token usage ({url, jobId, site}, see ./usage)
  */
 async function generateSchemas(pageData, orgInfo, options = {}) {
   const { provider = 'gemini', model, apiKey, pageType } = options;
+  const context = { url: pageData.url, ...options.context };
+  const calls = [];
 
   // Normalize orgInfo field names (frontend sends orgName/orgUrl, we need name/url)
   const org = {
@@ -208,39 +246,55 @@ async function generateSchemas(pageData, orgInfo, options = {}) {
   console.log(`[AI Schema] Building prompt: url=${pageData.url} wpType=${wpPostType} pageType=${pageType||'auto'} title="${(pageData.title||'').substring(0,50)}" contentLen=${content.length} faqCount=${(pageData.faqs||[]).length} provider=${provider}`);
 
   try {
-    const response = await aiService.call(provider, prompt, {
+    // Structured output where the provider has it; invalid responses are repaired or rejected
+    const result = await aiService.callJSON(provider, prompt, {
       model,
       apiKey,
-      maxTokens: 8192
+      maxTokens: 8192,
+      schema: RESPONSE_SCHEMA,
+      operation: 'schema_generation',
+      context,
+      onUsage: entry => calls.push(entry)
     });
 
-    console.log(`[AI Schema] AI response received: ${response.length} chars`);
+    console.log(`[AI Schema] Received ${result.schemas.length} schemas: ${result.schemas.map(s => s.type).join(', ')}`);
 
-    // Parse the AI response
-    const result = parseAIResponse(response);
+    // Post-process: ensure Service providers have complete addresses
+    const addressedSchemas = ensureProviderAddresses(result.schemas, orgInfo, pageData);
 
-    if (!result.schemas || result.schemas.length === 0) {
-      console.log(`[AI Schema] WARNING: 0 schemas parsed. AI response (first 800 chars):\n${response.substring(0, 800)}`);
-    } else {
-      console.log(`[AI Schema] Parsed ${result.schemas.length} schemas: ${result.schemas.map(s => s.type).join(', ')}`);
+    // Resolve "#business"-style ids, merge duplicate entities and flag dangling/circular references
+    const graph = normalizeReferences(addressedSchemas, org, pageData);
+    const processedSchemas = graph.schemas;
+    if (graph.issues.length > 0) {
+      console.log(`[AI Schema] Reference issues: ${graph.issues.map(i => i.message).join('; ')}`);
     }
 
-    // Post-process: ensure Service providers have complete addresses
-    const processedSchemas = ensureProviderAddresses(result.schemas || [], orgInfo, pageData);
+    // Flag properties the AI put on the wrong type (e.g. priceRange on Service)
+    const vocabularyCheck = vocabulary.check({ '@graph': processedSchemas.map(s => s.schema) });
+    if (vocabularyCheck.issues.length > 0) {
+      console.log(`[AI Schema] Vocabulary issues: ${vocabularyCheck.issues.map(i => `${i.field}: ${i.message}`).join('; ')}`);
+    }
 
+    const usage = aiUsage.sum(calls);
     return {
       success: true,
       schemas: processedSchemas,
-      summary: result.summary || 'Schemas generated',
-      confidence: result.confidence || 0.8,
-      tokensUsed: 0  // Token tracking handled by provider
+      vocabularyIssues: vocabularyCheck.issues,
+      graphIssues: graph.issues,
+      summary: result.summary,
+      confidence: result.confidence,
+      tokensUsed: usage.totalTokens,
+      usage
     };
   } catch (error) {
     console.error(`[AI Schema] ERROR: ${error.message}`);
+    // A budget stop isn't this page's failure: let batch jobs pause on it
+    if (error.code === 'AI_BUDGET_EXCEEDED') throw error;
     return {
       success: false,
       error: error.message,
-      schemas: []
+      schemas: [],
+      usage: aiUsage.sum(calls)
     };
   }
 }
@@ -354,127 +408,33 @@ function ensureProviderAddresses(schemas, orgInfo, pageData) {
 }
 
 /**
- * Parse AI response to extract JSON
+ * Run the AI schemas through the graph normalizer as one @graph.
+ * Site-wide entities get the same ids the template generator uses; other relative
+ * ids ("#webpage") resolve against the page URL.
+ * @returns {object} - {schemas: [{type, schema}], issues}
  */
-function parseAIResponse(text) {
-  // Try to extract JSON from the response
-  let jsonStr = text;
-
-  // Remove markdown code blocks if present
-  if (text.includes('```json')) {
-    jsonStr = text.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-  } else if (text.includes('```')) {
-    jsonStr = text.replace(/```\n?/g, '');
-  }
-
-  // Find the JSON object using balanced brace matching (not greedy regex)
-  const extracted = extractBalancedJSON(jsonStr);
-  if (extracted) {
-    jsonStr = extracted;
-  }
-
-  try {
-    const parsed = JSON.parse(jsonStr.trim());
-
-    // Normalize schemas to always use { type, schema } wrapper format
-    let schemas = parsed.schemas;
-
-    // Check alternate property names the AI might use
-    if (!schemas || !Array.isArray(schemas)) {
-      schemas = parsed.schema || parsed.results || parsed.data || parsed['@graph'];
-      if (schemas && !Array.isArray(schemas)) schemas = [schemas];
-    }
-
-    if (schemas && Array.isArray(schemas) && schemas.length > 0) {
-      // Normalize each schema item to { type, schema } format
-      const normalized = schemas.map(item => {
-        // Already in expected format: { type: "Service", schema: { "@type": "Service", ... } }
-        if (item.type && item.schema && typeof item.schema === 'object') {
-          return item;
-        }
-        // Raw schema object: { "@type": "Service", "@context": "...", ... }
-        if (item['@type']) {
-          return { type: item['@type'], schema: item };
-        }
-        // Wrapped differently: { schemaType: "Service", data: { ... } }
-        if (item.schemaType && item.data) {
-          return { type: item.schemaType, schema: item.data };
-        }
-        // Unknown format — wrap as-is
-        return { type: 'Thing', schema: item };
-      });
-
-      console.log(`[AI Schema] Normalized ${normalized.length} schemas from AI response`);
-      return {
-        ...parsed,
-        schemas: normalized
-      };
-    }
-
-    // AI might return a single schema at top level
-    if (parsed['@type'] || parsed['@graph']) {
-      console.log('[AI Schema] Response is raw schema at top level, wrapping it');
-      if (parsed['@graph'] && Array.isArray(parsed['@graph'])) {
-        const wrapped = parsed['@graph'].map(s => ({ type: s['@type'] || 'Thing', schema: s }));
-        return { schemas: wrapped, summary: 'Extracted from @graph', confidence: 0.7 };
+function normalizeReferences(schemas, org, pageData) {
+  if (!schemas || schemas.length === 0) return { schemas: schemas || [], issues: [] };
+
+  const { schema, issues } = graphNormalizer.normalize(
+    { '@graph': schemas.map(s => s.schema).filter(Boolean) },
+    {
+      baseUrl: pageData.url || org.url,
+      aliases: {
+        '#business': `${org.url}#localbusiness`,
+        '#organization': `${org.url}#organization`,
+        '#website': `${org.url}#website`
       }
-      return { schemas: [{ type: parsed['@type'] || 'Thing', schema: parsed }], summary: 'Single schema returned', confidence: 0.7 };
     }
+  );
 
-    // Nothing recognizable — log and return empty
-    console.log(`[AI Schema] Parsed JSON but no schemas found. Keys: ${Object.keys(parsed).join(', ')}`);
-    console.log(`[AI Schema] Full parsed response: ${JSON.stringify(parsed).substring(0, 800)}`);
-    return { ...parsed, schemas: [] };
-  } catch (e) {
-    console.error(`[AI Schema] Failed to parse AI response as JSON: ${e.message}`);
-    console.error(`[AI Schema] Attempted to parse (first 500 chars): ${jsonStr.substring(0, 500)}`);
-    return { schemas: [], summary: 'Failed to parse response', confidence: 0 };
-  }
-}
-
-/**
- * Extract balanced JSON object from text using brace counting.
- * More reliable than greedy regex which captures too much if there's trailing text with braces.
- */
-function extractBalancedJSON(text) {
-  const start = text.indexOf('{');
-  if (start === -1) return null;
-
-  let depth = 0;
-  let inString = false;
-  let escaped = false;
-
-  for (let i = start; i < text.length; i++) {
-    const ch = text[i];
-
-    if (escaped) {
-      escaped = false;
-      continue;
-    }
-
-    if (ch === '\\' && inString) {
-      escaped = true;
-      continue;
-    }
-
-    if (ch === '"') {
-      inString = !inString;
-      continue;
-    }
-
-    if (!inString) {
-      if (ch === '{') depth++;
-      else if (ch === '}') {
-        depth--;
-        if (depth === 0) {
-          return text.substring(start, i + 1);
-        }
-      }
-    }
-  }
-
-  // Fallback: return everything from first { (unbalanced but try anyway)
-  return text.substring(start);
+  return {
+    schemas: schema['@graph'].map(node => ({
+      type: [].concat(node['@type'] || 'Thing')[0],
+      schema: node['@context'] ? node : { '@context': 'https://schema.org', ...node }
+    })),
+    issues
+  };
 }
 
 /**
@@ -507,7 +467,7 @@ function generateFAQSchema(faqs, pageUrl) {
 }
 
 module.exports = {
+  RESPONSE_SCHEMA,
   generateSchemas,
-  generateFAQSchema,
-  parseAIResponse
+  generateFAQSchema
 };
@@ -0,0 +1,289 @@
+/**
+ * AI token and cost accounting
+ *
+ * ai.call reports every provider response here with its token counts and where it came from
+ * (operation, url, jobId, site). Each call is priced from the price table and added to running
+ * totals per site (URL host), per job and per day, kept in data/ai-usage.json (AI_USAGE_FILE),
+ * which is rewritten a few seconds after a burst of calls rather than on every call.
+ * Per-URL totals travel with the results (generateSchemas/verifier return `usage`).
+ *
+ * Prices are USD per million tokens, { provider: { model: { input, output } } }; '*' is the
+ * fallback for a provider's unlisted models. Edits (PUT /api/ai/prices) are saved to
+ * data/ai-prices.json (AI_PRICES_FILE) on top of DEFAULT_PRICES. Calls to models without a
+ * price have cost null and are counted as unpricedCalls.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+
+const DATA_DIR = path.join(__dirname, '../../../data');
+
+// List prices when this table was last updated - edit in the UI when they change
+const DEFAULT_PRICES = {
+  openai: {
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'gpt-4': { input: 30, output: 60 },
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 }
+  },
+  gemini: {
+    'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+    'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+    'gemini-2.5-pro': { input: 1.25, output: 10 }
+  },
+  anthropic: {
+    'claude-sonnet-4-5': { input: 3, output: 15 },
+    'claude-opus-4-1': { input: 15, output: 75 },
+    'claude-haiku-4-5': { input: 1, output: 5 }
+  },
+  local: {
+    '*': { input: 0, output: 0 }
+  }
+};
+
+// Days of per-day totals kept
+const MAX_DAYS = 90;
+// Jobs with totals kept (oldest dropped first)
+const MAX_JOBS = 200;
+// Totals are saved at most this often (bulk jobs make many calls a second), and on exit
+const SAVE_DELAY_MS = 2000;
+
+let prices = null;
+let totals = null;
+let saveTimer = null;
+
+function pricesFile() {
+  return process.env.AI_PRICES_FILE || path.join(DATA_DIR, 'ai-prices.json');
+}
+
+function usageFile() {
+  return process.env.AI_USAGE_FILE || path.join(DATA_DIR, 'ai-usage.json');
+}
+
+function readJson(file, fallback) {
+  try {
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : fallback;
+  } catch (e) {
+    console.warn(`[ai/usage] Ignoring unreadable ${file}: ${e.message}`);
+    return fallback;
+  }
+}
+
+function writeJson(file, data) {
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(data, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  } catch (e) {
+    console.error(`[ai/usage] Failed to save ${file}: ${e.message}`);
+  }
+}
+
+function emptyTotals() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, unpricedCalls: 0 };
+}
+
+function loadTotals() {
+  if (!totals) {
+    totals = { sites: {}, jobs: {}, days: {}, ...readJson(usageFile(), {}) };
+  }
+  return totals;
+}
+
+/**
+ * Current price table (defaults merged with saved edits)
+ */
+function getPrices() {
+  if (!prices) {
+    const saved = readJson(pricesFile(), {});
+    prices = {};
+    for (const provider of new Set([...Object.keys(DEFAULT_PRICES), ...Object.keys(saved)])) {
+      prices[provider] = { ...DEFAULT_PRICES[provider], ...saved[provider] };
+    }
+  }
+  return prices;
+}
+
+/**
+ * Replace the price table and save it
+ * @param {object} table - { provider: { model: { input, output } } } in USD per million tokens
+ * @returns {object} - The saved table
+ */
+function setPrices(table) {
+  if (!table || typeof table !== 'object' || Array.isArray(table)) {
+    throw new Error('Prices must be an object of { provider: { model: { input, output } } }');
+  }
+
+  for (const [provider, models] of Object.entries(table)) {
+    for (const [model, price] of Object.entries(models || {})) {
+      const valid = price && ['input', 'output'].every(k => typeof price[k] === 'number' && price[k] >= 0);
+      if (!valid) {
+        throw new Error(`Invalid price for ${provider}/${model}: input and output must be numbers >= 0 (USD per million tokens)`);
+      }
+    }
+  }
+
+  writeJson(pricesFile(), table);
+  prices = null;
+  return getPrices();
+}
+
+/**
+ * Price for a model: exact match, then the provider's '*' entry
+ * @returns {object|null} - { input, output } or null if unpriced
+ */
+function priceOf(provider, model) {
+  const table = getPrices()[provider] || {};
+  return table[model] || table['*'] || null;
+}
+
+/**
+ * Cost in USD of one call's tokens (null when the model has no price)
+ */
+function costOf(provider, model, usage) {
+  const price = priceOf(provider, model);
+  if (!price) return null;
+  return ((usage.promptTokens || 0) * price.input + (usage.completionTokens || 0) * price.output) / 1e6;
+}
+
+/**
+ * Add a call (or a sum of calls) to a running total
+ */
+function addTo(total, usage) {
+  total.calls += usage.calls !== undefined ? usage.calls : 1;
+  total.promptTokens += usage.promptTokens || 0;
+  total.completionTokens += usage.completionTokens || 0;
+  total.totalTokens += usage.totalTokens || 0;
+  if (usage.cost === null || usage.cost === undefined) {
+    total.unpricedCalls += usage.unpricedCalls !== undefined ? usage.unpricedCalls : 1;
+  } else {
+    total.cost += usage.cost;
+    total.unpricedCalls += usage.unpricedCalls || 0;
+  }
+  return total;
+}
+
+/**
+ * Sum usage entries (calls, or earlier sums) into one total
+ */
+function sum(entries) {
+  return entries.filter(Boolean).reduce(addTo, emptyTotals());
+}
+
+/**
+ * Site a call is counted under: context.site, else the URL's host (null if neither)
+ */
+function siteOf(context) {
+  if (context.site) return context.site;
+  try {
+    return new URL(context.url).host;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Record one AI call
+ * @param {object} call - { provider, model, operation, promptTokens, completionTokens, totalTokens }
+ * @param {object} context - { url, jobId, site } (site defaults to the URL's host)
+ * @returns {object} - The call's usage with its cost
+ */
+function record(call, context = {}) {
+  const entry = {
+    provider: call.provider,
+    model: call.model,
+    promptTokens: call.promptTokens || 0,
+    completionTokens: call.completionTokens || 0,
+    totalTokens: call.totalTokens || (call.promptTokens || 0) + (call.completionTokens || 0)
+  };
+  entry.cost = costOf(entry.provider, entry.model, entry);
+
+  const data = loadTotals();
+  const site = siteOf(context);
+  const day = new Date().toISOString().slice(0, 10);
+
+  addTo(data.days[day] || (data.days[day] = emptyTotals()), entry);
+  if (site) addTo(data.sites[site] || (data.sites[site] = emptyTotals()), entry);
+  if (context.jobId) {
+    const job = data.jobs[context.jobId] || (data.jobs[context.jobId] = { ...emptyTotals(), startedAt: new Date().toISOString() });
+    addTo(job, entry);
+  }
+  prune(data);
+  scheduleSave();
+
+  logger.logTokens(entry.provider, entry.totalTokens, call.operation || 'ai_call', {
+    model: entry.model,
+    cost: entry.cost,
+    url: context.url,
+    jobId: context.jobId
+  });
+
+  return entry;
+}
+
+function prune(data) {
+  const days = Object.keys(data.days).sort();
+  for (const day of days.slice(0, Math.max(0, days.length - MAX_DAYS))) delete data.days[day];
+
+  const jobs = Object.entries(data.jobs).sort((a, b) => a[1].startedAt.localeCompare(b[1].startedAt));
+  for (const [id] of jobs.slice(0, Math.max(0, jobs.length - MAX_JOBS))) delete data.jobs[id];
+}
+
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(flush, SAVE_DELAY_MS);
+  saveTimer.unref();
+}
+
+/**
+ * Save pending totals now
+ */
+function flush() {
+  if (!saveTimer) return;
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  writeJson(usageFile(), totals);
+}
+
+process.on('exit', flush);
+
+/**
+ * Totals for one job (null if it made no AI calls)
+ */
+function getJobUsage(jobId) {
+  return loadTotals().jobs[jobId] || null;
+}
+
+/**
+ * All totals: { sites, jobs, days, today }
+ */
+function getUsage() {
+  const data = loadTotals();
+  const today = new Date().toISOString().slice(0, 10);
+  return { ...data, today: data.days[today] || emptyTotals() };
+}
+
+/**
+ * Forget all recorded totals (prices are kept)
+ */
+function reset() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  totals = { sites: {}, jobs: {}, days: {} };
+  writeJson(usageFile(), totals);
+}
+
+module.exports = {
+  DEFAULT_PRICES,
+  getPrices,
+  setPrices,
+  costOf,
+  sum,
+  record,
+  flush,
+  siteOf,
+  getJobUsage,
+  getUsage,
+  reset
+};
@@ -4,25 +4,30 @@
  */
 
 const ai = require('./index');
+const aiUsage = require('./usage');
+const ruleEngine = require('../ruleEngine');
 
 /**
  * Verify all extracted data for a page
  * @param {object} pageData - Scraped page data
  * @param {object} extractedData - Currently extracted schema data
  * @param {object} orgInfo - Organization info
- * @param {string} provider - 'openai' or 'gemini'
+ * @param {string} provider - 'openai', 'gemini', 'anthropic' or 'local'
  * @param {string} model - Specific model to use
  * @param {string} apiKey - Optional API key (from UI)
+ * @param {object} context - Usage attribution {jobId, site} (see ./usage); url defaults to the page's
  */
-async function verifyAll(pageData, extractedData, orgInfo, provider = 'openai', model = null, apiKey = null) {
+async function verifyAll(pageData, extractedData, orgInfo, provider = 'openai', model = null, apiKey = null, context = {}) {
   const prompt = buildVerificationPrompt(pageData, extractedData, orgInfo);
 
-  const result = await ai.callJSON(provider, prompt, { model, apiKey });
+  const calls = [];
+  const result = await ai.callJSON(provider, prompt, { model, apiKey, operation: 'verification', context: { url: pageData.url, ...context }, onUsage: entry => calls.push(entry) });
 
   return {
     provider,
     model: model || ai.getDefaultModel(provider),
-    verification: result
+    verification: result,
+    usage: aiUsage.sum(calls)
   };
 }
 
@@ -112,7 +117,7 @@ Respond with valid JSON only.`;
  * Quick page type verification only
  * @param {string} apiKey - Optional API key (from UI)
  */
-async function verifyPageType(pageData, currentType, provider = 'openai', model = null, apiKey = null) {
+async function verifyPageType(pageData, currentType, provider = 'openai', model = null, apiKey = null, context = {}) {
   const prompt = `Analyze this web page and determine its type.
 
 URL: ${pageData.url}
@@ -135,14 +140,14 @@ Respond with JSON:
   "locationIfApplicable": "City name if this is a location page"
 }`;
 
-  return ai.callJSON(provider, prompt, { model, maxTokens: 500, apiKey });
+  return ai.callJSON(provider, prompt, { model, maxTokens: 500, apiKey, operation: 'verification', context: { url: pageData.url, ...context } });
 }
 
 /**
  * Extract reviews/testimonials from page
  * @param {string} apiKey - Optional API key (from UI)
  */
-async function extractReviews(pageData, provider = 'openai', model = null, apiKey = null) {
+async function extractReviews(pageData, provider = 'openai', model = null, apiKey = null, context = {}) {
   const prompt = `Find customer reviews and testimonials on this page.
 
 URL: ${pageData.url}
@@ -177,14 +182,14 @@ Respond with JSON:
 Only include actual reviews found on the page. If none found, return empty arrays.
 Respond with valid JSON only.`;
 
-  return ai.callJSON(provider, prompt, { model, maxTokens: 1500, apiKey });
+  return ai.callJSON(provider, prompt, { model, maxTokens: 1500, apiKey, operation: 'verification', context: { url: pageData.url, ...context } });
 }
 
 /**
  * Verify and enhance FAQ extraction
  * @param {string} apiKey - Optional API key (from UI)
  */
-async function verifyFAQs(pageData, extractedFaqs, provider = 'openai', model = null, apiKey = null) {
+async function verifyFAQs(pageData, extractedFaqs, provider = 'openai', model = null, apiKey = null, context = {}) {
   const prompt = `Verify the extracted FAQs and find any that were missed.
 
 URL: ${pageData.url}
@@ -223,130 +228,35 @@ Respond with JSON:
 Only include FAQs actually present on the page.
 Respond with valid JSON only.`;
 
-  return ai.callJSON(provider, prompt, { model, maxTokens: 2000, apiKey });
+  return ai.callJSON(provider, prompt, { model, maxTokens: 2000, apiKey, operation: 'verification', context: { url: pageData.url, ...context } });
 }
 
 /**
  * Verify schema against Google Rich Results requirements
  * @param {object} schema - The generated schema (with @graph)
  * @param {object} pageData - Original scraped page data
- * @param {string} provider - 'openai' or 'gemini'
+ * @param {string} provider - 'openai', 'gemini', 'anthropic' or 'local'
  * @param {string} model - Specific model to use
  * @param {string} apiKey - Optional API key (from UI)
+ * @param {object} context - Usage attribution {jobId, site} (see ./usage); url defaults to the page's
  */
-async function verifyGoogleCompliance(schema, pageData, provider = 'openai', model = null, apiKey = null) {
+async function verifyGoogleCompliance(schema, pageData, provider = 'openai', model = null, apiKey = null, context = {}) {
   // First, do local validation for required fields
-  const localValidation = validateGoogleRequirements(schema);
+  const localValidation = ruleEngine.validate(schema);
 
   // Then, use AI to verify data accuracy and consistency
   const prompt = buildGoogleCompliancePrompt(schema, pageData, localValidation);
 
-  const result = await ai.callJSON(provider, prompt, { model, maxTokens: 2500, apiKey });
+  const calls = [];
+  const result = await ai.callJSON(provider, prompt, { model, maxTokens: 2500, apiKey, operation: 'verification', context: { url: pageData.url, ...context }, onUsage: entry => calls.push(entry) });
 
   return {
     provider,
     model: model || ai.getDefaultModel(provider),
     localValidation,
     aiVerification: result,
-    overallStatus: determineOverallStatus(localValidation, result)
-  };
-}
-
-/**
- * Local validation against Google Rich Results requirements
- * Based on https://developers.google.com/search/docs/appearance/structured-data
- */
-function validateGoogleRequirements(schema) {
-  const errors = [];
-  const warnings = [];
-  const recommendations = [];
-
-  const schemas = schema['@graph'] || [schema];
-
-  for (const s of schemas) {
-    const type = s['@type'];
-
-    // LocalBusiness / HVACBusiness validation
-    if (type === 'LocalBusiness' || type === 'HVACBusiness' ||
-        type === 'Plumber' || type === 'Electrician' || type === 'RoofingContractor') {
-      // Required fields
-      if (!s.name) errors.push({ type, field: 'name', message: 'LocalBusiness requires a name' });
-      if (!s.address) {
-        errors.push({ type, field: 'address', message: 'LocalBusiness requires an address (Google Rich Results will fail without it)' });
-      } else {
-        if (!s.address.addressLocality && !s.address.streetAddress) {
-          errors.push({ type, field: 'address.addressLocality', message: 'Address should have at least a city (addressLocality)' });
-        }
-      }
-
-      // Recommended fields
-      if (!s.telephone) warnings.push({ type, field: 'telephone', message: 'Phone number is recommended for LocalBusiness' });
-      if (!s.url) warnings.push({ type, field: 'url', message: 'URL is recommended for LocalBusiness' });
-      if (!s.image && !s.logo) recommendations.push({ type, field: 'image', message: 'Image/logo helps with rich results display' });
-      if (!s.priceRange) recommendations.push({ type, field: 'priceRange', message: 'Adding priceRange (e.g., "$$") can help users' });
-      if (!s.aggregateRating) recommendations.push({ type, field: 'aggregateRating', message: 'Adding ratings improves click-through rates' });
-    }
-
-    // Service validation
-    if (type === 'Service') {
-      if (!s.name) errors.push({ type, field: 'name', message: 'Service requires a name' });
-      if (!s.provider) warnings.push({ type, field: 'provider', message: 'Service should have a provider' });
-      if (!s.description) warnings.push({ type, field: 'description', message: 'Service should have a description' });
-      if (s.provider) {
-        // Provider address is REQUIRED - Google Rich Results will fail without it
-        if (!s.provider.address) {
-          errors.push({ type, field: 'provider.address', message: 'Service provider MUST have an address (Google Rich Results will show "Missing field address" error)' });
-        } else if (!s.provider.address.addressLocality && !s.provider.address.streetAddress) {
-          errors.push({ type, field: 'provider.address.addressLocality', message: 'Provider address should have at least a city (addressLocality)' });
-        }
-      }
-      if (!s.areaServed) recommendations.push({ type, field: 'areaServed', message: 'Adding areaServed helps with local search visibility' });
-    }
-
-    // Article validation
-    if (type === 'Article' || type === 'BlogPosting' || type === 'NewsArticle') {
-      if (!s.headline) errors.push({ type, field: 'headline', message: 'Article requires a headline' });
-      if (!s.author) warnings.push({ type, field: 'author', message: 'Article should have an author for E-E-A-T signals' });
-      if (!s.datePublished) warnings.push({ type, field: 'datePublished', message: 'Article should have datePublished' });
-      if (!s.image) warnings.push({ type, field: 'image', message: 'Article should have an image for rich results' });
-      if (!s.publisher) warnings.push({ type, field: 'publisher', message: 'Article should have a publisher' });
-    }
-
-    // FAQPage validation
-    if (type === 'FAQPage') {
-      if (!s.mainEntity || !Array.isArray(s.mainEntity) || s.mainEntity.length === 0) {
-        errors.push({ type, field: 'mainEntity', message: 'FAQPage requires at least one Question' });
-      } else {
-        s.mainEntity.forEach((q, i) => {
-          if (!q.name) errors.push({ type, field: `mainEntity[${i}].name`, message: `FAQ ${i + 1} missing question text` });
-          if (!q.acceptedAnswer || !q.acceptedAnswer.text) {
-            errors.push({ type, field: `mainEntity[${i}].acceptedAnswer`, message: `FAQ ${i + 1} missing answer` });
-          }
-        });
-      }
-    }
-
-    // BreadcrumbList validation
-    if (type === 'BreadcrumbList') {
-      if (!s.itemListElement || s.itemListElement.length < 2) {
-        warnings.push({ type, field: 'itemListElement', message: 'BreadcrumbList should have at least 2 items' });
-      }
-    }
-
-    // Review validation (if present)
-    if (type === 'Review') {
-      if (!s.author) errors.push({ type, field: 'author', message: 'Review requires an author' });
-      if (!s.reviewRating) warnings.push({ type, field: 'reviewRating', message: 'Review should have a rating' });
-      if (!s.itemReviewed) warnings.push({ type, field: 'itemReviewed', message: 'Review should specify what is being reviewed' });
-    }
-  }
-
-  return {
-    valid: errors.length === 0,
-    errors,
-    warnings,
-    recommendations,
-    schemaTypes: schemas.map(s => s['@type'])
+    overallStatus: determineOverallStatus(localValidation, result),
+    usage: aiUsage.sum(calls)
   };
 }
 
@@ -464,6 +374,5 @@ module.exports = {
   verifyPageType,
   extractReviews,
   verifyFAQs,
-  verifyGoogleCompliance,
-  validateGoogleRequirements
+  verifyGoogleCompliance
 };
@@ -4,6 +4,7 @@
  * SAFETY FEATURES:
  * - Dry-run mode (default) - shows what would happen without making changes
  * - Automatic backup of existing meta before any modification
+ * - Multi-statement writes (multiple schemas, delete all, rollback) run in one transaction
  * - Rollback capability to restore previous state
  * - Read-only test methods to verify connection
  *
@@ -11,15 +12,30 @@
  * - Schemas are stored as PHP serialized arrays in wp_postmeta
  * - Meta key format: rank_math_schema_{SchemaType}
  * - Value includes 'metadata' object with title, type, isPrimary, etc.
+ *
+ * MULTISITE:
+ * - config.blogId selects a site of a network (tables {prefix}{blogId}_*); backups are kept per site
+ * - getNetworkSites() / resolveSite(url) find the site a page belongs to
+ *
+ * OTHER SEO PLUGINS:
+ * - options.target picks where schemas are stored: rankmath (default), yoast, aioseo, seopress
+ *   or auto (see src/services/targets); backups remember the target they were taken for
  */
 
 const mysql = require('mysql2/promise');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { serialize: phpSerialize, maybeUnserialize } = require('./phpSerializer');
+const multisite = require('./multisite');
+const permalinkResolver = require('./permalinkResolver');
+const targets = require('./targets');
+const { SCHEMA_TYPES, convertToRankMathFormat } = require('./targets/rankMath');
 
 // Persistent backup storage
 const DATA_DIR = path.join(__dirname, '../../data');
 const BACKUPS_FILE = path.join(DATA_DIR, 'backups.json');
+const JOB_BACKUPS_DIR = path.join(DATA_DIR, 'job-backups');
 const MAX_BACKUPS = 50;
 
 // Ensure data directory exists
@@ -38,11 +54,19 @@ try {
   persistedBackups = {};
 }
 
+/**
+ * Backups file key - one per database, and per site on a multisite network
+ * (the main site keeps the plain host:database key)
+ */
+function backupStorageKey(host, database, blogId = 1) {
+  return blogId > 1 ? `${host}:${database}:${blogId}` : `${host}:${database}`;
+}
+
 /**
  * Save backups to file, merging with existing and pruning old entries
  */
-function saveBackupsToFile(backupsMap, host, database) {
-  const storageKey = `${host}:${database}`;
+function saveBackupsToFile(backupsMap, host, database, blogId) {
+  const storageKey = backupStorageKey(host, database, blogId);
   if (!persistedBackups[storageKey]) {
     persistedBackups[storageKey] = {};
   }
@@ -68,185 +92,233 @@ function saveBackupsToFile(backupsMap, host, database) {
 /**
  * Load a specific backup from file
  */
-function loadBackupFromFile(postId, host, database) {
-  const storageKey = `${host}:${database}`;
+function loadBackupFromFile(postId, host, database, blogId) {
+  const storageKey = backupStorageKey(host, database, blogId);
   return persistedBackups[storageKey]?.[postId] || null;
 }
 
 /**
  * List all persisted backups for a host/database
  */
-function listPersistedBackups(host, database) {
-  const storageKey = `${host}:${database}`;
+function listPersistedBackups(host, database, blogId) {
+  const storageKey = backupStorageKey(host, database, blogId);
   const backups = persistedBackups[storageKey] || {};
   return Object.entries(backups).map(([postId, backup]) => ({
     postId: parseInt(postId),
     timestamp: backup.timestamp,
-    schemaCount: backup.schemas.length
+    schemaCount: backup.schemas.length,
+    target: backup.target || targets.DEFAULT_TARGET
   }));
 }
 
 /**
- * PHP Serialization - converts JS objects to PHP serialize() format
- * WordPress stores meta values using PHP's serialize() function
+ * Job backups - the pre-job state of every post a bulk job wrote to
+ * One file per job in data/job-backups/, never pruned automatically (unlike MAX_BACKUPS)
+ * Format: {jobId, host, database, createdAt, posts: {key: {postId, blogId, target, timestamp, schemas, afterFingerprint}}}
+ * A job can span the sites of a network, so posts of blog N > 1 are keyed "N:postId".
  */
-function phpSerialize(value) {
-  if (value === null || value === undefined) {
-    return 'N;';
-  }
-  if (typeof value === 'boolean') {
-    return 'b:' + (value ? '1' : '0') + ';';
-  }
-  if (typeof value === 'number') {
-    if (Number.isInteger(value)) {
-      return 'i:' + value + ';';
-    }
-    return 'd:' + value + ';';
-  }
-  if (typeof value === 'string') {
-    return 's:' + Buffer.byteLength(value, 'utf8') + ':"' + value + '";';
-  }
-  if (Array.isArray(value)) {
-    let result = 'a:' + value.length + ':{';
-    value.forEach((item, index) => {
-      result += phpSerialize(index) + phpSerialize(item);
-    });
-    result += '}';
-    return result;
+function jobBackupFile(jobId) {
+  return path.join(JOB_BACKUPS_DIR, `${String(jobId).replace(/[^a-zA-Z0-9_-]/g, '')}.json`);
+}
+
+function loadJobBackup(jobId) {
+  try {
+    return JSON.parse(fs.readFileSync(jobBackupFile(jobId), 'utf8'));
+  } catch (e) {
+    return null;
   }
-  if (typeof value === 'object') {
-    const keys = Object.keys(value);
-    let result = 'a:' + keys.length + ':{';
-    keys.forEach(key => {
-      result += phpSerialize(key) + phpSerialize(value[key]);
-    });
-    result += '}';
-    return result;
+}
+
+function writeJobBackup(backup) {
+  const file = jobBackupFile(backup.jobId);
+  try {
+    fs.mkdirSync(JOB_BACKUPS_DIR, { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(backup, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  } catch (e) {
+    console.error('Failed to save job backup:', e.message);
   }
-  return 'N;';
+}
+
+function jobPostKey(blogId, postId) {
+  return blogId > 1 ? `${blogId}:${postId}` : String(postId);
 }
 
 /**
- * Supported RankMath schema types and their configurations
+ * Record a post's state before a job first writes to it
+ * (a retried URL keeps the original state, not the job's own earlier write)
  */
-const SCHEMA_TYPES = {
-  // Business/Organization types
-  Service: { title: 'Service', canBePrimary: true },
-  LocalBusiness: { title: 'LocalBusiness', canBePrimary: true },
-  Organization: { title: 'Organization', canBePrimary: true },
-
-  // Content types
-  Article: { title: 'Article', canBePrimary: true },
-  NewsArticle: { title: 'NewsArticle', canBePrimary: true },
-  BlogPosting: { title: 'BlogPosting', canBePrimary: true },
-
-  // Page types
-  FAQPage: { title: 'FAQPage', canBePrimary: false },
-  HowTo: { title: 'HowTo', canBePrimary: true },
-
-  // Product/Commerce
-  Product: { title: 'Product', canBePrimary: true },
-  Offer: { title: 'Offer', canBePrimary: false },
-
-  // Event
-  Event: { title: 'Event', canBePrimary: true },
-
-  // Person
-  Person: { title: 'Person', canBePrimary: true },
+function saveJobBackup(jobId, host, database, blogId, postId, schemas, target = targets.DEFAULT_TARGET) {
+  const backup = loadJobBackup(jobId) || { jobId, host, database, createdAt: new Date().toISOString(), posts: {} };
+  const key = jobPostKey(blogId, postId);
+  if (!backup.posts[key]) {
+    backup.posts[key] = { postId: parseInt(postId), blogId, target, timestamp: new Date().toISOString(), schemas };
+    writeJobBackup(backup);
+  }
+}
 
-  // Reviews/Ratings
-  Review: { title: 'Review', canBePrimary: false },
-  AggregateRating: { title: 'AggregateRating', canBePrimary: false },
+/**
+ * Record what a job left a post looking like, to detect later edits before a rollback
+ */
+function saveJobPostState(jobId, blogId, postId, schemas) {
+  const backup = loadJobBackup(jobId);
+  const key = jobPostKey(blogId, postId);
+  if (!backup || !backup.posts[key]) return;
+  backup.posts[key].afterFingerprint = schemaFingerprint(schemas, targets.getTarget(backup.posts[key].target));
+  writeJobBackup(backup);
+}
 
-  // Recipe
-  Recipe: { title: 'Recipe', canBePrimary: true },
+/**
+ * List job backups (optionally only those for one host/database)
+ */
+function listJobBackups(host = null, database = null) {
+  if (!fs.existsSync(JOB_BACKUPS_DIR)) return [];
+
+  return fs.readdirSync(JOB_BACKUPS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => loadJobBackup(file.replace(/\.json$/, '')))
+    .filter(backup => backup && (!host || (backup.host === host && backup.database === database)))
+    .map(backup => ({
+      jobId: backup.jobId,
+      host: backup.host,
+      database: backup.database,
+      createdAt: backup.createdAt,
+      postCount: Object.keys(backup.posts).length,
+      blogIds: [...new Set(Object.values(backup.posts).map(post => post.blogId || 1))]
+    }))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
 
-  // Video
-  VideoObject: { title: 'VideoObject', canBePrimary: true },
+/**
+ * Delete a job's backups
+ * @returns {boolean} - Whether there was anything to delete
+ */
+function pruneJobBackup(jobId) {
+  const file = jobBackupFile(jobId);
+  if (!fs.existsSync(file)) return false;
+  fs.unlinkSync(file);
+  return true;
+}
 
-  // Course
-  Course: { title: 'Course', canBePrimary: true },
+/**
+ * Stable hash of the schema rows a target owns ([{key, value}])
+ */
+function schemaFingerprint(schemas, target = targets.getTarget()) {
+  const entries = schemas
+    .filter(m => target.ownsKey(m.key))
+    .map(m => [m.key, String(m.value)])
+    .sort((a, b) => a[0].localeCompare(b[0]) || a[1].localeCompare(b[1]));
+  return crypto.createHash('sha1').update(JSON.stringify(entries)).digest('hex');
+}
 
-  // Job
-  JobPosting: { title: 'JobPosting', canBePrimary: true },
+/**
+ * Restore every post in a job backup using an open connection (caller owns the transaction)
+ * Posts whose schemas changed after the job wrote them are skipped unless force is set.
+ * @param {string} basePrefix - Network table prefix; each post uses its own site's tables
+ */
+async function rollbackJobPosts(conn, basePrefix, backup, options = {}) {
+  const { dryRun = true, force = false } = options;
+  const restored = [];
+  const skipped = [];
+
+  for (const [key, post] of Object.entries(backup.posts)) {
+    // Backups written before multisite support are keyed by post ID alone
+    const postId = post.postId || parseInt(key);
+    const blogId = post.blogId || 1;
+    const tablePrefix = multisite.blogPrefix(basePrefix, blogId);
+    const target = targets.getTarget(post.target);
+
+    const current = await target.read(conn, tablePrefix, postId);
+
+    // No fingerprint means the job's write never finished - nothing newer to protect
+    const changedSinceJob = !!post.afterFingerprint && schemaFingerprint(current, target) !== post.afterFingerprint;
+    if (changedSinceJob && !force) {
+      skipped.push({ postId, blogId, reason: 'Schemas changed since the job ran' });
+      continue;
+    }
 
-  // Software
-  SoftwareApplication: { title: 'SoftwareApplication', canBePrimary: true },
+    const restoredCount = dryRun
+      ? post.schemas.filter(m => target.ownsKey(m.key)).length
+      : await target.restore(conn, tablePrefix, postId, post.schemas);
 
-  // Book
-  Book: { title: 'Book', canBePrimary: true },
+    restored.push({ postId, blogId, restored: restoredCount, changedSinceJob, backupTimestamp: post.timestamp });
+  }
 
-  // Place types
-  Place: { title: 'Place', canBePrimary: false },
+  return { restored, skipped };
+}
 
-  // Breadcrumb
-  BreadcrumbList: { title: 'BreadcrumbList', canBePrimary: false },
+/**
+ * Write all of a post's schemas to a target in one transaction (the first one is primary)
+ * @returns {object} - {success, committed, results} or {success: false, committed: false, error}
+ */
+async function writeSchemasInTransaction(withTransaction, tablePrefix, postId, schemas, target) {
+  try {
+    const results = await withTransaction(async conn => {
+      const [posts] = await conn.execute(`SELECT ID FROM ${tablePrefix}posts WHERE ID = ?`, [postId]);
+      if (posts.length === 0) {
+        throw new Error(`Post ID ${postId} not found`);
+      }
 
-  // WebPage types
-  WebPage: { title: 'WebPage', canBePrimary: false },
+      return target.write(conn, tablePrefix, postId, withSchemaTypes(schemas));
+    });
 
-  // Custom/fallback
-  Custom: { title: 'Custom', canBePrimary: true }
-};
+    return { success: true, committed: true, results };
+  } catch (error) {
+    return {
+      success: false,
+      committed: false,
+      results: [],
+      error: `Rolled back, no schemas were changed: ${error.message}`
+    };
+  }
+}
 
 /**
- * Convert a JSON-LD schema to RankMath's internal format
- * @param {object} schema - JSON-LD schema object
- * @param {string} schemaType - The schema type (e.g., 'Service', 'FAQPage')
- * @param {object} options - Additional options
- * @param {boolean} options.isPrimary - Whether this is the primary schema for the page
- * @returns {object} - RankMath formatted schema with metadata
+ * deleteAllSchemas() for targets other than RankMath: remove what we wrote, in one transaction
  */
-function convertToRankMathFormat(schema, schemaType, options = {}) {
-  const { isPrimary = false } = options;
-  const typeConfig = SCHEMA_TYPES[schemaType] || SCHEMA_TYPES.Custom;
-
-  // Build metadata based on whether it's a primary schema
-  let metadata;
-
-  if (isPrimary && typeConfig.canBePrimary) {
-    // Primary schema format (like Service)
-    metadata = {
-      title: typeConfig.title,
-      type: 'custom',
-      shortcode: 's-' + generateShortcodeId(),
-      isPrimary: '1',
-      name: '%seo_title%',
-      description: '%seo_description%',
-      reviewLocationShortcode: '[rank_math_rich_snippet]'
-    };
-  } else {
-    // Secondary schema format (like FAQPage)
-    metadata = {
-      type: 'custom',
-      title: typeConfig.title
+async function deleteTargetSchemas(client, target, db, withTransaction, tablePrefix, postId, options) {
+  const { dryRun, backup } = options;
+
+  if (dryRun) {
+    const pieces = target.decode(await target.read(db, tablePrefix, postId));
+    return {
+      success: true,
+      dryRun: true,
+      postId,
+      target: target.id,
+      schemasToDelete: pieces.length,
+      schemas: pieces.map(piece => extractSchemaType(piece)),
+      message: `[DRY-RUN] Would delete ${pieces.length} schema(s) from ${target.name}`
     };
   }
 
-  // Build the RankMath schema object
-  // Remove @context if present (RankMath adds this automatically)
-  const schemaWithoutContext = { ...schema };
-  delete schemaWithoutContext['@context'];
-
-  // If schema has @graph, we need to handle it differently
-  // RankMath typically stores individual schemas, not @graph structures
-  if (schemaWithoutContext['@graph']) {
-    // For @graph schemas, just use the schema fields directly
-    // The caller should extract individual schemas from @graph
-    console.warn('Warning: @graph schemas should be split into individual schemas');
+  if (backup) {
+    await client.backupMeta(postId, { target: target.id });
   }
 
-  return {
-    metadata,
-    ...schemaWithoutContext
-  };
+  try {
+    const deleted = await withTransaction(conn => target.remove(conn, tablePrefix, postId));
+    return { success: true, committed: true, postId, target: target.id, deleted, canRollback: backup, message: `Deleted ${deleted} schema(s) from ${target.name}` };
+  } catch (error) {
+    return { success: false, committed: false, postId, error: `Rolled back, no schemas were deleted: ${error.message}`, canRollback: backup };
+  }
 }
 
 /**
- * Generate a unique shortcode ID
+ * Result of a job rollback
  */
-function generateShortcodeId() {
-  return Math.random().toString(16).slice(2, 15);
+function jobRollbackResult(jobId, dryRun, { restored, skipped }) {
+  const prefix = dryRun ? '[DRY-RUN] Would roll back' : 'Rolled back';
+  return {
+    success: true,
+    jobId,
+    dryRun,
+    committed: !dryRun,
+    restored,
+    skipped,
+    message: `${prefix} ${restored.length} post(s)` +
+      (skipped.length > 0 ? `, skipped ${skipped.length} changed since the job` : '')
+  };
 }
 
 /**
@@ -274,6 +346,24 @@ function extractSchemaType(schema) {
   return type;
 }
 
+/**
+ * Fill in each {schema, type}'s type from its @type where missing
+ */
+function withSchemaTypes(schemas) {
+  return schemas.map(({ schema, type }) => ({ schema, type: type || extractSchemaType(schema) }));
+}
+
+/**
+ * Strip anything but letters, digits and underscores from a table prefix (it is interpolated into SQL)
+ */
+function sanitizeTablePrefix(rawPrefix = 'wp_') {
+  const tablePrefix = (rawPrefix || 'wp_').replace(/[^a-zA-Z0-9_]/g, '');
+  if (tablePrefix !== rawPrefix) {
+    console.warn(`Table prefix sanitized from "${rawPrefix}" to "${tablePrefix}"`);
+  }
+  return tablePrefix;
+}
+
 /**
  * Create a direct database client for WordPress
  * @param {object} config - Database configuration
@@ -281,18 +371,17 @@ function extractSchemaType(schema) {
  * @param {string} config.user - Database username
  * @param {string} config.password - Database password
  * @param {string} config.database - Database name
- * @param {string} config.tablePrefix - WordPress table prefix (default: 'wp_')
+ * @param {string} config.tablePrefix - WordPress table prefix (default: 'wp_'); the network prefix on multisite
+ * @param {number} config.blogId - Multisite site to work on (default: 1, the main site)
  * @returns {object} - Client methods
  */
 async function create(config) {
-  // Sanitize table prefix to prevent SQL injection
-  // Only allow alphanumeric characters and underscores
-  const rawPrefix = config.tablePrefix || 'wp_';
-  const tablePrefix = rawPrefix.replace(/[^a-zA-Z0-9_]/g, '');
-  if (tablePrefix !== rawPrefix) {
-    console.warn(`Table prefix sanitized from "${rawPrefix}" to "${tablePrefix}"`);
-  }
+  const basePrefix = sanitizeTablePrefix(config.tablePrefix);
+  const blogId = parseInt(config.blogId) || 1;
+  const tablePrefix = multisite.blogPrefix(basePrefix, blogId);
   let connection = null;
+  let network = null;
+  let seoPlugins = null;
 
   // Backup storage for rollback capability
   const backups = new Map();
@@ -313,7 +402,43 @@ async function create(config) {
     return connection;
   }
 
+  /**
+   * Run fn(conn) inside a transaction; any error rolls everything back
+   */
+  async function withTransaction(fn) {
+    const conn = await getConnection();
+    await conn.beginTransaction();
+    try {
+      const result = await fn(conn);
+      await conn.commit();
+      return result;
+    } catch (error) {
+      await conn.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Active SEO plugins of the site (cached)
+   */
+  async function detectPlugins(refresh = false) {
+    if (!seoPlugins || refresh) {
+      seoPlugins = await targets.detectFromDatabase(await getConnection(), tablePrefix, basePrefix);
+    }
+    return seoPlugins;
+  }
+
+  /**
+   * Publishing target for options.target ('auto' = the active SEO plugin)
+   */
+  function resolveTarget(id) {
+    return targets.resolveTarget(id, detectPlugins);
+  }
+
   return {
+    blogId,
+    tablePrefix,
+
     /**
      * Test database connection (READ-ONLY)
      */
@@ -334,7 +459,8 @@ async function create(config) {
         return {
           success: true,
           message: 'Database connection successful',
-          tablePrefix
+          tablePrefix,
+          blogId
         };
       } catch (error) {
         throw new Error(`Database connection failed: ${error.message}`);
@@ -360,11 +486,58 @@ async function create(config) {
       return rows[0];
     },
 
+    /**
+     * Find the post a page URL points to by its full permalink (READ-ONLY)
+     * @returns {object} - {success, post, matchedBy} or {success: false, ambiguous, candidates, error}
+     */
+    async resolvePostByUrl(pageUrl) {
+      const conn = await getConnection();
+      return permalinkResolver.resolvePost((sql, params) => conn.execute(sql, params), tablePrefix, pageUrl);
+    },
+
+    /**
+     * Sites of the WordPress network, if this is a multisite install (READ-ONLY, cached)
+     * @param {boolean} options.refresh - Query again instead of using the cached list
+     * @returns {object} - {multisite, sites: [{blogId, domain, path, tablePrefix, homeUrl, name, active}]}
+     */
+    async getNetworkSites(options = {}) {
+      if (!network || options.refresh) {
+        const conn = await getConnection();
+        network = await multisite.discoverSites((sql, params) => conn.execute(sql, params), basePrefix);
+      }
+      return network;
+    },
+
+    /**
+     * Find the network site a page URL belongs to (null if not multisite or no site matches)
+     */
+    async resolveSite(pageUrl) {
+      const { multisite: isMultisite, sites } = await this.getNetworkSites();
+      return isMultisite ? multisite.resolveSite(sites, pageUrl) : null;
+    },
+
+    /**
+     * Which supported SEO plugins are active (READ-ONLY, cached)
+     * @param {boolean} options.refresh - Query again instead of using the cached result
+     * @returns {object} - {target, active: [ids]} - target is what 'auto' publishes to (null if none)
+     */
+    async detectSeoPlugin(options = {}) {
+      return detectPlugins(options.refresh);
+    },
+
     /**
      * Get all RankMath schema meta for a post (READ-ONLY)
+     * @param {boolean} options.decode - Also return each value unserialized as `schema`
+     * @param {string} options.target - Another target's stored rows instead (`schema` is then the array of pieces in a row)
      */
-    async getExistingSchemas(postId) {
+    async getExistingSchemas(postId, options = {}) {
       const conn = await getConnection();
+      const target = await resolveTarget(options.target);
+      if (target.id !== targets.DEFAULT_TARGET) {
+        const stored = await target.read(conn, tablePrefix, postId);
+        return stored.map(row => (options.decode ? { ...row, schema: target.decode([row]) } : row));
+      }
+
       const [rows] = await conn.execute(
         `SELECT meta_id, meta_key, meta_value
          FROM ${tablePrefix}postmeta
@@ -375,7 +548,8 @@ async function create(config) {
       return rows.map(row => ({
         metaId: row.meta_id,
         key: row.meta_key,
-        value: row.meta_value
+        value: row.meta_value,
+        ...(options.decode ? { schema: maybeUnserialize(row.meta_value) } : {})
       }));
     },
 
@@ -427,6 +601,7 @@ async function create(config) {
         action: existing.length > 0 ? 'UPDATE' : 'INSERT',
         existingMetaId: existing.length > 0 ? existing[0].meta_id : null,
         existingValueLength: existing.length > 0 ? existing[0].meta_value?.length : 0,
+        existingSchema: existing.length > 0 ? maybeUnserialize(existing[0].meta_value) : null,
         message: existing.length > 0
           ? `Would UPDATE existing meta (ID: ${existing[0].meta_id})`
           : `Would INSERT new meta row`
@@ -436,16 +611,23 @@ async function create(config) {
     /**
      * Backup existing meta before modification
      * Stores in memory and persists to file
+     * @param {object} options.jobId - Also record the post under this bulk job's backups
+     * @param {string} options.target - Back up this target's rows (default: rankmath)
      */
-    async backupMeta(postId) {
-      const existing = await this.getExistingSchemas(postId);
+    async backupMeta(postId, options = {}) {
+      const target = await resolveTarget(options.target);
+      const existing = await target.read(await getConnection(), tablePrefix, postId);
       backups.set(postId, {
         timestamp: new Date().toISOString(),
+        target: target.id,
         schemas: existing
       });
 
       // Persist to file
-      saveBackupsToFile(backups, config.host, config.database);
+      saveBackupsToFile(backups, config.host, config.database, blogId);
+      if (options.jobId) {
+        saveJobBackup(options.jobId, config.host, config.database, blogId, postId, existing, target.id);
+      }
 
       return {
         success: true,
@@ -466,6 +648,7 @@ async function create(config) {
      * @param {boolean} options.dryRun - If true (default), only preview changes
      * @param {boolean} options.backup - If true (default), backup existing meta first
      * @param {boolean} options.isPrimary - If true, format as primary schema
+     * @param {string} options.target - Publishing target (default: rankmath; others go through insertMultipleSchemas)
      */
     async insertSchema(postId, schema, schemaType = null, options = {}) {
       const { dryRun = true, backup = true, isPrimary = false } = options;
@@ -473,6 +656,11 @@ async function create(config) {
       // Auto-detect schema type if not provided
       const detectedType = schemaType || extractSchemaType(schema);
 
+      const target = await resolveTarget(options.target);
+      if (target.id !== targets.DEFAULT_TARGET) {
+        return this.insertMultipleSchemas(postId, [{ schema, type: detectedType }], { dryRun, backup, target: target.id });
+      }
+
       // Always preview first
       const preview = await this.previewInsertion(postId, schema, detectedType, { isPrimary });
       if (!preview.success) {
@@ -550,37 +738,58 @@ async function create(config) {
     /**
      * Insert multiple schemas at once (e.g., Service + FAQPage)
      * The first schema in the array is treated as primary
+     * Writes run in one transaction: any failure leaves the post untouched (committed: false)
      *
      * @param {number} postId - WordPress post ID
      * @param {Array} schemas - Array of {schema, type} objects
      * @param {object} options - Options
+     * @param {string} options.jobId - Bulk job writing this post (groups its backup for rollbackJob)
+     * @param {string} options.target - Publishing target: rankmath (default), yoast, aioseo, seopress or auto
      */
     async insertMultipleSchemas(postId, schemas, options = {}) {
-      const { dryRun = true, backup = true } = options;
-      const results = [];
+      const { dryRun = true, backup = true, jobId = null } = options;
+      const target = await resolveTarget(options.target);
+      const conn = await getConnection();
+      let results = [];
 
-      // Backup once before all insertions
-      if (backup && !dryRun) {
-        await this.backupMeta(postId);
+      if (dryRun && target.id !== targets.DEFAULT_TARGET) {
+        results = await target.preview(conn, tablePrefix, postId, withSchemaTypes(schemas));
+        return { success: true, dryRun: true, committed: false, target: target.id, results, canRollback: false };
       }
 
-      for (let i = 0; i < schemas.length; i++) {
-        const { schema, type } = schemas[i];
-        const isPrimary = i === 0; // First schema is primary
+      // Dry-run: preview each schema
+      if (dryRun) {
+        for (let i = 0; i < schemas.length; i++) {
+          const { schema, type } = schemas[i];
+          const isPrimary = i === 0; // First schema is primary
 
-        const result = await this.insertSchema(postId, schema, type, {
-          dryRun,
-          backup: false, // Already backed up
-          isPrimary
-        });
+          results.push(await this.insertSchema(postId, schema, type, { dryRun, isPrimary }));
+        }
+
+        return {
+          success: results.every(r => r.success),
+          committed: false,
+          results,
+          canRollback: false
+        };
+      }
+
+      // Backup once before all insertions
+      if (backup) {
+        await this.backupMeta(postId, { jobId, target: target.id });
+      }
+
+      // All schemas or none
+      const written = await writeSchemasInTransaction(withTransaction, tablePrefix, postId, schemas, target);
 
-        results.push(result);
+      if (jobId && written.committed) {
+        saveJobPostState(jobId, blogId, postId, await target.read(conn, tablePrefix, postId));
       }
 
       return {
-        success: results.every(r => r.success),
-        results,
-        canRollback: backup && !dryRun
+        ...written,
+        target: target.id,
+        canRollback: backup
       };
     },
 
@@ -592,9 +801,11 @@ async function create(config) {
      * @param {object} graphSchema - JSON-LD schema with @graph array
      * @param {object} options - Options
      * @param {string} options.primaryType - Which schema type should be primary (default: first Service or Article found)
+     * @param {string} options.jobId - Bulk job writing this post (see insertMultipleSchemas)
+     * @param {string} options.target - Publishing target (see insertMultipleSchemas)
      */
     async insertFromGraph(postId, graphSchema, options = {}) {
-      const { dryRun = true, backup = true, primaryType = null } = options;
+      const { dryRun = true, backup = true, primaryType = null, jobId = null, target = null } = options;
 
       if (!graphSchema['@graph'] || !Array.isArray(graphSchema['@graph'])) {
         return {
@@ -635,7 +846,7 @@ async function create(config) {
         schemas.unshift(primary);
       }
 
-      return this.insertMultipleSchemas(postId, schemas, { dryRun, backup });
+      return this.insertMultipleSchemas(postId, schemas, { dryRun, backup, jobId, target });
     },
 
     /**
@@ -692,7 +903,7 @@ async function create(config) {
       let backup = backups.get(postId);
       if (!backup) {
         // Fall back to file-persisted backup
-        backup = loadBackupFromFile(postId, config.host, config.database);
+        backup = loadBackupFromFile(postId, config.host, config.database, blogId);
       }
       if (!backup) {
         return {
@@ -701,33 +912,22 @@ async function create(config) {
         };
       }
 
-      const conn = await getConnection();
-
-      // Delete all current RankMath meta
-      await conn.execute(
-        `DELETE FROM ${tablePrefix}postmeta
-         WHERE post_id = ? AND meta_key LIKE 'rank_math_schema_%'`,
-        [postId]
-      );
+      // Replace the current rows of the backup's target with the backed-up ones in one transaction
+      const target = targets.getTarget(backup.target);
+      try {
+        const restored = await withTransaction(conn => target.restore(conn, tablePrefix, postId, backup.schemas));
 
-      // Restore backed-up meta
-      for (const meta of backup.schemas) {
-        if (meta.key.startsWith('rank_math_schema_')) {
-          await conn.execute(
-            `INSERT INTO ${tablePrefix}postmeta (post_id, meta_key, meta_value)
-             VALUES (?, ?, ?)`,
-            [postId, meta.key, meta.value]
-          );
-        }
+        return {
+          success: true,
+          committed: true,
+          postId,
+          restored,
+          backupTimestamp: backup.timestamp,
+          message: 'Rolled back to previous state'
+        };
+      } catch (error) {
+        return { success: false, committed: false, postId, error: `Rollback aborted, nothing was changed: ${error.message}` };
       }
-
-      return {
-        success: true,
-        postId,
-        restored: backup.schemas.filter(m => m.key.startsWith('rank_math_schema_')).length,
-        backupTimestamp: backup.timestamp,
-        message: 'Rolled back to previous state'
-      };
     },
 
     /**
@@ -740,11 +940,11 @@ async function create(config) {
       // In-memory backups first (most recent)
       for (const [postId, backup] of backups) {
         seen.add(String(postId));
-        list.push({ postId, timestamp: backup.timestamp, schemaCount: backup.schemas.length });
+        list.push({ postId, timestamp: backup.timestamp, schemaCount: backup.schemas.length, target: backup.target });
       }
 
       // File-persisted backups
-      const fileBackups = listPersistedBackups(config.host, config.database);
+      const fileBackups = listPersistedBackups(config.host, config.database, blogId);
       for (const fb of fileBackups) {
         if (!seen.has(String(fb.postId))) {
           list.push(fb);
@@ -754,6 +954,33 @@ async function create(config) {
       return list;
     },
 
+    /**
+     * Roll back every post a bulk job wrote to, in one transaction
+     * Posts whose schemas were edited after the job are skipped (or restored anyway with force)
+     *
+     * @param {string} jobId - Bulk job ID
+     * @param {object} options - Options
+     * @param {boolean} options.dryRun - If true (default), only report what would be restored/skipped
+     * @param {boolean} options.force - Also restore posts that changed since the job
+     */
+    async rollbackJob(jobId, options = {}) {
+      const { dryRun = true } = options;
+      const backup = loadJobBackup(jobId);
+      if (!backup) {
+        return { success: false, error: `No backups found for job ${jobId}` };
+      }
+      if (backup.host !== config.host || backup.database !== config.database) {
+        return { success: false, error: `Job ${jobId} wrote to ${backup.host}/${backup.database}, not this database` };
+      }
+
+      try {
+        const result = await withTransaction(conn => rollbackJobPosts(conn, basePrefix, backup, options));
+        return jobRollbackResult(jobId, dryRun, result);
+      } catch (error) {
+        return { success: false, jobId, committed: false, error: `Rollback aborted, nothing was changed: ${error.message}` };
+      }
+    },
+
     /**
      * Delete a specific meta entry by ID
      * USE WITH CAUTION
@@ -805,11 +1032,17 @@ async function create(config) {
 
     /**
      * Delete all schemas for a post
+     * @param {string} options.target - Publishing target; other than rankmath, only what we wrote is removed
      */
     async deleteAllSchemas(postId, options = {}) {
       const { dryRun = true, backup = true } = options;
 
       const conn = await getConnection();
+      const target = await resolveTarget(options.target);
+
+      if (target.id !== targets.DEFAULT_TARGET) {
+        return deleteTargetSchemas(this, target, conn, withTransaction, tablePrefix, postId, { dryRun, backup });
+      }
 
       // Get existing schemas
       const [existing] = await conn.execute(
@@ -834,19 +1067,27 @@ async function create(config) {
         await this.backupMeta(postId);
       }
 
-      await conn.execute(
-        `DELETE FROM ${tablePrefix}postmeta
-         WHERE post_id = ? AND meta_key LIKE 'rank_math_schema_%'`,
-        [postId]
-      );
+      try {
+        const deleted = await withTransaction(async txConn => {
+          const [result] = await txConn.execute(
+            `DELETE FROM ${tablePrefix}postmeta
+             WHERE post_id = ? AND meta_key LIKE 'rank_math_schema_%'`,
+            [postId]
+          );
+          return result.affectedRows;
+        });
 
-      return {
-        success: true,
-        postId,
-        deleted: existing.length,
-        canRollback: backup,
-        message: `Deleted ${existing.length} schema(s)`
-      };
+        return {
+          success: true,
+          committed: true,
+          postId,
+          deleted,
+          canRollback: backup,
+          message: `Deleted ${deleted} schema(s)`
+        };
+      } catch (error) {
+        return { success: false, committed: false, postId, error: `Rolled back, no schemas were deleted: ${error.message}`, canRollback: backup };
+      }
     },
 
     /**
@@ -875,16 +1116,20 @@ async function create(config) {
  * Same interface as create() but connections are managed automatically.
  *
  * @param {object} config - Database configuration (same as create())
- * @returns {object} - Client methods (same interface as create())
+ * @param {object} sharedPool - Existing pool to use (forBlog() clients)
+ * @returns {object} - Client methods (same interface as create(), plus forBlog())
  */
-function createPool(config) {
-  const rawPrefix = config.tablePrefix || 'wp_';
-  const tablePrefix = rawPrefix.replace(/[^a-zA-Z0-9_]/g, '');
-  if (tablePrefix !== rawPrefix) {
-    console.warn(`Table prefix sanitized from "${rawPrefix}" to "${tablePrefix}"`);
-  }
+function createPool(config, sharedPool = null) {
+  const basePrefix = sanitizeTablePrefix(config.tablePrefix);
+  const blogId = parseInt(config.blogId) || 1;
+  const tablePrefix = multisite.blogPrefix(basePrefix, blogId);
+  let network = null;
+  let seoPlugins = null;
 
-  const pool = mysql.createPool({
+  // Clients for the other sites of a network share this pool
+  const blogClients = new Map();
+
+  const pool = sharedPool || mysql.createPool({
     host: config.host,
     user: config.user,
     password: config.password,
@@ -895,8 +1140,6 @@ function createPool(config) {
     queueLimit: 0
   });
 
-  const promisePool = pool.promise();
-
   // Backup storage for rollback capability
   const backups = new Map();
 
@@ -904,10 +1147,42 @@ function createPool(config) {
    * Execute a query using the pool
    */
   async function execute(sql, params) {
-    return promisePool.execute(sql, params);
+    return pool.execute(sql, params);
+  }
+
+  /**
+   * Run fn(conn) inside a transaction on a dedicated pool connection
+   */
+  async function withTransaction(fn) {
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const result = await fn(conn);
+      await conn.commit();
+      return result;
+    } catch (error) {
+      await conn.rollback();
+      throw error;
+    } finally {
+      conn.release();
+    }
+  }
+
+  async function detectPlugins(refresh = false) {
+    if (!seoPlugins || refresh) {
+      seoPlugins = await targets.detectFromDatabase(pool, tablePrefix, basePrefix);
+    }
+    return seoPlugins;
+  }
+
+  function resolveTarget(id) {
+    return targets.resolveTarget(id, detectPlugins);
   }
 
   return {
+    blogId,
+    tablePrefix,
+
     async testConnection() {
       try {
         const [rows] = await execute('SELECT 1 as test');
@@ -917,7 +1192,7 @@ function createPool(config) {
         if (tables.length === 0) {
           throw new Error(`WordPress table ${tablePrefix}postmeta not found`);
         }
-        return { success: true, message: 'Database connection successful', tablePrefix };
+        return { success: true, message: 'Database connection successful', tablePrefix, blogId };
       } catch (error) {
         throw new Error(`Database connection failed: ${error.message}`);
       }
@@ -933,7 +1208,44 @@ function createPool(config) {
       return rows.length === 0 ? null : rows[0];
     },
 
-    async getExistingSchemas(postId) {
+    async resolvePostByUrl(pageUrl) {
+      return permalinkResolver.resolvePost(execute, tablePrefix, pageUrl);
+    },
+
+    async getNetworkSites(options = {}) {
+      if (!network || options.refresh) {
+        network = await multisite.discoverSites(execute, basePrefix);
+      }
+      return network;
+    },
+
+    async resolveSite(pageUrl) {
+      const { multisite: isMultisite, sites } = await this.getNetworkSites();
+      return isMultisite ? multisite.resolveSite(sites, pageUrl) : null;
+    },
+
+    /**
+     * Client for another site of the network, sharing this client's pool
+     */
+    forBlog(otherBlogId) {
+      const id = parseInt(otherBlogId) || 1;
+      if (id === blogId) return this;
+      if (!blogClients.has(id)) {
+        blogClients.set(id, createPool({ ...config, blogId: id }, pool));
+      }
+      return blogClients.get(id);
+    },
+
+    async detectSeoPlugin(options = {}) {
+      return detectPlugins(options.refresh);
+    },
+
+    async getExistingSchemas(postId, options = {}) {
+      const target = await resolveTarget(options.target);
+      if (target.id !== targets.DEFAULT_TARGET) {
+        const stored = await target.read(pool, tablePrefix, postId);
+        return stored.map(row => (options.decode ? { ...row, schema: target.decode([row]) } : row));
+      }
       const [rows] = await execute(
         `SELECT meta_id, meta_key, meta_value
          FROM ${tablePrefix}postmeta
@@ -943,7 +1255,8 @@ function createPool(config) {
       return rows.map(row => ({
         metaId: row.meta_id,
         key: row.meta_key,
-        value: row.meta_value
+        value: row.meta_value,
+        ...(options.decode ? { schema: maybeUnserialize(row.meta_value) } : {})
       }));
     },
 
@@ -975,25 +1288,33 @@ function createPool(config) {
         action: existing.length > 0 ? 'UPDATE' : 'INSERT',
         existingMetaId: existing.length > 0 ? existing[0].meta_id : null,
         existingValueLength: existing.length > 0 ? existing[0].meta_value?.length : 0,
+        existingSchema: existing.length > 0 ? maybeUnserialize(existing[0].meta_value) : null,
         message: existing.length > 0
           ? `Would UPDATE existing meta (ID: ${existing[0].meta_id})`
           : `Would INSERT new meta row`
       };
     },
 
-    async backupMeta(postId) {
-      const existing = await this.getExistingSchemas(postId);
+    async backupMeta(postId, options = {}) {
+      const target = await resolveTarget(options.target);
+      const existing = await target.read(pool, tablePrefix, postId);
       backups.set(postId, {
         timestamp: new Date().toISOString(),
+        target: target.id,
         schemas: existing
       });
-      saveBackupsToFile(backups, config.host, config.database);
+      saveBackupsToFile(backups, config.host, config.database, blogId);
+      if (options.jobId) saveJobBackup(options.jobId, config.host, config.database, blogId, postId, existing, target.id);
       return { success: true, postId, backedUp: existing.length, backupId: postId };
     },
 
     async insertSchema(postId, schema, schemaType = null, options = {}) {
       const { dryRun = true, backup = true, isPrimary = false } = options;
       const detectedType = schemaType || extractSchemaType(schema);
+      const target = await resolveTarget(options.target);
+      if (target.id !== targets.DEFAULT_TARGET) {
+        return this.insertMultipleSchemas(postId, [{ schema, type: detectedType }], { dryRun, backup, target: target.id });
+      }
       const preview = await this.previewInsertion(postId, schema, detectedType, { isPrimary });
       if (!preview.success) return preview;
       if (dryRun) {
@@ -1033,20 +1354,28 @@ function createPool(config) {
     },
 
     async insertMultipleSchemas(postId, schemas, options = {}) {
-      const { dryRun = true, backup = true } = options;
-      const results = [];
-      if (backup && !dryRun) await this.backupMeta(postId);
-      for (let i = 0; i < schemas.length; i++) {
-        const { schema, type } = schemas[i];
-        const isPrimary = i === 0;
-        const result = await this.insertSchema(postId, schema, type, { dryRun, backup: false, isPrimary });
-        results.push(result);
+      const { dryRun = true, backup = true, jobId = null } = options;
+      const target = await resolveTarget(options.target);
+      if (dryRun && target.id !== targets.DEFAULT_TARGET) {
+        const results = await target.preview(pool, tablePrefix, postId, withSchemaTypes(schemas));
+        return { success: true, dryRun: true, committed: false, target: target.id, results, canRollback: false };
       }
-      return { success: results.every(r => r.success), results, canRollback: backup && !dryRun };
+      if (dryRun) {
+        const results = [];
+        for (let i = 0; i < schemas.length; i++) {
+          const { schema, type } = schemas[i];
+          results.push(await this.insertSchema(postId, schema, type, { dryRun, isPrimary: i === 0 }));
+        }
+        return { success: results.every(r => r.success), committed: false, results, canRollback: false };
+      }
+      if (backup) await this.backupMeta(postId, { jobId, target: target.id });
+      const written = await writeSchemasInTransaction(withTransaction, tablePrefix, postId, schemas, target);
+      if (jobId && written.committed) saveJobPostState(jobId, blogId, postId, await target.read(pool, tablePrefix, postId));
+      return { ...written, target: target.id, canRollback: backup };
     },
 
     async insertFromGraph(postId, graphSchema, options = {}) {
-      const { dryRun = true, backup = true, primaryType = null } = options;
+      const { dryRun = true, backup = true, primaryType = null, jobId = null, target = null } = options;
       if (!graphSchema['@graph'] || !Array.isArray(graphSchema['@graph'])) {
         return { success: false, error: 'Schema does not contain @graph array' };
       }
@@ -1068,7 +1397,7 @@ function createPool(config) {
         const primary = schemas.splice(primaryIndex, 1)[0];
         schemas.unshift(primary);
       }
-      return this.insertMultipleSchemas(postId, schemas, { dryRun, backup });
+      return this.insertMultipleSchemas(postId, schemas, { dryRun, backup, jobId, target });
     },
 
     async setRichSnippetType(postId, snippetType, options = {}) {
@@ -1096,29 +1425,22 @@ function createPool(config) {
     async rollback(postId) {
       let backup = backups.get(postId);
       if (!backup) {
-        backup = loadBackupFromFile(postId, config.host, config.database);
+        backup = loadBackupFromFile(postId, config.host, config.database, blogId);
       }
       if (!backup) {
         return { success: false, error: `No backup found for post ID ${postId}` };
       }
-      await execute(
-        `DELETE FROM ${tablePrefix}postmeta WHERE post_id = ? AND meta_key LIKE 'rank_math_schema_%'`,
-        [postId]
-      );
-      for (const meta of backup.schemas) {
-        if (meta.key.startsWith('rank_math_schema_')) {
-          await execute(
-            `INSERT INTO ${tablePrefix}postmeta (post_id, meta_key, meta_value) VALUES (?, ?, ?)`,
-            [postId, meta.key, meta.value]
-          );
-        }
+      const target = targets.getTarget(backup.target);
+      try {
+        const restored = await withTransaction(conn => target.restore(conn, tablePrefix, postId, backup.schemas));
+        return {
+          success: true, committed: true, postId, restored,
+          backupTimestamp: backup.timestamp,
+          message: 'Rolled back to previous state'
+        };
+      } catch (error) {
+        return { success: false, committed: false, postId, error: `Rollback aborted, nothing was changed: ${error.message}` };
       }
-      return {
-        success: true, postId,
-        restored: backup.schemas.filter(m => m.key.startsWith('rank_math_schema_')).length,
-        backupTimestamp: backup.timestamp,
-        message: 'Rolled back to previous state'
-      };
     },
 
     listBackups() {
@@ -1126,15 +1448,32 @@ function createPool(config) {
       const list = [];
       for (const [postId, backup] of backups) {
         seen.add(String(postId));
-        list.push({ postId, timestamp: backup.timestamp, schemaCount: backup.schemas.length });
+        list.push({ postId, timestamp: backup.timestamp, schemaCount: backup.schemas.length, target: backup.target });
       }
-      const fileBackups = listPersistedBackups(config.host, config.database);
+      const fileBackups = listPersistedBackups(config.host, config.database, blogId);
       for (const fb of fileBackups) {
         if (!seen.has(String(fb.postId))) list.push(fb);
       }
       return list;
     },
 
+    async rollbackJob(jobId, options = {}) {
+      const { dryRun = true } = options;
+      const backup = loadJobBackup(jobId);
+      if (!backup) {
+        return { success: false, error: `No backups found for job ${jobId}` };
+      }
+      if (backup.host !== config.host || backup.database !== config.database) {
+        return { success: false, error: `Job ${jobId} wrote to ${backup.host}/${backup.database}, not this database` };
+      }
+      try {
+        const result = await withTransaction(conn => rollbackJobPosts(conn, basePrefix, backup, options));
+        return jobRollbackResult(jobId, dryRun, result);
+      } catch (error) {
+        return { success: false, jobId, committed: false, error: `Rollback aborted, nothing was changed: ${error.message}` };
+      }
+    },
+
     async deleteMeta(metaId, options = {}) {
       const { dryRun = true } = options;
       const [existing] = await execute(
@@ -1161,6 +1500,10 @@ function createPool(config) {
 
     async deleteAllSchemas(postId, options = {}) {
       const { dryRun = true, backup = true } = options;
+      const target = await resolveTarget(options.target);
+      if (target.id !== targets.DEFAULT_TARGET) {
+        return deleteTargetSchemas(this, target, pool, withTransaction, tablePrefix, postId, { dryRun, backup });
+      }
       const [existing] = await execute(
         `SELECT meta_id, meta_key FROM ${tablePrefix}postmeta WHERE post_id = ? AND meta_key LIKE 'rank_math_schema_%'`,
         [postId]
@@ -1173,15 +1516,23 @@ function createPool(config) {
         };
       }
       if (backup) await this.backupMeta(postId);
-      await execute(
-        `DELETE FROM ${tablePrefix}postmeta WHERE post_id = ? AND meta_key LIKE 'rank_math_schema_%'`,
-        [postId]
-      );
-      return { success: true, postId, deleted: existing.length, canRollback: backup, message: `Deleted ${existing.length} schema(s)` };
+      try {
+        const deleted = await withTransaction(async conn => {
+          const [result] = await conn.execute(
+            `DELETE FROM ${tablePrefix}postmeta WHERE post_id = ? AND meta_key LIKE 'rank_math_schema_%'`,
+            [postId]
+          );
+          return result.affectedRows;
+        });
+        return { success: true, committed: true, postId, deleted, canRollback: backup, message: `Deleted ${deleted} schema(s)` };
+      } catch (error) {
+        return { success: false, committed: false, postId, error: `Rolled back, no schemas were deleted: ${error.message}`, canRollback: backup };
+      }
     },
 
     async close() {
-      await pool.end();
+      // forBlog() clients leave the shared pool to its owner
+      if (!sharedPool) await pool.end();
     },
 
     utils: {
@@ -1200,5 +1551,8 @@ module.exports = {
   phpSerialize,
   convertToRankMathFormat,
   extractSchemaType,
-  SCHEMA_TYPES
+  SCHEMA_TYPES,
+  // Job backups (shared by both client types)
+  listJobBackups,
+  pruneJobBackup
 };
@@ -0,0 +1,322 @@
+/**
+ * Graph Normalizer - @id reference integrity for JSON-LD @graph output
+ * Used by both the template generator and the AI generator so every entity is
+ * defined exactly once and referenced everywhere else as { "@id": "..." }.
+ *
+ * 1. Resolves relative ids ("#business") against the page URL (or an alias map)
+ * 2. Merges duplicate definitions of the same @id into one node
+ * 3. Replaces inline copies with references (a single inline definition that
+ *    nothing else points to stays where it is)
+ * 4. Reports dangling and circular references
+ */
+
+// Properties that describe a hierarchy; a cycle along one of them is an error
+const CHAIN_PROPERTIES = [
+  'isPartOf', 'hasPart', 'containedInPlace', 'containsPlace',
+  'parentOrganization', 'subOrganization', 'department', 'parentItem'
+];
+
+/**
+ * Normalize a schema's @id references
+ * @param {object} schema - JSON-LD schema ({@context, @graph}, single node or array of nodes)
+ * @param {object} options - {baseUrl, aliases: {"#business": "https://example.com#localbusiness"}}
+ * @returns {object} - {schema, issues} (input is not modified)
+ */
+function normalize(schema, options = {}) {
+  const input = JSON.parse(JSON.stringify(schema));
+  const isGraph = !!(input && Array.isArray(input['@graph']));
+  const nodes = isGraph ? input['@graph'] : (Array.isArray(input) ? input : [input]);
+  const pointerFor = index => isGraph ? `/@graph/${index}` : (Array.isArray(input) ? `/${index}` : '');
+
+  const state = {
+    resolve: id => resolveId(id, options),
+    entities: new Map(),   // id -> {definitions: [{node, slot, pointer, topLevel, owner}], references: [...]}
+    issues: []
+  };
+
+  // 1. Extract every identified entity, leaving a { "@id" } placeholder where it was
+  const topLevel = nodes.map((node, index) => {
+    if (!node || typeof node !== 'object') return node;
+    if (typeof node['@id'] === 'string') {
+      node['@id'] = state.resolve(node['@id']);
+      const slot = { '@id': node['@id'] };
+      record(state, node['@id'], 'definitions', { node, slot, pointer: pointerFor(index), topLevel: true });
+      walk(state, node, pointerFor(index), node);
+      return slot;
+    }
+    walk(state, node, pointerFor(index), node);
+    return node;
+  });
+
+  // 2. Merge duplicate definitions
+  const merged = new Map();
+  for (const [id, entity] of state.entities) {
+    if (entity.definitions.length === 0) continue;
+    merged.set(id, mergeDefinitions(state, id, entity.definitions));
+  }
+
+  // 3. Place each entity: top level if defined there or referenced elsewhere, otherwise back inline
+  const graph = [];
+  const placed = new Set();
+  for (const node of topLevel) {
+    const id = node && typeof node === 'object' && isReference(node) ? node['@id'] : null;
+    if (id && merged.has(id)) {
+      if (!placed.has(id)) {
+        graph.push(merged.get(id));
+        placed.add(id);
+      }
+    } else {
+      graph.push(node);
+    }
+  }
+
+  for (const [id, entity] of state.entities) {
+    if (!merged.has(id) || placed.has(id)) continue;
+    const occurrences = entity.definitions.length + entity.references.length;
+    if (occurrences === 1) {
+      // Fill the placeholder so the node stays where it was (even if its parent was merged)
+      Object.assign(entity.definitions[0].slot, merged.get(id));
+    } else {
+      graph.push(merged.get(id));
+    }
+    placed.add(id);
+  }
+
+  // 4. Integrity checks
+  checkDangling(state, merged);
+  checkCycles(state, merged);
+
+  let output;
+  if (isGraph) {
+    output = { ...input, '@graph': graph };
+  } else if (Array.isArray(input) || graph.length > 1) {
+    output = graph;
+  } else {
+    output = graph[0];
+  }
+
+  return { schema: output, issues: state.issues };
+}
+
+/**
+ * Report reference problems without changing the schema
+ * @param {object} schema - JSON-LD schema
+ * @param {object} options - Same as normalize()
+ * @returns {object} - {valid, issues}
+ */
+function check(schema, options = {}) {
+  const { issues } = normalize(schema, options);
+  return {
+    valid: !issues.some(i => i.severity === 'error'),
+    issues
+  };
+}
+
+/**
+ * Walk a node, resolving ids and pulling nested entities out into state.entities
+ * @param {object} owner - Closest enclosing entity (or top-level node)
+ */
+function walk(state, value, pointer, owner) {
+  if (!value || typeof value !== 'object') return;
+
+  for (const key of Object.keys(value)) {
+    if (key === '@id' || key === '@context') continue;
+    const child = value[key];
+    const childPointer = Array.isArray(value) ? `${pointer}/${key}` : `${pointer}/${escapePointer(key)}`;
+
+    if (!child || typeof child !== 'object') continue;
+
+    if (!Array.isArray(child) && typeof child['@id'] === 'string') {
+      const id = state.resolve(child['@id']);
+      child['@id'] = id;
+      const slot = { '@id': id };
+      const occurrence = { node: child, slot, pointer: childPointer, topLevel: false, owner, property: propertyName(value, key, pointer) };
+
+      if (isReference(child)) {
+        record(state, id, 'references', occurrence);
+      } else {
+        record(state, id, 'definitions', occurrence);
+        walk(state, child, childPointer, child);
+      }
+      value[key] = slot;
+      continue;
+    }
+
+    walk(state, child, childPointer, owner);
+  }
+}
+
+function record(state, id, kind, occurrence) {
+  if (!state.entities.has(id)) {
+    state.entities.set(id, { definitions: [], references: [] });
+  }
+  state.entities.get(id)[kind].push(occurrence);
+}
+
+/**
+ * Merge all definitions of one entity; the first top-level definition wins conflicts
+ */
+function mergeDefinitions(state, id, definitions) {
+  const ordered = [...definitions.filter(d => d.topLevel), ...definitions.filter(d => !d.topLevel)];
+  const base = ordered[0].node;
+
+  if (ordered.length > 1) {
+    state.issues.push(issue(base, ordered[1].pointer, '@id', 'recommendation', 'duplicate-definition',
+      `${id} is defined ${ordered.length} times - merged into one node`));
+  }
+
+  for (const { node, pointer } of ordered.slice(1)) {
+    for (const [key, value] of Object.entries(node)) {
+      if (key === '@id' || key === '@context') continue;
+      if (base[key] === undefined) {
+        base[key] = value;
+      } else if (!sameValue(base[key], value)) {
+        state.issues.push(issue(base, `${pointer}/${escapePointer(key)}`, key, 'warning', 'conflicting-definition',
+          `${id} has conflicting values for "${key}" - kept ${summarize(base[key])}, dropped ${summarize(value)}`));
+      }
+    }
+  }
+
+  return base;
+}
+
+/**
+ * Compare two property values for merging: a single value equals a one-element array,
+ * and nodes with the same @id are the same entity (reference or inline copy)
+ */
+function sameValue(a, b) {
+  const unwrap = v => (Array.isArray(v) && v.length === 1 ? v[0] : v);
+  a = unwrap(a);
+  b = unwrap(b);
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => sameValue(item, b[i]));
+  }
+  if (a && b && typeof a === 'object' && typeof b === 'object' &&
+      typeof a['@id'] === 'string' && a['@id'] === b['@id']) {
+    return true;
+  }
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Fragment ids ("...#localbusiness") name nodes of this graph and must be defined in it;
+ * plain URLs may point at other documents
+ */
+function checkDangling(state, merged) {
+  for (const [id, entity] of state.entities) {
+    if (merged.has(id) || !id.includes('#')) continue;
+    for (const reference of entity.references) {
+      state.issues.push(issue(reference.owner, reference.pointer, reference.property, 'error', 'dangling-reference',
+        `Reference to ${id} has no matching node in the graph`));
+    }
+  }
+}
+
+/**
+ * Self-references and cycles along hierarchy properties (A isPartOf B isPartOf A)
+ */
+function checkCycles(state, merged) {
+  const edges = new Map();
+
+  for (const [id, entity] of state.entities) {
+    for (const reference of entity.references.concat(entity.definitions.filter(d => !d.topLevel))) {
+      const ownerId = reference.owner['@id'];
+      if (!ownerId) continue;
+
+      if (ownerId === id) {
+        state.issues.push(issue(merged.get(id), reference.pointer, reference.property, 'error', 'circular-reference',
+          `${id} references itself via "${reference.property}"`));
+        continue;
+      }
+
+      if (CHAIN_PROPERTIES.includes(reference.property)) {
+        const key = `${reference.property} ${ownerId}`;
+        if (!edges.has(key)) edges.set(key, []);
+        edges.get(key).push({ target: id, reference });
+      }
+    }
+  }
+
+  const reported = new Set();
+  for (const property of CHAIN_PROPERTIES) {
+    for (const start of merged.keys()) {
+      const path = findCycle(edges, property, start, start, new Set());
+      if (!path) continue;
+
+      const cycleKey = `${property} ${[...path].sort().join(' ')}`;
+      if (reported.has(cycleKey)) continue;
+      reported.add(cycleKey);
+
+      const reference = edges.get(`${property} ${start}`)[0].reference;
+      state.issues.push(issue(merged.get(start), reference.pointer, property, 'error', 'circular-reference',
+        `Circular "${property}" chain: ${[start, ...path].join(' -> ')}`));
+    }
+  }
+}
+
+function findCycle(edges, property, start, current, visited) {
+  for (const { target } of edges.get(`${property} ${current}`) || []) {
+    if (target === start) return [start];
+    if (visited.has(target)) continue;
+    visited.add(target);
+    const rest = findCycle(edges, property, start, target, visited);
+    if (rest) return [target, ...rest];
+  }
+  return null;
+}
+
+/**
+ * Resolve an @id: alias map first, then relative ids against the base URL
+ */
+function resolveId(id, options) {
+  const aliases = options.aliases || {};
+  if (aliases[id]) return aliases[id];
+  if (!options.baseUrl || /^[a-z][a-z0-9+.-]*:/i.test(id)) return id;
+
+  try {
+    const resolved = new URL(id, options.baseUrl).href;
+    return aliases[resolved] || resolved;
+  } catch (e) {
+    return id;
+  }
+}
+
+/**
+ * A reference is an object carrying only @id (and optionally @type)
+ */
+function isReference(value) {
+  const keys = Object.keys(value);
+  return keys.includes('@id') && keys.every(k => k === '@id' || k === '@type');
+}
+
+/**
+ * Property a value sits under ("provider" for /@graph/0/provider, "areaServed" for .../areaServed/1)
+ */
+function propertyName(parent, key, pointer) {
+  if (!Array.isArray(parent)) return key;
+  const tokens = pointer.split('/');
+  return unescapePointer(tokens[tokens.length - 1]);
+}
+
+function issue(node, pointer, field, severity, rule, message) {
+  const type = node ? [].concat(node['@type'] || []).join(',') : '';
+  return { type: type || 'Unknown', field, path: pointer, severity, message, rule };
+}
+
+function summarize(value) {
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.length > 40 ? `${text.substring(0, 37)}...` : text;
+}
+
+function escapePointer(token) {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function unescapePointer(token) {
+  return token.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+module.exports = {
+  normalize,
+  check
+};
@@ -0,0 +1,644 @@
+/**
+ * Job Queue - File-backed bulk jobs that survive restarts
+ * Each job is one JSON file in data/jobs/ (override with JOBS_DIR) holding every URL's
+ * state, so an interrupted run resumes from the first unprocessed URL.
+ *
+ * Job status: running | paused | cancelled | completed | error
+ * URL status:  pending | running | done | failed
+ *
+ * Work for each URL is done by a handler registered per job type
+ * (registerHandler('rankmath', async (url, config, progress, jobId) => result)). A handler
+ * throws to fail a URL and calls progress('scraped') etc. as it passes each stage. An error
+ * with pauseJob: true (e.g. an AI budget reached) instead puts the URL back and pauses the
+ * job, with the error message as its pauseReason, until it is resumed.
+ *
+ * A handler that batches its writes can resolve with { deferred: promise } to free the URL's
+ * host slot early: the URL stays running until the promise settles (its value is the result, a
+ * rejection fails the URL). The type's flush(jobId) hook is called whenever such URLs are waiting
+ * and no more URLs can start (the job ran out of URLs, or was paused or cancelled), and end(jobId)
+ * once a run stops.
+ *
+ * subscribe(id, listener) receives live events for a job as listener(event, data):
+ *   'url', {url, stage, ms, elapsedMs, error?} - stage is the handler's, 'failed' or 'paused'
+ *   'job', {id, status, total, processed, ...}  - after every saved change
+ * URLs are processed concurrently, at most JOB_HOST_CONCURRENCY (default 2) per host
+ * across all jobs; direct fetches are still spaced out by the scraper's rate limiting.
+ *
+ * Credentials in a job's config (SECRET_FIELDS) are kept in memory only, never in its file. A job
+ * that lost them to a restart is paused until resume(id, credentials) supplies them again.
+ * Finished jobs are deleted JOB_RETENTION_DAYS (default 30, 0 = never) after their last update.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const DEFAULT_DIR = path.join(__dirname, '../../data/jobs');
+const IDLE_POLL_MS = 500;
+const FINISHED = ['completed', 'cancelled', 'error'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Config paths that are never written to job files
+const SECRET_FIELDS = ['secretToken', 'apiKey', 'dbConfig.password'];
+
+const handlers = new Map();
+const hooks = new Map();      // type -> {flush, end}
+const jobs = new Map();       // id -> job (loaded from disk on first use)
+const running = new Map();    // id -> promise of the active run
+const hostActive = new Map(); // host -> URLs in flight
+const secrets = new Map();    // id -> {field: value} for the job's SECRET_FIELDS
+let loaded = false;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+function jobsDir() {
+  return process.env.JOBS_DIR || DEFAULT_DIR;
+}
+
+function retentionDays() {
+  const days = parseFloat(process.env.JOB_RETENTION_DAYS ?? '30');
+  return days >= 0 ? days : 30;
+}
+
+function hostConcurrency() {
+  return Math.max(1, parseInt(process.env.JOB_HOST_CONCURRENCY || '2') || 2);
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Register the function that processes one URL for a job type
+ * @param {string} type - Job type ('rankmath', 'db')
+ * @param {function} handler - async (url, config, progress, jobId) => result object (or {deferred})
+ * @param {object} typeHooks - {flush(jobId), end(jobId)}, for handlers returning {deferred}
+ */
+function registerHandler(type, handler, typeHooks = {}) {
+  handlers.set(type, handler);
+  hooks.set(type, typeHooks);
+}
+
+/**
+ * Create a job and start processing it
+ * @param {string} type - Registered job type
+ * @param {array} urls - URLs to process
+ * @param {object} config - Passed to the handler (credentials, orgInfo, options); stored on disk without SECRET_FIELDS
+ * @returns {object} - Public job view
+ */
+function createJob(type, urls, config = {}) {
+  if (!handlers.has(type)) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  loadJobs();
+  pruneJobs();
+  const now = new Date().toISOString();
+  const { config: stored, values } = splitSecrets(config);
+  const job = {
+    id: Date.now().toString(36) + Math.random().toString(36).substr(2),
+    type,
+    status: 'running',
+    createdAt: now,
+    updatedAt: now,
+    config: stored,
+    secretFields: Object.keys(values),
+    items: [...new Set(urls)].map(url => ({ url, status: 'pending', attempts: 0 }))
+  };
+
+  jobs.set(job.id, job);
+  secrets.set(job.id, values);
+  saveJob(job);
+  start(job);
+
+  return toView(job);
+}
+
+/**
+ * Get a job's progress and results (credentials are never included)
+ */
+function getJob(id) {
+  loadJobs();
+  const job = jobs.get(id);
+  return job ? toView(job) : null;
+}
+
+/**
+ * Get the config a job was created with (credentials included while this process still has
+ * them - server-side use only)
+ */
+function getConfig(id) {
+  loadJobs();
+  const job = jobs.get(id);
+  return job ? runConfig(job) : null;
+}
+
+/**
+ * Credentials a job needs before it can run again (lost when the server restarted)
+ * @returns {array} - Missing SECRET_FIELDS, e.g. ['dbConfig.password']
+ */
+function missingCredentials(id) {
+  loadJobs();
+  const job = requireJob(id);
+  const values = secrets.get(id) || {};
+  return (job.secretFields || []).filter(field => !(field in values));
+}
+
+/**
+ * Change settings of a job that isn't running (e.g. raise its AI budget before resuming)
+ */
+function updateConfig(id, changes) {
+  loadJobs();
+  const job = requireJob(id);
+  if (job.status === 'running') {
+    throw new Error('Job is still running');
+  }
+  const { config: stored, values } = splitSecrets(changes);
+  Object.assign(job.config, stored);
+  if (Object.keys(values).length > 0) {
+    secrets.set(id, { ...secrets.get(id), ...values });
+    job.secretFields = [...new Set([...(job.secretFields || []), ...Object.keys(values)])];
+  }
+  saveJob(job);
+  return toView(job);
+}
+
+/**
+ * List jobs, newest first (without per-URL results)
+ */
+function listJobs() {
+  loadJobs();
+  return [...jobs.values()]
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(toSummary);
+}
+
+/**
+ * Listen to a job's live events
+ * @param {string} id - Job id
+ * @param {function} listener - Called with (event, data) for each url/job event
+ * @returns {function} - Unsubscribe
+ */
+function subscribe(id, listener) {
+  emitter.on(id, listener);
+  return () => emitter.off(id, listener);
+}
+
+/**
+ * Has a job stopped for good (until a retry)?
+ */
+function isFinished(job) {
+  return FINISHED.includes(job.status);
+}
+
+/**
+ * Pause a running job; URLs already in flight finish first
+ */
+function pause(id) {
+  return transition(id, ['running'], 'paused');
+}
+
+/**
+ * Resume a paused (or interrupted) job from its first unprocessed URL
+ * @param {string} id - Job id
+ * @param {object} credentials - The job's SECRET_FIELDS again, in config shape
+ *   ({secretToken}, {dbConfig: {password}}), when the server restarted since it was created
+ */
+function resume(id, credentials = {}) {
+  loadJobs();
+  provideCredentials(requireJob(id), credentials);
+  const job = transition(id, ['paused', 'running', 'error'], 'running', true);
+  start(jobs.get(id));
+  return job;
+}
+
+/**
+ * Cancel a job; remaining URLs are left unprocessed
+ */
+function cancel(id) {
+  return transition(id, ['running', 'paused', 'error'], 'cancelled');
+}
+
+/**
+ * Re-run only the URLs that failed
+ */
+function retryFailed(id, credentials = {}) {
+  loadJobs();
+  const job = requireJob(id);
+  if (job.status === 'running') {
+    throw new Error('Job is still running');
+  }
+  provideCredentials(job, credentials);
+
+  const failed = job.items.filter(item => item.status === 'failed');
+  if (failed.length === 0) {
+    throw new Error('Job has no failed URLs');
+  }
+
+  for (const item of failed) {
+    item.status = 'pending';
+    delete item.error;
+  }
+  job.status = 'running';
+  delete job.error;
+  delete job.pauseReason;
+  saveJob(job);
+  start(job);
+
+  return toView(job);
+}
+
+/**
+ * Restart jobs that were running when the process stopped
+ * @returns {array} - Ids of resumed jobs
+ */
+function resumeInterrupted() {
+  loadJobs();
+  const resumed = [];
+
+  for (const job of jobs.values()) {
+    if (job.status !== 'running' || running.has(job.id)) continue;
+    if (!handlers.has(job.type)) {
+      console.warn(`[jobQueue] No handler for job ${job.id} (${job.type}); leaving it paused`);
+      job.status = 'paused';
+      saveJob(job);
+      continue;
+    }
+    if (missingCredentials(job.id).length > 0) {
+      job.status = 'paused';
+      job.pauseReason = `Server restarted: enter the credentials again to resume (${missingCredentials(job.id).join(', ')})`;
+      saveJob(job);
+      continue;
+    }
+    start(job);
+    resumed.push(job.id);
+  }
+
+  if (resumed.length > 0) {
+    console.log(`[jobQueue] Resumed ${resumed.length} interrupted job(s): ${resumed.join(', ')}`);
+  }
+  return resumed;
+}
+
+/**
+ * Wait until a job's current run finishes (resolves immediately if idle)
+ */
+function waitForJob(id) {
+  return running.get(id) || Promise.resolve();
+}
+
+/**
+ * Change a job's status if it is in one of the allowed states
+ */
+function transition(id, from, to, allowSame = false) {
+  loadJobs();
+  const job = requireJob(id);
+  if (!from.includes(job.status) && !(allowSame && job.status === to)) {
+    throw new Error(`Cannot change job from ${job.status} to ${to}`);
+  }
+  job.status = to;
+  if (to === 'running') delete job.pauseReason;
+  saveJob(job);
+  return toView(job);
+}
+
+function requireJob(id) {
+  const job = jobs.get(id);
+  if (!job) {
+    throw new Error(`Job not found: ${id}`);
+  }
+  return job;
+}
+
+/**
+ * Take the missing credentials of a job from a resume/retry request; throws if some are still missing
+ */
+function provideCredentials(job, credentials) {
+  const missing = missingCredentials(job.id);
+  if (missing.length === 0) return;
+
+  const { values } = splitSecrets(credentials);
+  const still = missing.filter(field => !values[field]);
+  if (still.length > 0) {
+    throw new Error(`Credentials needed to resume this job: ${still.join(', ')}`);
+  }
+  secrets.set(job.id, { ...secrets.get(job.id), ...values });
+}
+
+/**
+ * Separate SECRET_FIELDS from a config
+ * @returns {object} - {config: copy without the secrets, values: {'dbConfig.password': ...}}
+ */
+function splitSecrets(config) {
+  const copy = { ...config };
+  const values = {};
+
+  for (const field of SECRET_FIELDS) {
+    const [key, nested] = field.split('.');
+    if (nested) {
+      if (!copy[key] || !copy[key][nested]) continue;
+      values[field] = copy[key][nested];
+      copy[key] = { ...copy[key] };
+      delete copy[key][nested];
+    } else if (copy[key]) {
+      values[field] = copy[key];
+      delete copy[key];
+    }
+  }
+
+  return { config: copy, values };
+}
+
+/**
+ * A job's config with its in-memory credentials put back (what handlers receive)
+ */
+function runConfig(job) {
+  const config = { ...job.config };
+  for (const [field, value] of Object.entries(secrets.get(job.id) || {})) {
+    const [key, nested] = field.split('.');
+    if (nested) {
+      config[key] = { ...config[key], [nested]: value };
+    } else {
+      config[key] = value;
+    }
+  }
+  return config;
+}
+
+/**
+ * Start the run loop for a job unless one is already active
+ */
+function start(job) {
+  if (running.has(job.id)) return running.get(job.id);
+
+  // URLs that were in flight when the process stopped are retried
+  for (const item of job.items) {
+    if (item.status === 'running') item.status = 'pending';
+  }
+
+  const run = processJob(job)
+    .catch(error => {
+      job.status = 'error';
+      job.error = error.message;
+      saveJob(job);
+    })
+    .finally(() => {
+      running.delete(job.id);
+      hooks.get(job.type)?.end?.(job.id);
+    });
+
+  running.set(job.id, run);
+  return run;
+}
+
+/**
+ * Process pending URLs until the job is done, paused or cancelled
+ */
+async function processJob(job) {
+  const handler = handlers.get(job.type);
+  const config = runConfig(job);
+  const inFlight = new Set();
+  const deferred = new Set();   // items whose handler returned {deferred}
+  let wake = () => {};
+  // Resolves when a URL frees its host slot early, so the next one can start
+  const slotFreed = () => new Promise(resolve => { wake = resolve; });
+
+  // Nothing more will start: once every URL still in flight waits on a deferred write, send
+  // those out; until then wait for the next URL to finish or free its slot
+  const drain = async () => {
+    const flush = hooks.get(job.type)?.flush;
+    if (flush && deferred.size > 0 && deferred.size === inFlight.size) {
+      try {
+        await flush(job.id);
+      } catch (error) {
+        console.error(`[jobQueue] Flush failed for job ${job.id}: ${error.message}`);
+      }
+    }
+    await Promise.race([...inFlight, slotFreed()]);
+  };
+
+  for (;;) {
+    // Paused or cancelled: let in-flight URLs finish (a resume meanwhile carries on)
+    if (job.status !== 'running') {
+      if (inFlight.size === 0) return;
+      await drain();
+      continue;
+    }
+
+    const item = job.items.find(i => i.status === 'pending' && hasHostSlot(i.url));
+
+    if (item) {
+      const task = processItem(job, item, handler, { config, deferred, wake: () => wake() }).finally(() => inFlight.delete(task));
+      inFlight.add(task);
+      continue;
+    }
+
+    if (!job.items.some(i => i.status === 'pending')) {
+      if (inFlight.size === 0) break;
+      await drain();
+    } else if (inFlight.size > deferred.size) {
+      await Promise.race([...inFlight, slotFreed()]);
+    } else {
+      // Every pending URL's host is busy with another job
+      await delay(IDLE_POLL_MS);
+    }
+  }
+
+  if (job.status === 'running') {
+    job.status = 'completed';
+    saveJob(job);
+  }
+}
+
+/**
+ * Run the handler for one URL and record the outcome
+ */
+async function processItem(job, item, handler, run) {
+  const host = hostOf(item.url);
+  hostActive.set(host, (hostActive.get(host) || 0) + 1);
+  let holdsSlot = true;
+  const releaseSlot = () => {
+    if (!holdsSlot) return;
+    holdsSlot = false;
+    hostActive.set(host, hostActive.get(host) - 1);
+  };
+  item.status = 'running';
+  item.attempts++;
+  item.timings = {};
+
+  // Stage timings: ms since the previous stage, elapsedMs since the URL started
+  const startedAt = Date.now();
+  let last = startedAt;
+  const progress = (stage, data = {}) => {
+    const now = Date.now();
+    item.timings[stage] = now - last;
+    emitter.emit(job.id, 'url', { url: item.url, stage, ms: now - last, elapsedMs: now - startedAt, ...data });
+    last = now;
+  };
+
+  try {
+    let result = await handler(item.url, run.config, progress, job.id);
+    if (result && result.deferred) {
+      releaseSlot();
+      run.deferred.add(item);
+      run.wake();
+      try {
+        result = await result.deferred;
+      } finally {
+        run.deferred.delete(item);
+      }
+    }
+    item.result = result;
+    item.status = 'done';
+    delete item.error;
+  } catch (error) {
+    if (error.pauseJob) {
+      // Not the URL's fault: keep it for when the job is resumed
+      item.status = 'pending';
+      item.attempts--;
+      if (job.status === 'running') {
+        job.status = 'paused';
+        job.pauseReason = error.message;
+      }
+      progress('paused', { error: error.message });
+    } else {
+      item.status = 'failed';
+      item.error = error.message;
+      progress('failed', { error: error.message });
+    }
+  } finally {
+    releaseSlot();
+    item.finishedAt = new Date().toISOString();
+    saveJob(job);
+  }
+}
+
+function hasHostSlot(url) {
+  return (hostActive.get(hostOf(url)) || 0) < hostConcurrency();
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Public view of a job (progress, results and errors; no config/credentials)
+ */
+function toView(job) {
+  return {
+    ...toSummary(job),
+    results: job.items.filter(i => i.status === 'done').map(i => ({ url: i.url, ...i.result, timings: i.timings })),
+    errors: job.items.filter(i => i.status === 'failed').map(i => ({ url: i.url, error: i.error, attempts: i.attempts, timings: i.timings }))
+  };
+}
+
+/**
+ * Progress counts without per-URL results
+ */
+function toSummary(job) {
+  const count = status => job.items.filter(i => i.status === status).length;
+  const done = count('done');
+  const failed = count('failed');
+
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    total: job.items.length,
+    processed: done + failed,
+    succeeded: done,
+    failed,
+    pending: count('pending') + count('running'),
+    ...(job.error ? { error: job.error } : {}),
+    ...(job.pauseReason ? { pauseReason: job.pauseReason } : {})
+  };
+}
+
+/**
+ * Load job files from disk once
+ */
+function loadJobs() {
+  if (loaded) return;
+  loaded = true;
+
+  const dir = jobsDir();
+  if (!fs.existsSync(dir)) return;
+
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json'))) {
+    try {
+      const job = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      if (job && job.id && Array.isArray(job.items)) {
+        jobs.set(job.id, job);
+      }
+    } catch (e) {
+      console.warn(`[jobQueue] Skipping unreadable job file ${file}: ${e.message}`);
+    }
+  }
+
+  pruneJobs();
+}
+
+/**
+ * Delete finished jobs whose last update is older than JOB_RETENTION_DAYS
+ */
+function pruneJobs() {
+  const days = retentionDays();
+  if (!days) return;
+
+  const cutoff = Date.now() - days * DAY_MS;
+  for (const job of jobs.values()) {
+    if (!isFinished(job) || running.has(job.id) || Date.parse(job.updatedAt) >= cutoff) continue;
+    try {
+      fs.rmSync(path.join(jobsDir(), `${job.id}.json`), { force: true });
+      jobs.delete(job.id);
+      secrets.delete(job.id);
+    } catch (e) {
+      console.warn(`[jobQueue] Failed to delete old job ${job.id}: ${e.message}`);
+    }
+  }
+}
+
+/**
+ * Write a job file atomically (temp file + rename) so a crash never leaves half a file,
+ * then tell subscribers about the new state
+ */
+function saveJob(job) {
+  job.updatedAt = new Date().toISOString();
+  const dir = jobsDir();
+  const file = path.join(dir, `${job.id}.json`);
+
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(job, null, 2), { mode: 0o600 });
+    fs.renameSync(`${file}.tmp`, file);
+  } catch (e) {
+    console.error(`[jobQueue] Failed to save job ${job.id}: ${e.message}`);
+  }
+
+  emitter.emit(job.id, 'job', toSummary(job));
+}
+
+module.exports = {
+  registerHandler,
+  createJob,
+  getJob,
+  getConfig,
+  missingCredentials,
+  updateConfig,
+  listJobs,
+  pause,
+  resume,
+  cancel,
+  retryFailed,
+  resumeInterrupted,
+  waitForJob,
+  subscribe,
+  isFinished
+};
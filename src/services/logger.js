@@ -7,13 +7,15 @@ const path = require('path');
 
 // In-memory log storage
 let logs = [];
+// Per AI provider: { total, sessions }
 let tokenUsage = {
   openai: { total: 0, sessions: [] },
-  gemini: { total: 0, sessions: [] }
+  gemini: { total: 0, sessions: [] },
+  anthropic: { total: 0, sessions: [] }
 };
 
 const MAX_LOGS = 500;
-const LOG_FILE = path.join(__dirname, '../../logs/activity.json');
+const LOG_FILE = process.env.LOG_FILE || path.join(__dirname, '../../logs/activity.json');
 
 // Ensure logs directory exists
 const logsDir = path.dirname(LOG_FILE);
@@ -30,7 +32,7 @@ try {
   if (fs.existsSync(LOG_FILE)) {
     const data = JSON.parse(fs.readFileSync(LOG_FILE, 'utf8'));
     logs = data.logs || [];
-    tokenUsage = data.tokenUsage || tokenUsage;
+    tokenUsage = { ...tokenUsage, ...data.tokenUsage };
   }
 } catch (e) {
   console.log('No existing logs found, starting fresh');
@@ -62,31 +64,27 @@ function log(action, details = {}) {
 
 /**
  * Log token usage from AI operations
+ * @param {object} details - Optional { model, cost, url, jobId }
  */
-function logTokens(provider, tokens, operation = 'verification') {
+function logTokens(provider, tokens, operation = 'verification', details = {}) {
   const usage = {
     timestamp: new Date().toISOString(),
     tokens,
-    operation
+    operation,
+    ...details
   };
 
-  if (provider === 'openai') {
-    tokenUsage.openai.total += tokens;
-    tokenUsage.openai.sessions.push(usage);
-  } else if (provider === 'gemini') {
-    tokenUsage.gemini.total += tokens;
-    tokenUsage.gemini.sessions.push(usage);
-  }
+  const bucket = tokenUsage[provider] || (tokenUsage[provider] = { total: 0, sessions: [] });
+  bucket.total += tokens;
+  bucket.cost = (bucket.cost || 0) + (details.cost || 0);
+  bucket.sessions.push(usage);
 
   // Keep only last 100 sessions per provider
-  if (tokenUsage.openai.sessions.length > 100) {
-    tokenUsage.openai.sessions = tokenUsage.openai.sessions.slice(-100);
-  }
-  if (tokenUsage.gemini.sessions.length > 100) {
-    tokenUsage.gemini.sessions = tokenUsage.gemini.sessions.slice(-100);
+  if (bucket.sessions.length > 100) {
+    bucket.sessions = bucket.sessions.slice(-100);
   }
 
-  log('token_usage', { provider, tokens, operation });
+  log('token_usage', { provider, tokens, operation, ...details });
 
   saveLogs();
 }
@@ -119,17 +117,17 @@ function getLogs(limit = 100, filter = null) {
  * Get token usage summary
  */
 function getTokenUsage() {
-  return {
-    openai: {
-      total: tokenUsage.openai.total,
-      recentSessions: tokenUsage.openai.sessions.slice(-10)
-    },
-    gemini: {
-      total: tokenUsage.gemini.total,
-      recentSessions: tokenUsage.gemini.sessions.slice(-10)
-    },
-    combined: tokenUsage.openai.total + tokenUsage.gemini.total
-  };
+  const summary = { combined: 0, combinedCost: 0 };
+  for (const [provider, bucket] of Object.entries(tokenUsage)) {
+    summary[provider] = {
+      total: bucket.total,
+      cost: bucket.cost || 0,
+      recentSessions: bucket.sessions.slice(-10)
+    };
+    summary.combined += bucket.total;
+    summary.combinedCost += bucket.cost || 0;
+  }
+  return summary;
 }
 
 /**
@@ -139,7 +137,8 @@ function clearLogs() {
   logs = [];
   tokenUsage = {
     openai: { total: 0, sessions: [] },
-    gemini: { total: 0, sessions: [] }
+    gemini: { total: 0, sessions: [] },
+    anthropic: { total: 0, sessions: [] }
   };
   saveLogs();
 }
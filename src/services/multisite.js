@@ -0,0 +1,125 @@
+/**
+ * Multisite - WordPress network support for the direct database client
+ * A network lists its sites in {base}blogs; the main site (blog 1) uses the base prefix
+ * (wp_posts) and every other site its own prefix {base}{blogId}_ (wp_3_posts, wp_3_postmeta).
+ */
+
+/**
+ * Table prefix for one site of a network (WordPress's $wpdb->get_blog_prefix())
+ * @param {string} basePrefix - Network table prefix (wp_)
+ * @param {number} blogId - Site ID from the blogs table (1 = main site)
+ * @returns {string}
+ */
+function blogPrefix(basePrefix, blogId = 1) {
+  const id = parseInt(blogId) || 1;
+  return id > 1 ? `${basePrefix}${id}_` : basePrefix;
+}
+
+/**
+ * Discover the sites of a network (READ-ONLY)
+ * @param {function} execute - (sql, params) => [rows], a connection's or pool's execute
+ * @param {string} basePrefix - Network table prefix (already sanitized)
+ * @returns {object} - {multisite: false, sites: []} for a single site, otherwise
+ *                     {multisite: true, sites: [{blogId, domain, path, tablePrefix, homeUrl, name, active}]}
+ */
+async function discoverSites(execute, basePrefix) {
+  const [tables] = await execute(`SHOW TABLES LIKE '${basePrefix}blogs'`);
+  if (tables.length === 0) {
+    return { multisite: false, sites: [] };
+  }
+
+  const [rows] = await execute(
+    `SELECT blog_id, domain, path, archived, deleted, spam
+     FROM ${basePrefix}blogs
+     ORDER BY blog_id`
+  );
+
+  const sites = [];
+  for (const row of rows) {
+    const blogId = Number(row.blog_id);
+    const site = {
+      blogId,
+      domain: row.domain,
+      path: row.path,
+      tablePrefix: blogPrefix(basePrefix, blogId),
+      homeUrl: null,
+      name: null,
+      active: [row.archived, row.deleted, row.spam].every(flag => String(flag) === '0')
+    };
+
+    // Home URL and title live in the site's own options table (mapped domains show up here)
+    try {
+      const [options] = await execute(
+        `SELECT option_name, option_value FROM ${site.tablePrefix}options
+         WHERE option_name IN ('home', 'blogname')`
+      );
+      for (const option of options) {
+        if (option.option_name === 'home') site.homeUrl = option.option_value;
+        if (option.option_name === 'blogname') site.name = option.option_value;
+      }
+    } catch (e) {
+      // Tables of a deleted site can be gone while its blogs row remains
+    }
+
+    sites.push(site);
+  }
+
+  return { multisite: true, sites };
+}
+
+/**
+ * Find the site a page URL belongs to, like WordPress's get_site_by_path():
+ * same domain, longest matching path wins. A site's home URL counts too, for mapped domains.
+ * @param {array} sites - From discoverSites()
+ * @param {string} pageUrl - Page URL
+ * @returns {object|null} - The site, or null if no site matches
+ */
+function resolveSite(sites, pageUrl) {
+  let url;
+  try {
+    url = new URL(pageUrl);
+  } catch (e) {
+    return null;
+  }
+
+  const host = normalizeHost(url.host);
+  const pagePath = withTrailingSlash(url.pathname).toLowerCase();
+  let best = null;
+  let bestLength = -1;
+
+  for (const site of sites) {
+    const candidates = [{ host: site.domain, path: site.path }];
+    if (site.homeUrl) {
+      try {
+        const home = new URL(site.homeUrl);
+        candidates.push({ host: home.host, path: home.pathname });
+      } catch (e) {
+        // Not a URL - match on the blogs row only
+      }
+    }
+
+    for (const candidate of candidates) {
+      const path = withTrailingSlash(candidate.path || '/').toLowerCase();
+      if (normalizeHost(candidate.host) === host && pagePath.startsWith(path) && path.length > bestLength) {
+        best = site;
+        bestLength = path.length;
+      }
+    }
+  }
+
+  return best;
+}
+
+function normalizeHost(host) {
+  return String(host || '').toLowerCase().replace(/^www\./, '');
+}
+
+function withTrailingSlash(path) {
+  return path.endsWith('/') ? path : `${path}/`;
+}
+
+module.exports = {
+  blogPrefix,
+  discoverSites,
+  resolveSite
+};
@@ -0,0 +1,324 @@
+/**
+ * Opening Hours - Parse business hours into OpeningHoursSpecification entries
+ * Handles free text ("Mon–Fri 8am–6pm", "Sunday: Closed"), schema.org short
+ * format ("Mo-Fr 08:00-18:00") and existing OpeningHoursSpecification objects.
+ */
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const DAY_CODES = { mo: 'Monday', tu: 'Tuesday', we: 'Wednesday', th: 'Thursday', fr: 'Friday', sa: 'Saturday', su: 'Sunday' };
+
+const DAY_WORD = '(?:mon(?:day)?|tue(?:s(?:day)?)?|wed(?:nesday)?|thu(?:r(?:s(?:day)?)?)?|fri(?:day)?|sat(?:urday)?|sun(?:day)?)\\.?';
+const DAY_GROUP = '(?:weekdays|weekends|daily|every\\s*day|7\\s*days(?:\\s*a\\s*week)?)';
+const DAY_TOKEN = `(?:${DAY_WORD}|${DAY_GROUP})`;
+const DAY_SEP = '\\s*(?:-|–|—|to|through|thru|&|and|,|/)\\s*';
+const TIME = '(?:\\d{1,2}(?::\\d{2})?\\s*(?:a\\.?m\\.?|p\\.?m\\.?)?|noon|midnight)';
+const RANGE_SEP = '\\s*(?:-|–|—|to|until)\\s*';
+
+// "Mon - Fri: 8:00 AM - 5:00 PM", "Saturday closed", "Sun 24 hours"
+const HOURS_PATTERN = new RegExp(
+  `\\b(${DAY_TOKEN}(?:${DAY_SEP}${DAY_TOKEN})*)\\b\\s*:?\\s*` +
+  `(closed|(?:open\\s*)?24\\s*(?:hours|hrs)|(${TIME})${RANGE_SEP}(${TIME}))`,
+  'gi'
+);
+
+const OPEN_24_7_PATTERN = /\b24\s*\/\s*7\b|\b24\s*hours?\s*(?:a\s*day|,?\s*7\s*days)|\bopen\s*24\s*hours\b|\b24\s*hours?\s*,?\s*365\b|\bround[-\s]the[-\s]clock\b/i;
+const EMERGENCY_PATTERN = /emergenc/i;
+
+/**
+ * Parse free-text business hours
+ * @param {string} text - Text containing hours ("Mon–Fri 8am–6pm, Sat 9am–2pm, Sun closed")
+ * @returns {array} - OpeningHoursSpecification entries (closed days omitted)
+ */
+function parseText(text) {
+  if (!text) return [];
+
+  const normalized = String(text).replace(/\s+/g, ' ');
+  const dayHours = {};
+  let match;
+
+  HOURS_PATTERN.lastIndex = 0;
+  while ((match = HOURS_PATTERN.exec(normalized)) !== null) {
+    const days = parseDays(match[1]);
+    if (days.length === 0) continue;
+
+    let hours = null;
+    if (/^closed$/i.test(match[2])) {
+      hours = 'closed';
+    } else if (/24/.test(match[2]) && !match[3]) {
+      hours = { opens: '00:00', closes: '23:59' };
+    } else {
+      hours = parseTimeRange(match[3], match[4]);
+    }
+
+    if (!hours) continue;
+    for (const day of days) {
+      dayHours[day] = hours;
+    }
+  }
+
+  return groupByHours(dayHours);
+}
+
+/**
+ * Parse schema.org openingHours short format ("Mo-Fr 08:00-18:00", "Sa 09:00-14:00")
+ * @param {string|array} value - One or more openingHours strings
+ * @returns {array} - OpeningHoursSpecification entries
+ */
+function parseSchemaOrgString(value) {
+  const entries = Array.isArray(value) ? value : String(value || '').split(/\s*[;\n]\s*/);
+  const dayHours = {};
+
+  for (const entry of entries) {
+    const match = String(entry).trim().match(/^([A-Za-z,\s-]+?)\s+(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/);
+    if (!match) continue;
+
+    const days = [];
+    for (const part of match[1].split(',')) {
+      const [start, end] = part.trim().toLowerCase().split(/\s*-\s*/);
+      if (!DAY_CODES[start]) continue;
+      days.push(...expandRange(DAY_CODES[start], end ? DAY_CODES[end] : null));
+    }
+
+    for (const day of days) {
+      dayHours[day] = { opens: padTime(match[2]), closes: padTime(match[3]) };
+    }
+  }
+
+  return groupByHours(dayHours);
+}
+
+/**
+ * Normalize existing OpeningHoursSpecification objects (from JSON-LD or microdata)
+ * @param {object|array} specs - Specification(s)
+ * @returns {array} - Cleaned entries with plain day names and HH:MM times
+ */
+function normalizeSpecifications(specs) {
+  const list = Array.isArray(specs) ? specs : [specs];
+  const result = [];
+
+  for (const spec of list) {
+    if (!spec || typeof spec !== 'object') continue;
+
+    const rawDays = Array.isArray(spec.dayOfWeek) ? spec.dayOfWeek : [spec.dayOfWeek];
+    const days = rawDays
+      .filter(Boolean)
+      .map(d => String(d).replace(/^https?:\/\/schema\.org\//, ''))
+      .filter(d => DAYS.includes(d));
+
+    if (days.length === 0 || !spec.opens || !spec.closes) continue;
+
+    result.push({
+      '@type': 'OpeningHoursSpecification',
+      'dayOfWeek': days,
+      'opens': padTime(spec.opens),
+      'closes': padTime(spec.closes)
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Check whether text says the business is open 24/7
+ * @param {string} text - Page text
+ * @returns {object} - {open24Hours, emergencyOnly}
+ */
+function detect24x7(text) {
+  const normalized = String(text || '').replace(/\s+/g, ' ');
+  const match = normalized.match(OPEN_24_7_PATTERN);
+  if (!match) {
+    return { open24Hours: false, emergencyOnly: false };
+  }
+
+  // "24/7 emergency service" describes an on-call line, not the office hours
+  const context = normalized.substring(Math.max(0, match.index - 40), match.index + match[0].length + 40);
+  return { open24Hours: true, emergencyOnly: EMERGENCY_PATTERN.test(context) };
+}
+
+/**
+ * Build the 24/7 OpeningHoursSpecification
+ */
+function open24x7Specification() {
+  return {
+    '@type': 'OpeningHoursSpecification',
+    'dayOfWeek': [...DAYS],
+    'opens': '00:00',
+    'closes': '23:59'
+  };
+}
+
+/**
+ * Format specifications as editable text lines ("Monday-Friday 08:00-18:00")
+ * The 24/7 flags become lines that detect24x7() reads back the same way
+ * @param {array} specs - OpeningHoursSpecification entries
+ * @param {object} flags - {open24Hours, emergencyService}
+ * @returns {string} - One line per entry
+ */
+function toText(specs, flags = {}) {
+  if (flags.open24Hours) return '24/7';
+
+  const lines = (specs || []).map(spec => {
+    const days = spec.dayOfWeek;
+    const isRange = days.length > 2 && days.every((d, i) => i === 0 || DAYS.indexOf(d) === DAYS.indexOf(days[i - 1]) + 1);
+    const dayLabel = isRange ? `${days[0]}-${days[days.length - 1]}` : days.join(', ');
+    return `${dayLabel} ${spec.opens}-${spec.closes}`;
+  });
+  if (flags.emergencyService) {
+    lines.push('24/7 emergency service');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Turn "Mon - Fri", "Mon, Wed & Fri", "weekdays" into day names
+ */
+function parseDays(text) {
+  const tokens = text.toLowerCase().match(new RegExp(`${DAY_TOKEN}|-|–|—|\\bto\\b|\\bthrough\\b|\\bthru\\b`, 'gi')) || [];
+  const days = [];
+  let rangeStart = null;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i].trim();
+
+    if (/^(-|–|—|to|through|thru)$/.test(token)) {
+      rangeStart = days[days.length - 1] || null;
+      continue;
+    }
+
+    const groupDays = dayGroup(token);
+    if (groupDays) {
+      days.push(...groupDays);
+      rangeStart = null;
+      continue;
+    }
+
+    const day = dayName(token);
+    if (!day) continue;
+
+    if (rangeStart) {
+      days.push(...expandRange(rangeStart, day).slice(1));
+      rangeStart = null;
+    } else {
+      days.push(day);
+    }
+  }
+
+  return [...new Set(days)];
+}
+
+function dayGroup(token) {
+  if (/^weekdays$/.test(token)) return DAYS.slice(0, 5);
+  if (/^weekends$/.test(token)) return DAYS.slice(5);
+  if (/^(daily|every\s*day|7\s*days)/.test(token)) return [...DAYS];
+  return null;
+}
+
+function dayName(token) {
+  const prefix = token.replace(/\./g, '').substring(0, 2);
+  return DAY_CODES[prefix] || null;
+}
+
+/**
+ * Expand Monday..Friday into each day (wraps around the week, e.g. Fri-Mon)
+ */
+function expandRange(start, end) {
+  if (!end) return [start];
+  const result = [];
+  let index = DAYS.indexOf(start);
+  for (let i = 0; i < 7; i++) {
+    result.push(DAYS[index]);
+    if (DAYS[index] === end) break;
+    index = (index + 1) % 7;
+  }
+  return result;
+}
+
+/**
+ * Parse "8am" / "8:30 PM" / "17:00" / "noon" range into 24h HH:MM strings
+ */
+function parseTimeRange(openText, closeText) {
+  const opens = parseTime(openText);
+  const closes = parseTime(closeText);
+  if (!opens || !closes) return null;
+
+  // "8-5" with no am/pm: closing time is in the afternoon
+  if (!opens.meridiem && !closes.meridiem && closes.hours <= opens.hours && closes.hours < 12) {
+    closes.hours += 12;
+  }
+  // "8-5pm": opening time without am/pm is in the morning unless that makes no sense
+  if (!opens.meridiem && closes.meridiem === 'pm' && opens.hours < 12 && opens.hours + 12 < closes.hours) {
+    opens.hours += 12;
+  }
+
+  // Closing at midnight
+  const closeValue = closes.hours === 24 || (closes.hours === 0 && closes.minutes === 0)
+    ? '23:59'
+    : formatTime(closes.hours, closes.minutes);
+
+  return { opens: formatTime(opens.hours, opens.minutes), closes: closeValue };
+}
+
+function parseTime(text) {
+  const value = String(text || '').trim().toLowerCase();
+  if (value === 'noon') return { hours: 12, minutes: 0, meridiem: 'pm' };
+  if (value === 'midnight') return { hours: 0, minutes: 0, meridiem: 'am' };
+
+  const match = value.match(/^(\d{1,2})(?::(\d{2}))?\s*(a\.?m\.?|p\.?m\.?)?$/);
+  if (!match) return null;
+
+  let hours = parseInt(match[1]);
+  const minutes = parseInt(match[2] || '0');
+  const meridiem = match[3] ? (match[3].startsWith('p') ? 'pm' : 'am') : null;
+
+  if (hours > 24 || minutes > 59) return null;
+  if (meridiem === 'pm' && hours < 12) hours += 12;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+
+  return { hours, minutes, meridiem };
+}
+
+function formatTime(hours, minutes) {
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+function padTime(time) {
+  const [h, m] = String(time).split(':');
+  return `${String(parseInt(h)).padStart(2, '0')}:${(m || '00').substring(0, 2)}`;
+}
+
+/**
+ * Group days that share the same hours into specification entries (Monday first)
+ */
+function groupByHours(dayHours) {
+  const groups = [];
+
+  for (const day of DAYS) {
+    const hours = dayHours[day];
+    if (!hours || hours === 'closed') continue;
+
+    const existing = groups.find(g => g.opens === hours.opens && g.closes === hours.closes);
+    if (existing) {
+      existing.dayOfWeek.push(day);
+    } else {
+      groups.push({
+        '@type': 'OpeningHoursSpecification',
+        'dayOfWeek': [day],
+        'opens': hours.opens,
+        'closes': hours.closes
+      });
+    }
+  }
+
+  return groups;
+}
+
+module.exports = {
+  DAYS,
+  parseText,
+  parseSchemaOrgString,
+  normalizeSpecifications,
+  detect24x7,
+  open24x7Specification,
+  toText
+};
@@ -2,6 +2,8 @@ const axios = require('axios');
 const http = require('http');
 const https = require('https');
 const cheerio = require('cheerio');
+const openingHours = require('./openingHours');
+const urlGuard = require('./urlGuard');
 
 // Disable keep-alive to prevent "socket hang up" from stale connections
 const httpAgent = new http.Agent({ keepAlive: false });
@@ -34,10 +36,11 @@ function delay(ms) {
 }
 
 /**
- * Last request timestamp for rate limiting
+ * Next allowed direct request time per host, for rate limiting
+ * (each caller reserves its slot before waiting, so concurrent bulk workers stay spaced out)
  */
-let lastRequestTime = 0;
-const MIN_REQUEST_INTERVAL = 1500; // Minimum 1.5 seconds between requests
+const nextRequestTime = new Map();
+const MIN_REQUEST_INTERVAL = 1500; // Minimum 1.5 seconds between requests to the same host
 
 /**
  * Get browser-like headers for a given URL
@@ -107,8 +110,18 @@ async function fetchWithRetry(url, maxRetries = 3) {
  * @returns {string} - Raw HTML string
  */
 async function fetchHtml(url, helperConfig) {
+  // The helper plugin only fetches its own site's pages - don't send it anything else
+  let useHelper = Boolean(helperConfig && helperConfig.siteUrl && helperConfig.secretToken);
+  if (useHelper) {
+    const scope = urlGuard.checkSiteUrl(url, helperConfig.siteUrl);
+    if (!scope.allowed) {
+      console.log(`[fetchHtml] Not using helper for ${url}: ${scope.reason}`);
+      useHelper = false;
+    }
+  }
+
   // Try via RankMath helper plugin (server-to-server, bypasses CDN/WAF)
-  if (helperConfig && helperConfig.siteUrl && helperConfig.secretToken) {
+  if (useHelper) {
     try {
       const rankMathClient = require('./rankMathClient');
       const client = rankMathClient.create(helperConfig);
@@ -126,12 +139,13 @@ async function fetchHtml(url, helperConfig) {
 
   // Direct fetch with rate limiting
   console.log(`[fetchHtml] Using direct fetch for ${url} (no helper or helper failed)`);
+  const host = new URL(url).host;
   const now = Date.now();
-  const timeSinceLastRequest = now - lastRequestTime;
-  if (timeSinceLastRequest < MIN_REQUEST_INTERVAL) {
-    await delay(MIN_REQUEST_INTERVAL - timeSinceLastRequest);
+  const slot = Math.max(now, nextRequestTime.get(host) || 0);
+  nextRequestTime.set(host, slot + MIN_REQUEST_INTERVAL);
+  if (slot > now) {
+    await delay(slot - now);
   }
-  lastRequestTime = Date.now();
 
   const response = await fetchWithRetry(url);
   console.log(`[fetchHtml] Direct fetch returned ${(response.data || '').length} chars for ${url} (status ${response.status})`);
@@ -173,6 +187,8 @@ async function scrape(url, options = {}) {
       existingSchema: extractExistingSchema($),
       wordpressInfo: extractWordPressInfo($),
       faqs: extractFAQs($),
+      howTo: extractHowTo($),
+      testimonials: extractTestimonials($),
       breadcrumbs: extractBreadcrumbs($, url),
       phone: extractPhone($),
       serviceAreas: extractServiceAreas($)
@@ -473,6 +489,359 @@ function extractFAQs($) {
   }).slice(0, 10);
 }
 
+/**
+ * Title/heading wording that marks a page as a step-by-step guide
+ */
+const HOWTO_TITLE_PATTERN = /\bhow\s+to\b|\bstep[\s-]+by[\s-]+step\b|\bguide\b|\bdiy\b|\btutorial\b|\binstructions\b/i;
+
+/**
+ * Containers whose ordered lists are navigation, not steps
+ */
+const NON_STEP_CONTAINERS = 'nav, header, footer, .breadcrumb, .breadcrumbs, .toc, #toc, .ez-toc-container, .wp-block-rank-math-toc-block, .rank-math-toc-block, .comments-area, .widget';
+
+/**
+ * Get the main content container (falls back to body)
+ */
+function getContentScope($) {
+  const contentSelectors = [
+    '.entry-content',
+    '.post-content',
+    'article .content',
+    '.page-content',
+    'main article',
+    'article'
+  ];
+
+  for (const selector of contentSelectors) {
+    const $el = $(selector).first();
+    if ($el.length && $el.text().trim()) {
+      return $el;
+    }
+  }
+
+  return $('body');
+}
+
+/**
+ * Extract HowTo steps, tools, supplies and total time from the page
+ * Looks for Yoast how-to blocks, numbered "Step N" headings, and ordered lists
+ * (plain <ol>, Gutenberg list blocks, Elementor icon list widgets)
+ * @returns {object|null} - {name, description, steps[], tools[], supplies[], totalTime} or null
+ */
+function extractHowTo($) {
+  const $scope = getContentScope($);
+  const title = extractTitle($) || '';
+
+  // Lists under "Tools" / "Supplies" headings are collected separately and never treated as steps
+  const { tools, supplies, lists: requirementLists } = extractHowToRequirements($, $scope);
+
+  let steps = [];
+  let description = '';
+
+  // Numbered headings and plain ordered lists only count as steps on pages that read like a guide
+  // (not "5 Signs Your AC Needs Repair" with "1. Strange noises" headings)
+  const headingsText = $scope.find('h2, h3').map((_, el) => $(el).text()).get().join(' ');
+  const looksLikeGuide = HOWTO_TITLE_PATTERN.test(title) || /\bsteps?\b|\binstructions\b/i.test(headingsText);
+
+  // Pattern 1: Yoast how-to block
+  const $yoast = $scope.find('.schema-how-to').first();
+  if ($yoast.length) {
+    $yoast.find('.schema-how-to-step').each((_, el) => {
+      const $el = $(el);
+      const name = $el.find('.schema-how-to-step-name').first().text().trim();
+      const text = $el.find('.schema-how-to-step-text').first().text().trim();
+      const image = $el.find('img').first().attr('src');
+      if (name || text) {
+        steps.push({ name, text: text || name, image });
+      }
+    });
+    description = $yoast.find('.schema-how-to-description').first().text().trim();
+  }
+
+  // Pattern 2: Numbered headings ("Step 1: Turn off the furnace", "2. Remove the old filter")
+  if (steps.length < 2 && looksLikeGuide) {
+    steps = [];
+    $scope.find('h2, h3, h4').each((_, heading) => {
+      const $heading = $(heading);
+      const match = $heading.text().trim().match(/^(?:step\s*)?(\d{1,2})\s*[.:)\-–—]\s*(.+)$|^step\s*(\d{1,2})\s*$/i);
+      if (!match) return;
+
+      // Step body runs until the next heading of the same or higher level
+      const level = parseInt(heading.tagName.substring(1));
+      const stopAt = ['h1', 'h2', 'h3', 'h4'].slice(0, level).join(', ');
+      const $body = $heading.nextUntil(stopAt);
+      const text = $body.filter('p, ul, ol, div').text().replace(/\s+/g, ' ').trim();
+      const image = $body.find('img').first().attr('src') || $body.filter('img').first().attr('src');
+
+      steps.push({
+        name: (match[2] || `Step ${match[3]}`).trim(),
+        text: text || (match[2] || '').trim(),
+        image
+      });
+    });
+  }
+
+  // Pattern 3: Ordered lists
+  if (steps.length < 2) {
+    steps = [];
+
+    if (looksLikeGuide) {
+      let best = [];
+      $scope.find('ol, .elementor-widget-icon-list .elementor-icon-list-items').each((_, list) => {
+        const $list = $(list);
+        if ($list.closest(NON_STEP_CONTAINERS).length) return;
+        if (requirementLists.some(req => req === list)) return;
+
+        const items = [];
+        $list.children('li').each((_, li) => {
+          const $li = $(li);
+          const text = ($li.find('.elementor-icon-list-text').first().text() || $li.text()).replace(/\s+/g, ' ').trim();
+          if (text.length < 3) return;
+          const lead = $li.children('strong, b').first().text().replace(/\s+/g, ' ').trim();
+          items.push({
+            name: lead && lead.length < text.length ? lead.replace(/[:.\-–]\s*$/, '') : '',
+            text,
+            image: $li.find('img').first().attr('src')
+          });
+        });
+
+        if (items.length > best.length) best = items;
+      });
+      steps = best;
+    }
+  }
+
+  if (steps.length < 2) {
+    return null;
+  }
+
+  return {
+    name: title,
+    description,
+    steps: steps.slice(0, 30),
+    tools,
+    supplies,
+    totalTime: extractTotalTime($, $scope)
+  };
+}
+
+/**
+ * Extract tools and supplies lists from headings like "Tools Needed" or "What You'll Need"
+ */
+function extractHowToRequirements($, $scope) {
+  const tools = [];
+  const supplies = [];
+  const lists = [];
+
+  $scope.find('h2, h3, h4, h5, p > strong, p > b').each((_, el) => {
+    const headingText = $(el).text().trim();
+    if (headingText.length > 60) return;
+
+    let target = null;
+    if (/\btools?\b|\bequipment\b/i.test(headingText)) {
+      target = tools;
+    } else if (/\bsupplies\b|\bmaterials\b|\bparts\s+(?:needed|required)\b|\bwhat\s+you(?:'|’)?ll\s+need\b|\byou\s+will\s+need\b/i.test(headingText)) {
+      target = supplies;
+    }
+    if (!target) return;
+
+    const $anchor = el.tagName.toLowerCase().match(/^h\d$/) ? $(el) : $(el).parent();
+    const $list = $anchor.nextAll('ul, ol').first();
+    if (!$list.length) return;
+
+    // The list must belong to this heading, not a later section
+    const $between = $anchor.nextUntil($list);
+    if ($between.filter('h1, h2, h3, h4').length) return;
+
+    lists.push($list.get(0));
+    $list.children('li').each((_, li) => {
+      const text = $(li).text().replace(/\s+/g, ' ').trim();
+      if (text && text.length < 100 && !target.includes(text)) {
+        target.push(text);
+      }
+    });
+  });
+
+  return { tools: tools.slice(0, 20), supplies: supplies.slice(0, 20), lists };
+}
+
+/**
+ * Extract total time ("Total time: 30 minutes", "Takes about 1 hour") as an ISO 8601 duration
+ */
+function extractTotalTime($, $scope) {
+  const yoastTime = $scope.find('.schema-how-to-total-time').first().text();
+  const text = yoastTime || $scope.text().replace(/\s+/g, ' ');
+
+  const match = text.match(/(?:total\s+time|time\s+required|time\s+needed|estimated\s+time|takes(?:\s+(?:about|around|approximately|roughly|only))?)\s*[:\-–]?\s*((?:\d+(?:\.\d+)?\s*(?:hours?|hrs?|h|minutes?|mins?|m)\b[\s,]*(?:and\s+)?)+)/i);
+  if (!match) return '';
+
+  return parseDuration(match[1]);
+}
+
+/**
+ * Convert "1 hour 30 minutes" / "45 mins" / "1.5 hours" into ISO 8601 (PT1H30M)
+ */
+function parseDuration(text) {
+  if (!text) return '';
+
+  let minutes = 0;
+  const hourMatch = text.match(/(\d+(?:\.\d+)?)\s*(?:hours?|hrs?|h)\b/i);
+  const minuteMatch = text.match(/(\d+)\s*(?:minutes?|mins?|m)\b/i);
+
+  if (hourMatch) minutes += Math.round(parseFloat(hourMatch[1]) * 60);
+  if (minuteMatch) minutes += parseInt(minuteMatch[1]);
+  if (minutes <= 0) return '';
+
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return 'PT' + (hours ? `${hours}H` : '') + (mins ? `${mins}M` : '');
+}
+
+/**
+ * Extract customer testimonials and star ratings from common review widgets
+ * Handles Elementor testimonial/reviews widgets, Trustindex, Google review embeds
+ * (Widgets for Google Reviews / WP Google Reviews) and generic star-rating markup.
+ * Returns the same shape as the AI extractor (verifier.extractReviews).
+ * @returns {object} - {reviews: [{text, author, rating, source, date}], aggregateRating: {value, count, found}}
+ */
+function extractTestimonials($) {
+  const reviews = [];
+  let aggregateRating = { value: null, count: null, found: false };
+
+  const addReview = (review) => {
+    const text = (review.text || '').replace(/\s+/g, ' ').trim().replace(/^["“]|["”]$/g, '');
+    const author = (review.author || '').replace(/\s+/g, ' ').trim().replace(/^[-–—]\s*/, '');
+    if (text.length < 20 || reviews.some(r => r.text === text)) return;
+    reviews.push({
+      text,
+      author,
+      rating: review.rating || null,
+      source: review.source || 'Direct',
+      date: (review.date || '').trim()
+    });
+  };
+
+  // Pattern 1: Trustindex widgets (also used by "Widgets for Google Reviews")
+  $('.ti-widget').each((_, widget) => {
+    const $widget = $(widget);
+    const source = detectReviewSource($widget, 'Trustindex');
+
+    $widget.find('.ti-review-item').each((_, el) => {
+      const $el = $(el);
+      addReview({
+        text: $el.find('.ti-review-content, .ti-review-text-container').first().text(),
+        author: $el.find('.ti-name').first().text(),
+        rating: $el.find('.ti-stars .ti-star.f, .ti-stars .ti-star.full').length || parseRating($el.find('.ti-stars').attr('aria-label')),
+        date: $el.find('.ti-date').first().text(),
+        source
+      });
+    });
+
+    if (!aggregateRating.found) {
+      const value = parseRating($widget.find('.ti-rating-text strong, .ti-rating').first().text());
+      const count = parseReviewCount($widget.find('.ti-rating-text, .ti-footer, .ti-header').text());
+      if (value && count) {
+        aggregateRating = { value, count, found: true, source };
+      }
+    }
+  });
+
+  // Pattern 2: WP Google Reviews (richplugins) embeds
+  $('.wp-gr, .wp-google-place').each((_, widget) => {
+    const $widget = $(widget);
+
+    $widget.find('.wp-google-review').each((_, el) => {
+      const $el = $(el);
+      addReview({
+        text: $el.find('.wp-google-text').first().text(),
+        author: $el.find('.wp-google-name').first().text(),
+        rating: $el.find('.wp-google-rating .wp-star, .wp-stars .wp-star').filter((_, s) => !/half|o\b|empty/i.test($(s).attr('class') || '')).length || null,
+        date: $el.find('.wp-google-time').first().text(),
+        source: 'Google'
+      });
+    });
+
+    if (!aggregateRating.found) {
+      const value = parseRating($widget.find('.wp-google-rating').first().text());
+      const count = parseReviewCount($widget.find('.wp-google-powered, .wp-google-based').text());
+      if (value && count) {
+        aggregateRating = { value, count, found: true, source: 'Google' };
+      }
+    }
+  });
+
+  // Pattern 3: Elementor testimonial and reviews widgets
+  $('.elementor-testimonial-wrapper, .elementor-widget-reviews .elementor-testimonial, .elementor-testimonial').each((_, el) => {
+    const $el = $(el);
+    const $stars = $el.find('.elementor-star-rating').first();
+    addReview({
+      text: $el.find('.elementor-testimonial-content, .elementor-testimonial__text').first().text(),
+      author: $el.find('.elementor-testimonial-name, .elementor-testimonial__name').first().text(),
+      rating: parseRating($stars.attr('title') || $stars.find('.elementor-screen-only').text()),
+      source: detectReviewSource($el, 'Direct')
+    });
+  });
+
+  // Pattern 4: Microdata reviews and generic testimonial blocks
+  $('[itemtype*="schema.org/Review"], .testimonial, .testimonial-item, .review-item, .wp-block-quote.is-style-testimonial').each((_, el) => {
+    const $el = $(el);
+    if ($el.closest('.ti-widget, .wp-gr, .elementor-testimonial-wrapper').length) return;
+
+    const text = $el.find('[itemprop="reviewBody"], .testimonial-content, .testimonial-text, .review-text, blockquote, p').first().text();
+    const author = $el.find('[itemprop="author"], .testimonial-author, .testimonial-name, .review-author, cite').first().text();
+    const ratingEl = $el.find('[itemprop="ratingValue"], [data-rating], [class*="star-rating"], [aria-label*="out of"]').first();
+    const rating = parseRating(ratingEl.attr('content') || ratingEl.attr('data-rating') || ratingEl.attr('aria-label') || ratingEl.text());
+
+    addReview({ text, author, rating, source: detectReviewSource($el, 'Direct') });
+  });
+
+  // Microdata aggregate rating
+  if (!aggregateRating.found) {
+    const $agg = $('[itemtype*="schema.org/AggregateRating"]').first();
+    if ($agg.length) {
+      const value = parseRating($agg.find('[itemprop="ratingValue"]').attr('content') || $agg.find('[itemprop="ratingValue"]').text());
+      const count = parseInt($agg.find('[itemprop="reviewCount"], [itemprop="ratingCount"]').first().attr('content') || $agg.find('[itemprop="reviewCount"], [itemprop="ratingCount"]').first().text()) || null;
+      if (value && count) {
+        aggregateRating = { value, count, found: true, source: detectReviewSource($agg, 'Direct') };
+      }
+    }
+  }
+
+  return { reviews: reviews.slice(0, 20), aggregateRating };
+}
+
+/**
+ * Parse a star rating ("4.5/5", "Rated 4 out of 5", "5") into a number between 1 and 5
+ */
+function parseRating(text) {
+  if (!text) return null;
+  const match = String(text).match(/(\d(?:[.,]\d+)?)\s*(?:\/\s*5|out\s+of\s+5|stars?)?/i);
+  if (!match) return null;
+  const value = parseFloat(match[1].replace(',', '.'));
+  return value >= 1 && value <= 5 ? value : null;
+}
+
+/**
+ * Parse a review count from text like "Based on 123 reviews"
+ */
+function parseReviewCount(text) {
+  const match = (text || '').replace(/,/g, '').match(/(\d+)\s+(?:reviews?|ratings?)/i);
+  return match ? parseInt(match[1]) : null;
+}
+
+/**
+ * Detect which platform a review widget pulls from (Google, Facebook, Yelp...)
+ */
+function detectReviewSource($el, fallback) {
+  const markup = ($el.attr('class') || '') + ' ' + $el.find('img').map((_, img) => $(img).attr('src') || '').get().join(' ');
+  if (/google|ti-goog\b/i.test(markup)) return 'Google';
+  if (/facebook/i.test(markup)) return 'Facebook';
+  if (/yelp/i.test(markup)) return 'Yelp';
+  if (/homestars/i.test(markup)) return 'HomeStars';
+  if (/trustpilot/i.test(markup)) return 'Trustpilot';
+  return fallback;
+}
+
 /**
  * Extract breadcrumbs from the page
  */
@@ -685,6 +1054,24 @@ async function scrapeOrgInfo(url, helperConfig) {
     // Detect business type from content
     const businessType = detectBusinessType($);
 
+    // Extract business hours (homepage first, then the contact page)
+    let hours = extractOpeningHours($);
+    if (hours.specifications.length === 0 && !hours.open24Hours) {
+      const contactUrl = findContactPageUrl($, baseUrl);
+      if (contactUrl) {
+        try {
+          const contactHtml = await fetchHtml(contactUrl, helperConfig);
+          const contactHours = extractOpeningHours(cheerio.load(contactHtml));
+          hours = {
+            ...contactHours,
+            emergencyService: hours.emergencyService || contactHours.emergencyService
+          };
+        } catch (e) {
+          console.log(`[scrapeOrgInfo] Contact page fetch failed for ${contactUrl}: ${e.message}`);
+        }
+      }
+    }
+
     return {
       name: orgName,
       url: baseUrl,
@@ -694,7 +1081,10 @@ async function scrapeOrgInfo(url, helperConfig) {
       address: address,
       serviceAreas: serviceAreas,
       socialProfiles: socialProfiles,
-      businessType: businessType
+      businessType: businessType,
+      openingHours: hours.specifications,
+      open24Hours: hours.open24Hours,
+      emergencyService: hours.emergencyService
     };
   } catch (error) {
     throw new Error(`Failed to scrape organization info: ${error.message}`);
@@ -1016,6 +1406,123 @@ function extractEmail($) {
   return '';
 }
 
+/**
+ * Extract business hours from existing JSON-LD, microdata, hours widgets and footer text
+ * @returns {object} - {specifications: OpeningHoursSpecification[], open24Hours, emergencyService}
+ */
+function extractOpeningHours($) {
+  let specifications = [];
+
+  // 1. Existing JSON-LD (LocalBusiness nodes, possibly inside @graph)
+  const nodes = [];
+  for (const schema of extractExistingSchema($)) {
+    const list = Array.isArray(schema) ? schema : [schema];
+    for (const item of list) {
+      nodes.push(item, ...(Array.isArray(item['@graph']) ? item['@graph'] : []));
+    }
+  }
+  for (const node of nodes) {
+    if (specifications.length > 0) break;
+    if (node.openingHoursSpecification) {
+      specifications = openingHours.normalizeSpecifications(node.openingHoursSpecification);
+    } else if (node.openingHours) {
+      specifications = openingHours.parseSchemaOrgString(node.openingHours);
+    }
+  }
+
+  // 2. Microdata
+  if (specifications.length === 0) {
+    const microdata = $('[itemprop="openingHours"]').map((_, el) => $(el).attr('content') || $(el).attr('datetime') || $(el).text()).get();
+    if (microdata.length > 0) {
+      specifications = openingHours.parseSchemaOrgString(microdata);
+      if (specifications.length === 0) {
+        specifications = openingHours.parseText(microdata.join(' '));
+      }
+    }
+  }
+
+  if (specifications.length === 0) {
+    $('[itemprop="openingHoursSpecification"]').each((_, el) => {
+      const $el = $(el);
+      const prop = (name) => {
+        const $p = $el.find(`[itemprop="${name}"]`);
+        return $p.map((_, p) => $(p).attr('content') || $(p).attr('href') || $(p).text().trim()).get();
+      };
+      specifications.push(...openingHours.normalizeSpecifications({
+        dayOfWeek: prop('dayOfWeek'),
+        opens: prop('opens')[0],
+        closes: prop('closes')[0]
+      }));
+    });
+  }
+
+  // 3. Hours widgets, footer and contact sections (free text like "Mon–Fri 8am–6pm")
+  const hoursSelectors = [
+    '.business-hours',
+    '.opening-hours',
+    '.office-hours',
+    '.hours',
+    '[class*="hours"]',
+    '[id*="hours"]',
+    'footer',
+    '.contact-info',
+    '[class*="contact"]'
+  ];
+
+  if (specifications.length === 0) {
+    for (const selector of hoursSelectors) {
+      $(selector).each((_, el) => {
+        if (specifications.length > 0) return;
+        specifications = openingHours.parseText(spacedText($, $(el)));
+      });
+      if (specifications.length > 0) break;
+    }
+  }
+
+  // 4. 24/7 and emergency-service notes
+  const bodyText = spacedText($, $('body'));
+  const { open24Hours, emergencyOnly } = openingHours.detect24x7(bodyText);
+
+  return {
+    specifications,
+    // A 24/7 emergency line doesn't make the office 24/7; posted hours win over any note
+    open24Hours: specifications.length === 0 && open24Hours && !emergencyOnly,
+    emergencyService: open24Hours && emergencyOnly
+  };
+}
+
+/**
+ * Get element text with spaces between child elements ("Monday8am" -> "Monday 8am")
+ */
+function spacedText($, $el) {
+  return $el.find('*').addBack().contents()
+    .filter((_, node) => node.type === 'text' && !['script', 'style', 'noscript'].includes(node.parent && node.parent.name))
+    .map((_, node) => node.data)
+    .get()
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Find a same-site contact page link
+ */
+function findContactPageUrl($, baseUrl) {
+  const href = $('a[href*="contact"]').filter((_, el) => {
+    const link = $(el).attr('href') || '';
+    return !link.startsWith('mailto:') && !link.startsWith('tel:');
+  }).first().attr('href');
+
+  if (!href) return null;
+
+  try {
+    const contactUrl = new URL(href, baseUrl);
+    return contactUrl.origin === new URL(baseUrl).origin ? contactUrl.href : null;
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Detect business type from page content
  */
@@ -1137,5 +1644,8 @@ async function fetchPageText(url, helperConfig) {
 module.exports = {
   scrape,
   scrapeOrgInfo,
-  fetchPageText
+  fetchPageText,
+  extractHowTo,
+  extractTestimonials,
+  extractOpeningHours
 };
@@ -0,0 +1,320 @@
+/**
+ * Permalink Resolver - find the post a page URL points to, straight from the database
+ * Matching the last path segment against post_name is not enough: /services/ac-repair/ and
+ * /locations/hamilton/ac-repair/ share a slug. Instead every post with that slug gets its
+ * full permalink rebuilt and compared with the URL:
+ *
+ * 1. ?p= / ?page_id= links and Custom Permalinks' custom_permalink meta are used as-is
+ * 2. Pages and other hierarchical posts walk their post_parent chain (/locations/hamilton/ac-repair)
+ * 3. Posts follow the permalink_structure option (%year%, %postname%, %category%, ...)
+ * 4. Custom post types use their rewrite slug, read from the rewrite_rules option
+ *    (falling back to the post type name)
+ *
+ * Published posts win over drafts and private posts; when more than one post still fits, or
+ * none does, the candidates are returned instead of a guess.
+ */
+
+const { maybeUnserialize } = require('./phpSerializer');
+
+// Never addressed by a front-end permalink
+const EXCLUDED_TYPES = ['revision', 'nav_menu_item', 'attachment', 'customize_changeset', 'oembed_cache'];
+const EXCLUDED_STATUSES = ['trash', 'auto-draft', 'inherit'];
+const STATUS_RANK = { publish: 0, private: 1, future: 2, pending: 3, draft: 4 };
+
+// Query vars of core rewrite rules (everything else of the form {var}=$matches[1] is a post type)
+const CORE_QUERY_VARS = ['name', 'pagename', 'attachment', 'category_name', 'tag', 'author_name', 'post_format', 'feed', 'p', 'page_id', 's', 'year', 'monthnum', 'day', 'paged', 'cpage'];
+const MAX_PARENT_DEPTH = 20;
+
+/**
+ * Find the post for a URL (READ-ONLY)
+ * @param {function} execute - (sql, params) => [rows], a connection's or pool's execute
+ * @param {string} tablePrefix - The site's table prefix (already sanitized)
+ * @param {string} pageUrl - Page URL
+ * @returns {object} - {success: true, post, matchedBy} or
+ *                     {success: false, post: null, ambiguous, candidates: [{ID, post_title, post_type, post_status, path}], error}
+ */
+async function resolvePost(execute, tablePrefix, pageUrl) {
+  let url;
+  try {
+    url = new URL(pageUrl);
+  } catch (e) {
+    return notFound([], `Invalid URL: ${pageUrl}`);
+  }
+
+  const settings = await loadSettings(execute, tablePrefix);
+  const lookup = createPostLookup(execute, tablePrefix);
+
+  // 1. Plain links (?p=123, ?page_id=123)
+  const queryId = parseInt(url.searchParams.get('p') || url.searchParams.get('page_id'));
+  if (queryId) {
+    const post = await lookup.byId(queryId);
+    return post && isAddressable(post) ? found(post, 'id') : notFound([], `Post ID ${queryId} not found`);
+  }
+
+  const path = relativePath(url.pathname, settings.homePath);
+  if (path === '') {
+    const front = settings.frontPageId ? await lookup.byId(settings.frontPageId) : null;
+    return front ? found(front, 'front_page') : notFound([], 'URL is the blog home page, not a post');
+  }
+
+  // 1b. Custom Permalinks plugin
+  const [custom] = await execute(
+    `SELECT post_id FROM ${tablePrefix}postmeta WHERE meta_key = 'custom_permalink' AND meta_value IN (?, ?)`,
+    [path, `${path}/`]
+  );
+  if (custom.length === 1) {
+    const post = await lookup.byId(custom[0].post_id);
+    if (post && isAddressable(post)) return found(post, 'custom_permalink');
+  }
+
+  // 2-4. Every post with the URL's slug, compared by full permalink
+  const slug = path.split('/').pop();
+  const [rows] = await execute(
+    `SELECT ID, post_title, post_name, post_type, post_status, post_parent, post_date
+     FROM ${tablePrefix}posts
+     WHERE post_name = ?
+       AND post_type NOT IN (${EXCLUDED_TYPES.map(() => '?').join(', ')})
+       AND post_status NOT IN (${EXCLUDED_STATUSES.map(() => '?').join(', ')})`,
+    [slug, ...EXCLUDED_TYPES, ...EXCLUDED_STATUSES]
+  );
+
+  const candidates = [];
+  for (const row of rows) {
+    const ancestors = await lookup.ancestors(row);
+    candidates.push({ ...row, pattern: permalinkPattern(row, ancestors, settings), path: permalinkLabel(row, ancestors, settings) });
+  }
+
+  return pickCandidate(candidates, path);
+}
+
+/**
+ * Choose among posts sharing a slug: the one whose permalink matches, published first
+ */
+function pickCandidate(candidates, path) {
+  const matches = candidates.filter(c => c.pattern.test(path));
+  const best = Math.min(...matches.map(statusRank));
+  const preferred = matches.filter(c => statusRank(c) === best);
+
+  if (preferred.length === 1) {
+    return found(preferred[0], 'permalink');
+  }
+  if (preferred.length > 1) {
+    return notFound(preferred, `${preferred.length} posts match /${path}/ - pass a post ID to choose one`, true);
+  }
+  return notFound(candidates, candidates.length > 0
+    ? `No post has the permalink /${path}/ (${candidates.length} post(s) share its slug)`
+    : `Post not found for /${path}/`);
+}
+
+/**
+ * Permalink settings of a site from its options table
+ */
+async function loadSettings(execute, tablePrefix) {
+  const [rows] = await execute(
+    `SELECT option_name, option_value FROM ${tablePrefix}options
+     WHERE option_name IN ('home', 'permalink_structure', 'rewrite_rules', 'show_on_front', 'page_on_front')`
+  );
+  const options = Object.fromEntries(rows.map(row => [row.option_name, row.option_value]));
+
+  let homePath = '';
+  try {
+    homePath = trimSlashes(new URL(options.home).pathname);
+  } catch (e) {
+    // No home option - assume WordPress is at the domain root
+  }
+
+  return {
+    homePath,
+    structure: options.permalink_structure || '',
+    typeBases: typeBasesFromRules(maybeUnserialize(options.rewrite_rules)),
+    frontPageId: options.show_on_front === 'page' ? parseInt(options.page_on_front) || 0 : 0
+  };
+}
+
+/**
+ * Rewrite slug of each custom post type, from rules like
+ * 'services/([^/]+)(?:/([0-9]+))?/?$' => 'index.php?services=$matches[1]&page=$matches[2]'
+ * @param {object} rules - Unserialized rewrite_rules option (regex => query)
+ * @returns {object} - {queryVar: 'services'} (includes the front, e.g. 'blog/services')
+ */
+function typeBasesFromRules(rules) {
+  const bases = {};
+  if (!rules || typeof rules !== 'object') return bases;
+
+  for (const [regex, query] of Object.entries(rules)) {
+    const queryMatch = /^index\.php\?([\w-]+)=\$matches\[1\](&page=\$matches\[2\])?$/.exec(String(query));
+    const baseMatch = /^\^?([\w-]+(?:\/[\w-]+)*)\/\(/.exec(regex);
+    if (!queryMatch || !baseMatch || CORE_QUERY_VARS.includes(queryMatch[1])) continue;
+    if (!(queryMatch[1] in bases)) bases[queryMatch[1]] = baseMatch[1];
+  }
+
+  return bases;
+}
+
+/**
+ * Regex for the path (no leading/trailing slash, lower case) a post is served at
+ * @param {object} post - {ID, post_name, post_type, post_date}
+ * @param {array} ancestors - Parent slugs, top-most first
+ * @param {object} settings - From loadSettings()
+ */
+function permalinkPattern(post, ancestors, settings) {
+  const slugPath = [...ancestors, post.post_name].map(escapeRegex).join('/');
+
+  if (post.post_type === 'page') {
+    return new RegExp(`^${lower(slugPath)}$`);
+  }
+
+  if (post.post_type === 'post') {
+    const tokens = structureTokens(post, slugPath, { '%category%': '.+', '%author%': '[^/]+' });
+    return new RegExp(`^${lower(expandStructure(settings.structure, tokens, escapeRegex))}$`);
+  }
+
+  return new RegExp(`^${lower(escapeRegex(customTypeBase(post.post_type, settings)))}/${lower(slugPath)}$`);
+}
+
+/**
+ * Readable permalink path for candidate lists
+ */
+function permalinkLabel(post, ancestors, settings) {
+  const slugPath = [...ancestors, post.post_name].join('/');
+  if (post.post_type === 'page') return `/${slugPath}/`;
+  if (post.post_type === 'post') {
+    const tokens = structureTokens(post, slugPath, { '%category%': '{category}', '%author%': '{author}' });
+    return `/${expandStructure(settings.structure, tokens, part => part)}/`;
+  }
+  return `/${customTypeBase(post.post_type, settings)}/${slugPath}/`;
+}
+
+/**
+ * Values of the permalink_structure tags for a post (%category% / %author% need joins, so the
+ * caller supplies placeholders for them)
+ */
+function structureTokens(post, slugPath, placeholders) {
+  // mysql2 returns DATETIME as a Date in local time unless dateStrings is set
+  const date = post.post_date instanceof Date ? post.post_date : new Date(String(post.post_date).replace(' ', 'T'));
+  const pad = n => String(n).padStart(2, '0');
+  return {
+    '%year%': String(date.getFullYear()),
+    '%monthnum%': pad(date.getMonth() + 1),
+    '%day%': pad(date.getDate()),
+    '%hour%': pad(date.getHours()),
+    '%minute%': pad(date.getMinutes()),
+    '%second%': pad(date.getSeconds()),
+    '%post_id%': String(post.ID),
+    '%postname%': slugPath,
+    ...placeholders
+  };
+}
+
+function expandStructure(structure, tokens, literal) {
+  return trimSlashes(structure || '%postname%')
+    .split(/(%[a-z_]+%)/)
+    .map(part => (part in tokens ? tokens[part] : literal(part)))
+    .join('');
+}
+
+/**
+ * Rewrite slug of a custom post type; without rewrite rules, WordPress's default
+ * (the structure's front, e.g. 'blog/', plus the post type name)
+ */
+function customTypeBase(postType, settings) {
+  if (settings.typeBases[postType]) return settings.typeBases[postType];
+  const front = trimSlashes(settings.structure.split('%')[0] || '');
+  return front ? `${front}/${postType}` : postType;
+}
+
+/**
+ * Post lookups with a cache, for walking parent chains
+ */
+function createPostLookup(execute, tablePrefix) {
+  const cache = new Map();
+
+  async function byId(id) {
+    if (!cache.has(id)) {
+      const [rows] = await execute(
+        `SELECT ID, post_title, post_name, post_type, post_status, post_parent, post_date
+         FROM ${tablePrefix}posts WHERE ID = ?`,
+        [id]
+      );
+      cache.set(id, rows[0] || null);
+    }
+    return cache.get(id);
+  }
+
+  /**
+   * Slugs of a post's parents, top-most first (stops at a missing parent or a loop)
+   */
+  async function ancestors(post) {
+    const slugs = [];
+    const seen = new Set([Number(post.ID)]);
+    let parentId = Number(post.post_parent);
+
+    while (parentId && !seen.has(parentId) && slugs.length < MAX_PARENT_DEPTH) {
+      seen.add(parentId);
+      const parent = await byId(parentId);
+      if (!parent) break;
+      slugs.unshift(parent.post_name);
+      parentId = Number(parent.post_parent);
+    }
+    return slugs;
+  }
+
+  return { byId, ancestors };
+}
+
+/**
+ * URL path below the site's home path, without slashes, lower-cased like post_name
+ * (percent-encoded characters included)
+ */
+function relativePath(pathname, homePath) {
+  let path = trimSlashes(pathname).toLowerCase();
+  const home = homePath.toLowerCase();
+  if (home && (path === home || path.startsWith(`${home}/`))) {
+    path = trimSlashes(path.slice(home.length));
+  }
+  return path;
+}
+
+function isAddressable(post) {
+  return !EXCLUDED_TYPES.includes(post.post_type) && !EXCLUDED_STATUSES.includes(post.post_status);
+}
+
+function statusRank(post) {
+  return STATUS_RANK[post.post_status] ?? 5;
+}
+
+function found(post, matchedBy) {
+  return { success: true, post: summarize(post), matchedBy };
+}
+
+function notFound(candidates, error, ambiguous = false) {
+  return { success: false, post: null, ambiguous, candidates: candidates.map(summarize), error };
+}
+
+function summarize(post) {
+  return {
+    ID: post.ID,
+    post_title: post.post_title,
+    post_type: post.post_type,
+    post_status: post.post_status,
+    ...(post.path ? { path: post.path } : {})
+  };
+}
+
+function trimSlashes(path) {
+  return String(path || '').replace(/^\/+|\/+$/g, '');
+}
+
+function lower(pattern) {
+  return pattern.toLowerCase();
+}
+
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  resolvePost,
+  typeBasesFromRules,
+  permalinkPattern
+};
@@ -0,0 +1,503 @@
+/**
+ * PHP Serializer - serialize()/unserialize() compatible codec for WordPress meta
+ * WordPress stores arrays and objects in wp_postmeta with PHP's serialize(); this reads and
+ * writes that format byte for byte so meta round-trips through RankMath unchanged.
+ *
+ * PHP -> JS mapping:
+ *   N / b / i / d / s  -> null / boolean / number (BigInt beyond 2^53) / number / string
+ *   a with keys 0..n-1 -> Array
+ *   a with other keys  -> Object (PHP key order kept under PHP_KEYS when JS would reorder it)
+ *   O:"Class"          -> Object tagged with PHP_CLASS; private/protected property names keep
+ *                         PHP's "\0Class\0name" / "\0*\0name" form
+ *   C:"Class"          -> Object with PHP_CLASS and the raw payload under PHP_CUSTOM
+ *   E:"Enum:Case"      -> Object with PHP_ENUM
+ *   r: / R:            -> the same JS object; arrays reached through a PHP reference (R:) are
+ *                         tagged PHP_REFERENCE so they are written back as references
+ *
+ * String lengths are byte counts (meta is UTF-8), floats use PHP's shortest round-trip form
+ * (serialize_precision = -1), and numbers that are not safe integers are written as doubles
+ * (BigInt gives exact 64-bit integers).
+ * Empty PHP arrays read back as [] since PHP does not tell lists and maps apart.
+ */
+
+const PHP_CLASS = Symbol('php.class');
+const PHP_CUSTOM = Symbol('php.custom');
+const PHP_ENUM = Symbol('php.enum');
+const PHP_KEYS = Symbol('php.keys');
+const PHP_REFERENCE = Symbol('php.reference');
+
+// Same nesting limit as PHP's unserialize_max_depth default
+const MAX_DEPTH = 4096;
+const INT64_MIN = -(2n ** 63n);
+const INT64_MAX = 2n ** 63n - 1n;
+const INT_KEY = /^(0|-?[1-9]\d*)$/;
+const INT_VALUE = /^[+-]?\d+$/;
+const FLOAT_VALUE = /^[+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?$/;
+
+// ============================================================================
+// serialize
+// ============================================================================
+
+/**
+ * Serialize a JS value the way PHP's serialize() would
+ * @param {*} value - Value to serialize (undefined and functions become N;)
+ * @returns {string} - PHP serialized string
+ */
+function serialize(value) {
+  return write(value, { slot: 0, slots: new Map(), active: new Set() });
+}
+
+/**
+ * Write one value, counting reference slots like PHP (every value except R: takes one)
+ */
+function write(value, state) {
+  state.slot++;
+
+  if (value === null || value === undefined || typeof value === 'function' || typeof value === 'symbol') {
+    return 'N;';
+  }
+  if (typeof value === 'boolean') {
+    return `b:${value ? 1 : 0};`;
+  }
+  if (typeof value === 'bigint') {
+    return value >= INT64_MIN && value <= INT64_MAX ? `i:${value};` : `d:${formatFloat(Number(value))};`;
+  }
+  if (typeof value === 'number') {
+    // Integers past 2^53 are only approximate in JS, so they stay doubles (use BigInt for exact ones)
+    if (Number.isSafeInteger(value) && !Object.is(value, -0)) {
+      return `i:${value};`;
+    }
+    return `d:${formatFloat(value)};`;
+  }
+  if (typeof value === 'string') {
+    return writeString(value);
+  }
+
+  if (value[PHP_CLASS] === undefined && value[PHP_ENUM] === undefined && typeof value.toJSON === 'function') {
+    state.slot--;
+    return write(value.toJSON(), state);
+  }
+
+  const reference = backReference(value, state);
+  if (reference) return reference;
+
+  if (value[PHP_ENUM] !== undefined) {
+    return `E:${Buffer.byteLength(value[PHP_ENUM], 'utf8')}:"${value[PHP_ENUM]}";`;
+  }
+  if (value[PHP_CUSTOM] !== undefined) {
+    const payload = String(value[PHP_CUSTOM]);
+    return `C:${Buffer.byteLength(value[PHP_CLASS], 'utf8')}:"${value[PHP_CLASS]}":${Buffer.byteLength(payload, 'utf8')}:{${payload}}`;
+  }
+
+  state.active.add(value);
+  let body = '';
+  let count = 0;
+
+  if (Array.isArray(value)) {
+    for (let i = 0; i < value.length; i++) {
+      body += `i:${i};` + write(value[i], state);
+    }
+    count = value.length;
+  } else {
+    const isObject = value[PHP_CLASS] !== undefined;
+    const keys = keysOf(value);
+    for (const key of keys) {
+      body += (isObject ? writeString(key) : writeKey(key)) + write(value[key], state);
+    }
+    count = keys.length;
+  }
+
+  state.active.delete(value);
+
+  if (value[PHP_CLASS] !== undefined) {
+    return `O:${Buffer.byteLength(value[PHP_CLASS], 'utf8')}:"${value[PHP_CLASS]}":${count}:{${body}}`;
+  }
+  return `a:${count}:{${body}}`;
+}
+
+/**
+ * Reference to an object already written, or null to write it out in full.
+ * PHP arrays are values, so an array shared in JS is written twice unless it came from a
+ * PHP reference or contains itself; PHP objects are always handles (r:).
+ */
+function backReference(value, state) {
+  const slot = state.slots.get(value);
+  if (slot === undefined) {
+    state.slots.set(value, state.slot);
+    return null;
+  }
+
+  if (!value[PHP_REFERENCE] && value[PHP_CLASS] !== undefined) {
+    return `r:${slot};`;
+  }
+  if (value[PHP_REFERENCE] || state.active.has(value)) {
+    // R: does not take a slot of its own
+    state.slot--;
+    return `R:${slot};`;
+  }
+  return null;
+}
+
+function writeString(value) {
+  return `s:${Buffer.byteLength(value, 'utf8')}:"${value}";`;
+}
+
+/**
+ * Array key - PHP turns decimal integer strings ("5") into integer keys
+ */
+function writeKey(key) {
+  if (INT_KEY.test(key)) {
+    const n = BigInt(key);
+    if (n >= INT64_MIN && n <= INT64_MAX) return `i:${key};`;
+  }
+  return writeString(key);
+}
+
+/**
+ * Object keys in PHP order when the value came from unserialize(), new keys last
+ */
+function keysOf(value) {
+  const keys = Object.keys(value);
+  const order = value[PHP_KEYS];
+  if (!order) return keys;
+
+  const present = new Set(keys);
+  const ordered = order.filter(key => present.has(key));
+  const seen = new Set(ordered);
+  return ordered.concat(keys.filter(key => !seen.has(key)));
+}
+
+/**
+ * Format a double like PHP with serialize_precision = -1
+ * (shortest round-trip digits; 1.0E+25 style beyond 15 integer digits or below 0.0001)
+ */
+function formatFloat(value) {
+  if (Number.isNaN(value)) return 'NAN';
+  if (value === Infinity) return 'INF';
+  if (value === -Infinity) return '-INF';
+  if (value === 0) return Object.is(value, -0) ? '-0' : '0';
+
+  const sign = value < 0 ? '-' : '';
+  const [mantissa, exponent] = Math.abs(value).toExponential().split('e');
+  const digits = mantissa.replace('.', '');
+  const decpt = Number(exponent) + 1; // digits are 0.ddd x 10^decpt
+
+  if (decpt > 15 || decpt < -3) {
+    const e = decpt - 1;
+    return `${sign}${digits[0]}.${digits.slice(1) || '0'}E${e < 0 ? '-' : '+'}${Math.abs(e)}`;
+  }
+  if (decpt <= 0) {
+    return `${sign}0.${'0'.repeat(-decpt)}${digits}`;
+  }
+  if (decpt >= digits.length) {
+    return sign + digits + '0'.repeat(decpt - digits.length);
+  }
+  return `${sign}${digits.slice(0, decpt)}.${digits.slice(decpt)}`;
+}
+
+// ============================================================================
+// unserialize
+// ============================================================================
+
+/**
+ * Parse a PHP serialized value
+ * @param {string|Buffer} input - Serialized data (lengths are read as UTF-8 bytes)
+ * @returns {*} - JS value
+ * @throws {Error} - On malformed data, with the byte offset of the problem
+ */
+function unserialize(input) {
+  const parser = {
+    buf: Buffer.isBuffer(input) ? input : Buffer.from(String(input), 'utf8'),
+    pos: 0,
+    refs: [],
+    depth: 0
+  };
+
+  const value = readValue(parser);
+  if (parser.buf.toString('utf8', parser.pos).trim() !== '') {
+    fail(parser, 'unexpected data after the value');
+  }
+  return value;
+}
+
+/**
+ * Like WordPress's maybe_unserialize(): unserialize if it looks serialized, else return as-is
+ */
+function maybeUnserialize(value) {
+  if (!isSerialized(value)) return value;
+  try {
+    return unserialize(value.trim());
+  } catch (e) {
+    return value;
+  }
+}
+
+/**
+ * Like WordPress's is_serialized() (strict): does the string look like serialized data?
+ */
+function isSerialized(value) {
+  if (typeof value !== 'string') return false;
+  const data = value.trim();
+  if (data === 'N;') return true;
+  if (data.length < 4 || data[1] !== ':') return false;
+
+  const last = data[data.length - 1];
+  if (last !== ';' && last !== '}') return false;
+
+  switch (data[0]) {
+    case 's':
+      return data[data.length - 2] === '"';
+    case 'a':
+    case 'O':
+    case 'C':
+    case 'E':
+      return /^[aOCE]:\d+:/.test(data);
+    case 'b':
+    case 'i':
+    case 'd':
+      return /^[bid]:[0-9.E+-]+;$|^d:-?(NAN|INF);$/.test(data);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Read one value and record it in the reference table
+ */
+function readValue(p) {
+  const type = String.fromCharCode(p.buf[p.pos]);
+
+  switch (type) {
+    case 'N':
+      expect(p, 'N;');
+      return push(p, null);
+    case 'b': {
+      expect(p, 'b:');
+      const raw = readUntil(p, ';');
+      if (raw !== '0' && raw !== '1') fail(p, `invalid boolean "${raw}"`);
+      return push(p, raw === '1');
+    }
+    case 'i':
+      return push(p, readInt(p));
+    case 'd':
+      return push(p, readFloat(p));
+    case 's':
+      return push(p, readString(p));
+    case 'a':
+      return readArray(p);
+    case 'O':
+      return readObject(p);
+    case 'C':
+      return readCustom(p);
+    case 'E': {
+      expect(p, 'E:');
+      const name = readQuoted(p, readLength(p, ':'));
+      expect(p, ';');
+      if (!name.includes(':')) fail(p, `invalid enum "${name}"`);
+      return push(p, tag({}, PHP_ENUM, name));
+    }
+    case 'r':
+    case 'R':
+      return readReference(p, type);
+    default:
+      return fail(p, p.pos >= p.buf.length ? 'unexpected end of data' : `unknown type "${type}"`);
+  }
+}
+
+function readInt(p) {
+  expect(p, 'i:');
+  const raw = readUntil(p, ';');
+  if (!INT_VALUE.test(raw)) fail(p, `invalid integer "${raw}"`);
+  const n = BigInt(raw);
+  return n >= BigInt(Number.MIN_SAFE_INTEGER) && n <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(n) : n;
+}
+
+function readFloat(p) {
+  expect(p, 'd:');
+  const raw = readUntil(p, ';');
+  if (raw === 'NAN') return NaN;
+  if (raw === 'INF') return Infinity;
+  if (raw === '-INF') return -Infinity;
+  if (!FLOAT_VALUE.test(raw)) fail(p, `invalid float "${raw}"`);
+  return Number(raw);
+}
+
+function readString(p) {
+  expect(p, 's:');
+  const value = readQuoted(p, readLength(p, ':'));
+  expect(p, ';');
+  return value;
+}
+
+/**
+ * Array key (integer keys become strings, as JS property names are)
+ */
+function readKey(p) {
+  const type = String.fromCharCode(p.buf[p.pos]);
+  if (type === 'i') return String(readInt(p));
+  if (type === 's') return readString(p);
+  return fail(p, `invalid key type "${type}"`);
+}
+
+function readArray(p) {
+  expect(p, 'a:');
+  const count = readLength(p, ':');
+  expect(p, '{');
+
+  const slot = p.refs.length;
+  const obj = {};
+  push(p, obj);
+  const order = readEntries(p, obj, count);
+  expect(p, '}');
+
+  // A list becomes an Array, unless something inside already points at the object
+  const isList = order.length === count && order.every((key, i) => key === String(i));
+  if (isList && !obj[PHP_REFERENCE]) {
+    const list = order.map(key => obj[key]);
+    p.refs[slot] = list;
+    return list;
+  }
+
+  if (Object.keys(obj).join('\0') !== order.join('\0')) {
+    tag(obj, PHP_KEYS, order);
+  }
+  return obj;
+}
+
+function readObject(p) {
+  expect(p, 'O:');
+  const className = readQuoted(p, readLength(p, ':'));
+  expect(p, ':');
+  const count = readLength(p, ':');
+  expect(p, '{');
+
+  const obj = tag({}, PHP_CLASS, className);
+  push(p, obj);
+  const order = readEntries(p, obj, count);
+  expect(p, '}');
+
+  if (Object.keys(obj).join('\0') !== order.join('\0')) {
+    tag(obj, PHP_KEYS, order);
+  }
+  return obj;
+}
+
+/**
+ * Object with its own serializer (Serializable::serialize) - the payload is kept as-is
+ */
+function readCustom(p) {
+  expect(p, 'C:');
+  const className = readQuoted(p, readLength(p, ':'));
+  expect(p, ':');
+  const length = readLength(p, ':');
+  expect(p, '{');
+  const payload = readBytes(p, length);
+  expect(p, '}');
+
+  return push(p, tag(tag({}, PHP_CLASS, className), PHP_CUSTOM, payload));
+}
+
+/**
+ * Read count key/value pairs into obj
+ * @returns {array} - Keys in PHP order (a repeated key keeps its first position)
+ */
+function readEntries(p, obj, count) {
+  if (++p.depth > MAX_DEPTH) fail(p, `nesting deeper than ${MAX_DEPTH}`);
+
+  const order = [];
+  for (let i = 0; i < count; i++) {
+    const key = readKey(p);
+    if (!Object.prototype.hasOwnProperty.call(obj, key)) order.push(key);
+    // defineProperty so a "__proto__" key is stored as data, not a prototype change
+    Object.defineProperty(obj, key, { value: readValue(p), enumerable: true, writable: true, configurable: true });
+  }
+
+  p.depth--;
+  return order;
+}
+
+/**
+ * r:n is another handle to object n (takes a slot); R:n is a PHP reference (does not)
+ */
+function readReference(p, type) {
+  expect(p, `${type}:`);
+  const index = readLength(p, ';');
+  if (index < 1 || index > p.refs.length) fail(p, `reference to unknown value ${index}`);
+
+  const target = p.refs[index - 1];
+  if (type === 'r') return push(p, target);
+
+  if (target !== null && typeof target === 'object') tag(target, PHP_REFERENCE, true);
+  return target;
+}
+
+function push(p, value) {
+  p.refs.push(value);
+  return value;
+}
+
+/**
+ * Attach codec metadata without making it an enumerable (JSON-visible) property
+ */
+function tag(obj, symbol, value) {
+  Object.defineProperty(obj, symbol, { value, writable: true, configurable: true });
+  return obj;
+}
+
+/**
+ * Read a non-negative length terminated by the given character
+ */
+function readLength(p, terminator) {
+  const raw = readUntil(p, terminator);
+  if (!/^\d+$/.test(raw)) fail(p, `invalid length "${raw}"`);
+  return Number(raw);
+}
+
+/**
+ * Read "<length bytes>" including the quotes
+ */
+function readQuoted(p, length) {
+  expect(p, '"');
+  const value = readBytes(p, length);
+  expect(p, '"');
+  return value;
+}
+
+function readBytes(p, length) {
+  if (p.pos + length > p.buf.length) fail(p, `string of ${length} bytes runs past the end of data`);
+  const value = p.buf.toString('utf8', p.pos, p.pos + length);
+  p.pos += length;
+  return value;
+}
+
+function readUntil(p, char) {
+  const end = p.buf.indexOf(char, p.pos);
+  if (end === -1) fail(p, `missing "${char}"`);
+  const raw = p.buf.toString('latin1', p.pos, end);
+  p.pos = end + 1;
+  return raw;
+}
+
+function expect(p, text) {
+  if (p.buf.toString('latin1', p.pos, p.pos + text.length) !== text) {
+    fail(p, `expected "${text}"`);
+  }
+  p.pos += text.length;
+}
+
+function fail(p, message) {
+  throw new Error(`Invalid PHP serialized data at byte ${p.pos}: ${message}`);
+}
+
+module.exports = {
+  serialize,
+  unserialize,
+  maybeUnserialize,
+  isSerialized,
+  formatFloat,
+  PHP_CLASS,
+  PHP_CUSTOM,
+  PHP_ENUM,
+  PHP_KEYS,
+  PHP_REFERENCE
+};
@@ -7,12 +7,109 @@
  * Helper plugin endpoints:
  * - POST /wp-json/schema-generator/v1/insert
  * - POST /wp-json/schema-generator/v1/insert-multiple
+ * - POST /wp-json/schema-generator/v1/insert-batch (snippet 1.4.0+, see supportsBatch)
  * - POST /wp-json/schema-generator/v1/delete
  * - GET  /wp-json/schema-generator/v1/get/{post_id}
  * - POST /wp-json/schema-generator/v1/find
+ * - GET  /wp-json/schema-generator/v1/seo-plugin
+ * - GET  /wp-json/schema-generator/v1/info (snippet 1.5.0+, see negotiate)
+ *
+ * config.target sends schemas to another SEO plugin (yoast, aioseo, seopress, or auto for whichever
+ * is active) or to the snippet's own JSON-LD output (standalone); the plugin stores them where that
+ * output reads them (see src/services/targets).
+ *
+ * Requests are HMAC-signed with the secret token (see requestSigner.js). Snippets older than 1.2.0
+ * only know the X-Schema-Token header: use authMode 'token' (or HELPER_AUTH_MODE=token) for those.
  */
 
 const axios = require('axios');
+const requestSigner = require('./requestSigner');
+
+const ROUTE_BASE = '/schema-generator/v1';
+
+// Most items the plugin accepts per insert-batch request (SG_BATCH_MAX_ITEMS)
+const BATCH_MAX_ITEMS = 50;
+
+// Snippet version shipped with this app (SG_HELPER_VERSION in wordpress-helper-plugin.php)
+const LATEST_PLUGIN_VERSION = '1.6.0';
+
+// Plugin features and the snippet version that introduced them
+const PLUGIN_FEATURES = {
+  'find': '1.0.0',
+  'get': '1.0.0',
+  'insert': '1.0.0',
+  'insert-multiple': '1.0.0',
+  'delete': '1.0.0',
+  'get-page-html': '1.0.0',
+  'seo-plugin': '1.1.0',
+  'targets': '1.1.0',
+  'signed-requests': '1.2.0',
+  'insert-batch': '1.4.0',
+  'info': '1.5.0',
+  'standalone': '1.6.0'
+};
+
+// Route that shows a feature is installed, for snippets older than /info
+const FEATURE_ROUTES = {
+  'find': '/find',
+  'get': '/get/(?P<id>\\d+)',
+  'insert': '/insert',
+  'insert-multiple': '/insert-multiple',
+  'delete': '/delete',
+  'get-page-html': '/get-page-html',
+  'seo-plugin': '/seo-plugin',
+  'insert-batch': '/insert-batch',
+  'info': '/info'
+};
+
+/**
+ * Compare dotted versions ('1.10.0' > '1.9.2')
+ * @returns {number} - <0, 0 or >0
+ */
+function compareVersions(a, b) {
+  const pa = String(a).split('.').map(n => parseInt(n) || 0);
+  const pb = String(b).split('.').map(n => parseInt(n) || 0);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    if ((pa[i] || 0) !== (pb[i] || 0)) return (pa[i] || 0) - (pb[i] || 0);
+  }
+  return 0;
+}
+
+/**
+ * What an installed snippet can do, from its /info response or (older snippets) its routes
+ * @param {object|null} info - /info response
+ * @param {string[]} routes - Namespace index routes (used without info)
+ * @returns {object} - {version, minVersion, latestVersion, outdated, features, missing, info}
+ */
+function pluginStatus(info, routes = []) {
+  let features;
+  let minVersion;
+
+  if (info) {
+    features = info.features || [];
+    minVersion = info.version;
+  } else {
+    // Newest feature whose route exists tells us the snippet is at least that version
+    minVersion = Object.keys(FEATURE_ROUTES)
+      .filter(feature => routes.includes(`${ROUTE_BASE}${FEATURE_ROUTES[feature]}`))
+      .map(feature => PLUGIN_FEATURES[feature])
+      .sort(compareVersions)
+      .pop() || null;
+    features = minVersion
+      ? Object.keys(PLUGIN_FEATURES).filter(feature => compareVersions(PLUGIN_FEATURES[feature], minVersion) <= 0)
+      : [];
+  }
+
+  return {
+    version: info ? info.version : null,
+    minVersion,
+    latestVersion: LATEST_PLUGIN_VERSION,
+    outdated: !minVersion || compareVersions(minVersion, LATEST_PLUGIN_VERSION) < 0,
+    features,
+    missing: Object.keys(PLUGIN_FEATURES).filter(feature => !features.includes(feature)),
+    info
+  };
+}
 
 /**
  * Create a RankMath client for a WordPress site
@@ -20,27 +117,52 @@ const axios = require('axios');
  * @param {string} config.siteUrl - WordPress site URL (e.g., https://example.com)
  * @param {string} config.secretToken - The secret token configured in the helper plugin
  * @param {number} config.timeout - Request timeout in ms (default: 30000)
+ * @param {string} config.target - Publishing target (default: rankmath)
+ * @param {string} config.authMode - 'signed' (default) or 'token' for pre-1.2.0 snippets
+ *                                   (default from HELPER_AUTH_MODE)
  * @returns {object} - Client methods
  */
 function create(config) {
-  const { siteUrl, secretToken, timeout = 30000 } = config;
+  const { siteUrl, secretToken, timeout = 30000, target = 'rankmath' } = config;
+  const authMode = config.authMode || process.env.HELPER_AUTH_MODE || 'signed';
 
   if (!siteUrl || !secretToken) {
     throw new Error('siteUrl and secretToken are required');
   }
+  if (!['signed', 'token'].includes(authMode)) {
+    throw new Error(`Unknown authMode: ${authMode} (expected signed or token)`);
+  }
 
   const baseUrl = siteUrl.replace(/\/$/, '');
-  const apiUrl = `${baseUrl}/wp-json/schema-generator/v1`;
+  const apiUrl = `${baseUrl}/wp-json${ROUTE_BASE}`;
 
   const client = axios.create({
     baseURL: apiUrl,
     headers: {
       'Content-Type': 'application/json',
-      'X-Schema-Token': secretToken
+      ...(authMode === 'token' ? { 'X-Schema-Token': secretToken } : {})
     },
     timeout
   });
 
+  if (authMode === 'signed') {
+    // Serialize the body here so the signed hash covers the exact bytes sent
+    client.interceptors.request.use(request => {
+      const body = request.data === undefined ? '' : JSON.stringify(request.data);
+      if (body) request.data = body;
+      request.headers.set(requestSigner.signRequest(secretToken, {
+        method: request.method,
+        route: `${ROUTE_BASE}${request.url}`,
+        query: request.params,
+        body
+      }));
+      return request;
+    });
+  }
+
+  // Negotiated plugin status (checked once per client)
+  let negotiation = null;
+
   return {
     /**
      * Test connection to the helper plugin
@@ -55,9 +177,15 @@ function create(config) {
           siteUrl: baseUrl
         };
       } catch (error) {
+        // Signed request outside the plugin's clock-skew window
+        if (error.response?.data?.code === 'sg_request_expired') {
+          throw new Error(`${error.response.data.message} - check the clock on this server and on WordPress`);
+        }
         // Check if it's an auth error
         if (error.response?.status === 401 || error.response?.data?.code === 'rest_forbidden') {
-          throw new Error('Invalid secret token');
+          throw new Error(authMode === 'signed'
+            ? 'Invalid secret token (or a helper snippet older than 1.2.0 - update it, or set HELPER_AUTH_MODE=token)'
+            : 'Invalid secret token');
         }
         // If we get 'not_found' or 'missing_param', the plugin IS working
         // (just no post found or bad test slug — expected for a connection test)
@@ -80,6 +208,19 @@ function create(config) {
       }
     },
 
+    /**
+     * Which supported SEO plugins are active on the site
+     * @returns {object} - {success, target, active: [ids]}
+     */
+    async detectSeoPlugin() {
+      try {
+        const response = await client.get('/seo-plugin');
+        return response.data;
+      } catch (error) {
+        throw new Error(`SEO plugin detection failed: ${error.response?.data?.message || error.message}`);
+      }
+    },
+
     /**
      * Find a post by slug or URL
      * @param {string} slugOrUrl - Post slug or full URL
@@ -104,7 +245,7 @@ function create(config) {
      */
     async getSchemas(postId) {
       try {
-        const response = await client.get(`/get/${postId}`);
+        const response = await client.get(`/get/${postId}`, { params: { target } });
         return response.data;
       } catch (error) {
         throw new Error(`Get schemas failed: ${error.response?.data?.message || error.message}`);
@@ -127,7 +268,8 @@ function create(config) {
           post_id: postId,
           schema,
           schema_type: schemaType,
-          is_primary: isPrimary
+          is_primary: isPrimary,
+          target
         });
         return response.data;
       } catch (error) {
@@ -145,7 +287,8 @@ function create(config) {
       try {
         const response = await client.post('/insert-multiple', {
           post_id: postId,
-          schemas
+          schemas,
+          target
         });
         return response.data;
       } catch (error) {
@@ -153,6 +296,121 @@ function create(config) {
       }
     },
 
+    /**
+     * The snippet's /info: version, features, endpoints, WordPress/RankMath versions, SEO plugins
+     * @returns {object|null} - null for snippets older than 1.5.0
+     */
+    async getInfo() {
+      try {
+        const response = await client.get('/info');
+        return response.data;
+      } catch (error) {
+        if (error.response?.data?.code === 'rest_no_route') return null;
+        throw new Error(`Helper info failed: ${error.response?.data?.message || error.message}`);
+      }
+    },
+
+    /**
+     * Work out what the installed snippet supports (once per client)
+     * Uses /info, or for older snippets the routes in the namespace index WordPress publishes at
+     * /wp-json/schema-generator/v1
+     * @returns {object} - {version, minVersion, latestVersion, outdated, features, missing, info}
+     */
+    negotiate() {
+      if (!negotiation) {
+        negotiation = (async () => {
+          const info = await this.getInfo();
+          if (info) return pluginStatus(info);
+          const response = await client.get('');
+          return pluginStatus(null, Object.keys(response.data?.routes || {}));
+        })();
+        // Don't cache a failed handshake
+        negotiation.catch(() => { negotiation = null; });
+      }
+      return negotiation;
+    },
+
+    /**
+     * Whether the installed snippet has a feature (see PLUGIN_FEATURES); false if it can't be told
+     */
+    async supports(feature) {
+      try {
+        return (await this.negotiate()).features.includes(feature);
+      } catch (error) {
+        return false;
+      }
+    },
+
+    /**
+     * Whether the installed snippet has the insert-batch endpoint
+     */
+    supportsBatch() {
+      return this.supports('insert-batch');
+    },
+
+    /**
+     * Find posts by URL and insert their schemas, many pages per request
+     * @param {Array} items - [{url, schemas: [{schema, type}], replaceExisting}]
+     * @returns {Array} - Per-item results in the same order ({url, success, post_id, error, ...})
+     */
+    async insertBatch(items) {
+      const results = [];
+      for (let i = 0; i < items.length; i += BATCH_MAX_ITEMS) {
+        try {
+          const response = await client.post('/insert-batch', { items: items.slice(i, i + BATCH_MAX_ITEMS), target });
+          results.push(...response.data.results);
+        } catch (error) {
+          throw new Error(`Insert batch failed: ${error.response?.data?.message || error.message}`);
+        }
+      }
+      return results;
+    },
+
+    /**
+     * Group single-page writes into insert-batch requests
+     * write(item) resolves with that item's result once its batch is sent: when `size` items are
+     * queued or `maxWaitMs` after the first one, whichever comes first (maxWaitMs null: only
+     * when full or on flush())
+     * @param {object} options - {size, maxWaitMs}
+     * @returns {object} - {write(item), flush()}
+     */
+    batchWriter(options = {}) {
+      const { size = 20, maxWaitMs = 2000 } = options;
+      let queue = [];
+      let timer = null;
+
+      const flush = async () => {
+        clearTimeout(timer);
+        timer = null;
+        const batch = queue;
+        queue = [];
+        if (batch.length === 0) return;
+
+        try {
+          const results = await this.insertBatch(batch.map(entry => entry.item));
+          batch.forEach((entry, i) => entry.resolve(
+            results[i] || { url: entry.item.url, success: false, error: 'No result returned for this item' }
+          ));
+        } catch (error) {
+          batch.forEach(entry => entry.reject(error));
+        }
+      };
+
+      return {
+        write(item) {
+          return new Promise((resolve, reject) => {
+            queue.push({ item, resolve, reject });
+            if (queue.length >= size) {
+              flush();
+            } else if (!timer && maxWaitMs !== null) {
+              timer = setTimeout(flush, maxWaitMs);
+            }
+          });
+        },
+        flush
+      };
+    },
+
     /**
      * Delete schemas from a post
      * @param {number} postId - WordPress post ID
@@ -160,7 +418,7 @@ function create(config) {
      */
     async deleteSchemas(postId, schemaType = null) {
       try {
-        const payload = { post_id: postId };
+        const payload = { post_id: postId, target };
         if (schemaType) {
           payload.schema_type = schemaType;
         }
@@ -258,5 +516,9 @@ const SCHEMA_TYPES = [
 
 module.exports = {
   create,
+  pluginStatus,
+  compareVersions,
+  LATEST_PLUGIN_VERSION,
+  PLUGIN_FEATURES,
   SCHEMA_TYPES
 };
@@ -0,0 +1,126 @@
+/**
+ * HMAC request signing for the Schema Generator Helper plugin
+ *
+ * Every request carries:
+ *   X-Schema-Timestamp - Unix time in seconds
+ *   X-Schema-Nonce     - Random value, accepted once
+ *   X-Schema-Signature - hex HMAC-SHA256 of the signing string, keyed with the secret token
+ *
+ * Signing string (lines joined with \n):
+ *   METHOD
+ *   route             - /schema-generator/v1/insert (no /wp-json, no query string)
+ *   canonical query   - params sorted by name, RFC 3986 encoded, joined with & (empty if none)
+ *   timestamp
+ *   nonce
+ *   sha256 hex of the raw body (empty body for GET)
+ *
+ * The plugin (sg_verify_token in wordpress-helper-plugin.php) rejects timestamps more than
+ * MAX_SKEW_SECONDS away from its clock and nonces it has already seen, so a captured request
+ * can't be replayed. The secret itself never goes over the wire.
+ */
+
+const crypto = require('crypto');
+
+const MAX_SKEW_SECONDS = 300;
+
+// encodeURIComponent leaves !'()* alone; PHP's rawurlencode doesn't
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Query params as the plugin rebuilds them (http_build_query with PHP_QUERY_RFC3986 after ksort)
+ */
+function canonicalQuery(params = {}) {
+  return Object.keys(params)
+    .filter(key => params[key] !== undefined && params[key] !== null)
+    .sort()
+    .map(key => `${encodeRfc3986(key)}=${encodeRfc3986(String(params[key]))}`)
+    .join('&');
+}
+
+function signingString({ method, route, query, timestamp, nonce, body = '' }) {
+  return [
+    method.toUpperCase(),
+    route,
+    canonicalQuery(query),
+    String(timestamp),
+    nonce,
+    crypto.createHash('sha256').update(body).digest('hex')
+  ].join('\n');
+}
+
+/**
+ * Signature headers for a request
+ * @param {string} secret - The helper plugin's secret token
+ * @param {object} request - {method, route, query, body} (body: the exact string sent)
+ * @param {object} options - {timestamp, nonce} overrides (tests)
+ * @returns {object} - Headers to send
+ */
+function signRequest(secret, request, options = {}) {
+  const timestamp = options.timestamp || Math.floor(Date.now() / 1000);
+  const nonce = options.nonce || crypto.randomBytes(16).toString('hex');
+  const signature = crypto.createHmac('sha256', secret)
+    .update(signingString({ ...request, timestamp, nonce }))
+    .digest('hex');
+
+  return {
+    'X-Schema-Timestamp': String(timestamp),
+    'X-Schema-Nonce': nonce,
+    'X-Schema-Signature': signature
+  };
+}
+
+/**
+ * Verifier with the plugin's checks (clock skew, signature, nonce reuse) - the reference for
+ * sg_verify_token and for tests
+ * @param {string} secret - Secret token
+ * @param {object} options - {maxSkew, now: () => seconds}
+ * @returns {function} - (request, headers) => {valid, error}
+ */
+function createVerifier(secret, options = {}) {
+  const { maxSkew = MAX_SKEW_SECONDS, now = () => Math.floor(Date.now() / 1000) } = options;
+  // nonce -> expiry; a nonce older than the skew window fails the timestamp check anyway
+  const seen = new Map();
+
+  return (request, headers) => {
+    const timestamp = headers['X-Schema-Timestamp'];
+    const nonce = headers['X-Schema-Nonce'];
+    const signature = headers['X-Schema-Signature'];
+
+    if (!/^\d+$/.test(timestamp || '') || !/^[A-Za-z0-9_-]{16,64}$/.test(nonce || '') || !signature) {
+      return { valid: false, error: 'Missing or malformed signature headers' };
+    }
+
+    const current = now();
+    if (Math.abs(current - Number(timestamp)) > maxSkew) {
+      return { valid: false, error: 'Request timestamp outside the allowed clock skew' };
+    }
+
+    const expected = crypto.createHmac('sha256', secret)
+      .update(signingString({ ...request, timestamp, nonce }))
+      .digest();
+    const given = Buffer.from(String(signature).toLowerCase(), 'hex');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return { valid: false, error: 'Invalid request signature' };
+    }
+
+    for (const [key, expiry] of seen) {
+      if (expiry < current) seen.delete(key);
+    }
+    if (seen.has(nonce)) {
+      return { valid: false, error: 'Request already used (replay)' };
+    }
+    seen.set(nonce, current + 2 * maxSkew);
+
+    return { valid: true };
+  };
+}
+
+module.exports = {
+  MAX_SKEW_SECONDS,
+  canonicalQuery,
+  signingString,
+  signRequest,
+  createVerifier
+};
@@ -0,0 +1,372 @@
+/**
+ * Rule Engine - Declarative Google rich-result validation
+ * Rules live in src/rules/*.json (one file per schema type) so they can be updated
+ * when Google changes its documentation without touching JavaScript.
+ *
+ * Rule file format:
+ * {
+ *   "type": "LocalBusiness",
+ *   "appliesTo": ["LocalBusiness"],                          // "*" = every node, "@root" = the document itself
+ *   "subtypes": true,                                        // optional: also every schema.org subclass (Dentist, Plumber...)
+ *   "scope": "top",                                          // optional: skip inline nested nodes of this type
+ *   "docs": "https://developers.google.com/...",
+ *   "rules": [
+ *     { "id": "name", "check": "required", "path": "/name", "severity": "error", "message": "..." }
+ *   ]
+ * }
+ *
+ * Checks: required, anyOf, enum, format, pattern, minItems, maxItems, range, compare, each
+ * Severity: error | warning | recommendation
+ * Optional "when": { "exists": "/path" } | { "missing": "/path" } | { "inline": "/path" } | { "equals": { "path", "value" } }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vocabulary = require('./vocabulary');
+const graphNormalizer = require('./graphNormalizer');
+
+const RULES_DIR = path.join(__dirname, '..', 'rules');
+
+const SEVERITIES = ['error', 'warning', 'recommendation'];
+
+const FORMATS = {
+  url: value => /^https?:\/\/[^\s]+$/i.test(value),
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  date: value => /^\d{4}-\d{2}-\d{2}/.test(value) && !isNaN(Date.parse(value)),
+  datetime: value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value) && !isNaN(Date.parse(value)),
+  time: value => /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(value),
+  duration: value => /^P(?!$)(\d+Y)?(\d+M)?(\d+W)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+(\.\d+)?S)?)?$/.test(value),
+  phone: value => /^\+?[\d\s().\-]{7,}$/.test(value) && (value.match(/\d/g) || []).length >= 7,
+  number: value => value !== '' && !isNaN(Number(value)),
+  currency: value => /^[A-Z]{3}$/.test(value),
+  countryCode: value => /^[A-Z]{2}$/.test(value)
+};
+
+let ruleSets = null;
+
+/**
+ * Load all rule files from src/rules
+ * @returns {array} - Rule sets
+ */
+function loadRules() {
+  const files = fs.readdirSync(RULES_DIR).filter(f => f.endsWith('.json')).sort();
+
+  ruleSets = files.map(file => {
+    const ruleSet = JSON.parse(fs.readFileSync(path.join(RULES_DIR, file), 'utf8'));
+    if (!Array.isArray(ruleSet.appliesTo) || !Array.isArray(ruleSet.rules)) {
+      throw new Error(`Invalid rule file ${file}: appliesTo and rules arrays are required`);
+    }
+    for (const rule of ruleSet.rules) {
+      if (rule.severity && !SEVERITIES.includes(rule.severity)) {
+        throw new Error(`Invalid rule file ${file}: unknown severity "${rule.severity}"`);
+      }
+    }
+    return ruleSet;
+  });
+
+  return ruleSets;
+}
+
+/**
+ * Get loaded rule sets (loads on first use)
+ */
+function getRules() {
+  return ruleSets || loadRules();
+}
+
+/**
+ * Validate a schema (single node or @graph) against all rule sets
+ * @param {object} schema - JSON-LD schema
+ * @returns {object} - {valid, errors, warnings, recommendations, schemaTypes, schemaCount}
+ */
+function validate(schema) {
+  const issues = [];
+  const rules = getRules();
+
+  // Document-level rules (e.g. @context)
+  for (const ruleSet of rules.filter(r => r.appliesTo.includes('@root'))) {
+    runRules(ruleSet.rules, schema, '', '@root', issues);
+  }
+
+  const nodes = schema['@graph'] ? schema['@graph'] : [schema];
+  const basePointer = schema['@graph'] ? '/@graph' : '';
+
+  nodes.forEach((node, index) => {
+    const pointer = schema['@graph'] ? `${basePointer}/${index}` : '';
+    validateNode(node, pointer, rules, issues, true);
+  });
+
+  // Schema.org conformance (unknown types, misplaced properties, wrong value types)
+  issues.push(...vocabulary.check(schema).issues);
+
+  // @id integrity (duplicate definitions, dangling and circular references)
+  issues.push(...graphNormalizer.check(schema).issues);
+
+  const errors = issues.filter(i => i.severity === 'error');
+  const warnings = issues.filter(i => i.severity === 'warning');
+  const recommendations = issues.filter(i => i.severity === 'recommendation');
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings,
+    recommendations,
+    schemaTypes: nodes.map(n => n && n['@type']),
+    schemaCount: nodes.length
+  };
+}
+
+/**
+ * Validate a node and any inline typed nodes it contains
+ */
+function validateNode(node, pointer, rules, issues, isTopLevel) {
+  if (!node || typeof node !== 'object') return;
+
+  if (Array.isArray(node)) {
+    node.forEach((item, i) => validateNode(item, `${pointer}/${i}`, rules, issues, false));
+    return;
+  }
+
+  // Inline entities are validated with their own type's rules; bare references are skipped
+  const isEntity = isTopLevel || (node['@type'] && !isReference(node));
+  if (isEntity) {
+    const types = [].concat(node['@type'] || []);
+    for (const ruleSet of rules) {
+      const matchesType = ruleSet.appliesTo.includes('*') || types.some(t => appliesTo(ruleSet, t));
+      const topOnly = ruleSet.appliesTo.includes('*') || ruleSet.scope === 'top';
+      if (matchesType && (isTopLevel || !topOnly)) {
+        runRules(ruleSet.rules, node, pointer, types.join(',') || 'Unknown', issues);
+      }
+    }
+  }
+
+  for (const [key, value] of Object.entries(node)) {
+    if (value && typeof value === 'object') {
+      validateNode(value, `${pointer}/${escapePointer(key)}`, rules, issues, false);
+    }
+  }
+}
+
+/**
+ * Does a rule set cover a type (listed, or a subclass of a listed type when "subtypes" is set)?
+ */
+function appliesTo(ruleSet, type) {
+  if (ruleSet.appliesTo.includes(type)) return true;
+  return !!ruleSet.subtypes && ruleSet.appliesTo.some(base => vocabulary.isA(type, base));
+}
+
+/**
+ * Run a list of rules against a node
+ */
+function runRules(ruleList, node, pointer, type, issues) {
+  for (const rule of ruleList) {
+    if (rule.when && !conditionMet(rule.when, node)) continue;
+
+    const failures = checkRule(rule, node, pointer, type, issues);
+    for (const failure of failures) {
+      issues.push({
+        type,
+        field: pointerToField(failure.relative),
+        path: pointer + failure.relative,
+        severity: rule.severity || 'error',
+        message: formatMessage(rule.message, type, failure),
+        rule: rule.id || rule.check
+      });
+    }
+  }
+}
+
+/**
+ * Evaluate one rule; returns failures as [{relative, value}]
+ */
+function checkRule(rule, node, pointer, type, issues) {
+  const rulePath = rule.path || '';
+  const value = resolvePointer(node, rulePath);
+
+  switch (rule.check) {
+    case 'required':
+      return isPresent(value) ? [] : [{ relative: rulePath }];
+
+    case 'anyOf': {
+      const present = (rule.paths || []).some(p => isPresent(resolvePointer(node, p)));
+      return present ? [] : [{ relative: rule.paths[0] }];
+    }
+
+    case 'enum': {
+      if (!isPresent(value)) return [];
+      const allowed = rule.values.map(v => String(v));
+      return [].concat(value)
+        .filter(v => !allowed.includes(stripSchemaOrg(v)))
+        .map(v => ({ relative: rulePath, value: v }));
+    }
+
+    case 'format': {
+      if (!isPresent(value)) return [];
+      const test = FORMATS[rule.format];
+      if (!test) throw new Error(`Unknown format "${rule.format}" in rule ${rule.id || rulePath}`);
+      return [].concat(value)
+        .filter(v => typeof v !== 'object' && !test(String(v).trim()))
+        .map(v => ({ relative: rulePath, value: v }));
+    }
+
+    case 'pattern': {
+      if (!isPresent(value)) return [];
+      const regex = new RegExp(rule.pattern, rule.flags || '');
+      return [].concat(value)
+        .filter(v => typeof v !== 'object' && !regex.test(String(v)))
+        .map(v => ({ relative: rulePath, value: v }));
+    }
+
+    case 'minItems':
+    case 'maxItems': {
+      if (!isPresent(value)) return rule.check === 'minItems' && rule.requirePresent ? [{ relative: rulePath }] : [];
+      const count = Array.isArray(value) ? value.length : 1;
+      const ok = rule.check === 'minItems' ? count >= rule.min : count <= rule.max;
+      return ok ? [] : [{ relative: rulePath, value: count }];
+    }
+
+    case 'range': {
+      if (!isPresent(value)) return [];
+      const num = Number(value);
+      const ok = !isNaN(num) &&
+        (rule.min === undefined || num >= rule.min) &&
+        (rule.max === undefined || num <= rule.max);
+      return ok ? [] : [{ relative: rulePath, value }];
+    }
+
+    case 'compare': {
+      const other = resolvePointer(node, rule.otherPath);
+      if (!isPresent(value) || !isPresent(other)) return [];
+      const a = coerce(value, rule.as);
+      const b = coerce(other, rule.as);
+      if (a === null || b === null) return [];
+      return compare(a, b, rule.operator) ? [] : [{ relative: rulePath, value, other }];
+    }
+
+    case 'each': {
+      if (!isPresent(value)) return [];
+      const items = Array.isArray(value) ? value : [value];
+      items.forEach((item, i) => {
+        const itemPointer = Array.isArray(value) ? `${pointer}${rulePath}/${i}` : `${pointer}${rulePath}`;
+        if (item && typeof item === 'object' && !isReference(item)) {
+          runRules(rule.rules || [], item, itemPointer, type, issues);
+        }
+      });
+      return [];
+    }
+
+    default:
+      throw new Error(`Unknown rule check "${rule.check}"`);
+  }
+}
+
+/**
+ * Evaluate a "when" condition against a node
+ */
+function conditionMet(when, node) {
+  if (when.exists && !isPresent(resolvePointer(node, when.exists))) return false;
+  if (when.missing && isPresent(resolvePointer(node, when.missing))) return false;
+  if (when.inline) {
+    const value = resolvePointer(node, when.inline);
+    if (!value || typeof value !== 'object' || isReference(value)) return false;
+  }
+  if (when.equals) {
+    const value = resolvePointer(node, when.equals.path);
+    if (![].concat(when.equals.value).map(String).includes(stripSchemaOrg(value))) return false;
+  }
+  return true;
+}
+
+/**
+ * Resolve a JSON pointer ("/address/addressLocality") relative to a node
+ */
+function resolvePointer(node, pointer) {
+  if (!pointer) return node;
+  const tokens = pointer.split('/').slice(1).map(unescapePointer);
+  let current = node;
+  for (const token of tokens) {
+    if (current === null || current === undefined) return undefined;
+    current = current[token];
+  }
+  return current;
+}
+
+function escapePointer(token) {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function unescapePointer(token) {
+  return token.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+/**
+ * "/mainEntity/0/name" -> "mainEntity[0].name" (for display)
+ */
+function pointerToField(pointer) {
+  if (!pointer) return '';
+  return pointer.split('/').slice(1).map(unescapePointer)
+    .reduce((field, token) => /^\d+$/.test(token) ? `${field}[${token}]` : (field ? `${field}.${token}` : token), '');
+}
+
+/**
+ * A reference is an object carrying only @id (and optionally @type)
+ */
+function isReference(value) {
+  const keys = Object.keys(value);
+  return keys.includes('@id') && keys.every(k => k === '@id' || k === '@type');
+}
+
+function isPresent(value) {
+  if (value === undefined || value === null) return false;
+  if (typeof value === 'string') return value.trim().length > 0;
+  if (Array.isArray(value)) return value.length > 0;
+  return true;
+}
+
+function stripSchemaOrg(value) {
+  return String(value).replace(/^https?:\/\/schema\.org\//, '');
+}
+
+function coerce(value, as) {
+  if (as === 'number') {
+    const num = Number(value);
+    return isNaN(num) ? null : num;
+  }
+  if (as === 'date') {
+    const time = Date.parse(value);
+    return isNaN(time) ? null : time;
+  }
+  if (as === 'time') {
+    const match = String(value).match(/^(\d{1,2}):(\d{2})/);
+    return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+  }
+  return String(value);
+}
+
+function compare(a, b, operator) {
+  switch (operator) {
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    case '>=': return a >= b;
+    case '==': return a === b;
+    case '!=': return a !== b;
+    default: throw new Error(`Unknown compare operator "${operator}"`);
+  }
+}
+
+/**
+ * Fill {type}, {value} and {other} placeholders in rule messages
+ */
+function formatMessage(message, type, failure) {
+  return (message || 'Validation failed')
+    .replace(/\{type\}/g, type)
+    .replace(/\{value\}/g, failure.value !== undefined ? String(failure.value) : '')
+    .replace(/\{other\}/g, failure.other !== undefined ? String(failure.other) : '');
+}
+
+module.exports = {
+  validate,
+  loadRules,
+  resolvePointer
+};
@@ -3,19 +3,16 @@
  * Compares old and new JSON-LD schemas to produce field-level diffs.
  */
 
+const phpSerializer = require('./phpSerializer');
+
 /**
  * Attempt to parse PHP serialized values, falling back to raw string
  */
 function tryParsePhpSerialized(value) {
   if (typeof value !== 'string') return value;
 
-  // Basic PHP serialized detection
-  if (/^[aOsidbN]:/.test(value)) {
-    try {
-      return phpUnserializeBasic(value);
-    } catch (e) {
-      return value;
-    }
+  if (phpSerializer.isSerialized(value)) {
+    return phpSerializer.maybeUnserialize(value);
   }
 
   // Try JSON parse
@@ -26,67 +23,6 @@ function tryParsePhpSerialized(value) {
   }
 }
 
-/**
- * Basic PHP unserialization for common types
- */
-function phpUnserializeBasic(str) {
-  let pos = 0;
-
-  function read() {
-    const type = str[pos];
-    pos++; // skip type char
-    pos++; // skip ':'
-
-    if (type === 'N') {
-      pos++; // skip ';'
-      return null;
-    }
-    if (type === 'b') {
-      const val = str[pos] === '1';
-      pos += 2; // skip value and ';'
-      return val;
-    }
-    if (type === 'i') {
-      const end = str.indexOf(';', pos);
-      const val = parseInt(str.substring(pos, end));
-      pos = end + 1;
-      return val;
-    }
-    if (type === 'd') {
-      const end = str.indexOf(';', pos);
-      const val = parseFloat(str.substring(pos, end));
-      pos = end + 1;
-      return val;
-    }
-    if (type === 's') {
-      const lenEnd = str.indexOf(':', pos);
-      const len = parseInt(str.substring(pos, lenEnd));
-      pos = lenEnd + 2; // skip ':'  and '"'
-      const val = str.substring(pos, pos + len);
-      pos += len + 2; // skip value and '";'
-      return val;
-    }
-    if (type === 'a') {
-      const lenEnd = str.indexOf(':', pos);
-      const count = parseInt(str.substring(pos, lenEnd));
-      pos = lenEnd + 2; // skip ':{'
-      const obj = {};
-      for (let i = 0; i < count; i++) {
-        const key = read();
-        const value = read();
-        obj[key] = value;
-      }
-      pos++; // skip '}'
-      return obj;
-    }
-
-    // Fallback: return rest as string
-    return str.substring(pos);
-  }
-
-  return read();
-}
-
 /**
  * Recursively diff two objects, returning added/removed/changed fields
  * @param {*} oldObj - The old value
@@ -9,6 +9,11 @@ const locationSchema = require('../schemas/location');
 const faqSchema = require('../schemas/faq');
 const localBusinessSchema = require('../schemas/localBusiness');
 const breadcrumbSchema = require('../schemas/breadcrumb');
+const howToSchema = require('../schemas/howTo');
+const reviewSchema = require('../schemas/review');
+const organizationSchema = require('../schemas/organization');
+const ruleEngine = require('./ruleEngine');
+const graphNormalizer = require('./graphNormalizer');
 
 /**
  * Generate comprehensive schema with multiple types combined in @graph
@@ -16,7 +21,8 @@ const breadcrumbSchema = require('../schemas/breadcrumb');
  * @param {object} pageData - Scraped page data
  * @param {object} orgInfo - Organization information
  * @param {object} options - Additional options
- * @returns {object} - Generated JSON-LD schema with @graph
+ * @returns {object} - {schema, issues}: JSON-LD schema with @graph, and the graph normalizer's
+ *   reference issues (severity 'error' for dangling or circular @id references)
  */
 function generate(pageType, pageData, orgInfo, options = {}) {
   const schemas = [];
@@ -26,6 +32,12 @@ function generate(pageType, pageData, orgInfo, options = {}) {
     // Location pages get special treatment with multiple schemas
     const locationSchemas = locationSchema.generate(pageData, orgInfo, options);
     schemas.push(...locationSchemas);
+  } else if (pageType === 'service' && orgInfo.branches && orgInfo.branches.length > 0) {
+    // Multi-location business: the parent Organization provides the service, branches are departments
+    const service = serviceSchema.generate(pageData, orgInfo, options);
+    service.provider = { '@id': organizationSchema.organizationId(orgInfo) };
+    schemas.push(service);
+    schemas.push(...organizationSchema.generate(orgInfo, options));
   } else if (pageType === 'service') {
     schemas.push(serviceSchema.generate(pageData, orgInfo, options));
 
@@ -36,12 +48,28 @@ function generate(pageType, pageData, orgInfo, options = {}) {
       serviceAreas: pageData.serviceAreas,
       businessType: options.businessType || 'HVACBusiness',
       address: options.address,
-      sameAs: options.sameAs
+      sameAs: options.sameAs,
+      openingHours: options.openingHours,
+      open24Hours: options.open24Hours,
+      emergencyService: options.emergencyService,
+      thirdPartyReviews: options.thirdPartyReviews
     };
     schemas.push(localBusinessSchema.generate(orgInfo, businessOptions));
   } else {
     // Article
     schemas.push(articleSchema.generate(pageData, orgInfo, options));
+
+    // Step-by-step guides also get a HowTo node
+    const howTo = howToSchema.generate(pageData.howTo, pageData);
+    if (howTo) {
+      schemas.push(howTo);
+    }
+  }
+
+  // 2b. Attach on-page testimonials to the business node (third-party reviews only)
+  const businessNode = reviewTarget(schemas);
+  if (businessNode && pageData.testimonials) {
+    reviewSchema.attach(businessNode, pageData.testimonials, { thirdPartyReviews: options.thirdPartyReviews });
   }
 
   // 3. Generate FAQPage schema if FAQs detected
@@ -101,11 +129,23 @@ function generate(pageType, pageData, orgInfo, options = {}) {
 
   schemas.push(webPageSchema);
 
-  // Combine into @graph structure
-  return {
+  // Combine into @graph structure, each entity defined once and referenced by @id elsewhere
+  return graphNormalizer.normalize({
     '@context': 'https://schema.org',
     '@graph': schemas
-  };
+  }, { baseUrl: pageData.url });
+}
+
+/**
+ * Pick the node that carries on-page reviews: the LocalBusiness, or for multi-location
+ * businesses whichever node provides the Service (the matching branch or the Organization)
+ */
+function reviewTarget(schemas) {
+  const business = schemas.find(s => s['@id'] && s['@id'].endsWith('#localbusiness'));
+  if (business) return business;
+
+  const service = schemas.find(s => s['@type'] === 'Service' && s.provider && s.provider['@id']);
+  return service ? schemas.find(s => s !== service && s['@id'] === service.provider['@id']) : undefined;
 }
 
 /**
@@ -149,68 +189,13 @@ function generateWithDetection(url, pageData, orgInfo, options = {}) {
 }
 
 /**
- * Validate a schema object has required fields
+ * Validate a schema against the Google rich-result rules (src/rules/*.json)
  * Supports both single schemas and @graph arrays
  * @param {object} schema - Schema to validate
- * @returns {object} - Validation result
+ * @returns {object} - Validation result {valid, errors, warnings, recommendations, schemaTypes, schemaCount}
  */
 function validate(schema) {
-  const errors = [];
-  const warnings = [];
-
-  if (!schema['@context']) {
-    errors.push('Missing @context');
-  }
-
-  // Handle @graph structure
-  const schemasToValidate = schema['@graph'] ? schema['@graph'] : [schema];
-
-  for (const s of schemasToValidate) {
-    const type = s['@type'];
-
-    if (!type) {
-      errors.push('Missing @type in schema');
-      continue;
-    }
-
-    if (type === 'Article') {
-      if (!s.headline) errors.push('Article: Missing headline');
-      if (!s.author) warnings.push('Article: Missing author');
-      if (!s.datePublished) warnings.push('Article: Missing datePublished');
-      if (!s.publisher) warnings.push('Article: Missing publisher');
-      if (!s.image) warnings.push('Article: Missing image (recommended)');
-    }
-
-    if (type === 'Service') {
-      if (!s.name) errors.push('Service: Missing name');
-      if (!s.provider) warnings.push('Service: Missing provider');
-      if (!s.description) warnings.push('Service: Missing description');
-    }
-
-    if (type === 'FAQPage') {
-      if (!s.mainEntity || s.mainEntity.length === 0) {
-        errors.push('FAQPage: Missing mainEntity (questions)');
-      }
-    }
-
-    if (type === 'LocalBusiness' || type === 'HVACBusiness') {
-      if (!s.name) errors.push(`${type}: Missing name`);
-      if (!s.url) warnings.push(`${type}: Missing url`);
-    }
-
-    if (type === 'BreadcrumbList') {
-      if (!s.itemListElement || s.itemListElement.length < 2) {
-        warnings.push('BreadcrumbList: Should have at least 2 items');
-      }
-    }
-  }
-
-  return {
-    valid: errors.length === 0,
-    errors,
-    warnings,
-    schemaCount: schemasToValidate.length
-  };
+  return ruleEngine.validate(schema);
 }
 
 /**
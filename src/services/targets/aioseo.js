@@ -0,0 +1,168 @@
+/**
+ * All in One SEO publishing target
+ * AIOSEO keeps per-post settings in its own {prefix}aioseo_posts table; the `schema` column is JSON
+ * whose customGraphs list holds custom JSON-LD ({id, label, schema: "<JSON string>"}) that AIOSEO
+ * adds to its graph. Our entries use ids #schema-generator-{Type}, so the user's own custom
+ * graphs are left alone.
+ */
+
+const { typeLabel, withoutContext } = require('./postMeta');
+
+const STATE_KEY = 'aioseo_posts.schema';
+const ID_PREFIX = '#schema-generator-';
+
+// What AIOSEO stores for a post whose schema was never edited
+const EMPTY_SCHEMA = { blockGraphs: [], customGraphs: [], default: { graphName: '', isEnabled: true }, graphs: [] };
+
+function parseSchema(value) {
+  try {
+    const schema = JSON.parse(value);
+    if (schema && typeof schema === 'object' && !Array.isArray(schema)) {
+      return { ...schema, customGraphs: Array.isArray(schema.customGraphs) ? schema.customGraphs : [] };
+    }
+  } catch (e) {
+    // NULL or invalid - start from AIOSEO's defaults
+  }
+  return { ...EMPTY_SCHEMA };
+}
+
+function customGraphId(schema) {
+  return `${ID_PREFIX}${typeLabel(schema).replace(/[^A-Za-z0-9,]/g, '').replace(/,/g, '-')}`;
+}
+
+function isOurs(graph) {
+  return typeof graph?.id === 'string' && graph.id.startsWith(ID_PREFIX);
+}
+
+/**
+ * The post's aioseo_posts row ({id, schema}) or null
+ */
+async function readRow(db, tablePrefix, postId) {
+  try {
+    const [rows] = await db.execute(
+      `SELECT id, \`schema\` FROM ${tablePrefix}aioseo_posts WHERE post_id = ?`,
+      [postId]
+    );
+    return rows[0] || null;
+  } catch (error) {
+    if (error.code === 'ER_NO_SUCH_TABLE') {
+      throw new Error(`${tablePrefix}aioseo_posts not found - is All in One SEO active on this site?`);
+    }
+    throw error;
+  }
+}
+
+async function writeRow(db, tablePrefix, postId, row, value) {
+  if (row) {
+    await db.execute(
+      `UPDATE ${tablePrefix}aioseo_posts SET \`schema\` = ?, updated = NOW() WHERE id = ?`,
+      [value, row.id]
+    );
+    return 'UPDATE';
+  }
+  await db.execute(
+    `INSERT INTO ${tablePrefix}aioseo_posts (post_id, \`schema\`, created, updated) VALUES (?, ?, NOW(), NOW())`,
+    [postId, value]
+  );
+  return 'INSERT';
+}
+
+/**
+ * customGraphs with each new schema replacing our entry of the same @type
+ */
+function mergeCustomGraphs(customGraphs, schemas) {
+  const incoming = schemas.map(({ schema }) => ({
+    id: customGraphId(schema),
+    label: `${typeLabel(schema)} (Schema Generator)`,
+    schema: JSON.stringify(withoutContext(schema))
+  }));
+  const replaced = new Set(incoming.map(graph => graph.id));
+  return [...customGraphs.filter(graph => !replaced.has(graph.id)), ...incoming];
+}
+
+module.exports = {
+  id: 'aioseo',
+  name: 'All in One SEO',
+  storage: 'customGraphs in the aioseo_posts.schema column',
+  plugins: ['all-in-one-seo-pack/all_in_one_seo_pack.php', 'all-in-one-seo-pack-pro/all_in_one_seo_pack.php'],
+  restNamespace: 'aioseo/v1',
+
+  ownsKey(key) {
+    return key === STATE_KEY;
+  },
+
+  /**
+   * The post's whole schema column as one backup row (none if AIOSEO has no row for the post)
+   */
+  async read(db, tablePrefix, postId) {
+    const row = await readRow(db, tablePrefix, postId);
+    return row ? [{ metaId: row.id, key: STATE_KEY, value: row.schema }] : [];
+  },
+
+  decode(rows) {
+    const row = rows.find(r => r.key === STATE_KEY);
+    if (!row) return [];
+    return parseSchema(row.value).customGraphs.filter(isOurs).map(graph => {
+      try {
+        return JSON.parse(graph.schema);
+      } catch (e) {
+        return null;
+      }
+    }).filter(Boolean);
+  },
+
+  async preview(db, tablePrefix, postId, schemas) {
+    const row = await readRow(db, tablePrefix, postId);
+    const ids = new Set(parseSchema(row?.schema).customGraphs.map(graph => graph.id));
+    return schemas.map(({ schema, type }) => ({
+      key: STATE_KEY, schemaType: type, customGraphId: customGraphId(schema),
+      action: ids.has(customGraphId(schema)) ? 'UPDATE' : 'INSERT',
+      existingMetaId: row ? row.id : null
+    }));
+  },
+
+  async write(db, tablePrefix, postId, schemas) {
+    const row = await readRow(db, tablePrefix, postId);
+    const schema = parseSchema(row?.schema);
+    schema.customGraphs = mergeCustomGraphs(schema.customGraphs, schemas);
+    const action = await writeRow(db, tablePrefix, postId, row, JSON.stringify(schema));
+
+    return [{
+      success: true, action, postId, metaKey: STATE_KEY,
+      schemaTypes: schemas.map(s => s.type),
+      message: `${action === 'UPDATE' ? 'Updated' : 'Created'} AIOSEO schema with ${schemas.length} custom graph(s)`
+    }];
+  },
+
+  /**
+   * Put the schema column back; a post that had no row gets an empty schema
+   */
+  async restore(db, tablePrefix, postId, rows) {
+    const backedUp = rows.find(r => r.key === STATE_KEY);
+    const row = await readRow(db, tablePrefix, postId);
+    if (!backedUp && !row) return 0;
+    await writeRow(db, tablePrefix, postId, row, backedUp ? backedUp.value : null);
+    return backedUp ? 1 : 0;
+  },
+
+  /**
+   * Remove our custom graphs
+   * @returns {number} - Graphs removed
+   */
+  async remove(db, tablePrefix, postId) {
+    const row = await readRow(db, tablePrefix, postId);
+    if (!row) return 0;
+    const schema = parseSchema(row.schema);
+    const kept = schema.customGraphs.filter(graph => !isOurs(graph));
+    const removed = schema.customGraphs.length - kept.length;
+    if (removed > 0) {
+      await writeRow(db, tablePrefix, postId, row, JSON.stringify({ ...schema, customGraphs: kept }));
+    }
+    return removed;
+  },
+
+  // AIOSEO's table is not reachable through wp/v2
+  restMeta: null,
+
+  mergeCustomGraphs
+};
@@ -0,0 +1,128 @@
+/**
+ * Publishing targets - where each SEO plugin reads custom schema from
+ * Every target has the same interface, so the database client, the helper plugin client and the
+ * REST client only pick one:
+ *
+ *   read(db, tablePrefix, postId)             - the rows it owns, as {metaId, key, value} (backups, diffs)
+ *   decode(rows)                              - the JSON-LD pieces in those rows
+ *   preview(db, tablePrefix, postId, schemas) - what write() would change, without writing
+ *   write(db, tablePrefix, postId, schemas)   - store [{schema, type}] (first one primary); same @type is replaced
+ *   restore(db, tablePrefix, postId, rows)    - put backed-up rows back
+ *   remove(db, tablePrefix, postId)           - delete what we wrote
+ *   restMeta(schemas, current)                - wp/v2 meta for the REST client, merged into the post's current meta
+ *                                               like write() (null if it can't be written that way)
+ *
+ * `db` is a connection (inside the caller's transaction) or a pool.
+ */
+
+const rankMath = require('./rankMath');
+const yoast = require('./yoast');
+const aioseo = require('./aioseo');
+const seoPress = require('./seoPress');
+const standalone = require('./standalone');
+const { maybeUnserialize } = require('../phpSerializer');
+
+// Available targets - also the order auto-detection prefers when several plugins are active
+// (standalone has no plugin to detect and is only used when chosen)
+const targets = {
+  rankmath: rankMath,
+  yoast,
+  aioseo,
+  seopress: seoPress,
+  standalone
+};
+
+const DEFAULT_TARGET = 'rankmath';
+
+/**
+ * Get a target by ID (default: rankmath)
+ */
+function getTarget(id) {
+  const target = targets[id || DEFAULT_TARGET];
+  if (!target) {
+    throw new Error(`Unknown publishing target: ${id} (expected one of ${Object.keys(targets).join(', ')} or auto)`);
+  }
+  return target;
+}
+
+/**
+ * Targets for UI pickers
+ */
+function listTargets() {
+  return Object.values(targets).map(target => ({ id: target.id, name: target.name, storage: target.storage }));
+}
+
+/**
+ * Get a target by ID, running detect() for 'auto'
+ * @param {string} id - Target ID, 'auto' or empty (default)
+ * @param {function} detect - async () => {target} (e.g. a client's detectSeoPlugin)
+ */
+async function resolveTarget(id, detect) {
+  if (id !== 'auto') return getTarget(id);
+
+  const detected = await detect();
+  if (!detected.target) {
+    throw new Error(`No supported SEO plugin is active on this site (${Object.values(targets).filter(t => t.plugins.length).map(t => t.name).join(', ')}) - choose standalone to output JSON-LD without one`);
+  }
+  return getTarget(detected.target);
+}
+
+/**
+ * Detect from plugin files (the active_plugins option: 'wordpress-seo/wp-seo.php', ...)
+ * @returns {object} - {target, active: [ids]} (target null if none is active)
+ */
+function detectFromPlugins(pluginFiles) {
+  const files = new Set(pluginFiles || []);
+  const active = Object.values(targets)
+    .filter(target => target.plugins.some(file => files.has(file)))
+    .map(target => target.id);
+  return { target: active[0] || null, active };
+}
+
+/**
+ * Detect from the REST API index (GET /wp-json/ lists each plugin's namespace)
+ */
+function detectFromNamespaces(namespaces) {
+  const list = new Set(namespaces || []);
+  const active = Object.values(targets)
+    .filter(target => list.has(target.restNamespace))
+    .map(target => target.id);
+  return { target: active[0] || null, active };
+}
+
+/**
+ * Detect from the database: the site's active_plugins, plus network-activated plugins on multisite
+ * @param {object} db - Anything with execute(sql, params)
+ * @param {string} tablePrefix - The site's table prefix
+ * @param {string} basePrefix - Network table prefix (same as tablePrefix on a single site)
+ */
+async function detectFromDatabase(db, tablePrefix, basePrefix = tablePrefix) {
+  const [rows] = await db.execute(
+    `SELECT option_value FROM ${tablePrefix}options WHERE option_name = 'active_plugins'`
+  );
+  const active = maybeUnserialize(rows[0]?.option_value || '');
+  const files = active && typeof active === 'object' ? Object.values(active) : [];
+
+  try {
+    const [network] = await db.execute(
+      `SELECT meta_value FROM ${basePrefix}sitemeta WHERE meta_key = 'active_sitewide_plugins'`
+    );
+    // Keyed by plugin file => activation time
+    const sitewide = maybeUnserialize(network[0]?.meta_value || '');
+    if (sitewide && typeof sitewide === 'object') files.push(...Object.keys(sitewide));
+  } catch (e) {
+    // Not a multisite install - no sitemeta table
+  }
+
+  return detectFromPlugins(files);
+}
+
+module.exports = {
+  DEFAULT_TARGET,
+  getTarget,
+  listTargets,
+  resolveTarget,
+  detectFromPlugins,
+  detectFromNamespaces,
+  detectFromDatabase
+};
@@ -0,0 +1,128 @@
+/**
+ * Post meta helpers shared by the publishing targets
+ * `db` is anything with execute(sql, params): a connection (inside the caller's transaction) or a pool.
+ * Key matches ending in % use LIKE, anything else is an exact key.
+ */
+
+function keyCondition(matches) {
+  const list = Array.isArray(matches) ? matches : [matches];
+  return {
+    sql: `(${list.map(m => (m.endsWith('%') ? 'meta_key LIKE ?' : 'meta_key = ?')).join(' OR ')})`,
+    params: list
+  };
+}
+
+/**
+ * Meta rows of a post, in the {metaId, key, value} shape backups use
+ */
+async function readMeta(db, tablePrefix, postId, matches) {
+  const condition = keyCondition(matches);
+  const [rows] = await db.execute(
+    `SELECT meta_id, meta_key, meta_value FROM ${tablePrefix}postmeta
+     WHERE post_id = ? AND ${condition.sql}`,
+    [postId, ...condition.params]
+  );
+  return rows.map(row => ({ metaId: row.meta_id, key: row.meta_key, value: row.meta_value }));
+}
+
+/**
+ * UPDATE the key if the post has it, otherwise INSERT it
+ * @returns {object} - {action: 'UPDATE'|'INSERT', metaId}
+ */
+async function upsertMeta(db, tablePrefix, postId, key, value) {
+  const [existing] = await db.execute(
+    `SELECT meta_id FROM ${tablePrefix}postmeta WHERE post_id = ? AND meta_key = ?`,
+    [postId, key]
+  );
+
+  if (existing.length > 0) {
+    await db.execute(
+      `UPDATE ${tablePrefix}postmeta SET meta_value = ? WHERE post_id = ? AND meta_key = ?`,
+      [value, postId, key]
+    );
+    return { action: 'UPDATE', metaId: existing[0].meta_id };
+  }
+
+  const [result] = await db.execute(
+    `INSERT INTO ${tablePrefix}postmeta (post_id, meta_key, meta_value) VALUES (?, ?, ?)`,
+    [postId, key, value]
+  );
+  return { action: 'INSERT', metaId: result.insertId };
+}
+
+/**
+ * Delete a post's matching meta rows
+ * @returns {number} - Rows deleted
+ */
+async function deleteMeta(db, tablePrefix, postId, matches) {
+  const condition = keyCondition(matches);
+  const [result] = await db.execute(
+    `DELETE FROM ${tablePrefix}postmeta WHERE post_id = ? AND ${condition.sql}`,
+    [postId, ...condition.params]
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Replace a post's matching meta rows with backed-up ones
+ * @returns {number} - Rows restored
+ */
+async function replaceMeta(db, tablePrefix, postId, matches, rows) {
+  await deleteMeta(db, tablePrefix, postId, matches);
+  for (const row of rows) {
+    await db.execute(
+      `INSERT INTO ${tablePrefix}postmeta (post_id, meta_key, meta_value) VALUES (?, ?, ?)`,
+      [postId, row.key, row.value]
+    );
+  }
+  return rows.length;
+}
+
+/**
+ * Label for a schema's @type, used to match pieces written earlier (['WebPage', 'FAQPage'] -> 'WebPage,FAQPage')
+ */
+function typeLabel(schema) {
+  const type = schema?.['@type'];
+  return Array.isArray(type) ? type.join(',') : String(type || 'Custom');
+}
+
+/**
+ * A schema without @context (the plugins add their own)
+ */
+function withoutContext(schema) {
+  const copy = { ...schema };
+  delete copy['@context'];
+  return copy;
+}
+
+/**
+ * A graph stored as a JSON array of pieces (invalid or missing: empty)
+ */
+function parseGraph(value) {
+  try {
+    const graph = JSON.parse(value);
+    return Array.isArray(graph) ? graph : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Stored graph with each new piece replacing the one of the same @type
+ */
+function mergeGraph(stored, schemas) {
+  const incoming = schemas.map(({ schema }) => withoutContext(schema));
+  const replaced = new Set(incoming.map(typeLabel));
+  return [...stored.filter(piece => !replaced.has(typeLabel(piece))), ...incoming];
+}
+
+module.exports = {
+  readMeta,
+  upsertMeta,
+  deleteMeta,
+  replaceMeta,
+  typeLabel,
+  withoutContext,
+  parseGraph,
+  mergeGraph
+};
@@ -0,0 +1,195 @@
+/**
+ * Rank Math publishing target
+ * One post meta row per schema type: rank_math_schema_{Type}, a PHP serialized array with a
+ * 'metadata' entry (title, type, isPrimary, ...) followed by the JSON-LD properties.
+ */
+
+const { serialize: phpSerialize, maybeUnserialize } = require('../phpSerializer');
+const { readMeta, upsertMeta, deleteMeta, replaceMeta } = require('./postMeta');
+
+const SCHEMA_KEYS = 'rank_math_schema_%';
+
+/**
+ * Supported RankMath schema types and their configurations
+ */
+const SCHEMA_TYPES = {
+  // Business/Organization types
+  Service: { title: 'Service', canBePrimary: true },
+  LocalBusiness: { title: 'LocalBusiness', canBePrimary: true },
+  Organization: { title: 'Organization', canBePrimary: true },
+
+  // Content types
+  Article: { title: 'Article', canBePrimary: true },
+  NewsArticle: { title: 'NewsArticle', canBePrimary: true },
+  BlogPosting: { title: 'BlogPosting', canBePrimary: true },
+
+  // Page types
+  FAQPage: { title: 'FAQPage', canBePrimary: false },
+  HowTo: { title: 'HowTo', canBePrimary: true },
+
+  // Product/Commerce
+  Product: { title: 'Product', canBePrimary: true },
+  Offer: { title: 'Offer', canBePrimary: false },
+
+  // Event
+  Event: { title: 'Event', canBePrimary: true },
+
+  // Person
+  Person: { title: 'Person', canBePrimary: true },
+
+  // Reviews/Ratings
+  Review: { title: 'Review', canBePrimary: false },
+  AggregateRating: { title: 'AggregateRating', canBePrimary: false },
+
+  // Recipe
+  Recipe: { title: 'Recipe', canBePrimary: true },
+
+  // Video
+  VideoObject: { title: 'VideoObject', canBePrimary: true },
+
+  // Course
+  Course: { title: 'Course', canBePrimary: true },
+
+  // Job
+  JobPosting: { title: 'JobPosting', canBePrimary: true },
+
+  // Software
+  SoftwareApplication: { title: 'SoftwareApplication', canBePrimary: true },
+
+  // Book
+  Book: { title: 'Book', canBePrimary: true },
+
+  // Place types
+  Place: { title: 'Place', canBePrimary: false },
+
+  // Breadcrumb
+  BreadcrumbList: { title: 'BreadcrumbList', canBePrimary: false },
+
+  // WebPage types
+  WebPage: { title: 'WebPage', canBePrimary: false },
+
+  // Custom/fallback
+  Custom: { title: 'Custom', canBePrimary: true }
+};
+
+/**
+ * Convert a JSON-LD schema to RankMath's internal format
+ * @param {object} schema - JSON-LD schema object
+ * @param {string} schemaType - The schema type (e.g., 'Service', 'FAQPage')
+ * @param {object} options - Additional options
+ * @param {boolean} options.isPrimary - Whether this is the primary schema for the page
+ * @returns {object} - RankMath formatted schema with metadata
+ */
+function convertToRankMathFormat(schema, schemaType, options = {}) {
+  const { isPrimary = false } = options;
+  const typeConfig = SCHEMA_TYPES[schemaType] || SCHEMA_TYPES.Custom;
+
+  // Build metadata based on whether it's a primary schema
+  let metadata;
+
+  if (isPrimary && typeConfig.canBePrimary) {
+    // Primary schema format (like Service)
+    metadata = {
+      title: typeConfig.title,
+      type: 'custom',
+      shortcode: 's-' + generateShortcodeId(),
+      isPrimary: '1',
+      name: '%seo_title%',
+      description: '%seo_description%',
+      reviewLocationShortcode: '[rank_math_rich_snippet]'
+    };
+  } else {
+    // Secondary schema format (like FAQPage)
+    metadata = {
+      type: 'custom',
+      title: typeConfig.title
+    };
+  }
+
+  // Build the RankMath schema object
+  // Remove @context if present (RankMath adds this automatically)
+  const schemaWithoutContext = { ...schema };
+  delete schemaWithoutContext['@context'];
+
+  // If schema has @graph, we need to handle it differently
+  // RankMath typically stores individual schemas, not @graph structures
+  if (schemaWithoutContext['@graph']) {
+    // For @graph schemas, just use the schema fields directly
+    // The caller should extract individual schemas from @graph
+    console.warn('Warning: @graph schemas should be split into individual schemas');
+  }
+
+  return {
+    metadata,
+    ...schemaWithoutContext
+  };
+}
+
+/**
+ * Generate a unique shortcode ID
+ */
+function generateShortcodeId() {
+  return Math.random().toString(16).slice(2, 15);
+}
+
+module.exports = {
+  id: 'rankmath',
+  name: 'Rank Math',
+  storage: 'rank_math_schema_{Type} post meta',
+  plugins: ['seo-by-rank-math/rank-math.php', 'seo-by-rank-math-pro/rank-math-pro.php'],
+  restNamespace: 'rankmath/v1',
+
+  ownsKey(key) {
+    return key.startsWith('rank_math_schema_');
+  },
+
+  /**
+   * All rank_math* meta of a post (schemas plus settings like rank_math_rich_snippet)
+   */
+  read(db, tablePrefix, postId) {
+    return readMeta(db, tablePrefix, postId, 'rank_math%');
+  },
+
+  decode(rows) {
+    return rows.filter(row => this.ownsKey(row.key)).map(row => maybeUnserialize(row.value));
+  },
+
+  async preview(db, tablePrefix, postId, schemas) {
+    const existing = await readMeta(db, tablePrefix, postId, SCHEMA_KEYS);
+    return schemas.map(({ type }) => {
+      const row = existing.find(r => r.key === `rank_math_schema_${type}`);
+      return { key: `rank_math_schema_${type}`, schemaType: type, action: row ? 'UPDATE' : 'INSERT', existingMetaId: row ? row.metaId : null };
+    });
+  },
+
+  /**
+   * Write one row per schema (the first one is primary); other types already on the post are kept
+   */
+  async write(db, tablePrefix, postId, schemas) {
+    const results = [];
+    for (let i = 0; i < schemas.length; i++) {
+      const { schema, type } = schemas[i];
+      const metaKey = `rank_math_schema_${type}`;
+      const metaValue = phpSerialize(convertToRankMathFormat(schema, type, { isPrimary: i === 0 }));
+      const { action, metaId } = await upsertMeta(db, tablePrefix, postId, metaKey, metaValue);
+      results.push({
+        success: true, action, postId, metaKey, schemaType: type, metaId,
+        message: action === 'UPDATE'
+          ? `Updated existing ${type} schema (meta ID: ${metaId})`
+          : `Inserted new ${type} schema (meta ID: ${metaId})`
+      });
+    }
+    return results;
+  },
+
+  restore(db, tablePrefix, postId, rows) {
+    return replaceMeta(db, tablePrefix, postId, SCHEMA_KEYS, rows.filter(row => this.ownsKey(row.key)));
+  },
+
+  remove(db, tablePrefix, postId) {
+    return deleteMeta(db, tablePrefix, postId, SCHEMA_KEYS);
+  },
+
+  SCHEMA_TYPES,
+  convertToRankMathFormat
+};
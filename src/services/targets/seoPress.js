@@ -0,0 +1,115 @@
+/**
+ * SEOPress publishing target
+ * SEOPress PRO reads manual schemas from the _seopress_pro_schemas_manual post meta, a PHP serialized
+ * list; a "custom" entry holds a complete <script type="application/ld+json"> block. Our entries carry
+ * an extra _schema_generator_type key so the user's own manual schemas are left alone.
+ */
+
+const { serialize: phpSerialize, maybeUnserialize } = require('../phpSerializer');
+const { readMeta, upsertMeta, deleteMeta, replaceMeta, typeLabel, withoutContext } = require('./postMeta');
+
+const MANUAL_KEY = '_seopress_pro_schemas_manual';
+const MARKER = '_schema_generator_type';
+
+function parseManual(value) {
+  const manual = value == null ? [] : maybeUnserialize(value);
+  if (Array.isArray(manual)) return manual;
+  return manual && typeof manual === 'object' ? Object.values(manual) : [];
+}
+
+function toEntry(schema) {
+  const jsonLd = { '@context': 'https://schema.org', ...withoutContext(schema) };
+  return {
+    _seopress_pro_rich_snippets_type: 'custom',
+    // Keep "</script>" inside string values from ending the block early
+    _seopress_pro_rich_snippets_custom: `<script type="application/ld+json">${JSON.stringify(jsonLd).replace(/</g, '\\u003c')}</script>`,
+    [MARKER]: typeLabel(schema)
+  };
+}
+
+function fromEntry(entry) {
+  const match = /<script[^>]*>([\s\S]*)<\/script>/i.exec(entry._seopress_pro_rich_snippets_custom || '');
+  try {
+    return match ? JSON.parse(match[1]) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Manual schema list with each new schema replacing our entry of the same @type
+ */
+function mergeManual(manual, schemas) {
+  const incoming = schemas.map(({ schema }) => toEntry(schema));
+  const replaced = new Set(incoming.map(entry => entry[MARKER]));
+  return [...manual.filter(entry => !replaced.has(entry?.[MARKER])), ...incoming];
+}
+
+module.exports = {
+  id: 'seopress',
+  name: 'SEOPress',
+  storage: `custom entries in ${MANUAL_KEY} post meta (SEOPress PRO)`,
+  plugins: ['wp-seopress/seopress.php', 'wp-seopress-pro/seopress-pro.php'],
+  restNamespace: 'seopress/v1',
+
+  ownsKey(key) {
+    return key === MANUAL_KEY;
+  },
+
+  read(db, tablePrefix, postId) {
+    return readMeta(db, tablePrefix, postId, MANUAL_KEY);
+  },
+
+  decode(rows) {
+    const row = rows.find(r => r.key === MANUAL_KEY);
+    return row ? parseManual(row.value).filter(entry => entry?.[MARKER]).map(fromEntry).filter(Boolean) : [];
+  },
+
+  async preview(db, tablePrefix, postId, schemas) {
+    const [row] = await readMeta(db, tablePrefix, postId, MANUAL_KEY);
+    const ours = new Set(parseManual(row?.value).map(entry => entry?.[MARKER]).filter(Boolean));
+    return schemas.map(({ schema, type }) => ({
+      key: MANUAL_KEY, schemaType: type, action: ours.has(typeLabel(schema)) ? 'UPDATE' : 'INSERT', existingMetaId: row ? row.metaId : null
+    }));
+  },
+
+  async write(db, tablePrefix, postId, schemas) {
+    const [row] = await readMeta(db, tablePrefix, postId, MANUAL_KEY);
+    const manual = mergeManual(parseManual(row?.value), schemas);
+    const { action, metaId } = await upsertMeta(db, tablePrefix, postId, MANUAL_KEY, phpSerialize(manual));
+
+    return [{
+      success: true, action, postId, metaKey: MANUAL_KEY, metaId,
+      schemaTypes: schemas.map(s => s.type),
+      message: `${action === 'UPDATE' ? 'Updated' : 'Inserted'} ${schemas.length} custom schema(s) in ${MANUAL_KEY} (${manual.length} total)`
+    }];
+  },
+
+  restore(db, tablePrefix, postId, rows) {
+    return replaceMeta(db, tablePrefix, postId, MANUAL_KEY, rows.filter(row => this.ownsKey(row.key)));
+  },
+
+  /**
+   * Remove our entries (the meta row goes too once nothing else is left in it)
+   * @returns {number} - Entries removed
+   */
+  async remove(db, tablePrefix, postId) {
+    const [row] = await readMeta(db, tablePrefix, postId, MANUAL_KEY);
+    if (!row) return 0;
+    const manual = parseManual(row.value);
+    const kept = manual.filter(entry => !entry?.[MARKER]);
+    if (kept.length === manual.length) return 0;
+
+    if (kept.length === 0) {
+      await deleteMeta(db, tablePrefix, postId, MANUAL_KEY);
+    } else {
+      await upsertMeta(db, tablePrefix, postId, MANUAL_KEY, phpSerialize(kept));
+    }
+    return manual.length - kept.length;
+  },
+
+  // A serialized array can't be written through wp/v2 meta
+  restMeta: null,
+
+  mergeManual
+};
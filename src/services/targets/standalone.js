@@ -0,0 +1,75 @@
+/**
+ * Standalone JSON-LD publishing target (no SEO plugin needed)
+ * Our pieces go in the _schema_generator_jsonld post meta (a JSON array) and the helper plugin
+ * prints them as one @graph in wp_head. SG_SUPPRESS_JSONLD in the plugin can turn off other
+ * plugins' JSON-LD on those pages.
+ */
+
+const { readMeta, upsertMeta, deleteMeta, replaceMeta, typeLabel, parseGraph, mergeGraph } = require('./postMeta');
+
+const JSONLD_KEY = '_schema_generator_jsonld';
+
+module.exports = {
+  id: 'standalone',
+  name: 'Standalone JSON-LD (helper plugin)',
+  storage: `${JSONLD_KEY} post meta, printed in wp_head by the helper plugin`,
+  // Nothing to detect - chosen explicitly
+  plugins: [],
+  restNamespace: null,
+  JSONLD_KEY,
+
+  ownsKey(key) {
+    return key === JSONLD_KEY;
+  },
+
+  read(db, tablePrefix, postId) {
+    return readMeta(db, tablePrefix, postId, JSONLD_KEY);
+  },
+
+  decode(rows) {
+    const row = rows.find(r => r.key === JSONLD_KEY);
+    return row ? parseGraph(row.value) : [];
+  },
+
+  async preview(db, tablePrefix, postId, schemas) {
+    const [row] = await readMeta(db, tablePrefix, postId, JSONLD_KEY);
+    const storedTypes = new Set((row ? parseGraph(row.value) : []).map(typeLabel));
+    return schemas.map(({ schema, type }) => ({
+      key: JSONLD_KEY, schemaType: type, action: storedTypes.has(typeLabel(schema)) ? 'UPDATE' : 'INSERT', existingMetaId: row ? row.metaId : null
+    }));
+  },
+
+  async write(db, tablePrefix, postId, schemas) {
+    const [row] = await readMeta(db, tablePrefix, postId, JSONLD_KEY);
+    const graph = mergeGraph(row ? parseGraph(row.value) : [], schemas);
+    const { action, metaId } = await upsertMeta(db, tablePrefix, postId, JSONLD_KEY, JSON.stringify(graph));
+
+    return [{
+      success: true, action, postId, metaKey: JSONLD_KEY, metaId,
+      schemaTypes: schemas.map(s => s.type),
+      message: `${action === 'UPDATE' ? 'Updated' : 'Inserted'} ${schemas.length} schema(s) in ${JSONLD_KEY} (${graph.length} piece(s) total)`
+    }];
+  },
+
+  restore(db, tablePrefix, postId, rows) {
+    return replaceMeta(db, tablePrefix, postId, JSONLD_KEY, rows.filter(row => this.ownsKey(row.key)));
+  },
+
+  /**
+   * @returns {number} - Pieces removed
+   */
+  async remove(db, tablePrefix, postId) {
+    const [row] = await readMeta(db, tablePrefix, postId, JSONLD_KEY);
+    if (!row) return 0;
+    await deleteMeta(db, tablePrefix, postId, JSONLD_KEY);
+    return parseGraph(row.value).length;
+  },
+
+  /**
+   * Meta for a wp/v2 REST update (the helper plugin registers JSONLD_KEY for REST), merged into
+   * the graph in the post's current meta like write()
+   */
+  restMeta(schemas, current = {}) {
+    return { [JSONLD_KEY]: JSON.stringify(mergeGraph(parseGraph(current[JSONLD_KEY]), schemas)) };
+  }
+};
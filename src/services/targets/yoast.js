@@ -0,0 +1,117 @@
+/**
+ * Yoast SEO publishing target
+ * Yoast builds its graph in code and has no field for custom JSON-LD, so our pieces go in the
+ * _schema_generator_graph post meta (a JSON array) and the helper plugin appends them through
+ * Yoast's wpseo_schema_graph filter. The page/article type Yoast itself reads
+ * (_yoast_wpseo_schema_page_type / _yoast_wpseo_schema_article_type) is set to match.
+ */
+
+const { readMeta, upsertMeta, deleteMeta, replaceMeta, typeLabel, parseGraph, mergeGraph } = require('./postMeta');
+
+const GRAPH_KEY = '_schema_generator_graph';
+const PAGE_TYPE_KEY = '_yoast_wpseo_schema_page_type';
+const ARTICLE_TYPE_KEY = '_yoast_wpseo_schema_article_type';
+const OWNED_KEYS = [GRAPH_KEY, PAGE_TYPE_KEY, ARTICLE_TYPE_KEY];
+
+// Values Yoast accepts for its page and article type settings
+const PAGE_TYPES = ['WebPage', 'ItemPage', 'AboutPage', 'FAQPage', 'QAPage', 'ProfilePage', 'ContactPage', 'MedicalWebPage', 'CollectionPage', 'CheckoutPage', 'RealEstateListing', 'SearchResultsPage'];
+const ARTICLE_TYPES = ['Article', 'BlogPosting', 'SocialMediaPosting', 'NewsArticle', 'AdvertiserContentArticle', 'SatiricalArticle', 'ScholarlyArticle', 'TechArticle', 'Report'];
+
+/**
+ * Yoast page/article type settings for the schemas being written (only values Yoast knows)
+ */
+function typeSettings(schemas) {
+  const settings = {};
+  const types = schemas.flatMap(({ schema }) => [].concat(schema['@type'] || []));
+
+  const pageType = types.find(type => PAGE_TYPES.includes(type) && type !== 'WebPage');
+  if (pageType) settings[PAGE_TYPE_KEY] = pageType;
+
+  const primaryTypes = [].concat(schemas[0]?.schema['@type'] || []);
+  const articleType = primaryTypes.find(type => ARTICLE_TYPES.includes(type));
+  if (articleType) settings[ARTICLE_TYPE_KEY] = articleType;
+
+  return settings;
+}
+
+module.exports = {
+  id: 'yoast',
+  name: 'Yoast SEO',
+  storage: `${GRAPH_KEY} post meta, added to Yoast's graph by the helper plugin`,
+  plugins: ['wordpress-seo/wp-seo.php', 'wordpress-seo-premium/wp-seo-premium.php'],
+  restNamespace: 'yoast/v1',
+  GRAPH_KEY,
+
+  ownsKey(key) {
+    return OWNED_KEYS.includes(key);
+  },
+
+  read(db, tablePrefix, postId) {
+    return readMeta(db, tablePrefix, postId, OWNED_KEYS);
+  },
+
+  decode(rows) {
+    const row = rows.find(r => r.key === GRAPH_KEY);
+    return row ? parseGraph(row.value) : [];
+  },
+
+  async preview(db, tablePrefix, postId, schemas) {
+    const [row] = await readMeta(db, tablePrefix, postId, GRAPH_KEY);
+    const stored = row ? parseGraph(row.value) : [];
+    const storedTypes = new Set(stored.map(typeLabel));
+    return [
+      ...schemas.map(({ schema, type }) => ({
+        key: GRAPH_KEY, schemaType: type, action: storedTypes.has(typeLabel(schema)) ? 'UPDATE' : 'INSERT', existingMetaId: row ? row.metaId : null
+      })),
+      ...Object.entries(typeSettings(schemas)).map(([key, value]) => ({ key, value, action: 'SET' }))
+    ];
+  },
+
+  /**
+   * Merge the schemas into the stored graph (same @type replaced) and set Yoast's page/article type
+   */
+  async write(db, tablePrefix, postId, schemas) {
+    const [row] = await readMeta(db, tablePrefix, postId, GRAPH_KEY);
+    const graph = mergeGraph(row ? parseGraph(row.value) : [], schemas);
+    const { action, metaId } = await upsertMeta(db, tablePrefix, postId, GRAPH_KEY, JSON.stringify(graph));
+
+    const results = [{
+      success: true, action, postId, metaKey: GRAPH_KEY, metaId,
+      schemaTypes: schemas.map(s => s.type),
+      message: `${action === 'UPDATE' ? 'Updated' : 'Inserted'} ${schemas.length} schema(s) in ${GRAPH_KEY} (${graph.length} piece(s) total)`
+    }];
+
+    for (const [key, value] of Object.entries(typeSettings(schemas))) {
+      const setting = await upsertMeta(db, tablePrefix, postId, key, value);
+      results.push({ success: true, action: setting.action, postId, metaKey: key, metaId: setting.metaId, message: `Set ${key} to ${value}` });
+    }
+
+    return results;
+  },
+
+  restore(db, tablePrefix, postId, rows) {
+    return replaceMeta(db, tablePrefix, postId, OWNED_KEYS, rows.filter(row => this.ownsKey(row.key)));
+  },
+
+  /**
+   * Delete our graph (Yoast's own page/article type settings are left alone)
+   * @returns {number} - Pieces removed
+   */
+  async remove(db, tablePrefix, postId) {
+    const [row] = await readMeta(db, tablePrefix, postId, GRAPH_KEY);
+    if (!row) return 0;
+    await deleteMeta(db, tablePrefix, postId, GRAPH_KEY);
+    return parseGraph(row.value).length;
+  },
+
+  /**
+   * Meta for a wp/v2 REST update (the helper plugin registers GRAPH_KEY for REST), merged into
+   * the graph in the post's current meta like write()
+   */
+  restMeta(schemas, current = {}) {
+    return { [GRAPH_KEY]: JSON.stringify(mergeGraph(parseGraph(current[GRAPH_KEY]), schemas)), ...typeSettings(schemas) };
+  },
+
+  mergeGraph,
+  typeSettings
+};
@@ -0,0 +1,97 @@
+/**
+ * URL scope checks for fetches made through the helper plugin
+ *
+ * The plugin's get-page-html endpoint only fetches pages of its own site (home and site URL hosts)
+ * and refuses private, loopback and other reserved addresses. pageScraper runs the same host check
+ * before asking the plugin, so out-of-scope URLs never reach it and go straight to the direct fetch.
+ */
+
+const net = require('net');
+
+// IPv4 ranges that must never be fetched: [network, prefix length]
+const BLOCKED_V4 = [
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local (cloud metadata endpoints)
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 3] // multicast and reserved
+];
+
+function v4ToInt(ip) {
+  return ip.split('.').reduce((acc, octet) => (acc * 256) + Number(octet), 0);
+}
+
+/**
+ * Whether an IP literal is private, loopback, link-local or otherwise not publicly routable
+ */
+function isPrivateAddress(ip) {
+  if (net.isIPv4(ip)) {
+    const value = v4ToInt(ip);
+    return BLOCKED_V4.some(([base, bits]) => {
+      const size = 2 ** (32 - bits);
+      const start = v4ToInt(base);
+      return value >= start && value < start + size;
+    });
+  }
+
+  if (net.isIPv6(ip)) {
+    const lower = ip.toLowerCase();
+    // IPv4-mapped (::ffff:10.0.0.1)
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/.exec(lower);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    return lower === '::' || lower === '::1' ||
+      /^f[cd]/.test(lower) || // unique local fc00::/7
+      /^fe[89ab]/.test(lower); // link-local fe80::/10
+  }
+
+  return false;
+}
+
+/**
+ * Check a page URL against a site's hosts before fetching it through the helper plugin
+ * @param {string} pageUrl - URL to fetch
+ * @param {string|string[]} siteUrls - The site's home/site URL(s)
+ * @returns {object} - {allowed, reason}
+ */
+function checkSiteUrl(pageUrl, siteUrls) {
+  let url;
+  try {
+    url = new URL(pageUrl);
+  } catch (e) {
+    return { allowed: false, reason: `Invalid URL: ${pageUrl}` };
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return { allowed: false, reason: `Only http and https URLs can be fetched (got ${url.protocol})` };
+  }
+
+  // URL keeps the brackets around IPv6 literals
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host)) {
+    return { allowed: false, reason: `${host} is a private or loopback address` };
+  }
+
+  const allowedHosts = [].concat(siteUrls || []).map(siteUrl => {
+    try {
+      return new URL(siteUrl).hostname.toLowerCase();
+    } catch (e) {
+      return null;
+    }
+  }).filter(Boolean);
+
+  if (!allowedHosts.includes(host.toLowerCase())) {
+    return { allowed: false, reason: `${host} is not this site (${allowedHosts.join(', ') || 'no site URL'})` };
+  }
+
+  return { allowed: true, reason: null };
+}
+
+module.exports = {
+  isPrivateAddress,
+  checkSiteUrl
+};
@@ -0,0 +1,340 @@
+/**
+ * Vocabulary - Schema.org conformance checking against a bundled vocabulary file
+ * Reports unknown types, properties that don't belong to a node's type (or its parents)
+ * and values of the wrong expected type (Text vs URL vs nested Thing). Runs fully offline.
+ *
+ * The vocabulary is read from src/vocab/schemaorg.jsonld, the full schema.org release in
+ * the JSON-LD release format. Set SCHEMA_VOCABULARY_FILE to use another release file
+ * (e.g. a newer schemaorg-current-https.jsonld).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'vocab', 'schemaorg.jsonld');
+
+const SCHEMA_PREFIX = /^(schema:|https?:\/\/schema\.org\/)/;
+
+// Literal tests for schema.org DataTypes
+const DATATYPE_TESTS = {
+  Text: value => typeof value === 'string' || typeof value === 'number',
+  URL: value => typeof value === 'string' && /^(https?:\/\/|\/|#|mailto:|tel:)/i.test(value.trim()),
+  Number: value => typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))),
+  Integer: value => Number.isInteger(typeof value === 'string' && value.trim() !== '' ? Number(value) : value),
+  Boolean: value => typeof value === 'boolean' || /^(true|false)$/i.test(String(value).replace(SCHEMA_PREFIX, '')),
+  Date: value => typeof value === 'string' && /^\d{4}(-\d{2}(-\d{2})?)?$/.test(value.trim()),
+  DateTime: value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(value.trim()),
+  Time: value => typeof value === 'string' && /^\d{2}:\d{2}(:\d{2})?(Z|[+-]\d{2}:?\d{2})?$/.test(value.trim())
+};
+
+let vocabulary = null;
+
+/**
+ * Load and index a schema.org JSON-LD release file
+ * @param {string} file - Path to the vocabulary file (defaults to the bundled one)
+ * @returns {object} - {classes, properties, members}
+ */
+function load(file = process.env.SCHEMA_VOCABULARY_FILE || DEFAULT_FILE) {
+  const doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(doc['@graph'])) {
+    throw new Error(`Invalid vocabulary file ${file}: @graph array is required`);
+  }
+
+  const classes = new Map();
+  const properties = new Map();
+  const members = new Map();
+
+  for (const node of doc['@graph']) {
+    const id = localName(node['@id']);
+    if (!id) continue;
+    const nodeTypes = [].concat(node['@type'] || []);
+
+    if (nodeTypes.includes('rdf:Property')) {
+      properties.set(id, {
+        domains: new Set(ids(node['schema:domainIncludes'])),
+        ranges: ids(node['schema:rangeIncludes']),
+        supersededBy: ids(node['schema:supersededBy'])[0] || null
+      });
+    } else if (nodeTypes.includes('rdfs:Class')) {
+      classes.set(id, {
+        parents: ids(node['rdfs:subClassOf']),
+        isDataType: nodeTypes.includes('schema:DataType')
+      });
+    } else {
+      // Enumeration members ("schema:Monday" typed schema:DayOfWeek)
+      for (const type of nodeTypes.map(localName).filter(Boolean)) {
+        if (!members.has(type)) members.set(type, new Set());
+        members.get(type).add(id);
+      }
+    }
+  }
+
+  vocabulary = { classes, properties, members, ancestors: new Map() };
+  return vocabulary;
+}
+
+/**
+ * Get the loaded vocabulary (loads on first use)
+ */
+function getVocabulary() {
+  return vocabulary || load();
+}
+
+/**
+ * Check every node in a schema (single node or @graph) against the vocabulary
+ * @param {object} schema - JSON-LD schema
+ * @returns {object} - {valid, issues} where issues use the rule engine's shape
+ */
+function check(schema) {
+  const vocab = getVocabulary();
+  const issues = [];
+
+  if (schema && Array.isArray(schema['@graph'])) {
+    schema['@graph'].forEach((node, index) => checkNode(vocab, node, `/@graph/${index}`, '', issues));
+  } else {
+    checkNode(vocab, schema, '', '', issues);
+  }
+
+  return {
+    valid: !issues.some(i => i.severity === 'error'),
+    issues
+  };
+}
+
+/**
+ * Check a typed node's @type, property names and property values
+ */
+function checkNode(vocab, node, pointer, field, issues) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) return;
+
+  const types = [].concat(node['@type'] || []).map(t => String(t).replace(SCHEMA_PREFIX, ''));
+  const label = types.join(',') || 'Unknown';
+  const report = (severity, rule, key, message) => issues.push({
+    type: label,
+    field: key ? joinField(field, key) : field,
+    path: key ? `${pointer}/${escapePointer(key)}` : pointer,
+    severity,
+    message,
+    rule
+  });
+
+  // Types from other vocabularies ("ex:Thing") are not ours to judge
+  const schemaTypes = types.filter(t => !t.includes(':'));
+  const unknown = schemaTypes.filter(t => !vocab.classes.has(t) || vocab.classes.get(t).isDataType);
+  for (const type of unknown) {
+    report('error', 'vocab-unknown-type', '@type', `Unknown schema.org type "${type}"`);
+  }
+  const known = schemaTypes.filter(t => !unknown.includes(t));
+
+  for (const [key, value] of Object.entries(node)) {
+    if (key.startsWith('@')) continue;
+
+    // Action annotations ("query-input") describe the property they are named after
+    const propertyName = key.replace(/-(input|output)$/, '');
+    const property = vocab.properties.get(propertyName);
+    const valuePointer = `${pointer}/${escapePointer(key)}`;
+    const valueField = joinField(field, key);
+
+    if (!property) {
+      if (!key.includes(':')) {
+        report('warning', 'vocab-unknown-property', key, `"${key}" is not a schema.org property`);
+      }
+      walkValues(vocab, value, valuePointer, valueField, issues);
+      continue;
+    }
+
+    if (property.supersededBy) {
+      report('recommendation', 'vocab-superseded', key, `"${key}" is superseded by "${property.supersededBy}"`);
+    }
+
+    if (known.length > 0 && !known.some(t => hasProperty(vocab, t, property))) {
+      report('warning', 'vocab-domain', key, `"${key}" is not a property of ${known.join(', ')}`);
+    }
+
+    if (key === propertyName) {
+      const values = Array.isArray(value) ? value : [value];
+      values.forEach((item, i) => {
+        const itemPointer = Array.isArray(value) ? `${valuePointer}/${i}` : valuePointer;
+        const itemField = Array.isArray(value) ? `${valueField}[${i}]` : valueField;
+        const actual = describeMismatch(vocab, item, property.ranges);
+        if (actual) {
+          issues.push({
+            type: label,
+            field: itemField,
+            path: itemPointer,
+            severity: 'warning',
+            message: `"${key}" expects ${property.ranges.join(' or ')} but got ${actual}`,
+            rule: 'vocab-value-type'
+          });
+        }
+      });
+    }
+
+    walkValues(vocab, value, valuePointer, valueField, issues);
+  }
+}
+
+/**
+ * Recurse into nested values, checking inline typed nodes
+ */
+function walkValues(vocab, value, pointer, field, issues) {
+  if (Array.isArray(value)) {
+    value.forEach((item, i) => walkValues(vocab, item, `${pointer}/${i}`, `${field}[${i}]`, issues));
+    return;
+  }
+  if (value && typeof value === 'object' && value['@type'] && !isReference(value)) {
+    checkNode(vocab, value, pointer, field, issues);
+  }
+}
+
+/**
+ * Describe why a value does not fit a property's expected types (null when it fits)
+ */
+function describeMismatch(vocab, value, ranges) {
+  if (value === null || value === undefined || ranges.length === 0) return null;
+
+  const dataTypes = ranges.filter(r => isDataType(vocab, r));
+  const classRanges = ranges.filter(r => !dataTypes.includes(r));
+
+  if (value && typeof value === 'object' && '@value' in value) {
+    value = value['@value'];
+  }
+
+  if (typeof value !== 'object') {
+    if (dataTypes.some(r => literalMatches(vocab, r, value))) return null;
+    if (classRanges.some(r => literalFitsClass(vocab, r, value))) return null;
+    return typeof value === 'string' && DATATYPE_TESTS.URL(value) ? 'a URL' : `${typeof value === 'string' ? 'Text' : typeof value} "${value}"`;
+  }
+
+  // Bare {"@id"} references point at a node defined elsewhere
+  if (isReference(value) && !value['@type']) {
+    return classRanges.length > 0 || dataTypes.some(r => isSubClassOf(vocab, r, 'URL')) ? null : 'a reference';
+  }
+
+  // Ranges missing from the vocabulary can't be judged
+  if (classRanges.some(r => !vocab.classes.has(r))) return null;
+
+  const valueTypes = [].concat(value['@type'] || []).map(t => String(t).replace(SCHEMA_PREFIX, ''));
+  if (valueTypes.length === 0) return null;
+  if (valueTypes.some(t => t.includes(':') || !vocab.classes.has(t))) return null;
+  if (valueTypes.some(t => classRanges.some(r => isSubClassOf(vocab, t, r)))) return null;
+
+  return valueTypes.join(', ');
+}
+
+/**
+ * Test a literal against a DataType (URL, Integer, ...) using its nearest known test
+ */
+function literalMatches(vocab, dataType, value) {
+  for (const type of [dataType, ...ancestorsOf(vocab, dataType)]) {
+    if (DATATYPE_TESTS[type]) {
+      // Text subtypes other than URL (CssSelectorType, ...) accept any string
+      return DATATYPE_TESTS[type](value);
+    }
+  }
+  return true;
+}
+
+/**
+ * Literals that are acceptable where a class is expected:
+ * enumeration members, quantities ("PT30M", "600 px") and URL references
+ */
+function literalFitsClass(vocab, className, value) {
+  const text = String(value).trim();
+  if (isSubClassOf(vocab, className, 'Enumeration')) {
+    const allowed = membersOf(vocab, className);
+    return allowed.size === 0 || allowed.has(text.replace(SCHEMA_PREFIX, ''));
+  }
+  if (isSubClassOf(vocab, className, 'Quantity')) return true;
+  return /^https?:\/\//i.test(text);
+}
+
+/**
+ * Does a type (or one of its parents) list this property in its domain?
+ */
+function hasProperty(vocab, type, property) {
+  return property.domains.has(type) || ancestorsOf(vocab, type).some(a => property.domains.has(a));
+}
+
+/**
+ * Is a type the given class or one of its subclasses? ("Dentist", "LocalBusiness" -> true)
+ */
+function isA(type, parent) {
+  const name = localName(type) || type;
+  return isSubClassOf(getVocabulary(), name, parent);
+}
+
+function isSubClassOf(vocab, type, parent) {
+  return type === parent || ancestorsOf(vocab, type).includes(parent);
+}
+
+function isDataType(vocab, type) {
+  const entry = vocab.classes.get(type);
+  return !!entry && (entry.isDataType || ancestorsOf(vocab, type).some(a => vocab.classes.get(a)?.isDataType));
+}
+
+/**
+ * All parent classes of a type (memoized)
+ */
+function ancestorsOf(vocab, type) {
+  if (vocab.ancestors.has(type)) return vocab.ancestors.get(type);
+
+  const result = [];
+  const queue = [...(vocab.classes.get(type)?.parents || [])];
+  while (queue.length > 0) {
+    const parent = queue.shift();
+    if (result.includes(parent)) continue;
+    result.push(parent);
+    queue.push(...(vocab.classes.get(parent)?.parents || []));
+  }
+
+  vocab.ancestors.set(type, result);
+  return result;
+}
+
+/**
+ * Members of an enumeration, including those of its sub-enumerations
+ */
+function membersOf(vocab, enumeration) {
+  const result = new Set(vocab.members.get(enumeration) || []);
+  for (const [type, names] of vocab.members) {
+    if (type !== enumeration && isSubClassOf(vocab, type, enumeration)) {
+      names.forEach(n => result.add(n));
+    }
+  }
+  return result;
+}
+
+/**
+ * A reference is an object carrying only @id (and optionally @type)
+ */
+function isReference(value) {
+  const keys = Object.keys(value);
+  return keys.includes('@id') && keys.every(k => k === '@id' || k === '@type');
+}
+
+/**
+ * "schema:Thing" / "https://schema.org/Thing" -> "Thing" (null for other vocabularies)
+ */
+function localName(id) {
+  if (typeof id !== 'string' || !SCHEMA_PREFIX.test(id)) return null;
+  return id.replace(SCHEMA_PREFIX, '');
+}
+
+function ids(value) {
+  return [].concat(value || []).map(v => localName(v && v['@id'])).filter(Boolean);
+}
+
+function joinField(field, key) {
+  return field ? `${field}.${key}` : key;
+}
+
+function escapePointer(token) {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+module.exports = {
+  load,
+  check,
+  isA
+};
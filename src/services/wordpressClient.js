@@ -1,8 +1,11 @@
 /**
  * WordPress REST API Client with RankMath schema integration
+ * Other SEO plugins: insertSchema's options.target (see src/services/targets) writes that plugin's
+ * meta instead, where wp/v2 can reach it
  */
 
 const axios = require('axios');
+const targets = require('./targets');
 
 /**
  * Create a WordPress API client
@@ -44,6 +47,19 @@ function create(siteUrl, username, appPassword) {
       }
     },
 
+    /**
+     * Which supported SEO plugins are active, from the namespaces in the REST API index
+     * @returns {object} - {target, active: [ids]}
+     */
+    async detectSeoPlugin() {
+      try {
+        const response = await axios.get(`${baseUrl}/wp-json/`, { timeout: 30000 });
+        return targets.detectFromNamespaces(response.data?.namespaces);
+      } catch (error) {
+        throw new Error(`SEO plugin detection failed: ${error.response?.data?.message || error.message}`);
+      }
+    },
+
     /**
      * Find a post or page by its URL
      */
@@ -110,12 +126,34 @@ function create(siteUrl, username, appPassword) {
     /**
      * Insert schema into WordPress
      * Tries multiple methods: RankMath meta, Yoast meta, or post content
+     * @param {string} options.target - Publishing target other than rankmath ('auto' detects it): its meta
+     *                                  is written if wp/v2 accepts it, otherwise the post content fallback is used;
+     *                                  targets without REST meta (AIOSEO, SEOPress) throw
      */
-    async insertSchema(pageUrl, schema, pageType) {
+    async insertSchema(pageUrl, schema, pageType, options = {}) {
+      const target = await targets.resolveTarget(options.target, () => this.detectSeoPlugin());
+      if (target.id !== targets.DEFAULT_TARGET && !target.restMeta) {
+        // A <script> in the content would sit beside the plugin's own output, not replace it
+        throw new Error(`${target.name} schemas can't be written through the WordPress REST API - ${target.name} needs the helper plugin or the database connection`);
+      }
+
       // Find the post/page
       const result = await this.findByUrl(pageUrl);
       const { type, data } = result;
       const endpoint = type === 'page' ? 'pages' : 'posts';
+      if (target.id !== targets.DEFAULT_TARGET) {
+        const written = await this.writeTargetMeta(target, endpoint, data.id, schema);
+        if (written) {
+          return {
+            success: true,
+            method: 'meta',
+            target: target.id,
+            postId: data.id,
+            postType: type,
+            message: `Schema stored for ${target.name}`
+          };
+        }
+      }
 
       // Create the JSON-LD script block
       const jsonLdScript = `<!-- Schema Generator JSON-LD -->
@@ -124,34 +162,37 @@ ${JSON.stringify(schema, null, 2)}
 </script>
 <!-- End Schema Generator -->`;
 
-      // Method 1: Try RankMath's rank_math_schema meta (may not work on all setups)
-      try {
-        // RankMath stores schemas with specific structure
-        const schemaTypes = schema['@graph'] ? schema['@graph'].map(s => s['@type']).join('_') : (schema['@type'] || 'Custom');
-        const metaKey = `rank_math_schema_${schemaTypes}`;
+      // RankMath (default) - the other targets fell through to the content fallback above
+      if (target.id === targets.DEFAULT_TARGET) {
+        // Method 1: Try RankMath's rank_math_schema meta (may not work on all setups)
+        try {
+          // RankMath stores schemas with specific structure
+          const schemaTypes = schema['@graph'] ? schema['@graph'].map(s => s['@type']).join('_') : (schema['@type'] || 'Custom');
+          const metaKey = `rank_math_schema_${schemaTypes}`;
 
-        await client.post(`/${endpoint}/${data.id}`, {
-          meta: {
-            [metaKey]: JSON.stringify(schema),
-            // Also try the general RankMath schema key
-            'rank_math_rich_snippet': pageType === 'article' ? 'article' : 'service'
-          }
-        });
-      } catch (e) {
-        // RankMath meta not available, continue to fallback
-        console.log('RankMath meta not available:', e.message);
-      }
+          await client.post(`/${endpoint}/${data.id}`, {
+            meta: {
+              [metaKey]: JSON.stringify(schema),
+              // Also try the general RankMath schema key
+              'rank_math_rich_snippet': pageType === 'article' ? 'article' : 'service'
+            }
+          });
+        } catch (e) {
+          // RankMath meta not available, continue to fallback
+          console.log('RankMath meta not available:', e.message);
+        }
 
-      // Method 2: Try Yoast SEO schema meta (if Yoast is installed)
-      try {
-        await client.post(`/${endpoint}/${data.id}`, {
-          meta: {
-            '_yoast_wpseo_schema_page_type': pageType === 'article' ? 'WebPage' : 'ItemPage',
-            '_yoast_wpseo_schema_article_type': pageType === 'article' ? 'Article' : 'None'
-          }
-        });
-      } catch (e) {
-        // Yoast meta not available, continue
+        // Method 2: Try Yoast SEO schema meta (if Yoast is installed)
+        try {
+          await client.post(`/${endpoint}/${data.id}`, {
+            meta: {
+              '_yoast_wpseo_schema_page_type': pageType === 'article' ? 'WebPage' : 'ItemPage',
+              '_yoast_wpseo_schema_article_type': pageType === 'article' ? 'Article' : 'None'
+            }
+          });
+        } catch (e) {
+          // Yoast meta not available, continue
+        }
       }
 
       // Method 3: Insert JSON-LD into post content (most reliable fallback)
@@ -200,6 +241,28 @@ ${JSON.stringify(schema, null, 2)}
       };
     },
 
+    /**
+     * Write a target's meta through wp/v2 (only registered meta is stored - the helper plugin
+     * registers the keys our targets use), merged into what the post already has
+     * @returns {boolean} - Whether WordPress kept the meta (false: not writable this way)
+     */
+    async writeTargetMeta(target, endpoint, id, schema) {
+      if (!target.restMeta) return false;
+
+      const pieces = schema['@graph'] || [schema];
+      try {
+        const current = await client.get(`/${endpoint}/${id}`, { params: { context: 'edit' } });
+        const meta = target.restMeta(pieces.map(piece => ({ schema: piece, type: piece['@type'] })), current.data.meta || {});
+        const response = await client.post(`/${endpoint}/${id}`, { meta });
+        // The first key holds the schemas; the rest are optional plugin settings
+        const [storageKey] = Object.keys(meta);
+        return storageKey in (response.data.meta || {});
+      } catch (e) {
+        console.log(`${target.name} meta not available:`, e.message);
+        return false;
+      }
+    },
+
     /**
      * Get existing RankMath schemas for a post
      */
@@ -1,6 +1,13 @@
 const { test, describe } = require('node:test');
 const assert = require('node:assert');
 
+// Keep AI token logging and usage totals out of the tracked logs/activity.json and data/
+const testTmp = require('fs').mkdtempSync(require('path').join(require('os').tmpdir(), 'schegen-test-'));
+process.env.LOG_FILE = require('path').join(testTmp, 'activity.json');
+process.env.AI_USAGE_FILE = require('path').join(testTmp, 'ai-usage.json');
+process.env.AI_PRICES_FILE = require('path').join(testTmp, 'ai-prices.json');
+process.env.AI_BUDGETS_FILE = require('path').join(testTmp, 'ai-budgets.json');
+
 const schemaGenerator = require('../src/services/schemaGenerator');
 const pageTypeDetector = require('../src/services/pageTypeDetector');
 const articleSchema = require('../src/schemas/article');
@@ -8,6 +15,80 @@ const serviceSchema = require('../src/schemas/service');
 const faqSchema = require('../src/schemas/faq');
 const localBusinessSchema = require('../src/schemas/localBusiness');
 const breadcrumbSchema = require('../src/schemas/breadcrumb');
+const howToSchema = require('../src/schemas/howTo');
+const reviewSchema = require('../src/schemas/review');
+const organizationSchema = require('../src/schemas/organization');
+const pageScraper = require('../src/services/pageScraper');
+const openingHours = require('../src/services/openingHours');
+const ruleEngine = require('../src/services/ruleEngine');
+const vocabulary = require('../src/services/vocabulary');
+const graphNormalizer = require('../src/services/graphNormalizer');
+const jobQueue = require('../src/services/jobQueue');
+const phpSerializer = require('../src/services/phpSerializer');
+const schemaDiff = require('../src/services/schemaDiff');
+const multisite = require('../src/services/multisite');
+const permalinkResolver = require('../src/services/permalinkResolver');
+const targets = require('../src/services/targets');
+const yoastTarget = require('../src/services/targets/yoast');
+const aioseoTarget = require('../src/services/targets/aioseo');
+const seoPressTarget = require('../src/services/targets/seoPress');
+const standaloneTarget = require('../src/services/targets/standalone');
+const wordpressClient = require('../src/services/wordpressClient');
+const requestSigner = require('../src/services/requestSigner');
+const urlGuard = require('../src/services/urlGuard');
+const rankMathClient = require('../src/services/rankMathClient');
+const ai = require('../src/services/ai');
+const aiVerifier = require('../src/services/ai/verifier');
+const aiUsage = require('../src/services/ai/usage');
+const aiBudget = require('../src/services/ai/budget');
+const jsonSchema = require('../src/services/ai/jsonSchema');
+const aiSchemaGenerator = require('../src/services/ai/schemaGenerator');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cheerio = require('cheerio');
+
+/**
+ * Local HTTP stand-in for a remote API (WordPress, helper plugin, AI providers)
+ * handler(request) returns {status, data} and data is sent as JSON. Every request is kept as
+ * {method, url, path, headers, rawBody, body}. With env, that variable holds the server URL until close().
+ */
+async function fakeServer(handler, { env } = {}) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let rawBody = '';
+    req.on('data', chunk => { rawBody += chunk; });
+    req.on('end', () => {
+      const request = {
+        method: req.method,
+        url: req.url,
+        path: new URL(req.url, 'http://localhost').pathname,
+        headers: req.headers,
+        rawBody,
+        body: rawBody ? JSON.parse(rawBody) : null
+      };
+      requests.push(request);
+      const { status = 200, data } = handler(request);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const previous = env ? process.env[env] : undefined;
+  if (env) process.env[env] = url;
+  return {
+    url,
+    requests,
+    close: () => {
+      if (env && previous === undefined) delete process.env[env];
+      else if (env) process.env[env] = previous;
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
 
 describe('Page Type Detector', () => {
   test('detects blog posts by URL pattern', () => {
@@ -291,6 +372,105 @@ describe('LocalBusiness Schema Generator', () => {
     assert.ok(schema.hasOfferCatalog);
     assert.ok(Array.isArray(schema.hasOfferCatalog.itemListElement));
   });
+
+  test('omits opening hours unless provided or stated as 24/7', () => {
+    assert.strictEqual(localBusinessSchema.generate(mockOrgInfo).openingHoursSpecification, undefined);
+
+    const open24 = localBusinessSchema.generate(mockOrgInfo, { open24Hours: true });
+    assert.strictEqual(open24.openingHoursSpecification.dayOfWeek.length, 7);
+
+    const hours = openingHours.parseText('Mon-Fri 8am-6pm');
+    const schema = localBusinessSchema.generate(mockOrgInfo, { openingHours: hours, open24Hours: true });
+    assert.strictEqual(schema.openingHoursSpecification[0].opens, '08:00');
+  });
+});
+
+describe('Opening Hours Parser', () => {
+  test('parses day ranges, times and closed days', () => {
+    const specs = openingHours.parseText('Mon–Fri 8am–6pm, Sat 9:30 a.m. to noon, Sunday: Closed');
+
+    assert.strictEqual(specs.length, 2);
+    assert.deepStrictEqual(specs[0].dayOfWeek, ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday']);
+    assert.strictEqual(specs[0].opens, '08:00');
+    assert.strictEqual(specs[0].closes, '18:00');
+    assert.deepStrictEqual(specs[1].dayOfWeek, ['Saturday']);
+    assert.strictEqual(specs[1].opens, '09:30');
+    assert.strictEqual(specs[1].closes, '12:00');
+  });
+
+  test('parses schema.org short format', () => {
+    const specs = openingHours.parseSchemaOrgString(['Mo-Fr 08:00-17:00', 'Sa 9:00-13:00']);
+
+    assert.strictEqual(specs.length, 2);
+    assert.strictEqual(specs[1].opens, '09:00');
+  });
+
+  test('flags emergency-only 24/7 notes', () => {
+    assert.deepStrictEqual(openingHours.detect24x7('24/7 emergency furnace repair'), { open24Hours: true, emergencyOnly: true });
+    assert.deepStrictEqual(openingHours.detect24x7('Open 24 hours a day'), { open24Hours: true, emergencyOnly: false });
+    assert.strictEqual(openingHours.detect24x7('Call us today').open24Hours, false);
+  });
+
+  test('keeps the 24/7 flags in the editable text', () => {
+    const specs = openingHours.parseText('Mon-Fri 8am-6pm');
+    const text = openingHours.toText(specs, { emergencyService: true });
+
+    assert.strictEqual(text, 'Monday-Friday 08:00-18:00\n24/7 emergency service');
+    assert.deepStrictEqual(openingHours.parseText(text), specs);
+    assert.deepStrictEqual(openingHours.detect24x7(text), { open24Hours: true, emergencyOnly: true });
+    assert.strictEqual(openingHours.toText(specs, { open24Hours: true }), '24/7');
+  });
+
+  test('extracts hours from footer text and keeps office hours over emergency notes', () => {
+    const $ = cheerio.load(`
+      <body>
+        <p>24/7 emergency service available</p>
+        <footer>
+          <h4>Hours</h4>
+          <ul><li><span>Monday - Friday</span><span>8:00 AM - 5:00 PM</span></li><li><span>Saturday</span><span>Closed</span></li></ul>
+        </footer>
+      </body>
+    `);
+
+    const hours = pageScraper.extractOpeningHours($);
+
+    assert.strictEqual(hours.specifications.length, 1);
+    assert.strictEqual(hours.specifications[0].closes, '17:00');
+    assert.strictEqual(hours.open24Hours, false);
+    assert.strictEqual(hours.emergencyService, true);
+  });
+
+  test('does not turn a lone 24/7 emergency note into 24/7 opening hours', () => {
+    const $ = cheerio.load(`
+      <body>
+        <main><p>Heating and cooling experts.</p></main>
+        <footer><p>24/7 emergency service</p></footer>
+      </body>
+    `);
+
+    const hours = pageScraper.extractOpeningHours($);
+    assert.deepStrictEqual(hours, { specifications: [], open24Hours: false, emergencyService: true });
+
+    const business = localBusinessSchema.generate({ name: 'Co', url: 'https://example.com' }, { phone: '+1 905 555 0100', ...hours, openingHours: hours.specifications });
+    assert.strictEqual(business.openingHoursSpecification, undefined);
+    assert.strictEqual(business.contactPoint.contactType, 'emergency');
+    assert.strictEqual(business.contactPoint.hoursAvailable.opens, '00:00');
+
+    // A real 24/7 business still gets round-the-clock hours
+    assert.strictEqual(pageScraper.extractOpeningHours(cheerio.load('<footer>We are open 24/7</footer>')).open24Hours, true);
+  });
+
+  test('prefers existing JSON-LD opening hours', () => {
+    const $ = cheerio.load(`
+      <script type="application/ld+json">{"@context":"https://schema.org","@graph":[{"@type":"HVACBusiness","openingHoursSpecification":[{"@type":"OpeningHoursSpecification","dayOfWeek":"https://schema.org/Monday","opens":"07:00:00","closes":"19:00:00"}]}]}</script>
+      <footer>Mon-Fri 9am-5pm</footer>
+    `);
+
+    const hours = pageScraper.extractOpeningHours($);
+
+    assert.deepStrictEqual(hours.specifications[0].dayOfWeek, ['Monday']);
+    assert.strictEqual(hours.specifications[0].opens, '07:00');
+  });
 });
 
 describe('Breadcrumb Schema Generator', () => {
@@ -326,6 +506,1855 @@ describe('Breadcrumb Schema Generator', () => {
   });
 });
 
+describe('HowTo Schema Generator', () => {
+  const pageData = {
+    url: 'https://example.com/blog/how-to-change-furnace-filter/',
+    title: 'How to Change Your Furnace Filter',
+    description: 'A quick guide to replacing your furnace filter.'
+  };
+
+  test('generates HowTo with ordered steps, tools and supplies', () => {
+    const howTo = {
+      name: 'How to Change Your Furnace Filter',
+      steps: [
+        { name: 'Turn off the furnace', text: 'Switch the thermostat and furnace power off.' },
+        { name: 'Remove the old filter', text: 'Slide the old filter out of the slot.' },
+        { text: 'Insert the new filter with the airflow arrow pointing toward the blower.' }
+      ],
+      tools: ['Flashlight'],
+      supplies: ['16x25x1 furnace filter'],
+      totalTime: 'PT10M'
+    };
+
+    const schema = howToSchema.generate(howTo, pageData);
+
+    assert.strictEqual(schema['@type'], 'HowTo');
+    assert.strictEqual(schema['@id'], 'https://example.com/blog/how-to-change-furnace-filter/#howto');
+    assert.strictEqual(schema.step.length, 3);
+    assert.strictEqual(schema.step[0]['@type'], 'HowToStep');
+    assert.strictEqual(schema.step[2].position, 3);
+    assert.ok(schema.step[2].name);
+    assert.strictEqual(schema.tool[0]['@type'], 'HowToTool');
+    assert.strictEqual(schema.supply[0]['@type'], 'HowToSupply');
+    assert.strictEqual(schema.totalTime, 'PT10M');
+  });
+
+  test('returns null for fewer than 2 steps', () => {
+    const schema = howToSchema.generate({ steps: [{ text: 'Only one step' }] }, pageData);
+    assert.strictEqual(schema, null);
+  });
+
+  test('extracts steps from numbered headings', () => {
+    const $ = cheerio.load(`
+      <html><head><title>How to Change Your Furnace Filter</title></head><body>
+        <div class="entry-content">
+          <h2>Tools Needed</h2>
+          <ul><li>Flashlight</li><li>Marker</li></ul>
+          <h2>Supplies</h2>
+          <ul><li>Replacement filter</li></ul>
+          <p>Total time: 1 hour 15 minutes</p>
+          <h2>Step 1: Turn off the furnace</h2>
+          <p>Switch off power at the thermostat.</p>
+          <h2>Step 2: Remove the old filter</h2>
+          <p>Slide the filter out of its slot.</p>
+          <h2>Step 3: Insert the new filter</h2>
+          <p>Match the airflow arrow to the blower.</p>
+        </div>
+      </body></html>
+    `);
+
+    const howTo = pageScraper.extractHowTo($);
+
+    assert.strictEqual(howTo.steps.length, 3);
+    assert.strictEqual(howTo.steps[0].name, 'Turn off the furnace');
+    assert.strictEqual(howTo.steps[1].text, 'Slide the filter out of its slot.');
+    assert.deepStrictEqual(howTo.tools, ['Flashlight', 'Marker']);
+    assert.deepStrictEqual(howTo.supplies, ['Replacement filter']);
+    assert.strictEqual(howTo.totalTime, 'PT1H15M');
+  });
+
+  test('ignores numbered headings on listicles', () => {
+    const $ = cheerio.load(`
+      <html><head><title>5 Signs Your AC Needs Repair</title></head><body>
+        <div class="entry-content">
+          <h2>1. Strange noises</h2>
+          <p>Grinding or squealing from the outdoor unit.</p>
+          <h2>2. Weak airflow</h2>
+          <p>Vents barely blow, even on high.</p>
+          <h2>3. Rising energy bills</h2>
+          <p>An inefficient system costs more to run.</p>
+        </div>
+      </body></html>
+    `);
+
+    assert.strictEqual(pageScraper.extractHowTo($), null);
+  });
+
+  test('extracts steps from ordered list on guide pages only', () => {
+    const listHtml = `
+      <div class="entry-content">
+        <ol class="wp-block-list">
+          <li><strong>Shut off power.</strong> Turn the breaker off.</li>
+          <li>Open the access panel.</li>
+          <li>Replace the filter.</li>
+        </ol>
+      </div>`;
+
+    const guide = pageScraper.extractHowTo(cheerio.load(`<html><head><title>DIY Filter Guide</title></head><body>${listHtml}</body></html>`));
+    assert.strictEqual(guide.steps.length, 3);
+    assert.strictEqual(guide.steps[0].name, 'Shut off power');
+
+    const notGuide = pageScraper.extractHowTo(cheerio.load(`<html><head><title>Our Company History</title></head><body>${listHtml}</body></html>`));
+    assert.strictEqual(notGuide, null);
+  });
+});
+
+describe('Review Schema Generator', () => {
+  const testimonials = {
+    reviews: [
+      { text: 'Fixed our furnace the same day, great service.', author: 'Jane D.', rating: 5, source: 'Google' },
+      { text: 'Friendly technician and fair pricing overall.', author: 'Mark S.', rating: 4, source: 'Google' },
+      { text: 'Anonymous praise without an author name.', author: '', rating: 5, source: 'Google' }
+    ],
+    aggregateRating: { value: null, count: null, found: false }
+  };
+
+  test('refuses self-serving reviews by default', () => {
+    const business = { '@type': 'HVACBusiness', '@id': 'https://example.com#localbusiness' };
+    reviewSchema.attach(business, testimonials);
+
+    assert.strictEqual(business.review, undefined);
+    assert.strictEqual(business.aggregateRating, undefined);
+  });
+
+  test('attaches third-party reviews and computes aggregateRating', () => {
+    const business = { '@type': 'HVACBusiness', '@id': 'https://example.com#localbusiness' };
+    reviewSchema.attach(business, testimonials, { thirdPartyReviews: true });
+
+    assert.strictEqual(business.review.length, 2);
+    assert.strictEqual(business.review[0].author.name, 'Jane D.');
+    assert.strictEqual(business.review[0].publisher.name, 'Google');
+    assert.strictEqual(business.aggregateRating.ratingValue, '4.5');
+    assert.strictEqual(business.aggregateRating.reviewCount, '2');
+  });
+
+  test('attaches reviews to the providing Organization on multi-location service pages', () => {
+    const { schema } = schemaGenerator.generate('service', {
+      url: 'https://example.com/services/ac-repair/',
+      title: 'AC Repair',
+      content: 'AC repair',
+      testimonials
+    }, {
+      name: 'Co',
+      url: 'https://example.com',
+      branches: [{ name: 'Hamilton', address: { addressLocality: 'Hamilton', addressRegion: 'ON' } }]
+    }, { thirdPartyReviews: true });
+
+    const organization = schema['@graph'].find(n => n['@id'] === 'https://example.com#organization');
+    assert.strictEqual(organization.review.length, 2);
+    assert.strictEqual(organization.aggregateRating.reviewCount, '2');
+  });
+
+  test('extracts Trustindex and Elementor testimonials', () => {
+    const $ = cheerio.load(`
+      <div class="ti-widget ti-goog">
+        <div class="ti-rating-text"><strong>4.9</strong> Based on 87 reviews</div>
+        <div class="ti-review-item">
+          <div class="ti-name">Jane D.</div>
+          <div class="ti-stars"><span class="ti-star f"></span><span class="ti-star f"></span><span class="ti-star f"></span><span class="ti-star f"></span><span class="ti-star f"></span></div>
+          <div class="ti-review-content">Fixed our furnace the same day, great service.</div>
+        </div>
+      </div>
+      <div class="elementor-testimonial-wrapper">
+        <div class="elementor-testimonial-content">The new AC unit works perfectly, thank you!</div>
+        <div class="elementor-testimonial-name">Mark S.</div>
+      </div>
+    `);
+
+    const result = pageScraper.extractTestimonials($);
+
+    assert.strictEqual(result.reviews.length, 2);
+    assert.strictEqual(result.reviews[0].rating, 5);
+    assert.strictEqual(result.reviews[0].source, 'Google');
+    assert.strictEqual(result.reviews[1].source, 'Direct');
+    assert.strictEqual(result.aggregateRating.value, 4.9);
+    assert.strictEqual(result.aggregateRating.count, 87);
+  });
+});
+
+describe('Multi-location Organization Schema', () => {
+  const orgInfo = {
+    name: 'Cool HVAC Services',
+    url: 'https://coolhvac.com',
+    branches: [
+      {
+        name: 'Hamilton',
+        phone: '(905) 555-1111',
+        address: { streetAddress: '1 Main St', addressLocality: 'Hamilton', addressRegion: 'ON', postalCode: 'L8P 1A1' },
+        geo: { lat: 43.2557, lng: -79.8711 },
+        openingHours: 'Mon-Fri 8am-5pm',
+        serviceAreas: ['Stoney Creek', 'Ancaster']
+      },
+      {
+        name: 'Toronto',
+        phone: '(416) 555-2222',
+        address: { streetAddress: '2 King St', addressLocality: 'Toronto', addressRegion: 'ON', postalCode: 'M5H 1A1' },
+        geo: { lat: 43.6532, lng: -79.3832 }
+      }
+    ]
+  };
+
+  test('generates parent Organization with branch departments', () => {
+    const nodes = organizationSchema.generate(orgInfo);
+
+    assert.strictEqual(nodes[0]['@type'], 'Organization');
+    assert.strictEqual(nodes[0].department.length, 2);
+    assert.strictEqual(nodes[1]['@id'], 'https://coolhvac.com#branch-hamilton');
+    assert.strictEqual(nodes[1].telephone, '(905) 555-1111');
+    assert.strictEqual(nodes[1].address.streetAddress, '1 Main St');
+    assert.strictEqual(nodes[1].geo.latitude, 43.2557);
+    assert.strictEqual(nodes[1].openingHoursSpecification[0].opens, '08:00');
+    assert.deepStrictEqual(nodes[1].parentOrganization, { '@id': 'https://coolhvac.com#organization' });
+  });
+
+  test('supports subOrganization relation', () => {
+    const nodes = organizationSchema.generate(orgInfo, { branchRelation: 'subOrganization' });
+
+    assert.strictEqual(nodes[0].subOrganization.length, 2);
+    assert.strictEqual(nodes[0].department, undefined);
+  });
+
+  test('finds nearest branch by city, service area and geo', () => {
+    assert.strictEqual(organizationSchema.findNearestBranch(orgInfo.branches, { city: 'Toronto' }).name, 'Toronto');
+    assert.strictEqual(organizationSchema.findNearestBranch(orgInfo.branches, { city: 'Ancaster' }).name, 'Hamilton');
+    assert.strictEqual(organizationSchema.findNearestBranch(orgInfo.branches, { city: 'Oakville', geo: { lat: 43.4675, lng: -79.6877 } }).name, 'Hamilton');
+    assert.strictEqual(organizationSchema.findNearestBranch(orgInfo.branches, { city: 'Calgary', state: 'AB' }), null);
+  });
+
+  test('location pages link to the matching branch', () => {
+    const pageData = {
+      url: 'https://coolhvac.com/locations/stoney-creek',
+      title: 'HVAC Services in Stoney Creek',
+      description: 'Local HVAC service'
+    };
+
+    const { schema } = schemaGenerator.generate('location', pageData, orgInfo);
+    const service = schema['@graph'].find(s => s['@type'] === 'Service');
+    const ids = schema['@graph'].map(s => s['@id']);
+
+    assert.deepStrictEqual(service.provider, { '@id': 'https://coolhvac.com#branch-hamilton' });
+    assert.ok(ids.includes('https://coolhvac.com#organization'));
+    assert.ok(!ids.includes('https://coolhvac.com#localbusiness'));
+  });
+});
+
+describe('Rule Engine', () => {
+  test('loads per-type rule files', () => {
+    const ruleSets = ruleEngine.loadRules();
+    const types = ruleSets.map(r => r.type);
+
+    assert.ok(types.includes('LocalBusiness'));
+    assert.ok(types.includes('Article'));
+    assert.ok(ruleSets.every(r => Array.isArray(r.rules)));
+  });
+
+  test('reports JSON-pointer paths and severity for @graph nodes', () => {
+    const result = ruleEngine.validate({
+      '@context': 'https://schema.org',
+      '@graph': [
+        { '@type': 'WebPage', 'url': 'https://example.com' },
+        { '@type': 'HVACBusiness', 'name': 'Co', 'address': { '@type': 'PostalAddress', 'addressCountry': 'CA' } }
+      ]
+    });
+
+    const localityError = result.errors.find(e => e.rule === 'address-locality');
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(localityError.path, '/@graph/1/address/addressLocality');
+    assert.strictEqual(localityError.field, 'address.addressLocality');
+    assert.strictEqual(localityError.severity, 'error');
+    assert.ok(result.warnings.some(w => w.path === '/@graph/1/telephone'));
+    assert.ok(result.recommendations.some(r => r.path === '/@graph/1/priceRange'));
+  });
+
+  test('checks allowed values, formats and cross-field rules', () => {
+    const result = ruleEngine.validate({
+      '@context': 'https://schema.org',
+      '@graph': [
+        {
+          '@type': 'Article',
+          'headline': 'Post',
+          'datePublished': '2024-05-01',
+          'dateModified': '2024-04-01'
+        },
+        {
+          '@type': 'HowTo',
+          'name': 'Guide',
+          'totalTime': '30 minutes',
+          'step': [{ '@type': 'HowToStep', 'text': 'One' }, { '@type': 'HowToStep', 'text': 'Two' }]
+        },
+        {
+          '@type': 'HVACBusiness',
+          'name': 'Co',
+          'address': { 'addressLocality': 'Hamilton' },
+          'aggregateRating': { '@type': 'AggregateRating', 'ratingValue': '6', 'bestRating': '5', 'reviewCount': '3' },
+          'openingHoursSpecification': [{ '@type': 'OpeningHoursSpecification', 'dayOfWeek': ['Funday'], 'opens': '08:00', 'closes': '17:00' }]
+        }
+      ]
+    });
+
+    const rules = result.errors.map(e => e.rule);
+    assert.ok(result.warnings.some(w => w.rule === 'date-modified-after-published'));
+    assert.ok(rules.includes('total-time-format'));
+    assert.ok(rules.includes('rating-below-best'));
+    assert.ok(result.errors.some(e => e.rule === 'day-values' && e.path === '/@graph/2/openingHoursSpecification/0/dayOfWeek'));
+  });
+
+  test('requires an address on an inline Service provider', () => {
+    const service = provider => ruleEngine.validate({ '@context': 'https://schema.org', '@type': 'Service', name: 'AC Repair', provider });
+
+    const missing = service({ '@type': 'HVACBusiness', name: 'Co' });
+    assert.ok(missing.errors.some(e => e.rule === 'provider-address' && e.path === '/provider/address'));
+
+    const noCity = service({ '@type': 'Organization', name: 'Co', address: { '@type': 'PostalAddress', addressCountry: 'CA' } });
+    assert.ok(noCity.errors.some(e => e.rule === 'provider-address-locality'));
+
+    // A reference is checked where the provider is defined
+    assert.ok(!service({ '@id': 'https://example.com#localbusiness' }).errors.some(e => e.rule.startsWith('provider-address')));
+  });
+
+  test('applies LocalBusiness rules to every subtype and checks nested types', () => {
+    const dentist = ruleEngine.validate({ '@context': 'https://schema.org', '@type': 'Dentist' });
+    assert.deepStrictEqual(dentist.errors.map(e => e.rule).sort(), ['address-required', 'name-required']);
+
+    const result = ruleEngine.validate({
+      '@context': 'https://schema.org',
+      '@type': 'Plumber',
+      name: 'Co',
+      address: { '@type': 'PostalAddress', addressLocality: 'Hamilton', addressCountry: 'Canada' },
+      geo: { '@type': 'GeoCoordinates', latitude: 95 },
+      contactPoint: { '@type': 'ContactPoint', contactType: 'emergency' },
+      founder: { '@type': 'Person' },
+      location: { '@type': 'Place' }
+    });
+    const issues = [...result.errors, ...result.warnings, ...result.recommendations];
+    const find = rule => issues.filter(i => i.rule === rule);
+    assert.strictEqual(find('address-country-format').length, 1);
+    assert.strictEqual(find('address-country-format')[0].type, 'PostalAddress');
+    assert.strictEqual(find('latitude-range').length, 1);
+    assert.strictEqual(find('geo-latitude-range').length, 0);
+    assert.strictEqual(find('longitude-required').length, 1);
+    assert.strictEqual(find('contact-required').length, 1);
+    assert.strictEqual(find('name-or-address').length, 1);
+    assert.ok(result.errors.some(e => e.type === 'Person' && e.rule === 'name-required'));
+
+    const website = ruleEngine.validate({ '@context': 'https://schema.org', '@type': 'WebSite', name: 'Co' });
+    assert.ok(website.errors.some(e => e.rule === 'url-required'));
+  });
+
+  test('validates inline entities but skips @id references', () => {
+    const result = ruleEngine.validate({
+      '@context': 'https://schema.org',
+      '@graph': [
+        { '@type': 'Service', 'name': 'AC Repair', 'provider': { '@type': 'HVACBusiness', 'name': 'Co' } },
+        { '@type': 'Service', 'name': 'Heating', 'provider': { '@type': 'LocalBusiness', '@id': 'https://example.com#localbusiness' } },
+        { '@type': 'LocalBusiness', '@id': 'https://example.com#localbusiness', 'name': 'Co' }
+      ]
+    });
+
+    assert.ok(result.errors.some(e => e.path === '/@graph/0/provider/address'));
+    assert.ok(!result.errors.some(e => e.path.startsWith('/@graph/1/provider')));
+  });
+});
+
+describe('Schema.org Vocabulary', () => {
+  test('reports unknown types, misplaced properties and wrong value types', () => {
+    const result = vocabulary.check({
+      '@context': 'https://schema.org',
+      '@graph': [
+        { '@type': 'Service', 'name': 'AC Repair', 'priceRange': '$$', 'url': 'AC Repair' },
+        { '@type': 'HVACBuisness', 'name': 'Co' },
+        { '@type': 'Offer', 'brand': { '@type': 'Brand', 'name': 'Carrier' } },
+        { '@type': 'OpeningHoursSpecification', 'dayOfWeek': ['Monday', 'Funday'], 'opens': '08:00', 'closes': '17:00' }
+      ]
+    });
+
+    const find = (rule, path) => result.issues.find(i => i.rule === rule && i.path === path);
+    assert.strictEqual(result.valid, false);
+    assert.ok(find('vocab-domain', '/@graph/0/priceRange'));
+    assert.ok(find('vocab-value-type', '/@graph/0/url'));
+    assert.strictEqual(find('vocab-unknown-type', '/@graph/1/@type').severity, 'error');
+    assert.ok(find('vocab-domain', '/@graph/2/brand'));
+    assert.ok(find('vocab-value-type', '/@graph/3/dayOfWeek/1'));
+    assert.ok(!find('vocab-value-type', '/@graph/3/dayOfWeek/0'));
+  });
+
+  test('accepts inherited properties, subtypes, enumeration URLs and @id references', () => {
+    const result = vocabulary.check({
+      '@type': 'HVACBusiness',
+      'name': 'Co',
+      'telephone': '+1 905 555 0100',
+      'geo': { '@type': 'GeoCoordinates', 'latitude': 43.25, 'longitude': -79.87 },
+      'areaServed': [{ '@type': 'City', 'name': 'Hamilton' }, 'Burlington'],
+      'parentOrganization': { '@id': 'https://example.com#organization' },
+      'makesOffer': { '@type': 'Offer', 'availability': 'https://schema.org/InStock', 'itemOffered': { '@type': 'Service', 'name': 'AC Repair' } }
+    });
+
+    assert.deepStrictEqual(result.issues, []);
+  });
+
+  test('generated schemas conform to the vocabulary', () => {
+    const pageData = {
+      url: 'https://example.com/ac-repair/',
+      title: 'AC Repair Services',
+      description: 'Professional AC repair',
+      content: 'We repair air conditioners',
+      headings: [],
+      faqs: [{ question: 'How much?', answer: 'It depends.' }]
+    };
+    const { schema } = schemaGenerator.generate('service', pageData, { name: 'Co', url: 'https://example.com' });
+
+    assert.deepStrictEqual(vocabulary.check(schema).issues, []);
+  });
+
+  test('knows the full schema.org release, including LocalBusiness subtypes', () => {
+    for (const type of ['Dentist', 'Restaurant', 'AutoRepair', 'MedicalBusiness', 'Course', 'JobPosting', 'Recipe']) {
+      const issues = vocabulary.check({ '@type': type, 'name': 'Example' }).issues;
+      assert.deepStrictEqual(issues.filter(i => i.rule === 'vocab-unknown-type'), [], type);
+    }
+
+    const pageData = {
+      url: 'https://example.com/locations/hamilton/',
+      title: 'Dentist in Hamilton',
+      description: 'Family dentistry in Hamilton',
+      content: 'Family dentistry in Hamilton',
+      headings: [],
+      faqs: []
+    };
+    const { schema } = schemaGenerator.generate('location', pageData, { name: 'Smile Co', url: 'https://example.com' }, { businessType: 'Dentist' });
+    const dentist = schema['@graph'].find(node => [].concat(node['@type']).includes('Dentist'));
+    assert.ok(dentist);
+    assert.ok(!vocabulary.check(schema).issues.some(i => i.rule === 'vocab-unknown-type'));
+    assert.ok(!schemaGenerator.validate(schema).errors.some(e => e.rule === 'vocab-unknown-type'));
+  });
+
+  test('rule engine results include vocabulary issues', () => {
+    const result = ruleEngine.validate({ '@context': 'https://schema.org', '@type': 'Service', 'name': 'AC', 'priceRange': '$$' });
+    assert.ok(result.warnings.some(w => w.rule === 'vocab-domain' && w.field === 'priceRange'));
+  });
+});
+
+describe('Graph Normalizer', () => {
+  test('resolves relative ids, merges duplicates and replaces inline copies with references', () => {
+    const { schema, issues } = graphNormalizer.normalize({
+      '@context': 'https://schema.org',
+      '@graph': [
+        { '@type': 'Service', 'name': 'AC Repair', 'provider': { '@type': 'HVACBusiness', '@id': '#business', 'name': 'Co', 'telephone': '555-0100' } },
+        { '@type': 'HVACBusiness', '@id': 'https://example.com#localbusiness', 'name': 'Co' },
+        { '@type': 'WebPage', '@id': '#webpage', 'about': { '@id': '#business' } }
+      ]
+    }, { baseUrl: 'https://example.com/ac-repair/', aliases: { '#business': 'https://example.com#localbusiness' } });
+
+    const graph = schema['@graph'];
+    const business = graph.filter(n => n['@id'] === 'https://example.com#localbusiness');
+    assert.strictEqual(business.length, 1);
+    assert.strictEqual(business[0].telephone, '555-0100');
+    assert.deepStrictEqual(graph[0].provider, { '@id': 'https://example.com#localbusiness' });
+    assert.strictEqual(graph[2]['@id'], 'https://example.com/ac-repair/#webpage');
+    assert.ok(issues.some(i => i.rule === 'duplicate-definition'));
+  });
+
+  test('keeps a single inline entity in place', () => {
+    const { schema } = graphNormalizer.normalize({
+      '@graph': [{ '@type': 'WebPage', '@id': 'https://example.com/#webpage', 'isPartOf': { '@type': 'WebSite', '@id': 'https://example.com#website', 'name': 'Co' } }]
+    });
+
+    assert.strictEqual(schema['@graph'].length, 1);
+    assert.strictEqual(schema['@graph'][0].isPartOf.name, 'Co');
+  });
+
+  test('reports dangling and circular references', () => {
+    const result = graphNormalizer.check({
+      '@graph': [
+        { '@type': 'WebPage', '@id': 'https://example.com/#webpage', 'isPartOf': { '@id': 'https://example.com#website' }, 'breadcrumb': { '@id': 'https://example.com/#breadcrumb' } },
+        { '@type': 'WebSite', '@id': 'https://example.com#website', 'isPartOf': { '@id': 'https://example.com/#webpage' } },
+        { '@type': 'Organization', '@id': 'https://example.com#organization', 'parentOrganization': { '@id': 'https://example.com#organization' } }
+      ]
+    });
+
+    assert.strictEqual(result.valid, false);
+    assert.ok(result.issues.some(i => i.rule === 'dangling-reference' && i.path === '/@graph/0/breadcrumb'));
+    assert.ok(result.issues.some(i => i.rule === 'circular-reference' && i.field === 'isPartOf'));
+    assert.ok(result.issues.some(i => i.rule === 'circular-reference' && i.path === '/@graph/2/parentOrganization'));
+  });
+
+  test('generated service graph defines the business once', () => {
+    const { schema, issues } = schemaGenerator.generate('service', {
+      url: 'https://example.com/ac-repair/',
+      title: 'AC Repair',
+      content: 'AC repair'
+    }, { name: 'Co', url: 'https://example.com' });
+
+    const service = schema['@graph'].find(n => n['@type'] === 'Service');
+    assert.deepStrictEqual(service.provider, { '@id': 'https://example.com#localbusiness' });
+    assert.strictEqual(schema['@graph'].filter(n => n['@id'] === 'https://example.com#localbusiness').length, 1);
+    assert.ok(graphNormalizer.check(schema).valid);
+    // The normalizer's findings come back with the graph, for callers that publish it
+    assert.ok(issues.some(i => i.rule === 'duplicate-definition'));
+    assert.ok(!issues.some(i => i.severity === 'error'));
+  });
+
+  test('standard service page normalizes without warnings', () => {
+    const { issues } = schemaGenerator.generate('service', {
+      url: 'https://example.com/services/ac-repair/',
+      title: 'AC Repair | Co',
+      description: 'AC repair in Hamilton',
+      content: 'We repair AC units.'
+    }, { name: 'Co', url: 'https://example.com', logo: 'https://example.com/logo.png' },
+    { areaServed: 'Hamilton', phone: '555-555-0100' });
+
+    assert.deepStrictEqual(issues.filter(i => i.severity !== 'recommendation'), []);
+  });
+
+  test('treats one-element arrays and same-id references as equal values', () => {
+    const { issues } = graphNormalizer.normalize({
+      '@graph': [
+        { '@type': 'HVACBusiness', '@id': 'https://example.com#localbusiness', 'areaServed': { '@type': 'City', 'name': 'Hamilton' }, 'logo': { '@id': 'https://example.com#logo' } },
+        { '@type': 'Service', 'provider': { '@type': 'HVACBusiness', '@id': 'https://example.com#localbusiness', 'areaServed': [{ '@type': 'City', 'name': 'Hamilton' }], 'logo': { '@type': 'ImageObject', '@id': 'https://example.com#logo', 'url': 'https://example.com/logo.png' } } }
+      ]
+    });
+
+    assert.ok(!issues.some(i => i.rule === 'conflicting-definition'));
+  });
+});
+
+describe('Job Queue', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'schegen-jobs-'));
+  process.env.JOBS_DIR = dir;
+
+  const attempts = {};
+  const configs = {};
+  jobQueue.registerHandler('test', async (url, config) => {
+    attempts[url] = (attempts[url] || 0) + 1;
+    configs[url] = config;
+    if (url.includes('fail') && attempts[url] === 1) {
+      throw new Error('Temporary failure');
+    }
+    return { success: true };
+  });
+
+  // Left by an earlier server process: a job that used a secret token, and one finished long ago
+  fs.writeFileSync(path.join(dir, 'restarted.json'), JSON.stringify({
+    id: 'restarted',
+    type: 'test',
+    status: 'running',
+    createdAt: '2024-01-01T00:00:00.000Z',
+    updatedAt: '2024-01-01T00:00:00.000Z',
+    config: { siteUrl: 'https://h.example.com' },
+    secretFields: ['secretToken'],
+    items: [{ url: 'https://h.example.com/1', status: 'pending', attempts: 0 }]
+  }));
+  fs.writeFileSync(path.join(dir, 'expired.json'), JSON.stringify({
+    id: 'expired',
+    type: 'test',
+    status: 'completed',
+    createdAt: '2020-01-01T00:00:00.000Z',
+    updatedAt: '2020-01-01T00:00:00.000Z',
+    config: {},
+    items: []
+  }));
+
+  test('resumes an interrupted job from the first unprocessed URL', async () => {
+    fs.writeFileSync(path.join(dir, 'interrupted.json'), JSON.stringify({
+      id: 'interrupted',
+      type: 'test',
+      status: 'running',
+      createdAt: '2024-01-01T00:00:00.000Z',
+      updatedAt: '2024-01-01T00:00:00.000Z',
+      config: {},
+      items: [
+        { url: 'https://a.example.com/done', status: 'done', attempts: 1, result: { success: true } },
+        { url: 'https://a.example.com/in-flight', status: 'running', attempts: 1 },
+        { url: 'https://a.example.com/next', status: 'pending', attempts: 0 }
+      ]
+    }));
+
+    assert.deepStrictEqual(jobQueue.resumeInterrupted(), ['interrupted']);
+    await jobQueue.waitForJob('interrupted');
+
+    const job = jobQueue.getJob('interrupted');
+    assert.strictEqual(job.status, 'completed');
+    assert.strictEqual(job.succeeded, 3);
+    assert.strictEqual(attempts['https://a.example.com/done'], undefined);
+    assert.strictEqual(attempts['https://a.example.com/next'], 1);
+  });
+
+  test('persists progress and never exposes job config', async () => {
+    const created = jobQueue.createJob('test', ['https://b.example.com/1', 'https://c.example.com/2'], { secretToken: 'secret' });
+    await jobQueue.waitForJob(created.id);
+
+    const job = jobQueue.getJob(created.id);
+    assert.strictEqual(job.status, 'completed');
+    assert.strictEqual(job.processed, 2);
+    assert.ok(!JSON.stringify(job).includes('secret'));
+
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, `${created.id}.json`), 'utf8'));
+    assert.strictEqual(saved.status, 'completed');
+    assert.ok(saved.items.every(item => item.status === 'done'));
+  });
+
+  test('keeps credentials out of job files and asks for them again after a restart', async () => {
+    const created = jobQueue.createJob('test', ['https://i.example.com/1'], {
+      siteUrl: 'https://i.example.com',
+      secretToken: 'tok-123',
+      dbConfig: { host: 'db', user: 'wp', password: 'pw-456' }
+    });
+    await jobQueue.waitForJob(created.id);
+
+    const file = fs.readFileSync(path.join(dir, `${created.id}.json`), 'utf8');
+    assert.ok(!file.includes('tok-123') && !file.includes('pw-456'));
+    assert.strictEqual(JSON.parse(file).config.dbConfig.user, 'wp');
+    // The run itself had them
+    assert.strictEqual(configs['https://i.example.com/1'].secretToken, 'tok-123');
+    assert.strictEqual(configs['https://i.example.com/1'].dbConfig.password, 'pw-456');
+    assert.strictEqual(jobQueue.getConfig(created.id).secretToken, 'tok-123');
+
+    // The restarted job wasn't resumed without its token
+    const restarted = jobQueue.getJob('restarted');
+    assert.strictEqual(restarted.status, 'paused');
+    assert.match(restarted.pauseReason, /secretToken/);
+    assert.deepStrictEqual(jobQueue.missingCredentials('restarted'), ['secretToken']);
+    assert.throws(() => jobQueue.resume('restarted'), /Credentials needed to resume this job: secretToken/);
+
+    jobQueue.resume('restarted', { secretToken: 'tok-789' });
+    await jobQueue.waitForJob('restarted');
+    assert.strictEqual(jobQueue.getJob('restarted').status, 'completed');
+    assert.strictEqual(configs['https://h.example.com/1'].secretToken, 'tok-789');
+    assert.ok(!fs.readFileSync(path.join(dir, 'restarted.json'), 'utf8').includes('tok-789'));
+  });
+
+  test('deletes finished jobs after JOB_RETENTION_DAYS', () => {
+    assert.strictEqual(jobQueue.getJob('expired'), null);
+    assert.ok(!fs.existsSync(path.join(dir, 'expired.json')));
+    assert.ok(jobQueue.getJob('interrupted'));
+  });
+
+  test('retries only the failed URLs', async () => {
+    const created = jobQueue.createJob('test', ['https://d.example.com/ok', 'https://d.example.com/fail']);
+    await jobQueue.waitForJob(created.id);
+    assert.strictEqual(jobQueue.getJob(created.id).failed, 1);
+
+    jobQueue.retryFailed(created.id);
+    await jobQueue.waitForJob(created.id);
+
+    const job = jobQueue.getJob(created.id);
+    assert.strictEqual(job.failed, 0);
+    assert.strictEqual(job.succeeded, 2);
+    assert.strictEqual(attempts['https://d.example.com/ok'], 1);
+    assert.strictEqual(attempts['https://d.example.com/fail'], 2);
+  });
+
+  test('publishes stage events with timings to subscribers', async () => {
+    jobQueue.registerHandler('staged', async (url, config, progress) => {
+      await new Promise(resolve => setImmediate(resolve));
+      progress('scraped');
+      if (url.includes('fail')) throw new Error('Insert failed');
+      progress('inserted');
+      return { success: true };
+    });
+
+    const created = jobQueue.createJob('staged', ['https://f.example.com/ok', 'https://g.example.com/fail']);
+    const events = [];
+    const unsubscribe = jobQueue.subscribe(created.id, (event, data) => events.push({ event, ...data }));
+    await jobQueue.waitForJob(created.id);
+    unsubscribe();
+
+    const stages = url => events.filter(e => e.event === 'url' && e.url === url).map(e => e.stage);
+    assert.deepStrictEqual(stages('https://f.example.com/ok'), ['scraped', 'inserted']);
+    assert.deepStrictEqual(stages('https://g.example.com/fail'), ['scraped', 'failed']);
+    assert.ok(events.filter(e => e.event === 'url').every(e => typeof e.ms === 'number' && e.elapsedMs >= e.ms));
+    assert.strictEqual(events.filter(e => e.event === 'job').pop().status, 'completed');
+    assert.ok('inserted' in jobQueue.getJob(created.id).results[0].timings);
+  });
+
+  test('cancel stops a job and rejects a second cancel', async () => {
+    const created = jobQueue.createJob('test', ['https://e.example.com/1', 'https://e.example.com/2', 'https://e.example.com/3']);
+    jobQueue.cancel(created.id);
+    await jobQueue.waitForJob(created.id);
+
+    const job = jobQueue.getJob(created.id);
+    assert.strictEqual(job.status, 'cancelled');
+    assert.ok(job.pending > 0);
+    assert.throws(() => jobQueue.cancel(created.id), /Cannot change job/);
+  });
+});
+
+describe('PHP Serialization', () => {
+  const { PHP_CLASS, PHP_CUSTOM } = phpSerializer;
+
+  // Meta values as WordPress/PHP wrote them (string lengths are UTF-8 byte counts)
+  const fixtures = {
+    capabilities: 'a:1:{s:13:"administrator";b:1;}',
+    widget: 'a:2:{i:2;a:3:{s:5:"title";s:5:"Hours";s:4:"text";s:21:"Mon–Fri 8am – 5pm";s:6:"filter";b:1;}s:12:"_multiwidget";i:1;}',
+    rankMathFaq: 'a:3:{s:8:"metadata";a:2:{s:4:"type";s:6:"custom";s:5:"title";s:7:"FAQPage";}s:5:"@type";s:7:"FAQPage";' +
+      's:10:"mainEntity";a:1:{i:0;a:3:{s:5:"@type";s:8:"Question";s:4:"name";s:27:"¿Cuánto cuesta el envío?";' +
+      's:14:"acceptedAnswer";a:2:{s:5:"@type";s:6:"Answer";s:4:"text";s:13:"Desde 4,99€";}}}}',
+    transient: 'O:8:"stdClass":3:{s:12:"last_checked";i:1700000000;s:7:"checked";a:1:{s:19:"akismet/akismet.php";s:5:"5.3.1";}s:8:"response";a:0:{}}',
+    visibility: 'O:3:"Foo":3:{s:3:"pub";i:1;s:6:"\0*\0pro";i:2;s:8:"\0Foo\0pri";i:3;}',
+    floats: 'a:6:{i:0;d:0.1;i:1;d:4.99;i:2;d:1.0E+25;i:3;d:-1.5E-7;i:4;d:0.0001;i:5;d:-0;}',
+    specialFloats: 'a:3:{i:0;d:NAN;i:1;d:INF;i:2;d:-INF;}',
+    multibyte: 'a:3:{s:4:"city";s:13:"Café Zürich";s:2:"jp";s:6:"東京";s:5:"emoji";s:4:"😀";}',
+    arrayReference: 'a:2:{i:0;a:1:{s:1:"x";i:1;}i:1;R:2;}',
+    objectHandle: 'a:2:{i:0;O:8:"stdClass":1:{s:1:"a";i:1;}i:1;r:2;}',
+    custom: 'C:11:"ArrayObject":21:{x:i:0;a:0:{};m:a:0:{}}',
+    mixedKeyOrder: 'a:3:{s:4:"name";s:1:"x";i:0;s:1:"y";i:-5;N;}',
+    bigInt: 'a:2:{i:0;i:9223372036854775807;i:1;i:-9223372036854775808;}'
+  };
+
+  test('reads WordPress-produced arrays, lists and multibyte strings', () => {
+    assert.deepStrictEqual(phpSerializer.unserialize(fixtures.capabilities), { administrator: true });
+    assert.deepStrictEqual(phpSerializer.unserialize(fixtures.widget), {
+      2: { title: 'Hours', text: 'Mon–Fri 8am – 5pm', filter: true },
+      _multiwidget: 1
+    });
+    assert.deepStrictEqual(phpSerializer.unserialize(fixtures.multibyte), { city: 'Café Zürich', jp: '東京', emoji: '😀' });
+
+    const faq = phpSerializer.unserialize(fixtures.rankMathFaq);
+    assert.ok(Array.isArray(faq.mainEntity));
+    assert.strictEqual(faq.mainEntity[0].name, '¿Cuánto cuesta el envío?');
+    assert.strictEqual(faq.mainEntity[0].acceptedAnswer.text, 'Desde 4,99€');
+  });
+
+  test('reads objects, floats, references and 64-bit integers', () => {
+    const transient = phpSerializer.unserialize(fixtures.transient);
+    assert.strictEqual(transient[PHP_CLASS], 'stdClass');
+    assert.deepStrictEqual(transient.checked, { 'akismet/akismet.php': '5.3.1' });
+    assert.deepStrictEqual(Object.keys(phpSerializer.unserialize(fixtures.visibility)), ['pub', '\0*\0pro', '\0Foo\0pri']);
+
+    assert.deepStrictEqual(phpSerializer.unserialize(fixtures.floats), [0.1, 4.99, 1e25, -1.5e-7, 0.0001, -0]);
+    assert.deepStrictEqual(phpSerializer.unserialize(fixtures.specialFloats), [NaN, Infinity, -Infinity]);
+
+    const shared = phpSerializer.unserialize(fixtures.arrayReference);
+    assert.strictEqual(shared[0], shared[1]);
+    const handles = phpSerializer.unserialize(fixtures.objectHandle);
+    assert.strictEqual(handles[0], handles[1]);
+
+    assert.strictEqual(phpSerializer.unserialize(fixtures.custom)[PHP_CUSTOM], 'x:i:0;a:0:{};m:a:0:{}');
+    assert.deepStrictEqual(phpSerializer.unserialize(fixtures.bigInt), [9223372036854775807n, -9223372036854775808n]);
+  });
+
+  test('writes every fixture back byte for byte', () => {
+    for (const [name, data] of Object.entries(fixtures)) {
+      assert.strictEqual(phpSerializer.serialize(phpSerializer.unserialize(data)), data, name);
+    }
+  });
+
+  test('writes PHP types for JS values', () => {
+    assert.strictEqual(phpSerializer.serialize({ price: 19.5, qty: 3, '10': 'ten', on: false }), 'a:4:{i:10;s:3:"ten";s:5:"price";d:19.5;s:3:"qty";i:3;s:2:"on";b:0;}');
+    assert.strictEqual(phpSerializer.serialize({ [PHP_CLASS]: 'stdClass', '5': 'x' }), 'O:8:"stdClass":1:{s:1:"5";s:1:"x";}');
+    assert.strictEqual(phpSerializer.serialize(2 ** 64), 'd:1.8446744073709552E+19;');
+    assert.strictEqual(phpSerializer.serialize(123456.789), 'd:123456.789;');
+    assert.strictEqual(phpSerializer.serialize(0.00001), 'd:1.0E-5;');
+
+    // A plain JS object used twice is a PHP array value, so it is written out twice
+    const address = { city: 'Leeds' };
+    assert.strictEqual(phpSerializer.serialize([address, address]), 'a:2:{i:0;a:1:{s:4:"city";s:5:"Leeds";}i:1;a:1:{s:4:"city";s:5:"Leeds";}}');
+  });
+
+  test('round-trips generated values', () => {
+    // Deterministic PRNG so failures are reproducible
+    let seed = 42;
+    const random = () => {
+      seed = (seed * 1103515245 + 12345) % 2147483648;
+      return seed / 2147483648;
+    };
+    const pick = list => list[Math.floor(random() * list.length)];
+    const strings = ['', 'plain', 'Café', '東京タワー', '😀 emoji', 'quote " and ; } {', 'a:1:{', '\0nul', 'multi\nline'];
+    const keys = ['name', '@type', 'url', 'ünï', '10', '-3', '007', 'key with space'];
+
+    const generate = depth => {
+      const kind = depth > 3 ? Math.floor(random() * 5) : Math.floor(random() * 7);
+      switch (kind) {
+        case 0: return null;
+        case 1: return random() < 0.5;
+        case 2: return Math.floor((random() - 0.5) * 2 ** 40);
+        case 3: return pick([(random() - 0.5) * 10 ** Math.floor(random() * 40 - 20), NaN, Infinity, -0, 0.1]);
+        case 4: return pick(strings);
+        case 5: return Array.from({ length: Math.floor(random() * 4) }, () => generate(depth + 1));
+        default: {
+          const obj = {};
+          const count = 1 + Math.floor(random() * 4);
+          for (let i = 0; i < count; i++) obj[pick(keys)] = generate(depth + 1);
+          return obj;
+        }
+      }
+    };
+
+    for (let i = 0; i < 300; i++) {
+      const value = generate(0);
+      const data = phpSerializer.serialize(value);
+      assert.deepStrictEqual(phpSerializer.unserialize(data), value, data);
+      assert.strictEqual(phpSerializer.serialize(phpSerializer.unserialize(data)), data);
+    }
+  });
+
+  test('rejects malformed data with the byte offset', () => {
+    assert.throws(() => phpSerializer.unserialize('s:4:"Café";'), /at byte 9/);
+    assert.throws(() => phpSerializer.unserialize('a:1:{s:1:"a";'), /unexpected end of data/);
+    assert.throws(() => phpSerializer.unserialize('a:1:{i:0;R:9;}'), /unknown value 9/);
+    assert.throws(() => phpSerializer.unserialize('i:1;junk'), /after the value/);
+    assert.strictEqual(phpSerializer.maybeUnserialize('not serialized'), 'not serialized');
+    assert.strictEqual(phpSerializer.maybeUnserialize('s:4:"Café";'), 's:4:"Café";');
+  });
+
+  test('diff parsing reads multibyte RankMath meta', () => {
+    const schema = schemaDiff.tryParsePhpSerialized(fixtures.rankMathFaq);
+    assert.strictEqual(schema['@type'], 'FAQPage');
+    assert.strictEqual(schema.mainEntity[0].acceptedAnswer.text, 'Desde 4,99€');
+  });
+});
+
+describe('Multisite', () => {
+  const sites = [
+    { blogId: 1, domain: 'network.example.com', path: '/', tablePrefix: 'wp_', homeUrl: 'https://network.example.com', active: true },
+    { blogId: 2, domain: 'network.example.com', path: '/hamilton/', tablePrefix: 'wp_2_', homeUrl: 'https://network.example.com/hamilton', active: true },
+    { blogId: 3, domain: 'burlington.network.example.com', path: '/', tablePrefix: 'wp_3_', homeUrl: 'https://www.burlington-hvac.com', active: true }
+  ];
+
+  test('derives per-site table prefixes', () => {
+    assert.strictEqual(multisite.blogPrefix('wp_', 1), 'wp_');
+    assert.strictEqual(multisite.blogPrefix('wp_', '12'), 'wp_12_');
+    assert.strictEqual(multisite.blogPrefix('abc_'), 'abc_');
+  });
+
+  test('maps page URLs to sites by domain and longest path', () => {
+    assert.strictEqual(multisite.resolveSite(sites, 'https://network.example.com/hamilton/ac-repair/').blogId, 2);
+    assert.strictEqual(multisite.resolveSite(sites, 'https://network.example.com/Hamilton').blogId, 2);
+    assert.strictEqual(multisite.resolveSite(sites, 'https://network.example.com/hamiltonian/').blogId, 1);
+    assert.strictEqual(multisite.resolveSite(sites, 'https://burlington.network.example.com/furnace/').blogId, 3);
+    assert.strictEqual(multisite.resolveSite(sites, 'https://burlington-hvac.com/furnace/').blogId, 3);
+    assert.strictEqual(multisite.resolveSite(sites, 'https://unrelated.example.org/'), null);
+    assert.strictEqual(multisite.resolveSite(sites, 'not a url'), null);
+  });
+
+  test('discovers sites from the blogs table', async () => {
+    const queries = [];
+    const execute = async (sql) => {
+      queries.push(sql);
+      if (sql.startsWith('SHOW TABLES')) return [[{ table: 'wp_blogs' }]];
+      if (sql.includes('FROM wp_blogs')) {
+        return [[
+          { blog_id: 1, domain: 'network.example.com', path: '/', archived: '0', deleted: 0, spam: 0 },
+          { blog_id: 4, domain: 'network.example.com', path: '/gone/', archived: '0', deleted: 1, spam: 0 }
+        ]];
+      }
+      if (sql.includes('FROM wp_options')) {
+        return [[{ option_name: 'home', option_value: 'https://network.example.com' }, { option_name: 'blogname', option_value: 'Main' }]];
+      }
+      throw new Error("Table 'wp_4_options' doesn't exist");
+    };
+
+    const network = await multisite.discoverSites(execute, 'wp_');
+    assert.strictEqual(network.multisite, true);
+    assert.deepStrictEqual(network.sites.map(s => [s.blogId, s.tablePrefix, s.name, s.active]), [
+      [1, 'wp_', 'Main', true],
+      [4, 'wp_4_', null, false]
+    ]);
+
+    const single = await multisite.discoverSites(async () => [[]], 'wp_');
+    assert.deepStrictEqual(single, { multisite: false, sites: [] });
+  });
+});
+
+describe('Permalink Resolver', () => {
+  // A tiny wp_posts / wp_options / wp_postmeta for the resolver's queries
+  function fakeSite(posts, options = {}, customPermalinks = {}) {
+    const optionRows = Object.entries({ home: 'https://example.com', permalink_structure: '/%postname%/', ...options })
+      .map(([option_name, option_value]) => ({ option_name, option_value }));
+    return async (sql, params = []) => {
+      if (sql.includes('FROM wp_options')) return [optionRows];
+      if (sql.includes('FROM wp_postmeta')) {
+        return [Object.entries(customPermalinks).filter(([link]) => params.includes(link)).map(([link, post_id]) => ({ post_id }))];
+      }
+      if (sql.includes('WHERE ID = ?')) return [posts.filter(p => p.ID === Number(params[0]))];
+      if (sql.includes('WHERE post_name = ?')) {
+        return [posts.filter(p => p.post_name === params[0] && !['trash', 'auto-draft', 'inherit'].includes(p.post_status))];
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    };
+  }
+
+  const post = (ID, post_name, post_type, extra = {}) => ({
+    ID, post_name, post_type, post_title: post_name, post_status: 'publish', post_parent: 0, post_date: new Date(2024, 2, 5, 10, 0, 0), ...extra
+  });
+
+  const rewriteRules = phpSerializer.serialize({
+    'services/([^/]+)(?:/([0-9]+))?/?$': 'index.php?service=$matches[1]&page=$matches[2]',
+    'locations/(.+?)(?:/([0-9]+))?/?$': 'index.php?location=$matches[1]&page=$matches[2]',
+    '(.?.+?)(?:/([0-9]+))?/?$': 'index.php?pagename=$matches[1]&page=$matches[2]',
+    'category/(.+?)/?$': 'index.php?category_name=$matches[1]'
+  });
+
+  test('reads custom post type bases from rewrite rules', () => {
+    assert.deepStrictEqual(permalinkResolver.typeBasesFromRules(phpSerializer.unserialize(rewriteRules)), {
+      service: 'services',
+      location: 'locations'
+    });
+    assert.deepStrictEqual(permalinkResolver.typeBasesFromRules(null), {});
+  });
+
+  test('builds post permalinks from the permalink structure', () => {
+    const settings = { structure: '/%year%/%monthnum%/%postname%/', typeBases: {} };
+    const pattern = permalinkResolver.permalinkPattern(post(7, 'hello', 'post'), [], settings);
+    assert.ok(pattern.test('2024/03/hello'));
+    assert.ok(!pattern.test('2023/03/hello'));
+    // With dateStrings, post_date is 'YYYY-MM-DD HH:MM:SS'
+    assert.ok(permalinkResolver.permalinkPattern(post(7, 'hello', 'post', { post_date: '2024-03-05 10:00:00' }), [], settings).test('2024/03/hello'));
+
+    const withCategory = permalinkResolver.permalinkPattern(post(7, 'hello', 'post'), [], { structure: '/%category%/%postname%/', typeBases: {} });
+    assert.ok(withCategory.test('news/local/hello'));
+    assert.ok(!withCategory.test('hello'));
+  });
+
+  test('tells posts sharing a slug apart by parent chain and post type', async () => {
+    const execute = fakeSite([
+      post(10, 'locations', 'page'),
+      post(11, 'hamilton', 'page', { post_parent: 10 }),
+      post(12, 'ac-repair', 'page', { post_parent: 11 }),
+      post(20, 'ac-repair', 'service'),
+      post(30, 'ac-repair', 'post', { post_status: 'trash' })
+    ], { rewrite_rules: rewriteRules });
+
+    const nested = await permalinkResolver.resolvePost(execute, 'wp_', 'https://example.com/locations/hamilton/ac-repair/');
+    assert.strictEqual(nested.post.ID, 12);
+    assert.strictEqual(nested.matchedBy, 'permalink');
+
+    const service = await permalinkResolver.resolvePost(execute, 'wp_', 'https://example.com/services/ac-repair');
+    assert.strictEqual(service.post.ID, 20);
+
+    const missing = await permalinkResolver.resolvePost(execute, 'wp_', 'https://example.com/burlington/ac-repair/');
+    assert.strictEqual(missing.success, false);
+    assert.strictEqual(missing.ambiguous, false);
+    assert.deepStrictEqual(missing.candidates.map(c => [c.ID, c.path]), [
+      [12, '/locations/hamilton/ac-repair/'],
+      [20, '/services/ac-repair/']
+    ]);
+  });
+
+  test('prefers published posts and reports ties as ambiguous', async () => {
+    const execute = fakeSite([
+      post(1, 'pricing', 'page', { post_status: 'draft' }),
+      post(2, 'pricing', 'page'),
+      post(3, 'faq', 'page'),
+      post(4, 'faq', 'post')
+    ]);
+
+    const published = await permalinkResolver.resolvePost(execute, 'wp_', 'https://example.com/pricing/');
+    assert.strictEqual(published.post.ID, 2);
+
+    const tie = await permalinkResolver.resolvePost(execute, 'wp_', 'https://example.com/faq/');
+    assert.strictEqual(tie.success, false);
+    assert.strictEqual(tie.ambiguous, true);
+    assert.deepStrictEqual(tie.candidates.map(c => c.ID), [3, 4]);
+  });
+
+  test('handles plain links, custom permalinks, the front page and subdirectory installs', async () => {
+    const execute = fakeSite(
+      [post(5, 'home', 'page'), post(6, 'about-us', 'page'), post(7, 'spring-sale', 'post')],
+      { home: 'https://example.com/blog', show_on_front: 'page', page_on_front: '5' },
+      { 'deals/spring/': 7 }
+    );
+
+    assert.strictEqual((await permalinkResolver.resolvePost(execute, 'wp_', 'https://example.com/blog/?page_id=6')).matchedBy, 'id');
+    assert.strictEqual((await permalinkResolver.resolvePost(execute, 'wp_', 'https://example.com/blog/')).post.ID, 5);
+    assert.strictEqual((await permalinkResolver.resolvePost(execute, 'wp_', 'https://example.com/blog/About-Us/')).post.ID, 6);
+
+    const custom = await permalinkResolver.resolvePost(execute, 'wp_', 'https://example.com/blog/deals/spring/');
+    assert.strictEqual(custom.post.ID, 7);
+    assert.strictEqual(custom.matchedBy, 'custom_permalink');
+  });
+});
+
+describe('Publishing Targets', () => {
+  // wp_postmeta for one post, exact keys only
+  function fakePostmeta(initial = {}) {
+    const meta = new Map(Object.entries(initial));
+    let nextId = 100;
+    const ids = new Map([...meta.keys()].map(key => [key, nextId++]));
+    const execute = async (sql, params) => {
+      if (sql.startsWith('SELECT meta_id, meta_key')) {
+        const keys = params.slice(1);
+        return [keys.filter(key => meta.has(key)).map(key => ({ meta_id: ids.get(key), meta_key: key, meta_value: meta.get(key) }))];
+      }
+      if (sql.startsWith('SELECT meta_id')) {
+        return [meta.has(params[1]) ? [{ meta_id: ids.get(params[1]) }] : []];
+      }
+      if (sql.startsWith('UPDATE')) {
+        meta.set(params[2], params[0]);
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('INSERT')) {
+        meta.set(params[1], params[2]);
+        ids.set(params[1], nextId++);
+        return [{ insertId: ids.get(params[1]) }];
+      }
+      if (sql.startsWith('DELETE')) {
+        const deleted = params.slice(1).filter(key => meta.delete(key)).length;
+        return [{ affectedRows: deleted }];
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    };
+    return { execute, meta };
+  }
+
+  const faq = { '@context': 'https://schema.org', '@type': 'FAQPage', mainEntity: [{ '@type': 'Question', name: 'Q</script>?' }] };
+  const service = { '@type': 'Service', name: 'AC Repair' };
+
+  test('detects the active SEO plugin from plugin files and REST namespaces', () => {
+    assert.deepStrictEqual(
+      targets.detectFromPlugins(['akismet/akismet.php', 'wp-seopress/seopress.php', 'wordpress-seo/wp-seo.php']),
+      { target: 'yoast', active: ['yoast', 'seopress'] }
+    );
+    assert.deepStrictEqual(targets.detectFromPlugins([]), { target: null, active: [] });
+    assert.strictEqual(targets.detectFromNamespaces(['wp/v2', 'aioseo/v1']).target, 'aioseo');
+  });
+
+  test('resolves auto and rejects unknown targets', async () => {
+    assert.strictEqual((await targets.resolveTarget(undefined)).id, 'rankmath');
+    assert.strictEqual((await targets.resolveTarget('auto', async () => ({ target: 'seopress' }))).id, 'seopress');
+    await assert.rejects(() => targets.resolveTarget('auto', async () => ({ target: null })), /No supported SEO plugin/);
+    assert.throws(() => targets.getTarget('squirrly'), /Unknown publishing target/);
+  });
+
+  test('merges Yoast graph pieces by type and sets Yoast page/article types', () => {
+    const stored = [{ '@type': 'FAQPage', name: 'old' }, { '@type': 'Organization', name: 'Acme' }];
+    const graph = yoastTarget.mergeGraph(stored, [{ schema: faq, type: 'FAQPage' }]);
+
+    assert.deepStrictEqual(graph.map(piece => piece['@type']), ['Organization', 'FAQPage']);
+    assert.strictEqual(graph[1]['@context'], undefined);
+    assert.deepStrictEqual(
+      yoastTarget.typeSettings([{ schema: { '@type': 'BlogPosting' } }, { schema: faq }]),
+      { _yoast_wpseo_schema_page_type: 'FAQPage', _yoast_wpseo_schema_article_type: 'BlogPosting' }
+    );
+  });
+
+  test('merges REST writes into the graph the post already has', async () => {
+    // wp/v2 stand-in for post 5: GET returns its meta, POST stores what it is sent
+    const meta = {
+      _schema_generator_graph: JSON.stringify([{ '@type': 'Organization', name: 'Acme' }, { '@type': 'FAQPage', name: 'old' }]),
+      _schema_generator_jsonld: JSON.stringify([{ '@type': 'Organization', name: 'Acme' }])
+    };
+    const server = await fakeServer(({ method, body }) => {
+      if (method === 'POST') Object.assign(meta, body.meta);
+      return { data: { id: 5, meta } };
+    });
+    try {
+      const client = wordpressClient.create(server.url, 'admin', 'app-password');
+      const schema = { '@context': 'https://schema.org', '@graph': [faq, service] };
+
+      assert.strictEqual(await client.writeTargetMeta(yoastTarget, 'posts', 5, schema), true);
+      const graph = JSON.parse(meta._schema_generator_graph);
+      assert.deepStrictEqual(graph.map(piece => piece['@type']), ['Organization', 'FAQPage', 'Service']);
+      assert.strictEqual(graph[1].name, undefined);
+
+      assert.strictEqual(await client.writeTargetMeta(standaloneTarget, 'posts', 5, schema), true);
+      assert.deepStrictEqual(JSON.parse(meta._schema_generator_jsonld).map(piece => piece['@type']), ['Organization', 'FAQPage', 'Service']);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('refuses REST writes for targets without REST meta', async () => {
+    const client = wordpressClient.create('http://127.0.0.1:9', 'admin', 'app-password');
+
+    for (const target of ['aioseo', 'seopress']) {
+      await assert.rejects(() => client.insertSchema('http://127.0.0.1:9/ac-repair/', service, 'service', { target }),
+        /needs the helper plugin or the database connection/);
+    }
+  });
+
+  test('writes AIOSEO custom graphs and removes only its own', async () => {
+    const userGraph = { id: '#user-event', label: 'Event', schema: '{"@type":"Event"}' };
+    let row = { id: 9, schema: JSON.stringify({ customGraphs: [userGraph], graphs: [] }) };
+    const db = {
+      execute: async (sql, params) => {
+        if (sql.startsWith('SELECT')) return [row ? [row] : []];
+        if (sql.startsWith('UPDATE')) {
+          row = { ...row, schema: params[0] };
+          return [{ affectedRows: 1 }];
+        }
+        throw new Error(`Unexpected query: ${sql}`);
+      }
+    };
+
+    await aioseoTarget.write(db, 'wp_', 5, [{ schema: faq, type: 'FAQPage' }, { schema: service, type: 'Service' }]);
+    await aioseoTarget.write(db, 'wp_', 5, [{ schema: { ...service, name: 'Furnace Repair' }, type: 'Service' }]);
+
+    const stored = JSON.parse(row.schema);
+    assert.deepStrictEqual(stored.customGraphs.map(g => g.id), ['#user-event', '#schema-generator-FAQPage', '#schema-generator-Service']);
+    const decoded = aioseoTarget.decode(await aioseoTarget.read(db, 'wp_', 5));
+    assert.deepStrictEqual(decoded.map(piece => piece.name), [undefined, 'Furnace Repair']);
+
+    assert.strictEqual(await aioseoTarget.remove(db, 'wp_', 5), 2);
+    assert.deepStrictEqual(JSON.parse(row.schema).customGraphs, [userGraph]);
+  });
+
+  test('round-trips SEOPress manual schemas and keeps the user\'s entries', async () => {
+    const userEntry = { _seopress_pro_rich_snippets_type: 'articles', _seopress_pro_rich_snippets_article_title: 'Mine' };
+    const { execute, meta } = fakePostmeta({ _seopress_pro_schemas_manual: phpSerializer.serialize([userEntry]) });
+    const db = { execute };
+
+    await seoPressTarget.write(db, 'wp_', 5, [{ schema: faq, type: 'FAQPage' }]);
+
+    const manual = phpSerializer.maybeUnserialize(meta.get('_seopress_pro_schemas_manual'));
+    assert.strictEqual(manual.length, 2);
+    assert.ok(!manual[1]._seopress_pro_rich_snippets_custom.includes('Q</script>'));
+    const [decoded] = seoPressTarget.decode(await seoPressTarget.read(db, 'wp_', 5));
+    assert.strictEqual(decoded.mainEntity[0].name, 'Q</script>?');
+
+    assert.strictEqual(await seoPressTarget.remove(db, 'wp_', 5), 1);
+    assert.deepStrictEqual(phpSerializer.maybeUnserialize(meta.get('_seopress_pro_schemas_manual')), [userEntry]);
+  });
+
+  test('stores standalone JSON-LD as one graph and is never auto-detected', async () => {
+    const { execute, meta } = fakePostmeta();
+    const db = { execute };
+
+    await standaloneTarget.write(db, 'wp_', 5, [{ schema: faq, type: 'FAQPage' }, { schema: service, type: 'Service' }]);
+    const [preview] = await standaloneTarget.preview(db, 'wp_', 5, [{ schema: faq, type: 'FAQPage' }]);
+    assert.strictEqual(preview.action, 'UPDATE');
+    await standaloneTarget.write(db, 'wp_', 5, [{ schema: { ...service, name: 'Furnace Repair' }, type: 'Service' }]);
+
+    const decoded = standaloneTarget.decode(await standaloneTarget.read(db, 'wp_', 5));
+    assert.deepStrictEqual(decoded.map(piece => piece.name), [undefined, 'Furnace Repair']);
+    assert.ok(!meta.has('_schema_generator_graph'));
+
+    assert.strictEqual(await standaloneTarget.remove(db, 'wp_', 5), 2);
+    assert.strictEqual(meta.size, 0);
+
+    assert.ok(targets.listTargets().some(t => t.id === 'standalone'));
+    assert.strictEqual(targets.detectFromPlugins([]).target, null);
+    await assert.rejects(() => targets.resolveTarget('auto', async () => ({ target: null })), /choose standalone/);
+  });
+});
+
+describe('Request Signing', () => {
+  const secret = 'a7b2c9d4e5f6g7h8i9j0k1l2m3n4o5p6';
+  const request = { method: 'post', route: '/schema-generator/v1/insert', body: '{"post_id":5}' };
+
+  test('builds the signing string the plugin rebuilds', () => {
+    assert.strictEqual(requestSigner.canonicalQuery({ target: 'yoast', b: "it's (1)", a: 'x y', skip: undefined }), 'a=x%20y&b=it%27s%20%281%29&target=yoast');
+    assert.strictEqual(
+      requestSigner.signingString({ method: 'get', route: '/schema-generator/v1/get/5', query: { target: 'auto' }, timestamp: 1700000000, nonce: 'n' }),
+      'GET\n/schema-generator/v1/get/5\ntarget=auto\n1700000000\nn\ne3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'
+    );
+  });
+
+  test('rejects tampered, stale and replayed requests', () => {
+    let clock = 1700000000;
+    const verify = requestSigner.createVerifier(secret, { now: () => clock });
+    const headers = requestSigner.signRequest(secret, request, { timestamp: clock });
+
+    assert.deepStrictEqual(verify({ ...request, body: '{"post_id":6}' }, headers), { valid: false, error: 'Invalid request signature' });
+    assert.strictEqual(verify(request, requestSigner.signRequest('wrong-secret', request, { timestamp: clock })).valid, false);
+    assert.deepStrictEqual(verify(request, headers), { valid: true });
+    assert.match(verify(request, headers).error, /replay/);
+
+    clock += requestSigner.MAX_SKEW_SECONDS + 1;
+    assert.match(verify(request, requestSigner.signRequest(secret, request, { timestamp: 1700000000 })).error, /clock skew/);
+  });
+
+  test('signs helper plugin calls instead of sending the token', async () => {
+    const verify = requestSigner.createVerifier(secret);
+    const received = [];
+    const server = await fakeServer(({ method, url, path: route, headers, rawBody }) => {
+      const result = verify({
+        method,
+        route: route.replace(/^\/wp-json/, ''),
+        query: Object.fromEntries(new URL(url, 'http://localhost').searchParams),
+        body: rawBody
+      }, {
+        'X-Schema-Timestamp': headers['x-schema-timestamp'],
+        'X-Schema-Nonce': headers['x-schema-nonce'],
+        'X-Schema-Signature': headers['x-schema-signature']
+      });
+      received.push({ token: headers['x-schema-token'], ...result });
+      return { status: result.valid ? 200 : 401, data: { success: result.valid } };
+    });
+
+    try {
+      const client = rankMathClient.create({ siteUrl: `${server.url}/`, secretToken: secret, target: 'yoast', authMode: 'signed' });
+      await client.insertSchema(5, { '@type': 'Service', name: 'AC Repair – Hamilton' });
+      await client.getSchemas(5);
+
+      assert.deepStrictEqual(received, [{ token: undefined, valid: true }, { token: undefined, valid: true }]);
+      assert.throws(() => rankMathClient.create({ siteUrl: 'https://example.com', secretToken: secret, authMode: 'plain' }), /Unknown authMode/);
+    } finally {
+      await server.close();
+    }
+  });
+});
+
+describe('URL Guard', () => {
+  test('flags private, loopback and link-local addresses', () => {
+    for (const ip of ['127.0.0.1', '10.1.2.3', '172.31.255.255', '192.168.0.10', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:10.0.0.1']) {
+      assert.strictEqual(urlGuard.isPrivateAddress(ip), true, ip);
+    }
+    for (const ip of ['8.8.8.8', '172.32.0.1', '203.0.113.5', '2606:4700::1111']) {
+      assert.strictEqual(urlGuard.isPrivateAddress(ip), false, ip);
+    }
+  });
+
+  test('only allows the helper site\'s own pages', () => {
+    const site = 'https://www.example-hvac.com';
+    assert.strictEqual(urlGuard.checkSiteUrl('https://WWW.example-hvac.com/services/ac-repair/', site).allowed, true);
+    assert.strictEqual(urlGuard.checkSiteUrl('http://www.example-hvac.com/', [site, 'https://cms.example-hvac.com']).allowed, true);
+
+    assert.match(urlGuard.checkSiteUrl('https://example-hvac.com/', site).reason, /not this site/);
+    assert.match(urlGuard.checkSiteUrl('https://evil.example/', site).reason, /not this site/);
+    assert.match(urlGuard.checkSiteUrl('http://169.254.169.254/latest/meta-data/', site).reason, /private or loopback/);
+    assert.match(urlGuard.checkSiteUrl('http://[::1]:8080/', site).reason, /private or loopback/);
+    assert.match(urlGuard.checkSiteUrl('http://localhost/', 'http://localhost').reason, /private or loopback/);
+    assert.match(urlGuard.checkSiteUrl('file:///etc/passwd', site).reason, /http and https/);
+    assert.strictEqual(urlGuard.checkSiteUrl('not a url', site).allowed, false);
+  });
+});
+
+describe('Helper Plugin Batch Insert', () => {
+  // Helper plugin stand-in: /info (optional), namespace index (optionally with insert-batch) and insert-batch itself
+  async function fakeHelper({ batch = true, info = null } = {}) {
+    const server = await fakeServer(({ path: route, body }) => {
+      if (route === '/wp-json/schema-generator/v1/info') {
+        return info ? { data: info } : { status: 404, data: { code: 'rest_no_route', message: 'No route was found' } };
+      }
+      if (route === '/wp-json/schema-generator/v1') {
+        const routes = { '/schema-generator/v1/insert': {} };
+        if (batch) routes['/schema-generator/v1/insert-batch'] = {};
+        return { data: { namespace: 'schema-generator/v1', routes } };
+      }
+      return {
+        data: {
+          success: true,
+          results: body.items.map((item, i) => (item.url.includes('missing')
+            ? { url: item.url, success: false, error: 'Post not found for slug: missing' }
+            : { url: item.url, success: true, post_id: 100 + i, schemas_inserted: item.schemas.length }))
+        }
+      };
+    });
+    const client = rankMathClient.create({ siteUrl: server.url, secretToken: 'secret', authMode: 'token' });
+    return { client, requests: server.requests, close: server.close };
+  }
+
+  test('detects insert-batch from the plugin\'s namespace index', async () => {
+    const withBatch = await fakeHelper();
+    const withoutBatch = await fakeHelper({ batch: false });
+    try {
+      assert.strictEqual(await withBatch.client.supportsBatch(), true);
+      assert.strictEqual(await withBatch.client.supportsBatch(), true);
+      // One handshake: /info (missing on this snippet), then the namespace index
+      assert.deepStrictEqual(withBatch.requests.map(r => r.path), ['/wp-json/schema-generator/v1/info', '/wp-json/schema-generator/v1']);
+      assert.strictEqual(await withoutBatch.client.supportsBatch(), false);
+    } finally {
+      await withBatch.close();
+      await withoutBatch.close();
+    }
+  });
+
+  test('negotiates features from /info and flags outdated snippets', async () => {
+    const current = await fakeHelper({
+      batch: false,
+      info: { success: true, version: rankMathClient.LATEST_PLUGIN_VERSION, features: Object.keys(rankMathClient.PLUGIN_FEATURES) }
+    });
+    const old = await fakeHelper();
+    try {
+      const status = await current.client.negotiate();
+      assert.strictEqual(status.outdated, false);
+      assert.deepStrictEqual(status.missing, []);
+      // /info wins over the (here incomplete) route list
+      assert.strictEqual(await current.client.supportsBatch(), true);
+
+      const oldStatus = await old.client.negotiate();
+      assert.strictEqual(oldStatus.version, null);
+      assert.strictEqual(oldStatus.minVersion, '1.4.0');
+      assert.strictEqual(oldStatus.outdated, true);
+      assert.deepStrictEqual(oldStatus.missing, ['info', 'standalone']);
+    } finally {
+      await current.close();
+      await old.close();
+    }
+
+    assert.ok(rankMathClient.compareVersions('1.10.0', '1.9.2') > 0);
+    assert.deepStrictEqual(rankMathClient.pluginStatus(null, []).features, []);
+  });
+
+  test('groups writes into batches and hands each caller its own result', async () => {
+    const helper = await fakeHelper();
+    try {
+      const writer = helper.client.batchWriter({ size: 3, maxWaitMs: 50 });
+      const schemas = [{ schema: { '@type': 'Service' }, type: 'Service' }];
+      const results = await Promise.all(['a', 'missing', 'c', 'd'].map(slug => writer.write({ url: `https://example.com/${slug}/`, schemas })));
+
+      assert.deepStrictEqual(results.map(r => r.success), [true, false, true, true]);
+      assert.match(results[1].error, /Post not found/);
+      // Three items filled the first batch; the fourth went out when the timer fired
+      const batches = helper.requests.filter(r => r.path.endsWith('/insert-batch'));
+      assert.deepStrictEqual(batches.map(r => r.body.items.length), [3, 1]);
+
+      const many = Array.from({ length: 120 }, (_, i) => ({ url: `https://example.com/p${i}/`, schemas }));
+      assert.strictEqual((await helper.client.insertBatch(many)).length, 120);
+      assert.deepStrictEqual(helper.requests.slice(2).map(r => r.body.items.length), [50, 50, 20]);
+    } finally {
+      await helper.close();
+    }
+  });
+
+  test('fills whole batches from a same-host job without holding its URL slots', async () => {
+    const helper = await fakeHelper();
+    const writer = helper.client.batchWriter({ maxWaitMs: null });
+    const schemas = [{ schema: { '@type': 'Service' }, type: 'Service' }];
+    let active = 0;
+    let maxActive = 0;
+    jobQueue.registerHandler('batched', async (url) => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await new Promise(resolve => setImmediate(resolve));
+      active--;
+      return {
+        deferred: writer.write({ url, schemas }).then(result => {
+          if (!result.success) throw new Error(result.error);
+          return { postId: result.post_id, success: true };
+        })
+      };
+    }, { flush: () => writer.flush() });
+
+    try {
+      const urls = Array.from({ length: 45 }, (_, i) => `https://batched.example.com/${i === 7 ? 'missing' : `p${i}`}/`);
+      const created = jobQueue.createJob('batched', urls);
+      const started = Date.now();
+      await jobQueue.waitForJob(created.id);
+
+      const job = jobQueue.getJob(created.id);
+      assert.strictEqual(job.status, 'completed');
+      assert.strictEqual(job.succeeded, 44);
+      assert.match(job.errors[0].error, /Post not found/);
+      // Host concurrency still caps the scraping; the writes wait for full batches, the rest for the job's end
+      assert.ok(maxActive <= 2);
+      const batches = helper.requests.filter(r => r.path.endsWith('/insert-batch'));
+      assert.deepStrictEqual(batches.map(r => r.body.items.length), [20, 20, 5]);
+      assert.ok(Date.now() - started < 2000);
+    } finally {
+      await helper.close();
+    }
+  });
+});
+
+describe('Anthropic Provider', () => {
+  // Messages API stand-in: answers with the queued responses in order
+  function fakeMessagesApi(responses) {
+    return fakeServer(() => responses.shift(), { env: 'ANTHROPIC_BASE_URL' });
+  }
+
+  const message = (text, usage = { input_tokens: 120, output_tokens: 30 }) => ({
+    data: { type: 'message', role: 'assistant', content: [{ type: 'text', text }], stop_reason: 'end_turn', usage }
+  });
+
+  test('lists Claude models with a default', () => {
+    const providers = ai.getAvailableProviders();
+    assert.strictEqual(providers.anthropic.name, 'Anthropic Claude');
+    assert.strictEqual(ai.getDefaultModel('anthropic'), 'claude-sonnet-4-5');
+  });
+
+  test('sends a Messages API request and reports token usage', async () => {
+    const api = await fakeMessagesApi([message('{"ok":')]);
+    try {
+      const usage = [];
+      const text = await ai.call('anthropic', 'Hello', { apiKey: 'sk-ant-test', maxTokens: 300, onUsage: u => usage.push(u) });
+
+      assert.strictEqual(text, '{"ok":');
+      const [request] = api.requests;
+      assert.strictEqual(request.url, '/v1/messages');
+      assert.strictEqual(request.headers['x-api-key'], 'sk-ant-test');
+      assert.strictEqual(request.headers['anthropic-version'], '2023-06-01');
+      assert.strictEqual(request.body.model, 'claude-sonnet-4-5');
+      assert.strictEqual(request.body.max_tokens, 300);
+      assert.ok(request.body.system.includes('valid JSON'));
+      assert.deepStrictEqual(request.body.messages, [{ role: 'user', content: 'Hello' }]);
+      // Sonnet 4.5 list price: $3 in / $15 out per million tokens
+      assert.deepStrictEqual(usage, [{ provider: 'anthropic', model: 'claude-sonnet-4-5', promptTokens: 120, completionTokens: 30, totalTokens: 150, cost: 0.000810 }]);
+    } finally {
+      await api.close();
+    }
+  });
+
+  test('forces a tool call for structured output', async () => {
+    const schema = { type: 'object', properties: { ok: { type: 'boolean' } }, required: ['ok'] };
+    const api = await fakeMessagesApi([{
+      data: { type: 'message', role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_1', name: 'respond', input: { ok: true } }], stop_reason: 'tool_use', usage: { input_tokens: 10, output_tokens: 5 } }
+    }]);
+    try {
+      assert.deepStrictEqual(await ai.callJSON('anthropic', 'Hello', { apiKey: 'sk-ant-test', schema }), { ok: true });
+
+      const [request] = api.requests;
+      assert.deepStrictEqual(request.body.tools[0].input_schema, schema);
+      assert.deepStrictEqual(request.body.tool_choice, { type: 'tool', name: 'respond' });
+    } finally {
+      await api.close();
+    }
+  });
+
+  test('runs verifier prompts and normalizes API errors', async () => {
+    const api = await fakeMessagesApi([
+      message('```json\n{"pageType":"service","confidence":0.9,"reason":"Service page"}\n```'),
+      { status: 529, data: { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } } },
+      { data: { type: 'message', content: [], stop_reason: 'end_turn', usage: { input_tokens: 5, output_tokens: 0 } } }
+    ]);
+    try {
+      const page = { url: 'https://example.com/ac-repair', title: 'AC Repair', content: 'We repair AC units.' };
+      const result = await aiVerifier.verifyPageType(page, 'service', 'anthropic', null, 'sk-ant-test');
+      assert.strictEqual(result.pageType, 'service');
+
+      await assert.rejects(() => ai.call('anthropic', 'Hi', { apiKey: 'sk-ant-test' }), /^Error: Anthropic API error: Overloaded$/);
+      await assert.rejects(() => ai.call('anthropic', 'Hi', { apiKey: 'sk-ant-test' }), /Anthropic request failed: Empty response/);
+    } finally {
+      await api.close();
+    }
+  });
+});
+
+describe('Local LLM Provider', () => {
+  // Ollama / OpenAI-compatible stand-in: routes -> handler(body) returning {status, data}
+  function fakeModelServer(routes) {
+    return fakeServer(({ method, url, body }) => {
+      const handler = routes[`${method} ${url}`];
+      return handler ? handler(body) : { status: 404, data: { error: 'not found' } };
+    });
+  }
+
+  // Set LOCAL_LLM_* for one test, restoring the previous values afterwards
+  async function withEnv(vars, fn) {
+    const previous = {};
+    for (const [key, value] of Object.entries(vars)) {
+      previous[key] = process.env[key];
+      process.env[key] = value;
+    }
+    try {
+      return await fn();
+    } finally {
+      for (const [key, value] of Object.entries(previous)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+      await ai.discoverModels();
+    }
+  }
+
+  const page = { url: 'https://example.com/blog/ac-tips', title: 'AC Tips', content: 'Five tips for your AC.' };
+
+  test('discovers Ollama models and runs verifier prompts through /api/chat in JSON mode', async () => {
+    const server = await fakeModelServer({
+      'GET /api/tags': () => ({ data: { models: [{ name: 'llama3.1:8b' }, { name: 'qwen2.5:14b' }] } }),
+      'POST /api/chat': () => ({
+        data: { message: { role: 'assistant', content: '{"pageType":"article","confidence":0.8}' }, done: true, prompt_eval_count: 200, eval_count: 12 }
+      })
+    });
+    try {
+      await withEnv({ LOCAL_LLM_URL: server.url, LOCAL_LLM_API: 'ollama', LOCAL_LLM_MODEL: 'qwen2.5:14b', LOCAL_LLM_JSON_MODE: 'true' }, async () => {
+        await ai.discoverModels();
+        const local = ai.getAvailableProviders().local;
+        assert.strictEqual(local.configured, true);
+        assert.deepStrictEqual(local.models.map(m => m.id), ['llama3.1:8b', 'qwen2.5:14b']);
+        assert.strictEqual(ai.getDefaultModel('local'), 'qwen2.5:14b');
+
+        const usage = [];
+        const result = await ai.callJSON('local', 'Classify this page', { onUsage: u => usage.push(u) });
+        assert.strictEqual(result.pageType, 'article');
+        assert.deepStrictEqual(usage, [{ provider: 'local', model: 'qwen2.5:14b', promptTokens: 200, completionTokens: 12, totalTokens: 212, cost: 0 }]);
+
+        // No API key needed
+        assert.strictEqual((await aiVerifier.verifyPageType(page, 'article', 'local')).pageType, 'article');
+
+        const chat = server.requests.find(r => r.url === '/api/chat');
+        assert.strictEqual(chat.body.model, 'qwen2.5:14b');
+        assert.strictEqual(chat.body.stream, false);
+        assert.strictEqual(chat.body.format, 'json');
+        assert.strictEqual(chat.body.options.num_predict, 2000);
+      });
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('sends the response schema as the Ollama format for structured calls', async () => {
+    const schema = { type: 'object', properties: { ok: { type: 'boolean' } }, required: ['ok'] };
+    const server = await fakeModelServer({
+      'GET /api/tags': () => ({ data: { models: [{ name: 'llama3.1:8b' }] } }),
+      'POST /api/chat': () => ({ data: { message: { role: 'assistant', content: '{"ok":true}' }, done: true } })
+    });
+    try {
+      await withEnv({ LOCAL_LLM_URL: server.url, LOCAL_LLM_API: 'ollama', LOCAL_LLM_JSON_MODE: 'false' }, async () => {
+        await ai.discoverModels();
+        assert.deepStrictEqual(await ai.callJSON('local', 'Hi', { schema }), { ok: true });
+        assert.deepStrictEqual(server.requests.find(r => r.url === '/api/chat').body.format, schema);
+      });
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('talks to OpenAI-compatible servers and normalizes their errors', async () => {
+    let fail = false;
+    const server = await fakeModelServer({
+      'GET /v1/models': () => ({ data: { object: 'list', data: [{ id: 'mistral-7b-instruct' }] } }),
+      'POST /v1/chat/completions': () => (fail
+        ? { status: 400, data: { error: { message: 'model not loaded' } } }
+        : { data: { choices: [{ message: { content: '{"ok":true}' } }], usage: { prompt_tokens: 50, completion_tokens: 5 } } })
+    });
+    try {
+      await withEnv({ LOCAL_LLM_URL: `${server.url}/v1/`, LOCAL_LLM_API: 'openai', LOCAL_LLM_JSON_MODE: 'false', LOCAL_LLM_API_KEY: 'local-secret' }, async () => {
+        await ai.discoverModels();
+        assert.strictEqual(ai.getDefaultModel('local'), 'mistral-7b-instruct');
+
+        assert.deepStrictEqual(await ai.callJSON('local', 'Hi', { jsonMode: true }), { ok: true });
+        const completion = server.requests.find(r => r.url === '/v1/chat/completions');
+        assert.strictEqual(completion.body.model, 'mistral-7b-instruct');
+        assert.deepStrictEqual(completion.body.response_format, { type: 'json_object' });
+        assert.strictEqual(completion.headers.authorization, 'Bearer local-secret');
+
+        fail = true;
+        await assert.rejects(() => ai.call('local', 'Hi'), /^Error: Local LLM error: model not loaded$/);
+      });
+    } finally {
+      await server.close();
+    }
+
+    // Server gone: the provider lists no models and says why
+    await withEnv({ LOCAL_LLM_URL: server.url, LOCAL_LLM_API: 'ollama' }, async () => {
+      await ai.discoverModels();
+      const local = ai.getAvailableProviders().local;
+      assert.deepStrictEqual(local.models, []);
+      assert.match(local.error, /not reachable/);
+    });
+  });
+});
+
+// OpenAI / Gemini stand-in answering every request with respond(req.url)
+function fakeAIServer(env, respond) {
+  return fakeServer(({ url }) => ({ data: respond(url) }), { env });
+}
+
+describe('AI Usage Accounting', () => {
+  const page = { url: 'https://acme-hvac.com/services/ac-repair', title: 'AC Repair', content: 'We repair AC units in Houston.' };
+  const generated = JSON.stringify({
+    pageType: 'service',
+    schemas: [{ type: 'Service', schema: { '@context': 'https://schema.org', '@type': 'Service', name: 'AC Repair' } }],
+    summary: 'One service',
+    confidence: 0.9
+  });
+
+  test('prices calls from the editable table', () => {
+    aiUsage.setPrices({ openai: { 'gpt-4o': { input: 5, output: 20 } }, acme: { '*': { input: 1, output: 1 } } });
+    try {
+      assert.strictEqual(aiUsage.costOf('openai', 'gpt-4o', { promptTokens: 1000, completionTokens: 500 }), 0.015);
+      // Defaults stay for models the saved table doesn't mention; '*' covers a provider's other models
+      assert.strictEqual(aiUsage.getPrices().openai['gpt-4'].input, 30);
+      assert.strictEqual(aiUsage.costOf('acme', 'anything', { promptTokens: 1e6, completionTokens: 0 }), 1);
+      assert.strictEqual(aiUsage.costOf('openai', 'gpt-9', { promptTokens: 10 }), null);
+      assert.throws(() => aiUsage.setPrices({ openai: { 'gpt-4o': { input: -1, output: 2 } } }), /Invalid price for openai\/gpt-4o/);
+    } finally {
+      aiUsage.setPrices({});
+    }
+  });
+
+  test('saves totals after a burst of calls instead of on every call', () => {
+    aiUsage.reset();
+    const saved = () => JSON.parse(fs.readFileSync(process.env.AI_USAGE_FILE, 'utf8'));
+    for (let i = 0; i < 3; i++) {
+      aiUsage.record({ provider: 'local', model: 'llama3.1:8b', promptTokens: 10, completionTokens: 5 }, { url: 'https://burst.example.com/page' });
+    }
+
+    assert.deepStrictEqual(saved().sites, {});
+    aiUsage.flush();
+    assert.strictEqual(saved().sites['burst.example.com'].calls, 3);
+    assert.strictEqual(aiUsage.siteOf({ url: 'https://burst.example.com/page' }), 'burst.example.com');
+    assert.strictEqual(aiUsage.siteOf({ site: 'cms.example.com', url: 'https://burst.example.com/' }), 'cms.example.com');
+  });
+
+  test('generator and verifier return per-URL usage and totals roll up per site, job and day', async () => {
+    aiUsage.reset();
+    const api = await fakeAIServer('OPENAI_BASE_URL', () => ({
+      choices: [{ message: { content: generated } }],
+      usage: { prompt_tokens: 1000, completion_tokens: 200, total_tokens: 1200 }
+    }));
+    try {
+      const result = await aiSchemaGenerator.generateSchemas(page, { name: 'Acme HVAC' }, {
+        provider: 'openai', model: 'gpt-4o', apiKey: 'sk-test', context: { jobId: 'job-1' }
+      });
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.tokensUsed, 1200);
+      // gpt-4o: $2.50 in / $10 out per million tokens
+      assert.strictEqual(result.usage.cost, 0.0045);
+
+      const verification = await aiVerifier.verifyGoogleCompliance({ '@graph': [] }, page, 'openai', 'gpt-4-turbo', 'sk-test', { jobId: 'job-1' });
+      assert.strictEqual(verification.usage.totalTokens, 1200);
+      assert.strictEqual(verification.usage.cost, 0.016);
+
+      const usage = aiUsage.getUsage();
+      assert.strictEqual(usage.sites['acme-hvac.com'].calls, 2);
+      assert.strictEqual(usage.sites['acme-hvac.com'].totalTokens, 2400);
+      assert.strictEqual(aiUsage.getJobUsage('job-1').cost, 0.0205);
+      assert.strictEqual(usage.today.promptTokens, 2000);
+      assert.strictEqual(aiUsage.getJobUsage('job-2'), null);
+    } finally {
+      await api.close();
+    }
+  });
+
+  test('reads Gemini usage metadata, counting unpriced models separately', async () => {
+    aiUsage.reset();
+    const api = await fakeAIServer('GEMINI_BASE_URL', () => ({
+      candidates: [{ content: { parts: [{ text: '{"ok":true}' }] }, finishReason: 'STOP' }],
+      usageMetadata: { promptTokenCount: 400, candidatesTokenCount: 50, thoughtsTokenCount: 30, totalTokenCount: 480 }
+    }));
+    try {
+      const calls = [];
+      await ai.callJSON('gemini', 'Hi', { model: 'gemini-2.5-flash', apiKey: 'AIza-test', onUsage: entry => calls.push(entry) });
+      await ai.callJSON('gemini', 'Hi', { model: 'gemini-experimental', apiKey: 'AIza-test', onUsage: entry => calls.push(entry) });
+
+      assert.match(api.requests[0].url, /^\/v1beta\/models\/gemini-2\.5-flash:generateContent/);
+      assert.deepStrictEqual(calls.map(c => [c.promptTokens, c.completionTokens, c.totalTokens]), [[400, 80, 480], [400, 80, 480]]);
+      // gemini-2.5-flash: $0.30 in / $2.50 out per million tokens
+      assert.strictEqual(calls[0].cost, 0.00032);
+      assert.strictEqual(calls[1].cost, null);
+
+      const total = aiUsage.sum(calls);
+      assert.strictEqual(total.calls, 2);
+      assert.strictEqual(total.unpricedCalls, 1);
+      assert.strictEqual(total.cost, 0.00032);
+      assert.strictEqual(aiUsage.getUsage().today.unpricedCalls, 1);
+    } finally {
+      await api.close();
+    }
+  });
+});
+
+describe('AI Budgets', () => {
+  const openaiReply = () => ({
+    choices: [{ message: { content: '{"ok":true}' } }],
+    usage: { prompt_tokens: 1000, completion_tokens: 200, total_tokens: 1200 }
+  });
+
+  test('blocks a request whose estimated cost would go over the daily budget before sending it', async () => {
+    aiUsage.reset();
+    aiBudget.setBudgets({ daily: 0.01 });
+    const api = await fakeAIServer('OPENAI_BASE_URL', openaiReply);
+    try {
+      // gpt-4o: ~1000 prompt tokens + 2000 max output tokens is up to $0.0225
+      assert.strictEqual(aiBudget.estimate('openai', 'gpt-4o', 'x'.repeat(4000), 2000), 0.0225);
+      await assert.rejects(
+        ai.call('openai', 'x'.repeat(4000), { model: 'gpt-4o', apiKey: 'sk-test' }),
+        error => error.code === 'AI_BUDGET_EXCEEDED' && error.budget.scope === 'daily' && /daily budget reached/.test(error.message)
+      );
+      assert.strictEqual(api.requests.length, 0);
+
+      // Smaller requests still fit
+      await ai.call('openai', 'Hi', { model: 'gpt-4o', apiKey: 'sk-test', maxTokens: 500 });
+      assert.strictEqual(api.requests.length, 1);
+    } finally {
+      aiBudget.setBudgets({});
+      await api.close();
+    }
+  });
+
+  test('validates budgets and applies per-site overrides', async () => {
+    assert.throws(() => aiBudget.setBudgets({ daily: -1 }), /Invalid budget daily/);
+    assert.throws(() => aiBudget.setBudgets({ sites: { 'acme-hvac.com': 'lots' } }), /Invalid budget sites\.acme-hvac\.com/);
+
+    aiUsage.reset();
+    aiBudget.setBudgets({ perSite: 1, sites: { 'acme-hvac.com': 0.001 } });
+    const api = await fakeAIServer('OPENAI_BASE_URL', openaiReply);
+    try {
+      await assert.rejects(
+        ai.call('openai', 'Hi', { model: 'gpt-4o', apiKey: 'sk-test', context: { url: 'https://acme-hvac.com/' } }),
+        /site budget for acme-hvac\.com reached/
+      );
+      await ai.call('openai', 'Hi', { model: 'gpt-4o', apiKey: 'sk-test', context: { url: 'https://other.example.com/' } });
+      assert.strictEqual(api.requests.length, 1);
+    } finally {
+      aiBudget.setBudgets({});
+      await api.close();
+    }
+  });
+
+  test('pauses a job that reaches its budget instead of failing the remaining URLs', async () => {
+    aiUsage.reset();
+    jobQueue.registerHandler('ai-budget-test', (url, config, progress, jobId) =>
+      ai.call('openai', 'Hi', { model: 'gpt-4o', apiKey: 'sk-test', context: { url, jobId, jobBudget: config.budget } }));
+    const api = await fakeAIServer('OPENAI_BASE_URL', openaiReply);
+    try {
+      // Each request is estimated at up to ~$0.02, so the second one in flight would pass $0.03
+      const urls = ['https://budget.example.com/1', 'https://budget.example.com/2', 'https://budget.example.com/3'];
+      const created = jobQueue.createJob('ai-budget-test', urls, { budget: 0.03 });
+      await jobQueue.waitForJob(created.id);
+
+      let job = jobQueue.getJob(created.id);
+      assert.strictEqual(job.status, 'paused');
+      assert.match(job.pauseReason, /job budget reached/);
+      assert.strictEqual(job.succeeded, 1);
+      assert.strictEqual(job.failed, 0);
+      assert.strictEqual(job.pending, 2);
+      assert.strictEqual(api.requests.length, 1);
+
+      jobQueue.updateConfig(created.id, { budget: 1 });
+      jobQueue.resume(created.id);
+      await jobQueue.waitForJob(created.id);
+
+      job = jobQueue.getJob(created.id);
+      assert.strictEqual(job.status, 'completed');
+      assert.strictEqual(job.succeeded, 3);
+      assert.strictEqual(job.pauseReason, undefined);
+    } finally {
+      await api.close();
+    }
+  });
+
+  test('lets a budget stop through verification so the job pauses', async () => {
+    aiUsage.reset();
+    aiBudget.setBudgets({ daily: 0.001 });
+    const api = await fakeAIServer('OPENAI_BASE_URL', openaiReply);
+    try {
+      const schema = { '@context': 'https://schema.org', '@type': 'Service', name: 'AC Repair' };
+      await assert.rejects(
+        aiVerifier.verifyGoogleCompliance(schema, { url: 'https://budget.example.com/' }, 'openai', 'gpt-4o', 'sk-test', { jobId: 'verify-budget' }),
+        error => error.code === 'AI_BUDGET_EXCEEDED' && error.pauseJob === true
+      );
+      assert.strictEqual(api.requests.length, 0);
+    } finally {
+      aiBudget.setBudgets({});
+      await api.close();
+    }
+  });
+});
+
+describe('AI Structured Output', () => {
+  const page = { url: 'https://acme-hvac.com/services/ac-repair', title: 'AC Repair', content: 'We repair AC units in Houston.' };
+  const valid = {
+    pageType: 'service',
+    schemas: [{ type: 'Service', schema: { '@context': 'https://schema.org', '@type': 'Service', name: 'AC Repair' } }],
+    summary: 'One service',
+    confidence: 0.9
+  };
+  // OpenAI stand-in answering with each of replies in turn
+  const openaiReplies = (...replies) => {
+    let i = 0;
+    return () => ({
+      choices: [{ message: { content: replies[Math.min(i++, replies.length - 1)] } }],
+      usage: { prompt_tokens: 100, completion_tokens: 50, total_tokens: 150 }
+    });
+  };
+
+  test('validates responses against the generation schema', () => {
+    assert.deepStrictEqual(jsonSchema.validate(valid, aiSchemaGenerator.RESPONSE_SCHEMA), []);
+
+    const errors = jsonSchema.validate({
+      pageType: 'blog',
+      schemas: [{ type: 'Service', schema: { name: 'No type' } }, { schema: { '@type': ['Service', 3] } }],
+      confidence: 1.5
+    }, aiSchemaGenerator.RESPONSE_SCHEMA);
+    assert.deepStrictEqual(errors, [
+      '(root): missing required property "summary"',
+      'pageType: must be one of "service", "article", "location", "about", "homepage"',
+      'schemas[0].schema: missing required property "@type"',
+      'schemas[1]: missing required property "type"',
+      'schemas[1].schema.@type: does not match any allowed form',
+      'confidence: must be <= 1'
+    ]);
+    assert.deepStrictEqual(jsonSchema.validate({ ...valid, schemas: [] }, aiSchemaGenerator.RESPONSE_SCHEMA), ['schemas: must have at least 1 item(s)']);
+  });
+
+  test('asks OpenAI and Gemini for native structured output', async () => {
+    const openai = await fakeAIServer('OPENAI_BASE_URL', openaiReplies(JSON.stringify(valid)));
+    const gemini = await fakeAIServer('GEMINI_BASE_URL', () => ({
+      candidates: [{ content: { parts: [{ text: JSON.stringify(valid) }] }, finishReason: 'STOP' }]
+    }));
+    try {
+      await aiSchemaGenerator.generateSchemas(page, {}, { provider: 'openai', model: 'gpt-4o', apiKey: 'sk-test' });
+      await aiSchemaGenerator.generateSchemas(page, {}, { provider: 'openai', model: 'gpt-3.5-turbo', apiKey: 'sk-test' });
+      await aiSchemaGenerator.generateSchemas(page, {}, { provider: 'gemini', model: 'gemini-2.5-flash', apiKey: 'AIza-test' });
+
+      const format = openai.requests[0].body.response_format;
+      assert.strictEqual(format.type, 'json_schema');
+      assert.deepStrictEqual(format.json_schema.schema, aiSchemaGenerator.RESPONSE_SCHEMA);
+      // Models without Structured Outputs fall back to JSON mode
+      assert.deepStrictEqual(openai.requests[1].body.response_format, { type: 'json_object' });
+
+      const config = gemini.requests[0].body.generationConfig;
+      assert.strictEqual(config.responseMimeType, 'application/json');
+      assert.deepStrictEqual(config.responseJsonSchema, aiSchemaGenerator.RESPONSE_SCHEMA);
+
+      // Plain callJSON requests don't ask for a format
+      await ai.callJSON('openai', 'Hi', { model: 'gpt-4o', apiKey: 'sk-test' });
+      assert.strictEqual(openai.requests[2].body.response_format, undefined);
+    } finally {
+      await openai.close();
+      await gemini.close();
+    }
+  });
+
+  test('retries an invalid response with a repair prompt listing the validation errors', async () => {
+    const api = await fakeAIServer('OPENAI_BASE_URL', openaiReplies(
+      '{"pageType":"service","schemas":[],"summary":"None"}',
+      JSON.stringify(valid)
+    ));
+    try {
+      const result = await aiSchemaGenerator.generateSchemas(page, {}, { provider: 'openai', model: 'gpt-4o', apiKey: 'sk-test' });
+
+      assert.strictEqual(result.success, true);
+      assert.deepStrictEqual(result.schemas.map(s => s.type), ['Service']);
+      assert.strictEqual(result.usage.calls, 2);
+      assert.strictEqual(api.requests.length, 2);
+
+      const repair = api.requests[1].body.messages[1].content;
+      assert.match(repair, /## Your previous response was rejected/);
+      assert.match(repair, /- \(root\): missing required property "confidence"/);
+      assert.match(repair, /- schemas: must have at least 1 item\(s\)/);
+      assert.match(repair, /Previous response:\n\{"pageType"/);
+    } finally {
+      await api.close();
+    }
+  });
+
+  test('parses structured output strictly and schema-less responses leniently', async () => {
+    const wrapped = `Here you go:\n\`\`\`json\n${JSON.stringify(valid)}\n\`\`\``;
+    const api = await fakeAIServer('OPENAI_BASE_URL', openaiReplies(wrapped, JSON.stringify(valid), wrapped));
+    try {
+      // Text around the JSON is a format error: the schema caller gets a repair round trip
+      const result = await aiSchemaGenerator.generateSchemas(page, {}, { provider: 'openai', model: 'gpt-4o', apiKey: 'sk-test' });
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(api.requests.length, 2);
+      assert.match(api.requests[1].body.messages[1].content, /- not valid JSON/);
+
+      // Callers without a schema still get the object out of the fence
+      const loose = await ai.callJSON('openai', 'Hi', { model: 'gpt-4o', apiKey: 'sk-test' });
+      assert.strictEqual(loose.pageType, 'service');
+      assert.strictEqual(api.requests.length, 3);
+    } finally {
+      await api.close();
+    }
+  });
+
+  test('fails with the validation errors once the repair is also invalid', async () => {
+    const api = await fakeAIServer('OPENAI_BASE_URL', openaiReplies('Sorry, I cannot help with that.'));
+    try {
+      const result = await aiSchemaGenerator.generateSchemas(page, {}, { provider: 'openai', model: 'gpt-4o', apiKey: 'sk-test' });
+
+      assert.strictEqual(result.success, false);
+      assert.match(result.error, /does not match the expected format after 2 attempt\(s\): not valid JSON/);
+      assert.strictEqual(result.usage.calls, 2);
+    } finally {
+      await api.close();
+    }
+  });
+});
+
 describe('Schema Generator Main', () => {
   test('generates @graph structure for article type', () => {
     const pageData = {
@@ -335,7 +2364,7 @@ describe('Schema Generator Main', () => {
     };
 
     const orgInfo = { name: 'Company', url: 'https://example.com' };
-    const schema = schemaGenerator.generate('article', pageData, orgInfo);
+    const { schema } = schemaGenerator.generate('article', pageData, orgInfo);
 
     assert.strictEqual(schema['@context'], 'https://schema.org');
     assert.ok(Array.isArray(schema['@graph']));
@@ -354,7 +2383,7 @@ describe('Schema Generator Main', () => {
     };
 
     const orgInfo = { name: 'Company', url: 'https://example.com' };
-    const schema = schemaGenerator.generate('service', pageData, orgInfo);
+    const { schema } = schemaGenerator.generate('service', pageData, orgInfo);
 
     assert.strictEqual(schema['@context'], 'https://schema.org');
     assert.ok(Array.isArray(schema['@graph']));
@@ -378,12 +2407,34 @@ describe('Schema Generator Main', () => {
     };
 
     const orgInfo = { name: 'Company', url: 'https://example.com' };
-    const schema = schemaGenerator.generate('service', pageData, orgInfo);
+    const { schema } = schemaGenerator.generate('service', pageData, orgInfo);
 
     const types = schema['@graph'].map(s => s['@type']);
     assert.ok(types.includes('FAQPage'));
   });
 
+  test('includes HowTo for articles with steps', () => {
+    const pageData = {
+      url: 'https://example.com/blog/how-to-change-furnace-filter',
+      title: 'How to Change Your Furnace Filter',
+      description: 'Guide',
+      howTo: {
+        name: 'How to Change Your Furnace Filter',
+        steps: [
+          { name: 'Turn off the furnace', text: 'Switch off power.' },
+          { name: 'Replace the filter', text: 'Swap in a new filter.' }
+        ]
+      }
+    };
+
+    const orgInfo = { name: 'Company', url: 'https://example.com' };
+    const { schema } = schemaGenerator.generate('article', pageData, orgInfo);
+
+    const types = schema['@graph'].map(s => s['@type']);
+    assert.ok(types.includes('HowTo'));
+    assert.strictEqual(schemaGenerator.validate(schema).valid, true);
+  });
+
   test('getSchemaTypes returns list of types', () => {
     const pageData = {
       url: 'https://example.com/services/test',
@@ -392,7 +2443,7 @@ describe('Schema Generator Main', () => {
     };
 
     const orgInfo = { name: 'Company', url: 'https://example.com' };
-    const schema = schemaGenerator.generate('service', pageData, orgInfo);
+    const { schema } = schemaGenerator.generate('service', pageData, orgInfo);
     const types = schemaGenerator.getSchemaTypes(schema);
 
     assert.ok(Array.isArray(types));
@@ -407,7 +2458,7 @@ describe('Schema Generator Main', () => {
           '@type': 'Service',
           'name': 'Test Service',
           'description': 'Description',
-          'provider': { '@type': 'Organization', name: 'Company' }
+          'provider': { '@type': 'Organization', name: 'Company', address: { '@type': 'PostalAddress', addressLocality: 'Hamilton' } }
         },
         {
           '@type': 'WebPage',
@@ -444,7 +2495,7 @@ describe('Schema Generator Main', () => {
       '@type': 'Service',
       name: 'Test Service',
       description: 'Description',
-      provider: { '@type': 'Organization', name: 'Company' }
+      provider: { '@type': 'Organization', name: 'Company', address: { '@type': 'PostalAddress', addressLocality: 'Hamilton' } }
     };
 
     const result = schemaGenerator.validate(validSchema);
@@ -458,7 +2509,7 @@ describe('Schema Generator Main', () => {
 
     const result = schemaGenerator.validate(invalidSchema);
     assert.strictEqual(result.valid, false);
-    assert.ok(result.errors.includes('Missing @context'));
+    assert.ok(result.errors.some(e => e.message === 'Missing @context' && e.path === '/@context'));
   });
 
   test('generates script tag format', () => {
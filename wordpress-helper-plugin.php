@@ -1,7 +1,7 @@
 <?php
 /**
  * Schema Generator Helper - WordPress REST API Endpoints
- * Version: 1.0.0
+ * Version: 1.6.0
  *
  * This snippet provides secure REST API endpoints for the Schema Generator app
  * to insert JSON-LD schemas directly into WordPress/RankMath.
@@ -38,15 +38,43 @@
  * GET  /wp-json/schema-generator/v1/get/{id}         - Get existing schemas
  * POST /wp-json/schema-generator/v1/insert           - Insert single schema
  * POST /wp-json/schema-generator/v1/insert-multiple  - Insert multiple schemas
+ * POST /wp-json/schema-generator/v1/insert-batch     - Find posts by URL and insert, up to 50 pages per call
  * POST /wp-json/schema-generator/v1/delete           - Delete schemas
- * POST /wp-json/schema-generator/v1/get-page-html    - Fetch page HTML server-side (bypasses CDN/WAF)
+ * POST /wp-json/schema-generator/v1/get-page-html    - Fetch one of this site's pages server-side (bypasses CDN/WAF)
+ * GET  /wp-json/schema-generator/v1/seo-plugin       - Which supported SEO plugins are active
+ * GET  /wp-json/schema-generator/v1/info             - Snippet version, features, WordPress/SEO plugin versions
+ *
+ * UPDATING:
+ * =========
+ * Schema Generator reads /info on "Test Connection" and warns when this snippet is older than the
+ * app expects. Re-copy this file and keep your SCHEMA_GENERATOR_SECRET (and other settings) below.
+ *
+ * SEO PLUGINS:
+ * ============
+ * get, insert, insert-multiple, insert-batch and delete take an optional 'target' parameter:
+ * - rankmath (default) - rank_math_schema_{Type} post meta
+ * - yoast              - _schema_generator_graph post meta, added to Yoast's graph by this snippet
+ * - aioseo             - custom graphs in All in One SEO's aioseo_posts table
+ * - seopress           - custom entries in _seopress_pro_schemas_manual (SEOPress PRO)
+ * - standalone         - _schema_generator_jsonld post meta, printed in wp_head by this snippet
+ *                        (no SEO plugin needed; see SG_SUPPRESS_JSONLD below)
+ * - auto               - whichever SEO plugin is active
  *
  * SECURITY:
  * =========
- * - All endpoints require the X-Schema-Token header with your secret token
- * - Only users with the secret token can access these endpoints
+ * - Every request is signed: HMAC-SHA256 over method, route, query, timestamp, nonce and body hash,
+ *   keyed with your secret token (headers X-Schema-Timestamp, X-Schema-Nonce, X-Schema-Signature)
+ * - Requests more than 5 minutes off this server's clock, or with a nonce already used, are rejected,
+ *   so a captured request can't be replayed
+ * - The secret token itself is never sent
+ * - get-page-html only fetches URLs on this site's home/site URL hosts, never private or loopback
+ *   addresses (checked again on every redirect), and returns at most 5 MB
  * - Keep your secret token private and secure
  *
+ * Upgrading from 1.1.0 or older: the old X-Schema-Token header is refused unless
+ * SCHEMA_GENERATOR_AUTH_MODE is 'compat'. Use 'compat' only while Schema Generator installs that
+ * predate signing still connect, then switch back to 'signed'.
+ *
  * TROUBLESHOOTING:
  * ================
  * If "Schema Generator Helper plugin not found" error:
@@ -57,8 +85,14 @@
  * If "Invalid token" error:
  * - Verify the token in this file matches what you entered in Schema Generator
  * - Check for extra spaces or characters
+ *
+ * If "Request timestamp outside the allowed clock skew" error:
+ * - The clocks of WordPress and the Schema Generator server differ by more than 5 minutes (enable NTP)
  */
 
+// Snippet version reported by /info - bump with every change to this file
+define('SG_HELPER_VERSION', '1.6.0');
+
 // ============================================================================
 // CONFIGURATION - CHANGE THIS TOKEN!
 // ============================================================================
@@ -66,6 +100,29 @@
 // Example: 'a7b2c9d4e5f6g7h8i9j0k1l2m3n4o5p6'
 define('SCHEMA_GENERATOR_SECRET', 'YOUR_SECRET_TOKEN_HERE');
 
+// 'signed' - signed requests only (default)
+// 'compat' - also accept the pre-1.2.0 X-Schema-Token header (migration only: it can be replayed)
+define('SCHEMA_GENERATOR_AUTH_MODE', 'signed');
+
+// Allowed clock difference between WordPress and the Schema Generator server, in seconds
+define('SG_SIGNATURE_MAX_SKEW', 300);
+
+// get-page-html: largest page returned (bytes) and redirects followed
+define('SG_PAGE_HTML_MAX_BYTES', 5 * 1024 * 1024);
+define('SG_PAGE_HTML_MAX_REDIRECTS', 5);
+
+// Other plugins' JSON-LD output:
+// 'off'       - leave it alone (default)
+// 'generated' - drop RankMath's auto-generated nodes (WebPage, Organization, ...) site-wide but keep
+//               custom rank_math_schema_* schemas (replaces snippets/disable-rankmath-schema-output.php)
+// 'all'       - on pages where this snippet prints standalone JSON-LD, turn off RankMath, Yoast and
+//               AIOSEO JSON-LD entirely so ours is the only structured data
+define('SG_SUPPRESS_JSONLD', 'off');
+
+// insert-batch: most items per request, and items handled between object cache flushes
+define('SG_BATCH_MAX_ITEMS', 50);
+define('SG_BATCH_CHUNK_SIZE', 10);
+
 
 // ============================================================================
 // REST API REGISTRATION
@@ -101,6 +158,13 @@ add_action('rest_api_init', function() {
         'permission_callback' => 'sg_verify_token'
     ]);
 
+    // Find and insert for many pages in one request (bulk publishing)
+    register_rest_route($namespace, '/insert-batch', [
+        'methods' => 'POST',
+        'callback' => 'sg_insert_batch',
+        'permission_callback' => 'sg_verify_token'
+    ]);
+
     // Delete schemas
     register_rest_route($namespace, '/delete', [
         'methods' => 'POST',
@@ -114,27 +178,123 @@ add_action('rest_api_init', function() {
         'callback' => 'sg_get_page_html',
         'permission_callback' => 'sg_verify_token'
     ]);
+
+    // Active SEO plugins
+    register_rest_route($namespace, '/seo-plugin', [
+        'methods' => 'GET',
+        'callback' => 'sg_detect_seo_plugin',
+        'permission_callback' => 'sg_verify_token'
+    ]);
+
+    // Version and capabilities
+    register_rest_route($namespace, '/info', [
+        'methods' => 'GET',
+        'callback' => 'sg_info',
+        'permission_callback' => 'sg_verify_token'
+    ]);
 });
 
 
+// ============================================================================
+// INFO (version and capability handshake)
+// ============================================================================
+function sg_info($request) {
+    $routes = array_keys(rest_get_server()->get_routes('schema-generator/v1'));
+    $seo_plugins = sg_active_seo_plugins();
+
+    return [
+        'success' => true,
+        'version' => SG_HELPER_VERSION,
+        // Features the app negotiates on (endpoints alone don't show e.g. signing or targets)
+        'features' => [
+            'find', 'get', 'insert', 'insert-multiple', 'insert-batch', 'delete',
+            'get-page-html', 'seo-plugin', 'targets', 'signed-requests', 'info', 'standalone'
+        ],
+        'endpoints' => array_values(array_filter($routes, function($route) {
+            return $route !== '/schema-generator/v1';
+        })),
+        'auth_mode' => SCHEMA_GENERATOR_AUTH_MODE,
+        'suppress_jsonld' => SG_SUPPRESS_JSONLD,
+        'limits' => [
+            'batch_max_items' => SG_BATCH_MAX_ITEMS,
+            'page_html_max_bytes' => SG_PAGE_HTML_MAX_BYTES,
+            'signature_max_skew' => SG_SIGNATURE_MAX_SKEW
+        ],
+        'wordpress_version' => get_bloginfo('version'),
+        'php_version' => PHP_VERSION,
+        'multisite' => is_multisite(),
+        'rankmath_version' => defined('RANK_MATH_VERSION') ? RANK_MATH_VERSION : null,
+        'seo_plugins' => ['target' => $seo_plugins ? $seo_plugins[0] : null, 'active' => $seo_plugins]
+    ];
+}
+
+
 // ============================================================================
 // AUTHENTICATION
 // ============================================================================
+// Signed requests (see SECURITY above); the signing string matches src/services/requestSigner.js
 function sg_verify_token($request) {
+    $signature = $request->get_header('X-Schema-Signature');
+    if ($signature) {
+        return sg_verify_signature($request, $signature);
+    }
+
+    // Pre-1.2.0 clients send the token itself
     $token = $request->get_header('X-Schema-Token');
+    if (SCHEMA_GENERATOR_AUTH_MODE === 'compat' && $token && hash_equals(SCHEMA_GENERATOR_SECRET, $token)) {
+        return true;
+    }
 
-    // Check if token is provided and matches
-    if (!$token || $token !== SCHEMA_GENERATOR_SECRET) {
-        return new WP_Error(
-            'rest_forbidden',
-            'Invalid or missing authentication token',
-            ['status' => 401]
-        );
+    return new WP_Error(
+        'rest_forbidden',
+        $token ? 'Unsigned token requests are disabled - update Schema Generator' : 'Invalid or missing authentication token',
+        ['status' => 401]
+    );
+}
+
+function sg_verify_signature($request, $signature) {
+    $timestamp = (string) $request->get_header('X-Schema-Timestamp');
+    $nonce = (string) $request->get_header('X-Schema-Nonce');
+
+    if (!ctype_digit($timestamp) || !preg_match('/^[A-Za-z0-9_-]{16,64}$/', $nonce)) {
+        return new WP_Error('rest_forbidden', 'Missing or malformed signature headers', ['status' => 401]);
+    }
+
+    if (abs(time() - (int) $timestamp) > SG_SIGNATURE_MAX_SKEW) {
+        return new WP_Error('sg_request_expired', 'Request timestamp outside the allowed clock skew', ['status' => 401]);
+    }
+
+    $expected = hash_hmac('sha256', sg_signing_string($request, $timestamp, $nonce), SCHEMA_GENERATOR_SECRET);
+    if (!hash_equals($expected, strtolower($signature))) {
+        return new WP_Error('rest_forbidden', 'Invalid request signature', ['status' => 401]);
+    }
+
+    // Each nonce is accepted once; after twice the skew window its timestamp is rejected anyway.
+    // Checked after the signature so unsigned requests can't fill the cache.
+    $nonce_key = 'sg_nonce_' . md5($nonce);
+    if (get_transient($nonce_key)) {
+        return new WP_Error('sg_request_replayed', 'Request already used', ['status' => 401]);
     }
+    set_transient($nonce_key, 1, 2 * SG_SIGNATURE_MAX_SKEW);
 
     return true;
 }
 
+function sg_signing_string($request, $timestamp, $nonce) {
+    $query = $request->get_query_params();
+    unset($query['rest_route']); // plain permalinks pass the route in the query string
+    ksort($query);
+
+    return implode("\n", [
+        strtoupper($request->get_method()),
+        $request->get_route(),
+        http_build_query($query, '', '&', PHP_QUERY_RFC3986),
+        $timestamp,
+        $nonce,
+        hash('sha256', $request->get_body())
+    ]);
+}
+
 
 // ============================================================================
 // FIND POST BY URL OR SLUG
@@ -143,6 +303,40 @@ function sg_find_post($request) {
     $url = $request->get_param('url');
     $slug = $request->get_param('slug');
 
+    list($post, $slug) = sg_lookup_post($url, $slug);
+
+    if (!$slug) {
+        return new WP_Error(
+            'missing_param',
+            'URL or slug is required',
+            ['status' => 400]
+        );
+    }
+
+    // Still not found
+    if (!$post) {
+        return new WP_Error(
+            'not_found',
+            "Post not found for slug: {$slug}",
+            ['status' => 404]
+        );
+    }
+
+    return [
+        'success' => true,
+        'post_id' => $post->ID,
+        'post_title' => $post->post_title,
+        'post_slug' => $post->post_name,
+        'post_type' => $post->post_type,
+        'post_url' => get_permalink($post->ID)
+    ];
+}
+
+/**
+ * Find a post by URL or slug (find-post; batches use sg_lookup_batch_post)
+ * @return array [WP_Post|null, slug used]
+ */
+function sg_lookup_post($url, $slug = null) {
     // Extract slug from URL if provided
     if ($url) {
         $path = parse_url($url, PHP_URL_PATH);
@@ -152,11 +346,7 @@ function sg_find_post($request) {
     }
 
     if (!$slug) {
-        return new WP_Error(
-            'missing_param',
-            'URL or slug is required',
-            ['status' => 400]
-        );
+        return [null, $slug];
     }
 
     // Try to find by post_name (slug)
@@ -175,25 +365,7 @@ function sg_find_post($request) {
         }
     }
 
-    // Still not found
-    if (empty($posts)) {
-        return new WP_Error(
-            'not_found',
-            "Post not found for slug: {$slug}",
-            ['status' => 404]
-        );
-    }
-
-    $post = $posts[0];
-
-    return [
-        'success' => true,
-        'post_id' => $post->ID,
-        'post_title' => $post->post_title,
-        'post_slug' => $post->post_name,
-        'post_type' => $post->post_type,
-        'post_url' => get_permalink($post->ID)
-    ];
+    return [empty($posts) ? null : $posts[0], $slug];
 }
 
 
@@ -221,6 +393,24 @@ function sg_get_schemas($request) {
         );
     }
 
+    $target = sg_resolve_target($request);
+    if (is_wp_error($target)) {
+        return $target;
+    }
+    if ($target !== 'rankmath') {
+        $pieces = sg_target_read($post_id, $target);
+        return [
+            'success' => true,
+            'post_id' => $post_id,
+            'post_title' => $post->post_title,
+            'target' => $target,
+            'schemas' => array_map(function($piece) {
+                return ['type' => sg_type_label($piece), 'schema' => $piece];
+            }, $pieces),
+            'schema_count' => count($pieces)
+        ];
+    }
+
     $schemas = [];
 
     // Get all RankMath schema meta for this post
@@ -279,6 +469,14 @@ function sg_insert_schema($request) {
         return new WP_Error('not_found', "Post ID {$post_id} not found", ['status' => 404]);
     }
 
+    $target = sg_resolve_target($request);
+    if (is_wp_error($target)) {
+        return $target;
+    }
+    if ($target !== 'rankmath') {
+        return sg_insert_for_target($post, $target, [$schema]);
+    }
+
     // Auto-detect schema type from @type if not provided
     if (!$schema_type && isset($schema['@type'])) {
         $schema_type = is_array($schema['@type']) ? $schema['@type'][0] : $schema['@type'];
@@ -354,6 +552,30 @@ function sg_insert_multiple_schemas($request) {
         return new WP_Error('not_found', "Post ID {$post_id} not found", ['status' => 404]);
     }
 
+    $target = sg_resolve_target($request);
+    if (is_wp_error($target)) {
+        return $target;
+    }
+    if ($target !== 'rankmath') {
+        return sg_insert_for_target($post, $target, $schemas);
+    }
+
+    $results = sg_rankmath_write($post_id, $schemas);
+
+    return [
+        'success' => true,
+        'post_id' => $post_id,
+        'post_title' => $post->post_title,
+        'schemas_inserted' => count($results),
+        'results' => $results
+    ];
+}
+
+/**
+ * Save {schema, type} items (or plain schemas) as rank_math_schema_{Type} meta; the first is primary
+ * @return array Per-schema results
+ */
+function sg_rankmath_write($post_id, $schemas) {
     $results = [];
     $is_first = true;
 
@@ -403,15 +625,133 @@ function sg_insert_multiple_schemas($request) {
         $is_first = false;
     }
 
+    return $results;
+}
+
+
+// ============================================================================
+// INSERT BATCH (bulk publishing)
+// ============================================================================
+// items: [{url, schemas: [{schema, type}], replaceExisting}] - one failed item never stops the others
+function sg_insert_batch($request) {
+    $items = $request->get_param('items');
+
+    if (!$items || !is_array($items)) {
+        return new WP_Error('missing_param', 'items array is required', ['status' => 400]);
+    }
+    if (count($items) > SG_BATCH_MAX_ITEMS) {
+        return new WP_Error('too_many_items', 'At most ' . SG_BATCH_MAX_ITEMS . ' items per batch', ['status' => 400]);
+    }
+
+    $target = sg_resolve_target($request);
+    if (is_wp_error($target)) {
+        return $target;
+    }
+
+    $results = [];
+    foreach (array_chunk(array_values($items), SG_BATCH_CHUNK_SIZE) as $chunk) {
+        foreach ($chunk as $item) {
+            $results[] = sg_insert_batch_item($item, $target);
+        }
+        // Keep memory flat across large batches
+        if (function_exists('wp_cache_flush_runtime')) {
+            wp_cache_flush_runtime();
+        }
+    }
+
+    $succeeded = count(array_filter($results, function($result) { return $result['success']; }));
+
     return [
         'success' => true,
-        'post_id' => $post_id,
-        'post_title' => $post->post_title,
-        'schemas_inserted' => count($results),
+        'target' => $target,
+        'total' => count($results),
+        'succeeded' => $succeeded,
+        'failed' => count($results) - $succeeded,
         'results' => $results
     ];
 }
 
+/**
+ * Resolve a batch URL to exactly one post: url_to_postid first, then the slug only if one post has it
+ * (/services/ac-repair/ and /locations/hamilton/ac-repair/ share the slug "ac-repair")
+ * @return WP_Post|WP_Error
+ */
+function sg_lookup_batch_post($url) {
+    $post_id = url_to_postid($url);
+    if ($post_id) {
+        $post = get_post($post_id);
+        if ($post) {
+            return $post;
+        }
+    }
+
+    $slug = basename(trim((string) parse_url($url, PHP_URL_PATH), '/'));
+    if (!$slug) {
+        return new WP_Error('not_found', "Post not found for URL: {$url}");
+    }
+
+    $posts = get_posts([
+        'name' => $slug,
+        'post_type' => 'any',
+        'post_status' => 'publish',
+        'numberposts' => 2
+    ]);
+
+    if (empty($posts)) {
+        return new WP_Error('not_found', "Post not found for slug: {$slug}");
+    }
+    if (count($posts) > 1) {
+        return new WP_Error('ambiguous', "Slug \"{$slug}\" matches more than one post - URL could not be resolved exactly");
+    }
+
+    return $posts[0];
+}
+
+function sg_insert_batch_item($item, $target) {
+    $url = isset($item['url']) ? (string) $item['url'] : '';
+    $schemas = isset($item['schemas']) && is_array($item['schemas']) ? $item['schemas'] : [];
+
+    if (!$url || !$schemas) {
+        return ['url' => $url, 'success' => false, 'error' => 'url and schemas are required'];
+    }
+
+    try {
+        $post = sg_lookup_batch_post($url);
+        if (is_wp_error($post)) {
+            return ['url' => $url, 'success' => false, 'error' => $post->get_error_message()];
+        }
+
+        $replaced = 0;
+        if (!empty($item['replaceExisting'])) {
+            $replaced = $target === 'rankmath'
+                ? sg_rankmath_remove_all($post->ID)
+                : sg_target_remove($post->ID, $target);
+        }
+
+        if ($target === 'rankmath') {
+            $written = sg_rankmath_write($post->ID, $schemas);
+            $inserted = count($written);
+        } else {
+            $written = sg_insert_for_target($post, $target, $schemas);
+            if (is_wp_error($written)) {
+                return ['url' => $url, 'success' => false, 'error' => $written->get_error_message()];
+            }
+            $inserted = $written['schemas_inserted'];
+        }
+
+        return [
+            'url' => $url,
+            'success' => true,
+            'post_id' => $post->ID,
+            'post_title' => $post->post_title,
+            'schemas_inserted' => $inserted,
+            'replaced' => $replaced
+        ];
+    } catch (Throwable $e) {
+        return ['url' => $url, 'success' => false, 'error' => $e->getMessage()];
+    }
+}
+
 
 // ============================================================================
 // DELETE SCHEMAS
@@ -430,7 +770,21 @@ function sg_delete_schemas($request) {
         return new WP_Error('not_found', "Post ID {$post_id} not found", ['status' => 404]);
     }
 
-    global $wpdb;
+    $target = sg_resolve_target($request);
+    if (is_wp_error($target)) {
+        return $target;
+    }
+    if ($target !== 'rankmath') {
+        // Only what this snippet wrote for the target is removed
+        $count = sg_target_remove($post_id, $target, $schema_type);
+        return [
+            'success' => true,
+            'post_id' => $post_id,
+            'target' => $target,
+            'deleted_count' => $count,
+            'message' => "Deleted {$count} schema(s) from post"
+        ];
+    }
 
     if ($schema_type) {
         // Delete specific schema type
@@ -445,11 +799,7 @@ function sg_delete_schemas($request) {
         ];
     } else {
         // Delete ALL schema meta for this post
-        $count = $wpdb->query($wpdb->prepare(
-            "DELETE FROM {$wpdb->postmeta}
-             WHERE post_id = %d AND meta_key LIKE 'rank_math_schema_%%'",
-            $post_id
-        ));
+        $count = sg_rankmath_remove_all($post_id);
 
         return [
             'success' => true,
@@ -461,6 +811,23 @@ function sg_delete_schemas($request) {
 }
 
 
+/**
+ * Delete every rank_math_schema_* meta of a post
+ * @return int Rows deleted
+ */
+function sg_rankmath_remove_all($post_id) {
+    global $wpdb;
+    $count = $wpdb->query($wpdb->prepare(
+        "DELETE FROM {$wpdb->postmeta}
+         WHERE post_id = %d AND meta_key LIKE 'rank_math_schema_%%'",
+        $post_id
+    ));
+    // Deleted behind the meta API's back
+    wp_cache_delete($post_id, 'post_meta');
+    return (int) $count;
+}
+
+
 // ============================================================================
 // FETCH PAGE HTML (SERVER-SIDE, BYPASSES CDN/WAF)
 // ============================================================================
@@ -475,23 +842,487 @@ function sg_get_page_html($request) {
         );
     }
 
-    $response = wp_remote_get($url, [
-        'timeout'   => 30,
-        'sslverify' => false
-    ]);
+    // Follow redirects by hand so every hop is checked against the site's hosts
+    for ($hop = 0; $hop <= SG_PAGE_HTML_MAX_REDIRECTS; $hop++) {
+        $allowed = sg_check_page_url($url);
+        if (is_wp_error($allowed)) {
+            return $allowed;
+        }
 
-    if (is_wp_error($response)) {
-        return new WP_Error(
-            'fetch_failed',
-            $response->get_error_message(),
-            ['status' => 500]
-        );
+        $response = wp_safe_remote_get($url, [
+            'timeout'             => 30,
+            'redirection'         => 0,
+            'limit_response_size' => SG_PAGE_HTML_MAX_BYTES
+        ]);
+
+        if (is_wp_error($response)) {
+            return new WP_Error(
+                'fetch_failed',
+                $response->get_error_message(),
+                ['status' => 500]
+            );
+        }
+
+        $status = wp_remote_retrieve_response_code($response);
+        $location = wp_remote_retrieve_header($response, 'location');
+        if ($status < 300 || $status >= 400 || !$location) {
+            break;
+        }
+        $url = WP_Http::make_absolute_url($location, $url);
     }
 
+    if ($hop > SG_PAGE_HTML_MAX_REDIRECTS) {
+        return new WP_Error('fetch_failed', 'Too many redirects', ['status' => 500]);
+    }
+
+    $html = wp_remote_retrieve_body($response);
+
     return [
         'success'     => true,
-        'html'        => wp_remote_retrieve_body($response),
-        'status_code' => wp_remote_retrieve_response_code($response)
+        'html'        => $html,
+        'status_code' => $status,
+        'truncated'   => strlen($html) >= SG_PAGE_HTML_MAX_BYTES
+    ];
+}
+
+/**
+ * get-page-html only fetches this site's own pages (home / site URL hosts) on public addresses
+ * @return true|WP_Error
+ */
+function sg_check_page_url($url) {
+    $parts = wp_parse_url($url);
+    $scheme = isset($parts['scheme']) ? strtolower($parts['scheme']) : '';
+    $host = isset($parts['host']) ? strtolower(trim($parts['host'], '[]')) : '';
+
+    if (!in_array($scheme, ['http', 'https'], true) || !$host) {
+        return new WP_Error('invalid_url', 'Only http and https URLs can be fetched', ['status' => 400]);
+    }
+
+    $site_hosts = array_unique(array_filter([
+        strtolower((string) wp_parse_url(home_url(), PHP_URL_HOST)),
+        strtolower((string) wp_parse_url(site_url(), PHP_URL_HOST))
+    ]));
+    if (!in_array($host, $site_hosts, true)) {
+        return new WP_Error('url_not_allowed', "Only pages of this site can be fetched (" . implode(', ', $site_hosts) . ")", ['status' => 403]);
+    }
+
+    $port = isset($parts['port']) ? (int) $parts['port'] : null;
+    if ($port && !in_array($port, [80, 443], true) && $port !== (int) wp_parse_url(home_url(), PHP_URL_PORT)) {
+        return new WP_Error('url_not_allowed', "Port {$port} is not allowed", ['status' => 403]);
+    }
+
+    // The host must only resolve to public addresses
+    $addresses = filter_var($host, FILTER_VALIDATE_IP) ? [$host] : sg_resolve_host($host);
+    if (!$addresses) {
+        return new WP_Error('fetch_failed', "Could not resolve {$host}", ['status' => 500]);
+    }
+    foreach ($addresses as $ip) {
+        if (!filter_var($ip, FILTER_VALIDATE_IP, FILTER_FLAG_NO_PRIV_RANGE | FILTER_FLAG_NO_RES_RANGE)) {
+            return new WP_Error('url_not_allowed', "{$host} resolves to a private or reserved address ({$ip})", ['status' => 403]);
+        }
+    }
+
+    return true;
+}
+
+function sg_resolve_host($host) {
+    $addresses = gethostbynamel($host) ?: [];
+    if (function_exists('dns_get_record')) {
+        foreach ((array) @dns_get_record($host, DNS_AAAA) as $record) {
+            if (!empty($record['ipv6'])) $addresses[] = $record['ipv6'];
+        }
+    }
+    return $addresses;
+}
+
+
+// ============================================================================
+// OTHER SEO PLUGINS (PUBLISHING TARGETS)
+// ============================================================================
+// Same storage as the Schema Generator app's database targets (src/services/targets):
+// schemas of the same @type replace each other, and only entries written here are ever removed.
+
+define('SG_GRAPH_META_KEY', '_schema_generator_graph');
+define('SG_JSONLD_META_KEY', '_schema_generator_jsonld');
+define('SG_SEOPRESS_META_KEY', '_seopress_pro_schemas_manual');
+
+/**
+ * Supported SEO plugins that are active, in the order 'auto' prefers them
+ */
+function sg_active_seo_plugins() {
+    $active = [];
+    if (defined('RANK_MATH_VERSION')) $active[] = 'rankmath';
+    if (defined('WPSEO_VERSION')) $active[] = 'yoast';
+    if (defined('AIOSEO_VERSION')) $active[] = 'aioseo';
+    if (defined('SEOPRESS_VERSION')) $active[] = 'seopress';
+    return $active;
+}
+
+function sg_detect_seo_plugin($request) {
+    $active = sg_active_seo_plugins();
+    return [
+        'success' => true,
+        'target' => $active ? $active[0] : null,
+        'active' => $active
+    ];
+}
+
+/**
+ * The request's 'target' parameter (default rankmath, 'auto' = first active SEO plugin)
+ */
+function sg_resolve_target($request) {
+    $target = $request->get_param('target') ?: 'rankmath';
+
+    if ($target === 'auto') {
+        $active = sg_active_seo_plugins();
+        if (!$active) {
+            return new WP_Error('no_seo_plugin', 'No supported SEO plugin is active on this site', ['status' => 400]);
+        }
+        return $active[0];
+    }
+
+    if (!in_array($target, ['rankmath', 'yoast', 'aioseo', 'seopress', 'standalone'], true)) {
+        return new WP_Error('invalid_param', "Unknown target: {$target}", ['status' => 400]);
+    }
+    return $target;
+}
+
+/**
+ * Label for a schema's @type (['WebPage', 'FAQPage'] -> 'WebPage,FAQPage')
+ */
+function sg_type_label($schema) {
+    $type = isset($schema['@type']) ? $schema['@type'] : 'Custom';
+    return is_array($type) ? implode(',', $type) : (string) $type;
+}
+
+/**
+ * Individual schemas from {schema, type} items or plain schemas (@graph split, @context dropped)
+ */
+function sg_schema_pieces($items) {
+    $pieces = [];
+    foreach ($items as $item) {
+        $schema = isset($item['schema']) && is_array($item['schema']) ? $item['schema'] : $item;
+        $list = isset($schema['@graph']) && is_array($schema['@graph']) ? $schema['@graph'] : [$schema];
+        foreach ($list as $piece) {
+            unset($piece['@context']);
+            $pieces[] = $piece;
+        }
+    }
+    return $pieces;
+}
+
+/**
+ * $stored without the entries $label_of() maps to one of $labels
+ */
+function sg_without_labels($stored, $labels, $label_of) {
+    return array_values(array_filter($stored, function($entry) use ($labels, $label_of) {
+        return !in_array($label_of($entry), $labels, true);
+    }));
+}
+
+function sg_insert_for_target($post, $target, $items) {
+    $pieces = sg_schema_pieces($items);
+    if (!$pieces) {
+        return new WP_Error('missing_param', 'No schemas to insert', ['status' => 400]);
+    }
+
+    sg_target_write($post->ID, $target, $pieces);
+
+    return [
+        'success' => true,
+        'post_id' => $post->ID,
+        'post_title' => $post->post_title,
+        'target' => $target,
+        'schemas_inserted' => count($pieces),
+        'schema_types' => array_map('sg_type_label', $pieces)
+    ];
+}
+
+/**
+ * Our schemas stored for a target
+ */
+function sg_target_read($post_id, $target) {
+    switch ($target) {
+        case 'yoast':
+        case 'standalone':
+            $graph = json_decode((string) get_post_meta($post_id, sg_graph_meta_key($target), true), true);
+            return is_array($graph) ? $graph : [];
+
+        case 'aioseo':
+            list(, $schema) = sg_aioseo_load($post_id);
+            $pieces = [];
+            foreach ($schema['customGraphs'] as $graph) {
+                if (sg_aioseo_is_ours($graph)) {
+                    $piece = json_decode($graph['schema'], true);
+                    if (is_array($piece)) $pieces[] = $piece;
+                }
+            }
+            return $pieces;
+
+        case 'seopress':
+            $pieces = [];
+            foreach (sg_seopress_load($post_id) as $entry) {
+                if (!empty($entry['_schema_generator_type'])
+                    && preg_match('#<script[^>]*>(.*)</script>#is', $entry['_seopress_pro_rich_snippets_custom'], $match)) {
+                    $piece = json_decode($match[1], true);
+                    if (is_array($piece)) $pieces[] = $piece;
+                }
+            }
+            return $pieces;
+    }
+    return [];
+}
+
+/**
+ * Store schemas for a target; a schema replaces ours of the same @type
+ */
+function sg_target_write($post_id, $target, $pieces) {
+    $labels = array_map('sg_type_label', $pieces);
+
+    switch ($target) {
+        case 'yoast':
+        case 'standalone':
+            $graph = array_merge(sg_without_labels(sg_target_read($post_id, $target), $labels, 'sg_type_label'), $pieces);
+            update_post_meta($post_id, sg_graph_meta_key($target), wp_slash(wp_json_encode($graph)));
+            if ($target === 'yoast') {
+                sg_yoast_set_types($post_id, $pieces);
+            }
+            break;
+
+        case 'aioseo':
+            list($row, $schema) = sg_aioseo_load($post_id);
+            $ids = array_map('sg_aioseo_graph_id', $labels);
+            $kept = array_values(array_filter($schema['customGraphs'], function($graph) use ($ids) {
+                return !isset($graph['id']) || !in_array($graph['id'], $ids, true);
+            }));
+            foreach ($pieces as $i => $piece) {
+                $kept[] = [
+                    'id' => $ids[$i],
+                    'label' => $labels[$i] . ' (Schema Generator)',
+                    'schema' => wp_json_encode($piece)
+                ];
+            }
+            $schema['customGraphs'] = $kept;
+            sg_aioseo_save($post_id, $row, $schema);
+            break;
+
+        case 'seopress':
+            $label_of = function($entry) {
+                return isset($entry['_schema_generator_type']) ? $entry['_schema_generator_type'] : null;
+            };
+            $manual = array_merge(
+                sg_without_labels(sg_seopress_load($post_id), $labels, $label_of),
+                array_map('sg_seopress_entry', $pieces)
+            );
+            update_post_meta($post_id, SG_SEOPRESS_META_KEY, wp_slash($manual));
+            break;
+    }
+}
+
+/**
+ * Remove our schemas for a target (all of them, or one @type)
+ * @return int Schemas removed
+ */
+function sg_target_remove($post_id, $target, $schema_type = null) {
+    $stored = sg_target_read($post_id, $target);
+    $removed = array_filter($stored, function($piece) use ($schema_type) {
+        return !$schema_type || sg_type_label($piece) === $schema_type;
+    });
+    if (!$removed) {
+        return 0;
+    }
+    $labels = array_map('sg_type_label', $removed);
+
+    switch ($target) {
+        case 'yoast':
+        case 'standalone':
+            $graph = sg_without_labels($stored, $labels, 'sg_type_label');
+            if ($graph) {
+                update_post_meta($post_id, sg_graph_meta_key($target), wp_slash(wp_json_encode($graph)));
+            } else {
+                delete_post_meta($post_id, sg_graph_meta_key($target));
+            }
+            break;
+
+        case 'aioseo':
+            list($row, $schema) = sg_aioseo_load($post_id);
+            $ids = array_map('sg_aioseo_graph_id', $labels);
+            $schema['customGraphs'] = array_values(array_filter($schema['customGraphs'], function($graph) use ($ids) {
+                return !isset($graph['id']) || !in_array($graph['id'], $ids, true);
+            }));
+            sg_aioseo_save($post_id, $row, $schema);
+            break;
+
+        case 'seopress':
+            $manual = array_values(array_filter(sg_seopress_load($post_id), function($entry) use ($labels) {
+                return empty($entry['_schema_generator_type']) || !in_array($entry['_schema_generator_type'], $labels, true);
+            }));
+            if ($manual) {
+                update_post_meta($post_id, SG_SEOPRESS_META_KEY, wp_slash($manual));
+            } else {
+                delete_post_meta($post_id, SG_SEOPRESS_META_KEY);
+            }
+            break;
+    }
+
+    return count($removed);
+}
+
+/**
+ * Post meta holding a graph (JSON array of pieces) for the yoast and standalone targets
+ */
+function sg_graph_meta_key($target) {
+    return $target === 'standalone' ? SG_JSONLD_META_KEY : SG_GRAPH_META_KEY;
+}
+
+add_action('init', function() {
+    // Lets the app's REST client (wp/v2) write the graphs too
+    foreach ([SG_GRAPH_META_KEY, SG_JSONLD_META_KEY] as $meta_key) {
+        register_post_meta('', $meta_key, [
+            'type' => 'string',
+            'single' => true,
+            'show_in_rest' => true,
+            'auth_callback' => function($allowed, $meta_key, $post_id) {
+                return current_user_can('edit_post', $post_id);
+            }
+        ]);
+    }
+});
+
+// --- Yoast SEO: our pieces join Yoast's own graph ---------------------------
+
+add_filter('wpseo_schema_graph', function($graph, $context) {
+    if (!is_singular()) {
+        return $graph;
+    }
+    foreach (sg_target_read(get_queried_object_id(), 'yoast') as $piece) {
+        // Tie the piece to Yoast's WebPage node
+        if (empty($piece['mainEntityOfPage']) && !empty($context->main_schema_id)) {
+            $piece['mainEntityOfPage'] = ['@id' => $context->main_schema_id];
+        }
+        $graph[] = $piece;
+    }
+    return $graph;
+}, 10, 2);
+
+/**
+ * Yoast's own page/article type settings, when the schemas say what they are
+ */
+function sg_yoast_set_types($post_id, $pieces) {
+    $page_types = ['ItemPage', 'AboutPage', 'FAQPage', 'QAPage', 'ProfilePage', 'ContactPage', 'MedicalWebPage', 'CollectionPage', 'CheckoutPage', 'RealEstateListing', 'SearchResultsPage'];
+    $article_types = ['Article', 'BlogPosting', 'SocialMediaPosting', 'NewsArticle', 'AdvertiserContentArticle', 'SatiricalArticle', 'ScholarlyArticle', 'TechArticle', 'Report'];
+
+    foreach ($pieces as $piece) {
+        $page_type = array_intersect((array) (isset($piece['@type']) ? $piece['@type'] : []), $page_types);
+        if ($page_type) {
+            update_post_meta($post_id, '_yoast_wpseo_schema_page_type', reset($page_type));
+            break;
+        }
+    }
+
+    $primary = array_intersect((array) (isset($pieces[0]['@type']) ? $pieces[0]['@type'] : []), $article_types);
+    if ($primary) {
+        update_post_meta($post_id, '_yoast_wpseo_schema_article_type', reset($primary));
+    }
+}
+
+// --- Standalone: our own JSON-LD block, no SEO plugin needed ----------------
+
+/**
+ * Standalone pieces of the page being viewed (empty outside single posts/pages)
+ */
+function sg_standalone_graph() {
+    return is_singular() ? sg_target_read(get_queried_object_id(), 'standalone') : [];
+}
+
+add_action('wp_head', function() {
+    $graph = sg_standalone_graph();
+    if (!$graph) {
+        return;
+    }
+    $jsonld = ['@context' => 'https://schema.org', '@graph' => $graph];
+    echo "\n<script type=\"application/ld+json\" class=\"schema-generator-jsonld\">"
+        . wp_json_encode($jsonld, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE | JSON_HEX_TAG)
+        . "</script>\n";
+}, 20);
+
+// SG_SUPPRESS_JSONLD: other plugins' output
+if (SG_SUPPRESS_JSONLD === 'generated') {
+    add_filter('rank_math/json_ld', function($data, $jsonld) {
+        // RankMath's auto-generated nodes; custom schemas come through as 'richSnippet' or numbered keys
+        $auto_generated_keys = ['WebPage', 'BreadcrumbList', 'WebSite', 'Organization', 'Person', 'publisher', 'ProfilePage', 'SiteNavigationElement', 'ImageObject'];
+        foreach ($auto_generated_keys as $key) {
+            unset($data[$key]);
+        }
+        return $data;
+    }, 99, 2);
+} elseif (SG_SUPPRESS_JSONLD === 'all') {
+    add_filter('rank_math/json_ld', function($data, $jsonld) {
+        return sg_standalone_graph() ? [] : $data;
+    }, 99, 2);
+    add_filter('wpseo_json_ld_output', function($output) {
+        return sg_standalone_graph() ? false : $output;
+    }, 99);
+    add_filter('aioseo_schema_disable', function($disabled) {
+        return sg_standalone_graph() ? true : $disabled;
+    }, 99);
+}
+
+// --- All in One SEO: custom graphs in the aioseo_posts table ----------------
+
+function sg_aioseo_graph_id($label) {
+    return '#schema-generator-' . str_replace(',', '-', preg_replace('/[^A-Za-z0-9,]/', '', $label));
+}
+
+function sg_aioseo_is_ours($graph) {
+    return isset($graph['id'], $graph['schema']) && strpos($graph['id'], '#schema-generator-') === 0;
+}
+
+/**
+ * The post's aioseo_posts row (or null) and its decoded schema column
+ */
+function sg_aioseo_load($post_id) {
+    global $wpdb;
+    $row = $wpdb->get_row($wpdb->prepare(
+        "SELECT id, `schema` FROM {$wpdb->prefix}aioseo_posts WHERE post_id = %d",
+        $post_id
+    ));
+
+    $schema = $row ? json_decode((string) $row->schema, true) : null;
+    if (!is_array($schema)) {
+        $schema = ['blockGraphs' => [], 'customGraphs' => [], 'default' => ['graphName' => '', 'isEnabled' => true], 'graphs' => []];
+    }
+    if (!isset($schema['customGraphs']) || !is_array($schema['customGraphs'])) {
+        $schema['customGraphs'] = [];
+    }
+    return [$row, $schema];
+}
+
+function sg_aioseo_save($post_id, $row, $schema) {
+    global $wpdb;
+    $table = $wpdb->prefix . 'aioseo_posts';
+    $now = current_time('mysql');
+
+    if ($row) {
+        $wpdb->update($table, ['schema' => wp_json_encode($schema), 'updated' => $now], ['id' => $row->id]);
+    } else {
+        $wpdb->insert($table, ['post_id' => $post_id, 'schema' => wp_json_encode($schema), 'created' => $now, 'updated' => $now]);
+    }
+}
+
+// --- SEOPress PRO: custom entries in the manual schemas list ----------------
+
+function sg_seopress_load($post_id) {
+    $manual = get_post_meta($post_id, SG_SEOPRESS_META_KEY, true);
+    return is_array($manual) ? array_values($manual) : [];
+}
+
+function sg_seopress_entry($piece) {
+    $json = wp_json_encode(array_merge(['@context' => 'https://schema.org'], $piece), JSON_HEX_TAG | JSON_UNESCAPED_SLASHES);
+    return [
+        '_seopress_pro_rich_snippets_type' => 'custom',
+        '_seopress_pro_rich_snippets_custom' => '<script type="application/ld+json">' . $json . '</script>',
+        '_schema_generator_type' => sg_type_label($piece)
     ];
 }
 